@@ -0,0 +1,379 @@
+/**
+ * English messages, the reference catalog every other locale falls back to.
+ * Loaded with a script tag instead of fetched like the other locales, so every message has a value
+ * even when data/i18n cannot be reached (first visit offline, a network error, file://).
+ * Same layout as the other locale files: keep it valid JSON inside the assignment.
+ */
+window.I18N_BUNDLED_CATALOG = {
+  "locale": "en",
+  "version": "2026.10.5",
+  "messages": {
+    "section": {
+      "diagnoses": {
+        "title": "Diagnoses & Conditions",
+        "description": "Medical conditions identified during your visit"
+      },
+      "procedures": {
+        "title": "Procedures & Treatments",
+        "description": "Medical procedures performed during your stay"
+      },
+      "medications": {
+        "title": "Medications",
+        "description": "Prescribed medications and instructions"
+      },
+      "instructions": {
+        "title": "Care Instructions",
+        "description": "Important care instructions for your recovery"
+      },
+      "returnReasons": {
+        "title": "When to Seek Emergency Care",
+        "description": "Warning signs that require immediate medical attention"
+      },
+      "followUp": {
+        "title": "Follow-up Care",
+        "description": "Scheduled appointments and ongoing care requirements"
+      }
+    },
+    "document": {
+      "document_title": "DISCHARGE INSTRUCTIONS",
+      "discharge_instructions": "Discharge Instructions",
+      "language": "Language",
+      "date": "Date",
+      "tel": "Tel",
+      "patient_information": "Patient Information",
+      "name": "Name",
+      "date_of_birth": "Date of Birth",
+      "medical_record": "Medical Record Number",
+      "admission_date": "Admission Date",
+      "discharge_date": "Discharge Date",
+      "attending_physician": "Attending Physician",
+      "unit": "Unit",
+      "follow_up_appointment": "Follow-up Appointment",
+      "approximate_date_note": "The date is approximate. Please call to confirm the exact appointment time.",
+      "phone": "Phone",
+      "add_to_calendar": "Add to Calendar",
+      "medication_schedule": "Medication Schedule",
+      "medication_schedule_description": "Check each box when you take that dose.",
+      "schedule_day": "Day",
+      "schedule_morning": "Morning",
+      "schedule_noon": "Noon",
+      "schedule_evening": "Evening",
+      "schedule_bedtime": "Bedtime",
+      "schedule_as_needed": "Take only when needed (no fixed times)",
+      "schedule_default_duration": {
+        "one": "No duration was given, so the first day is shown. Keep taking it as your doctor directed.",
+        "other": "No duration was given, so the first {count} days are shown. Keep taking it as your doctor directed."
+      },
+      "schedule_truncated": {
+        "one": "The first {shown} of {count} day is shown.",
+        "other": "The first {shown} of {count} days are shown."
+      },
+      "mobile_access": "Mobile Access",
+      "scan_qr": "Scan QR Code for Mobile Access",
+      "qr_label": "Scan for mobile access",
+      "qr_instructions": "Use your smartphone camera or QR scanner app to scan this code and access these instructions on your mobile device in your preferred language.",
+      "qr_footer_text": "QR Code contains encrypted medical data signed by the issuing hospital. Opening it may require the PIN given to you separately.",
+      "qr_pin": "PIN to open the QR code: {pin}. Give it to the patient separately; it is not printed on the instructions.",
+      "qr_sequence": {
+        "one": "Scan the {count} code.",
+        "other": "Scan all {count} codes, in any order."
+      },
+      "qr_sequence_part": "Code {index} of {total}",
+      "qr_unavailable": "QR code unavailable",
+      "qr_failed": "QR code generation failed, but downloads are still available.",
+      "qr_signing_not_configured": "QR signing is not configured on this device, so documents carry no working QR code. Ask your administrator to set QR_SIGNING_KEY (see the README).",
+      "disclaimer_title": "Important Notice",
+      "disclaimer_text": "This translation is for informational purposes only. Always consult your healthcare provider for medical advice. If you have questions about these instructions, contact your doctor or pharmacist.",
+      "generated_on": "Generated on",
+      "generated_by": "Generated by",
+      "bilingual_missing": "Not available",
+      "bilingual_mismatch": {
+        "one": "Check this section with staff: the English has {count} item and the translation has {translated}.",
+        "other": "Check this section with staff: the English has {count} items and the translation has {translated}."
+      }
+    },
+    "app": {
+      "title": "Discharge Instructions Translator",
+      "tagline": "Scan your QR code to translate discharge instructions into your preferred language",
+      "common": {
+        "close": "Close",
+        "cancel": "Cancel",
+        "not_available": "Not available",
+        "unknown": "unknown"
+      },
+      "language": {
+        "choose": "Choose Your Language",
+        "select_label": "Select language for translation"
+      },
+      "scanner": {
+        "start": "Start QR Scanner",
+        "stop": "Stop Scanner",
+        "scan_file": "Scan from File"
+      },
+      "ocr": {
+        "prompt": "No QR code on the sheet? Read the printed English text instead:",
+        "photograph": "Photograph Printed Sheet",
+        "capture": "Capture Photo",
+        "from_image": "Read Sheet from Image",
+        "camera_not_ready": "The camera is not ready yet. Please try again.",
+        "image_only": "Please choose a PNG or JPEG image.",
+        "file_failed": "Could not read {file}: {error}",
+        "unavailable": "Text recognition is not available in this browser. Please use manual input.",
+        "reading": "Reading the discharge sheet...",
+        "reading_progress": "Reading the discharge sheet ({percent}%)...",
+        "no_text": "No text was found. Photograph the sheet flat, in good light, filling the frame.",
+        "failed": "The sheet could not be read: {error}"
+      },
+      "ocr_review": {
+        "title": "Check the Recognized Text",
+        "overall": "Overall confidence {confidence}%.",
+        "low_words": {
+          "one": "{count} highlighted word was hard to read.",
+          "other": "{count} highlighted words were hard to read."
+        },
+        "low_words_help": "Compare them with the printed sheet and correct them before translating.",
+        "all_clear": "Compare the text with the printed sheet before translating.",
+        "word_hint": "Confidence {confidence}%. Please check this word.",
+        "word_suggestion": "Confidence {confidence}%. Click to use \"{suggestion}\".",
+        "text_label": "Recognized text"
+      },
+      "manual": {
+        "heading": "Or Enter Discharge Information Manually",
+        "placeholder": "Paste or type your discharge information here...",
+        "process": "Process & Translate",
+        "import": "Import EHR Export",
+        "drop_hint": "Or drop a FHIR R4 Bundle (.json), C-CDA document (.xml), scanned sheet or PDF here.",
+        "empty": "Please enter some discharge information."
+      },
+      "staff": {
+        "translation_memory": "Translation Memory",
+        "verify": "Verify translations (back-translate and flag low-fidelity items)",
+        "bilingual": "Bilingual layout (English beside each translated item)",
+        "mode": "Translation mode:",
+        "mode_online": "Online (translation services)",
+        "mode_offline": "Offline (bundled phrase packs only)"
+      },
+      "output": {
+        "heading": "Your Discharge Instructions",
+        "language": "Language:",
+        "default_title": "Discharge Information",
+        "default_processed": "Your discharge information has been processed and translated.",
+        "default_review": "If specific sections are not shown above, your discharge instructions may be in a format that requires manual review."
+      },
+      "actions": {
+        "download_pdf": "Download PDF with QR",
+        "download_html": "Download HTML with QR",
+        "view_qr": "View QR Code",
+        "calendar": "Add to Calendar",
+        "export_fhir": "Export FHIR",
+        "print": "Print Instructions",
+        "share": "Share"
+      },
+      "support": {
+        "init_failed": "Failed to initialize application. Please refresh the page.",
+        "no_camera": "Camera access not available. You can still use manual input.",
+        "no_qr": "QR codes are unavailable here; they need a secure (HTTPS) connection.",
+        "no_pdf": "PDF downloads will use fallback method."
+      },
+      "camera": {
+        "unavailable": "Camera not available. Please use manual input.",
+        "photo_started": "Camera started. Fill the frame with the discharge sheet, hold steady and press Capture Photo.",
+        "qr_started": "QR scanner started. Position the QR code within the frame.",
+        "denied": "Camera permission denied. Please allow camera access and try again.",
+        "not_found": "No camera found. Please use manual input instead.",
+        "failed": "Camera access failed. Please use manual input instead."
+      },
+      "qr": {
+        "scanned": "QR code scanned successfully!",
+        "all_scanned": {
+          "one": "{count} QR code scanned!",
+          "other": "All {count} QR codes scanned!"
+        },
+        "unsigned": "This discharge QR code is not signed by a facility and cannot be trusted. Please ask the hospital for a new printout.",
+        "not_discharge": "This QR code is not a signed discharge summary and was not imported.",
+        "signing_not_configured": "QR signing is not configured on this device (QR_SIGNING_KEY). Documents are generated without a working QR code until your administrator sets up the facility keys described in the README.",
+        "unreadable": "Unreadable discharge QR code: {error}",
+        "restarted": "A different discharge summary was scanned, starting over.",
+        "next": "Scanned code {received} of {total}. Scan code {missing} next.",
+        "progress": {
+          "one": "{received} of {count} code scanned",
+          "other": "{received} of {count} codes scanned"
+        },
+        "decode_failed": "This discharge QR code could not be read: {error}. Please scan it again.",
+        "processing": "Processing medical QR code...",
+        "processed": "Medical QR code processed! Data from {hospital}",
+        "hospital": "Hospital",
+        "invalid": "Invalid medical QR code format.",
+        "not_ready": "QR code not available yet. Please wait for generation to complete.",
+        "modal_title": "Mobile Access QR Code",
+        "modal_scan": "Scan this QR code with your smartphone to access these discharge instructions on your mobile device.",
+        "modal_pin": "PIN: {pin} (give it to the patient separately)",
+        "modal_note_label": "Note:",
+        "modal_note": "The QR code contains encrypted medical data signed by this facility."
+      },
+      "pin": {
+        "title": "Enter PIN",
+        "intro": "This QR code is signed by the issuing hospital and protected with a PIN. Enter the PIN you were given with your discharge instructions.",
+        "attempt": "{error} (attempt {attempt} of {max})",
+        "open": "Open"
+      },
+      "file": {
+        "unsupported": "Please choose a PNG or JPEG image or a PDF.",
+        "searching": "Looking for QR codes in {file}...",
+        "searching_page": "Looking for QR codes in {file} (page {page} of {pages})...",
+        "none_found": "No QR code found in {file}. Try a sharper scan, or use the camera.",
+        "failed": "Could not scan {file}: {error}",
+        "code": "Discharge code",
+        "code_part": "Discharge code {index} of {total}",
+        "other_code": "Other QR code",
+        "on_page": "Page {page}: {label}"
+      },
+      "import": {
+        "unsupported": "{file} is not a FHIR R4 Bundle or C-CDA document. Export the discharge encounter as a JSON Bundle or CCD/Discharge Summary XML and try again.",
+        "failed": "Could not import {file}: {error}",
+        "drop_unsupported": "Drop a FHIR Bundle (.json), a C-CDA document (.xml), an image or a PDF."
+      },
+      "status": {
+        "processing": "Processing discharge information...",
+        "translating": "Translating to your selected language...",
+        "completed": "Processing completed successfully!",
+        "failed": "Error processing data: {error}"
+      },
+      "mode": {
+        "downloading": "Downloading offline phrase packs...",
+        "partial": "Offline phrase packs {version}: {languages} could not be downloaded.",
+        "ready": {
+          "one": "Offline phrase packs {version} ready ({count} language).",
+          "other": "Offline phrase packs {version} ready ({count} languages)."
+        },
+        "failed": "Offline phrase packs could not be downloaded. Items without a pack translation will stay in English.",
+        "online": "Online translation enabled."
+      },
+      "connection": {
+        "lost": "No connection. Translating with the offline phrase packs; other lines will be translated when the connection returns.",
+        "restored": {
+          "one": "Connection restored. Sending {count} queued translation request...",
+          "other": "Connection restored. Sending {count} queued translation requests..."
+        }
+      },
+      "verify": {
+        "running": "Verifying translations...",
+        "failed": "Translations could not be verified.",
+        "unreviewed": {
+          "one": "{count} translated item was flagged as possibly inaccurate and has not been reviewed by an interpreter.",
+          "other": "{count} translated items were flagged as possibly inaccurate and have not been reviewed by an interpreter."
+        },
+        "generate_anyway": "Generate the {format} anyway?",
+        "print_anyway": "Print anyway?"
+      },
+      "documents": {
+        "no_data": "No discharge data available. Please process discharge information first.",
+        "generating": "Generating {format} document...",
+        "pdf_done": "PDF document downloaded successfully!",
+        "html_done": "HTML document downloaded successfully!",
+        "no_appointments": "No dated follow-up appointments were found.",
+        "calendar_done": {
+          "one": "Calendar file with {count} appointment downloaded!",
+          "other": "Calendar file with {count} appointments downloaded!"
+        },
+        "fhir_done": "FHIR bundle downloaded - import it into the chart to record the instructions given.",
+        "failed": "Failed to generate {format}: {error}",
+        "missing_characters": {
+          "one": "The last PDF has {count} character no bundled font can draw, left blank: {characters}. Check the drug and condition names in the printout before giving it to the patient, or give the HTML version instead.",
+          "other": "The last PDF has {count} characters no bundled font can draw, left blank: {characters}. Check the drug and condition names in the printout before giving it to the patient, or give the HTML version instead."
+        }
+      },
+      "bilingual": {
+        "mismatch": {
+          "one": "Item count mismatch: the English has {count} item and the translation has {translated}. Rows may not line up; check this section before giving it to the patient.",
+          "other": "Item count mismatch: the English has {count} items and the translation has {translated}. Rows may not line up; check this section before giving it to the patient."
+        }
+      },
+      "source": {
+        "coded": "Coded entries",
+        "coded_title": "Taken from the coded entries of the imported document",
+        "narrative": "From narrative text",
+        "narrative_title": "Read from the narrative text of the imported document; please check it against the original",
+        "mixed": "Coded + narrative",
+        "mixed_title": "Partly from coded entries, partly read from narrative text"
+      },
+      "notes": {
+        "untranslated": "Shown in English: no translation available. Please ask for an interpreter.",
+        "glossary": "Glossary: {details}",
+        "glossary_term": "\"{source}\" should read \"{expected}\"",
+        "reviewed": "Reviewed by interpreter",
+        "not_back_translated": "Not back-translated: no second translation provider available",
+        "fidelity": "Fidelity {score} ({reasons}).",
+        "back_translation": "Back-translation: \"{text}\".",
+        "request_review": "Request interpreter review",
+        "reason": {
+          "numbers_changed": "numbers or doses differ",
+          "dose_units_changed": "dose units differ",
+          "negation_changed": "negation differs",
+          "low_similarity": "meaning may have changed",
+          "translation_failed": "translation failed"
+        }
+      },
+      "review": {
+        "title": "Interpreter Review",
+        "source": "English source",
+        "back_translation": "Back-translation",
+        "translation": "Translation ({language}, {service})",
+        "approve": "Approve translation",
+        "empty": "The approved translation cannot be empty.",
+        "approved": "Translation approved."
+      },
+      "patient_review": {
+        "title": "Patient Information (Staff Review)",
+        "description": "Check the details read from the discharge note before generating documents. Highlighted fields were detected with low confidence.",
+        "name": "Patient Name",
+        "dob": "Date of Birth",
+        "mrn": "MRN",
+        "admission_date": "Admission Date",
+        "discharge_date": "Discharge Date",
+        "attending": "Attending Physician",
+        "unit": "Unit",
+        "confidence": "Detection confidence",
+        "save": "Save Patient Details",
+        "saved": "Patient details saved."
+      },
+      "memory": {
+        "disabled": "Translation memory is disabled.",
+        "search": "Search source or translation...",
+        "search_label": "Search translation memory",
+        "filter_label": "Filter by language",
+        "all_languages": "All languages",
+        "export": "Export TMX",
+        "import": "Import TMX",
+        "clear": "Clear",
+        "source": "Source",
+        "translation": "Translation",
+        "language": "Lang",
+        "provider": "Provider",
+        "uses": "Uses",
+        "summary": {
+          "one": "{shown} of {count} entry (limit {limit}). Interpreter-approved entries are marked ✅ and are never evicted.",
+          "other": "{shown} of {count} entries (limit {limit}). Interpreter-approved entries are marked ✅ and are never evicted."
+        },
+        "delete": "Delete entry",
+        "imported": {
+          "one": "Imported {count} approved translation.",
+          "other": "Imported {count} approved translations."
+        },
+        "import_failed": "TMX import failed: {error}",
+        "clear_confirm": "Delete every entry in the translation memory, including approved translations?"
+      },
+      "share": {
+        "nothing_to_print": "No instructions to print. Please process discharge data first.",
+        "nothing_to_share": "No instructions to share. Please process discharge data first.",
+        "copied": "Instructions copied to clipboard!",
+        "copy_hint": "Use Ctrl+C to copy the displayed instructions."
+      },
+      "update": {
+        "available": "A new version of the translator is available.",
+        "reload": "Reload",
+        "later": "Later"
+      }
+    }
+  }
+};
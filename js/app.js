@@ -8,14 +8,30 @@ class DischargeTranslatorApp {
         this.translationService = new TranslationService();
         this.medicalParser = new MedicalDataParser();
         this.documentGenerator = new MedicalDocumentGenerator();
+        this.i18n = window.i18n;
+        this.translationVerifier = new TranslationVerifier(this.translationService);
+        this.verifyTranslations = window.appConfig.get('VERIFY_TRANSLATIONS', false);
+        this.bilingualLayout = window.appConfig.get('BILINGUAL_LAYOUT', false);
+        this.requestQueue = new RequestQueue();
+        this.offlineManager = new OfflineManager({
+            onOnline: () => this.handleConnectionRestored(),
+            onOffline: () => this.handleConnectionLost(),
+            translate: key => this.t(key)
+        });
         this.qrScanner = null;
         this.currentLanguage = 'en';
         this.isScanning = false;
         this.currentData = null;
         this.isProcessing = false;
         this.currentQRCode = null;
+        this.qrCodeGeneration = null;
         this.currentParsedData = null;
         this.currentTranslatedData = null;
+        this.qrCodec = new QRPayloadCodec();
+        this.qrAssembler = new QRChunkAssembler(this.qrCodec);
+        this.fileScanner = new QRFileScanner();
+        this.ocrEngine = new OCREngine();
+        this.cameraMode = null;
         
         this.init();
     }
@@ -29,13 +45,14 @@ class DischargeTranslatorApp {
             // this.translationService.setAzureKey('CUkANjv9pmExMY4H2l4YDal7EBPFIkY59bI5WTLRUqdrpwPZZWBaJQQJ99BFACYeBjFXJ3w3AAAbACOGtOR6', 'eastus');
             
             this.setupEventListeners();
-            this.updateLanguageDisplay();
+            await this.setLanguage(this.currentLanguage);
             this.checkBrowserSupport();
+            this.setupOfflineSupport();
             
             console.log('✅ Complete Discharge Translator App initialized successfully');
         } catch (error) {
             console.error('❌ Error initializing app:', error);
-            this.showError('Failed to initialize application. Please refresh the page.');
+            this.showError(this.t('support.init_failed'));
         }
     }
 
@@ -44,9 +61,8 @@ class DischargeTranslatorApp {
      */
     setupEventListeners() {
         // Language selection
-        document.getElementById('languageSelect')?.addEventListener('change', (e) => {
-            this.currentLanguage = e.target.value;
-            this.updateLanguageDisplay();
+        document.getElementById('languageSelect')?.addEventListener('change', async (e) => {
+            await this.setLanguage(e.target.value);
             
             // Re-translate current data if available
             if (this.currentData) {
@@ -63,12 +79,97 @@ class DischargeTranslatorApp {
             this.stopScanning();
         });
 
+        // Scanned discharge sheets: images and PDFs instead of the camera
+        const fileInput = document.getElementById('scanFileInput');
+        document.getElementById('scanFile')?.addEventListener('click', () => {
+            fileInput?.click();
+        });
+        fileInput?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = ''; // Allow picking the same file again
+            if (file) {
+                this.scanFromFile(file);
+            }
+        });
+
+        // EHR exports: pick a file, or drop it (or a scanned sheet) on the manual input area
+        const recordInput = document.getElementById('importRecordInput');
+        document.getElementById('importRecord')?.addEventListener('click', () => {
+            recordInput?.click();
+        });
+        recordInput?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) {
+                this.importRecordFile(file);
+            }
+        });
+        this.setupFileDrop(document.querySelector('.manual-input'));
+
+        // Printed sheets without a QR code: photograph or upload them for OCR
+        document.getElementById('photoSheet')?.addEventListener('click', () => {
+            this.startCamera('photo');
+        });
+
+        document.getElementById('capturePhoto')?.addEventListener('click', () => {
+            this.captureSheetPhoto();
+        });
+
+        const ocrInput = document.getElementById('ocrFileInput');
+        document.getElementById('ocrFile')?.addEventListener('click', () => {
+            ocrInput?.click();
+        });
+        ocrInput?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) {
+                this.readSheetFromFile(file);
+            }
+        });
+
         // Manual input processing
         document.getElementById('processManual')?.addEventListener('click', () => {
             console.log('🔄 Process button clicked');
             this.processManualInput();
         });
 
+        document.getElementById('openTranslationMemory')?.addEventListener('click', () => {
+            this.showTranslationMemoryModal();
+        });
+
+        // Verify mode: back-translate results and flag low-fidelity items for interpreter review
+        const verifyToggle = document.getElementById('verifyTranslations');
+        if (verifyToggle) {
+            verifyToggle.checked = this.verifyTranslations;
+            verifyToggle.addEventListener('change', (e) => {
+                this.verifyTranslations = e.target.checked;
+                if (this.currentData && this.currentLanguage !== 'en') {
+                    this.processDischargeData(this.currentData, true);
+                }
+            });
+        }
+
+        // Bilingual layout: English source beside each translated item, for reviewing the sheet with the patient
+        const bilingualToggle = document.getElementById('bilingualLayout');
+        if (bilingualToggle) {
+            bilingualToggle.checked = this.bilingualLayout;
+            bilingualToggle.addEventListener('change', (e) => {
+                this.bilingualLayout = e.target.checked;
+                if (this.currentTranslatedData) {
+                    this.displayResults(this.currentTranslatedData);
+                }
+            });
+        }
+
+        // Offline mode translates with the bundled phrase packs only, no network calls
+        const modeSelect = document.getElementById('translationMode');
+        if (modeSelect) {
+            modeSelect.value = this.translationService.offlineMode ? 'offline' : 'online';
+            modeSelect.addEventListener('change', (e) => {
+                this.setTranslationMode(e.target.value);
+            });
+        }
+
         // Print and Share buttons (will be enhanced with download buttons)
         document.getElementById('printBtn')?.addEventListener('click', () => {
             this.printInstructions();
@@ -99,8 +200,10 @@ class DischargeTranslatorApp {
             camera: navigator.mediaDevices && navigator.mediaDevices.getUserMedia,
             fetch: !!window.fetch,
             promises: !!window.Promise,
-            qrcode: typeof QRCode !== 'undefined',
-            jspdf: typeof jsPDF !== 'undefined'
+            qrcode: typeof QREncoder !== 'undefined' && !!window.crypto?.subtle,
+            jspdf: typeof jsPDF !== 'undefined',
+            pdfscan: !!window.pdfjsLib,
+            ocr: this.ocrEngine.isAvailable()
         };
 
         const unsupported = Object.entries(features)
@@ -111,16 +214,22 @@ class DischargeTranslatorApp {
             console.warn('⚠️ Unsupported features:', unsupported);
             
             if (!features.camera) {
-                this.showWarning('Camera access not available. You can still use manual input.');
+                this.showWarning(this.t('support.no_camera'));
                 document.getElementById('startScan')?.setAttribute('disabled', 'true');
+                document.getElementById('photoSheet')?.setAttribute('disabled', 'true');
+            }
+
+            if (!features.ocr) {
+                document.getElementById('photoSheet')?.setAttribute('disabled', 'true');
+                document.getElementById('ocrFile')?.setAttribute('disabled', 'true');
             }
             
             if (!features.qrcode) {
-                this.showWarning('QR Code generation will use fallback method.');
+                this.showWarning(this.t('support.no_qr'));
             }
             
             if (!features.jspdf) {
-                this.showWarning('PDF downloads will use fallback method.');
+                this.showWarning(this.t('support.no_pdf'));
             }
         } else {
             console.log('✅ All browser features supported');
@@ -131,19 +240,29 @@ class DischargeTranslatorApp {
      * Start QR code scanning
      */
     async startScanning() {
+        await this.startCamera('qr');
+    }
+
+    /**
+     * Open the camera in the scanner view. QR codes are decoded in both modes, so a printed
+     * sheet that does carry a discharge code is read from the code rather than by OCR.
+     * @param {string} mode - 'qr' to scan codes, 'photo' to also capture the sheet for OCR
+     * @returns {Promise<boolean>} Whether the camera is running
+     */
+    async startCamera(mode = 'qr') {
         if (!navigator.mediaDevices?.getUserMedia) {
-            this.showError('QR scanner not available. Please use manual input.');
-            return;
+            this.showError(this.t('camera.unavailable'));
+            return false;
         }
 
         if (this.isScanning) {
-            return;
+            // Already running: only switch between scanning and photo capture
+            this.setCameraMode(mode);
+            return true;
         }
 
         try {
             const video = document.getElementById('qr-video');
-            const startBtn = document.getElementById('startScan');
-            const stopBtn = document.getElementById('stopScan');
 
             if (!video) {
                 throw new Error('Video element not found');
@@ -151,8 +270,7 @@ class DischargeTranslatorApp {
 
             // Show video and controls
             video.style.display = 'block';
-            startBtn.style.display = 'none';
-            stopBtn.style.display = 'inline-block';
+            this.setCameraMode(mode);
 
             // Initialize QR Scanner if available
             if (typeof QrScanner !== 'undefined') {
@@ -163,25 +281,42 @@ class DischargeTranslatorApp {
                 await this.qrScanner.start();
                 this.isScanning = true;
                 
-                this.showSuccess('QR scanner started. Position the QR code within the frame.');
+                this.showSuccess(this.t(mode === 'photo' ? 'camera.photo_started' : 'camera.qr_started'));
             } else {
                 throw new Error('QR Scanner library not loaded');
             }
+            return true;
 
         } catch (error) {
-            console.error('Error starting QR scanner:', error);
+            console.error('Error starting camera:', error);
             this.stopScanning();
             
             if (error.name === 'NotAllowedError') {
-                this.showError('Camera permission denied. Please allow camera access and try again.');
+                this.showError(this.t('camera.denied'));
             } else if (error.name === 'NotFoundError') {
-                this.showError('No camera found. Please use manual input instead.');
+                this.showError(this.t('camera.not_found'));
             } else {
-                this.showError('Camera access failed. Please use manual input instead.');
+                this.showError(this.t('camera.failed'));
             }
+            return false;
         }
     }
 
+    /**
+     * Show the controls for the running camera
+     */
+    setCameraMode(mode) {
+        this.cameraMode = mode;
+        const show = (id, visible) => {
+            const element = document.getElementById(id);
+            if (element) element.style.display = visible ? 'inline-block' : 'none';
+        };
+        show('startScan', false);
+        show('photoSheet', false);
+        show('stopScan', true);
+        show('capturePhoto', mode === 'photo');
+    }
+
     /**
      * Stop QR code scanning
      */
@@ -195,12 +330,17 @@ class DischargeTranslatorApp {
         const video = document.getElementById('qr-video');
         const startBtn = document.getElementById('startScan');
         const stopBtn = document.getElementById('stopScan');
+        const photoBtn = document.getElementById('photoSheet');
+        const captureBtn = document.getElementById('capturePhoto');
 
         if (video) video.style.display = 'none';
         if (startBtn) startBtn.style.display = 'inline-block';
         if (stopBtn) stopBtn.style.display = 'none';
+        if (photoBtn) photoBtn.style.display = 'inline-block';
+        if (captureBtn) captureBtn.style.display = 'none';
 
         this.isScanning = false;
+        this.cameraMode = null;
     }
 
     /**
@@ -208,53 +348,452 @@ class DischargeTranslatorApp {
      */
     handleQRResult(result) {
         const data = result.data || result;
+
+        // Our own codes; a sequence keeps the scanner running until every part is in
+        if (this.qrCodec.isPayload(data)) {
+            return this.handleQRPayloadChunk(data);
+        }
         
-        this.showSuccess('QR code scanned successfully!');
         this.stopScanning();
-        
-        // Try to parse as medical data QR code first
+
+        // Only signed codes are imported. Earlier versions carried unsigned plain JSON, and an EHR
+        // Bundle has to come inside the signed envelope (QRPayloadCodec.encodeFHIRBundle).
+        let unsigned = false;
         try {
             const qrData = JSON.parse(data);
-            if (qrData.type === 'medical_discharge' && qrData.data) {
-                // This is a medical QR code generated by our app
-                this.processMedicalQRCode(qrData);
+            unsigned = (qrData?.type === 'medical_discharge' && !!qrData.data)
+                || !!this.medicalParser.fhirImporter.parseBundle(qrData);
+        } catch (e) {
+            // Not JSON, so not a discharge summary in any form we know
+        }
+
+        console.warn('⚠️ Rejected a QR code without a facility signature');
+        this.showError(this.t(unsigned ? 'qr.unsigned' : 'qr.not_discharge'));
+    }
+
+    /**
+     * Add one code of a (possibly multi-code) payload and decode once the sequence is complete
+     */
+    async handleQRPayloadChunk(data) {
+        let state;
+        try {
+            state = this.qrAssembler.add(data);
+        } catch (error) {
+            this.showError(this.t('qr.unreadable', { error: this.escapeHtml(error.message) }));
+            return;
+        }
+        // The scanner reports a code many times while it stays in view
+        if (state.duplicate && !state.complete) {
+            return;
+        }
+
+        this.updateQRScanProgress(state);
+        if (!state.complete) {
+            const restarted = state.restarted ? `${this.t('qr.restarted')} ` : '';
+            this.showInfo(restarted + this.t('qr.next', { received: state.received, total: state.total, missing: state.missing.join(', ') }));
+            return;
+        }
+
+        this.stopScanning();
+        try {
+            // Signature first, then the PIN prompt
+            const payload = await this.qrCodec.decodeData(this.qrAssembler.getData(), {
+                requestPin: (request) => this.promptForQRPin(request)
+            });
+            this.showSuccess(state.total > 1 ? this.t('qr.all_scanned', { count: state.total }) : this.t('qr.scanned'));
+            this.processMedicalQRCode(payload);
+        } catch (error) {
+            console.error('❌ QR payload could not be decoded:', error);
+            this.showError(this.t('qr.decode_failed', { error: this.escapeHtml(error.message) }));
+        } finally {
+            this.qrAssembler.reset();
+            this.updateQRScanProgress(null);
+        }
+    }
+
+    /**
+     * Find the QR codes in a scanned image or PDF and feed them through handleQRResult
+     * @param {File} file - PNG, JPEG or PDF
+     */
+    async scanFromFile(file) {
+        if (!this.fileScanner.isSupported(file)) {
+            this.showError(this.t('file.unsupported'));
+            return;
+        }
+
+        // Status messages are HTML
+        const fileName = this.escapeHtml(file.name);
+        const button = document.getElementById('scanFile');
+        button?.setAttribute('disabled', 'true');
+        this.stopScanning();
+        this.showFileScanResults(null);
+
+        try {
+            this.showStatus(this.t('file.searching', { file: fileName }));
+            const codes = await this.fileScanner.scanFile(file, {
+                onProgress: ({ page, pageCount }) => {
+                    if (pageCount > 1) {
+                        this.showStatus(this.t('file.searching_page', { file: fileName, page, pages: pageCount }));
+                    }
+                }
+            });
+
+            if (codes.length === 0) {
+                this.showError(this.t('file.none_found', { file: fileName }));
                 return;
             }
-        } catch (e) {
-            // Not JSON or not our medical QR code, treat as regular text
+            this.showFileScanResults(file, codes);
+
+            // Every part of a discharge sequence goes in; without one the first code is reported as not a discharge code
+            const dischargeCodes = codes.filter(code => this.qrCodec.isPayload(code.data));
+            const toProcess = dischargeCodes.length > 0 ? dischargeCodes : codes.slice(0, 1);
+            for (const code of toProcess) {
+                await this.handleQRResult(code.data);
+            }
+        } catch (error) {
+            console.error('❌ File scan failed:', error);
+            this.showError(this.t('file.failed', { file: fileName, error: this.escapeHtml(error.message) }));
+        } finally {
+            button?.removeAttribute('disabled');
         }
-        
-        // Process as regular discharge data
-        this.processDischargeData(data);
     }
 
     /**
-     * Process medical QR code data
+     * List the codes found in a file with the page each one came from
+     */
+    showFileScanResults(file, codes = []) {
+        const list = document.getElementById('fileScanResults');
+        if (!list) return;
+
+        if (!file) {
+            list.hidden = true;
+            list.innerHTML = '';
+            return;
+        }
+
+        const showPage = this.fileScanner.isPdf(file);
+        list.innerHTML = codes.map(code => {
+            const chunk = this.qrCodec.parseChunk(code.data);
+            const label = chunk
+                ? (chunk.total > 1 ? this.t('file.code_part', { index: chunk.index, total: chunk.total }) : this.t('file.code'))
+                : this.t('file.other_code');
+            return `<li>${this.escapeHtml(showPage ? this.t('file.on_page', { page: code.page, label }) : label)}</li>`;
+        }).join('');
+        list.hidden = false;
+        console.log(`📄 ${file.name}: ${codes.map(code => `page ${code.page}`).join(', ')}`);
+    }
+
+    // ========== EHR IMPORT ==========
+
+    /**
+     * Import a structured EHR export (FHIR R4 Bundle JSON or C-CDA XML)
+     * @param {File} file
      */
-    processMedicalQRCode(qrData) {
+    async importRecordFile(file) {
+        const fileName = this.escapeHtml(file.name);
         try {
-            this.showInfo('Processing medical QR code...');
-            
-            // Extract the discharge data
-            const originalData = qrData.data.original;
-            const qrLanguage = qrData.data.language;
+            const text = await file.text();
+            const parser = this.medicalParser;
+            const format = parser.fhirImporter.parseBundle(text) ? 'FHIR bundle'
+                : parser.ccdaImporter.parseDocument(text) ? 'C-CDA document'
+                    : null;
+            if (!format) {
+                this.showError(this.t('import.unsupported', { file: fileName }));
+                return;
+            }
+
+            this.stopScanning();
+            console.log(`📥 Importing ${format} from ${file.name}`);
+            await this.processDischargeData(text);
+        } catch (error) {
+            console.error('❌ EHR import failed:', error);
+            this.showError(this.t('import.failed', { file: fileName, error: this.escapeHtml(error.message) }));
+        }
+    }
+
+    /**
+     * Accept dropped files: EHR exports are imported, images and PDFs are scanned for QR codes
+     */
+    setupFileDrop(zone) {
+        if (!zone) return;
+
+        zone.addEventListener('dragover', (e) => {
+            if ([...(e.dataTransfer?.types || [])].includes('Files')) {
+                e.preventDefault();
+                zone.classList.add('drag-over');
+            }
+        });
+        zone.addEventListener('dragleave', () => {
+            zone.classList.remove('drag-over');
+        });
+        zone.addEventListener('drop', (e) => {
+            const file = e.dataTransfer?.files?.[0];
+            if (!file) return;
+            e.preventDefault();
+            zone.classList.remove('drag-over');
+
+            if (/(json|xml)$/i.test(file.type) || /\.(json|xml)$/i.test(file.name)) {
+                this.importRecordFile(file);
+            } else if (this.fileScanner.isSupported(file)) {
+                this.scanFromFile(file);
+            } else {
+                this.showError(this.t('import.drop_unsupported'));
+            }
+        });
+    }
+
+    // ========== OCR ==========
+
+    /**
+     * Take the current camera frame as a photo of the sheet
+     */
+    captureSheetPhoto() {
+        const video = document.getElementById('qr-video');
+        if (!this.isScanning || !video?.videoWidth) {
+            this.showError(this.t('ocr.camera_not_ready'));
+            return;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        this.stopScanning();
+
+        this.readSheetWithOCR(canvas);
+    }
+
+    /**
+     * Read an uploaded photo or scan of a printed sheet
+     * @param {File} file - PNG or JPEG
+     */
+    async readSheetFromFile(file) {
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            this.showError(this.t('ocr.image_only'));
+            return;
+        }
+
+        try {
+            const canvas = await this.fileScanner.renderImage(file);
+            await this.readSheetWithOCR(canvas);
+        } catch (error) {
+            console.error('❌ Image could not be read:', error);
+            this.showError(this.t('ocr.file_failed', { file: this.escapeHtml(file.name), error: this.escapeHtml(error.message) }));
+        }
+    }
+
+    /**
+     * Recognize the text on a sheet, let staff correct it, then process it like manual input
+     * @param {HTMLCanvasElement} image - Photo or scan of the sheet
+     */
+    async readSheetWithOCR(image) {
+        if (!this.ocrEngine.isAvailable()) {
+            this.showError(this.t('ocr.unavailable'));
+            return;
+        }
+
+        const buttons = ['photoSheet', 'ocrFile'].map(id => document.getElementById(id)).filter(Boolean);
+        buttons.forEach(button => button.setAttribute('disabled', 'true'));
+
+        try {
+            this.showStatus(this.t('ocr.reading'));
+            let shown = -1;
+            const result = await this.ocrEngine.recognize(image, {
+                onProgress: ({ progress }) => {
+                    const percent = Math.floor(progress * 10) * 10;
+                    if (percent !== shown) {
+                        shown = percent;
+                        this.showStatus(this.t('ocr.reading_progress', { percent }));
+                    }
+                }
+            });
+
+            if (!result.text.trim()) {
+                this.showError(this.t('ocr.no_text'));
+                return;
+            }
+
+            this.hideStatus();
+            const text = await this.showOCRReviewModal(result);
+            if (!text) {
+                return;
+            }
+
+            // Keep the corrected text in the manual input so it can be edited and processed again
+            const manualInput = document.getElementById('manualInput');
+            if (manualInput) {
+                manualInput.value = text;
+            }
+            this.processDischargeData(text);
+        } catch (error) {
+            console.error('❌ OCR failed:', error);
+            this.showError(this.t('ocr.failed', { error: this.escapeHtml(error.message) }));
+        } finally {
+            buttons.forEach(button => button.removeAttribute('disabled'));
+        }
+    }
+
+    /**
+     * Show the recognized text for correction, with hard-to-read words highlighted
+     * @param {Object} result - From OCREngine.recognize()
+     * @returns {Promise<string|null>} The corrected text, or null if cancelled
+     */
+    showOCRReviewModal(result) {
+        return new Promise(resolve => {
+            const linesHtml = result.lines.map(line => {
+                if (line.words.length === 0) {
+                    return '<div><br></div>';
+                }
+                const words = line.words.map(word => {
+                    if (!word.lowConfidence) {
+                        return this.escapeHtml(word.text);
+                    }
+                    const hint = word.suggestion
+                        ? this.t('ocr_review.word_suggestion', { confidence: word.confidence, suggestion: word.suggestion })
+                        : this.t('ocr_review.word_hint', { confidence: word.confidence });
+                    const suggestion = word.suggestion ? ` data-suggestion="${this.escapeHtml(word.suggestion)}"` : '';
+                    return `<mark class="ocr-low" title="${this.escapeHtml(hint)}"${suggestion}>${this.escapeHtml(word.text)}</mark>`;
+                });
+                return `<div>${words.join(' ')}</div>`;
+            }).join('');
+
+            const modal = document.createElement('div');
+            modal.className = 'qr-modal';
+            modal.innerHTML = `
+                <div class="qr-modal-content ocr-review-content">
+                    <div class="qr-modal-header">
+                        <h3>🔤 ${this.t('ocr_review.title')}</h3>
+                        <button class="qr-modal-close" aria-label="${this.t('common.close')}">&times;</button>
+                    </div>
+                    <p>${this.t('ocr_review.overall', { confidence: result.confidence })} ${result.lowConfidenceCount > 0
+                        ? `<mark class="ocr-low">${this.t('ocr_review.low_words', { count: result.lowConfidenceCount })}</mark> ${this.t('ocr_review.low_words_help')}`
+                        : this.t('ocr_review.all_clear')}</p>
+                    <div class="ocr-text" contenteditable="true" spellcheck="false" aria-label="${this.t('ocr_review.text_label')}">${linesHtml}</div>
+                    <div class="review-actions">
+                        <button class="btn btn-secondary ocr-cancel">${this.t('common.cancel')}</button>
+                        <button class="btn ocr-confirm">🔄 ${this.t('manual.process')}</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const textArea = modal.querySelector('.ocr-text');
+            // Accept a wordlist suggestion with one click
+            textArea.addEventListener('click', (e) => {
+                const mark = e.target.closest('.ocr-low[data-suggestion]');
+                if (mark) {
+                    mark.replaceWith(document.createTextNode(mark.dataset.suggestion));
+                }
+            });
+
+            const close = (text) => {
+                document.body.removeChild(modal);
+                resolve(text);
+            };
+            modal.querySelector('.qr-modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('.ocr-cancel').addEventListener('click', () => close(null));
+            modal.querySelector('.ocr-confirm').addEventListener('click', () => {
+                const text = textArea.innerText.replace(/\u00a0/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+                close(text || null);
+            });
+        });
+    }
+
+    /**
+     * Ask for the PIN of a protected QR code
+     * @param {Object} request - { attempt, error } from the previous try
+     * @returns {Promise<string|null>} The PIN, or null if cancelled
+     */
+    promptForQRPin({ attempt, error }) {
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'qr-modal';
+            modal.innerHTML = `
+                <div class="qr-modal-content pin-modal-content">
+                    <div class="qr-modal-header">
+                        <h3>🔑 ${this.t('pin.title')}</h3>
+                        <button class="qr-modal-close" aria-label="${this.t('common.close')}">&times;</button>
+                    </div>
+                    <form class="pin-form">
+                        <p>${this.t('pin.intro')}</p>
+                        ${error ? `<p class="pin-error">❌ ${this.t('pin.attempt', { error: this.escapeHtml(error), attempt, max: this.qrCodec.maxPinAttempts })}</p>` : ''}
+                        <input type="password" class="pin-input" inputmode="numeric" autocomplete="off" required>
+                        <div class="review-actions">
+                            <button type="button" class="btn btn-secondary pin-cancel">${this.t('common.cancel')}</button>
+                            <button type="submit" class="btn">${this.t('pin.open')}</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const close = (pin) => {
+                document.body.removeChild(modal);
+                resolve(pin);
+            };
+            modal.querySelector('.qr-modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('.pin-cancel').addEventListener('click', () => close(null));
+            modal.querySelector('.pin-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                close(modal.querySelector('.pin-input').value.trim() || null);
+            });
+            modal.querySelector('.pin-input').focus();
+        });
+    }
+
+    /**
+     * Progress bar for multi-code sequences; hidden for single codes and when done
+     */
+    updateQRScanProgress(state) {
+        const progress = document.getElementById('qrScanProgress');
+        if (!progress) return;
+
+        if (!state || state.total <= 1 || state.complete) {
+            progress.hidden = true;
+            return;
+        }
+        progress.hidden = false;
+        progress.querySelector('.qr-scan-progress-bar span').style.width = `${Math.round((state.received / state.total) * 100)}%`;
+        progress.querySelector('.qr-scan-progress-text').textContent = this.t('qr.progress', { received: state.received, count: state.total });
+    }
+
+    /**
+     * Process a decoded medical QR code
+     * @param {Object} payload - { language, hospital, sections, patientInfo } or { language, hospital, fhirBundle } from the QR payload
+     */
+    processMedicalQRCode(payload) {
+        try {
+            this.showInfo(this.t('qr.processing'));
             
-            // Set language if different from current
-            if (qrLanguage !== this.currentLanguage) {
-                document.getElementById('languageSelect').value = qrLanguage;
-                this.currentLanguage = qrLanguage;
-                this.updateLanguageDisplay();
+            // Set language if different from current; processDischargeData waits for its messages
+            const qrLanguage = payload.language;
+            if (qrLanguage && qrLanguage !== this.currentLanguage) {
+                const select = document.getElementById('languageSelect');
+                if (select) select.value = qrLanguage;
+                this.setLanguage(qrLanguage);
             }
             
-            // Process the data
-            this.processDischargeData(originalData);
+            // An EHR Bundle is mapped like an imported file; other codes hold already categorised
+            // items, which are translated without parsing again
+            let parsedData;
+            if (payload.fhirBundle) {
+                const bundle = this.medicalParser.fhirImporter.parseBundle(payload.fhirBundle);
+                if (!bundle) {
+                    throw new Error('QR payload does not hold a FHIR Bundle');
+                }
+                parsedData = this.medicalParser.parseFHIRBundle(bundle);
+            } else {
+                parsedData = this.medicalParser.restoreParsedData(payload);
+            }
+            this.currentParsedData = parsedData;
+            this.currentData = parsedData.rawText;
+            this.processDischargeData(this.currentData, true);
             
-            this.showSuccess(`Medical QR code processed! Data from ${qrData.hospital?.name || 'Hospital'}`);
+            this.showSuccess(this.t('qr.processed', { hospital: this.escapeHtml(payload.hospital?.name || this.t('qr.hospital')) }));
             
         } catch (error) {
             console.error('Error processing medical QR code:', error);
-            this.showError('Invalid medical QR code format. Processing as text...');
-            this.processDischargeData(qrData.data?.original || '');
+            this.showError(this.t('qr.invalid'));
         }
     }
 
@@ -267,7 +806,7 @@ class DischargeTranslatorApp {
         console.log('📝 Manual input received:', input);
         
         if (!input) {
-            this.showError('Please enter some discharge information.');
+            this.showError(this.t('manual.empty'));
             return;
         }
 
@@ -283,96 +822,349 @@ class DischargeTranslatorApp {
         }
 
         this.isProcessing = true;
+        // The code on screen belongs to the previous document until this one has its own
+        this.clearQRCode();
 
         try {
-            this.showStatus('Processing discharge information...', 'info');
+            // Section titles and notes are rendered in the selected language
+            await this.i18n?.load(this.currentLanguage);
+            this.showStatus(this.t('status.processing'), 'info');
 
             // Store raw data for potential re-translation
             if (!isRetranslation) {
                 this.currentData = rawData;
             }
 
-            // Parse the medical data
+            // Parse the medical data; re-translation keeps the parsed (and staff-reviewed) data
             console.log('🔄 Parsing medical data...');
-            const parsedData = this.medicalParser.parseDischargeData(rawData);
+            const parsedData = isRetranslation && this.currentParsedData
+                ? this.currentParsedData
+                : this.medicalParser.parseDischargeData(rawData);
             this.currentParsedData = parsedData;
             console.log('✅ Parsed data:', parsedData);
 
             // Prepare data for translation
-            let dataToTranslate = [];
             let translatedData = { ...parsedData };
 
             if (this.currentLanguage !== 'en') {
-                this.showStatus('Translating to your selected language...', 'info');
+                this.showStatus(this.t('status.translating'), 'info');
 
-                // Collect all text that needs translation
+                // Collect all text that needs translation; every section goes out in shared batches
                 const sectionsToTranslate = ['diagnoses', 'medications', 'instructions', 'returnReasons', 'followUp', 'procedures'];
-                
-                for (const section of sectionsToTranslate) {
+                const sections = {};
+                sectionsToTranslate.forEach(section => {
                     if (parsedData[section] && parsedData[section].length > 0) {
-                        console.log(`🔄 Translating ${section}:`, parsedData[section]);
-                        
-                        try {
-                            const result = await this.translationService.translate(
-                                parsedData[section],
-                                this.currentLanguage,
-                                'en'
-                            );
-                            
-                            translatedData[section] = Array.isArray(result.translatedText) 
-                                ? result.translatedText 
-                                : [result.translatedText];
-                                
-                            console.log(`✅ Translated ${section}:`, translatedData[section]);
-                            
-                        } catch (error) {
-                            console.error(`❌ Translation failed for ${section}:`, error);
-                            // Keep original data if translation fails
-                            translatedData[section] = parsedData[section];
-                        }
+                        sections[section] = parsedData[section];
+                    }
+                });
+
+                try {
+                    const result = await this.translationService.translateSections(sections, this.currentLanguage, 'en');
+                    Object.assign(translatedData, result.sections);
+                    translatedData.translationMeta = result.meta;
+                    console.log('✅ Translated sections:', result.sections, result.stats);
+
+                    if (this.verifyTranslations) {
+                        await this.verifyTranslatedSections(sections, result.sections, result.meta);
                     }
+                } catch (error) {
+                    console.error('❌ Translation failed:', error);
+                    // Keep original data if translation fails
                 }
             }
             
             this.currentTranslatedData = translatedData;
 
+            // Lines the network providers could not reach are translated properly once back online
+            if (this.currentLanguage !== 'en' && translatedData.translationMeta) {
+                this.queueOfflineTranslations(translatedData.translationMeta, parsedData);
+            }
+
             // Generate QR code (non-blocking)
             this.generateQRCodeAsync(parsedData, translatedData);
 
-            // Display results
-            this.displayResults(translatedData);
-            
-            this.hideStatus();
-            this.showSuccess('Processing completed successfully!');
+            // Display results
+            this.displayResults(translatedData);
+            
+            this.hideStatus();
+            this.showSuccess(this.t('status.completed'));
+
+        } catch (error) {
+            console.error('❌ Error processing discharge data:', error);
+            this.showError(this.t('status.failed', { error: this.escapeHtml(error.message) }));
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Switch between online translation and the offline phrase packs.
+     * Going offline downloads every pack first so the device keeps working without a network.
+     */
+    async setTranslationMode(mode) {
+        const offline = mode === 'offline';
+        this.translationService.setOfflineMode(offline);
+
+        if (offline) {
+            this.showStatus(this.t('mode.downloading'), 'info');
+            try {
+                const { loaded, failed } = await this.translationService.phrasePacks.preloadAll();
+                const version = this.translationService.phrasePacks.getStatus().version;
+                if (failed.length > 0) {
+                    this.showError(this.t('mode.partial', { version, languages: failed.join(', ') }));
+                } else {
+                    this.showSuccess(this.t('mode.ready', { version, count: loaded.length }));
+                }
+            } catch (error) {
+                console.error('❌ Phrase pack download failed:', error);
+                this.showError(this.t('mode.failed'));
+            }
+        } else {
+            this.showSuccess(this.t('mode.online'));
+        }
+
+        if (this.currentData && this.currentLanguage !== 'en') {
+            this.processDischargeData(this.currentData, true);
+        }
+    }
+
+    /**
+     * Register the service worker and the handlers for work queued while offline
+     */
+    setupOfflineSupport() {
+        this.requestQueue.registerHandler('translate', payload => this.runQueuedTranslation(payload));
+        this.offlineManager.init();
+        this.requestQueue.flush();
+
+        if (!this.offlineManager.isOnline()) {
+            this.handleConnectionLost();
+        }
+    }
+
+    handleConnectionLost() {
+        this.showWarning(this.t('connection.lost'));
+    }
+
+    async handleConnectionRestored() {
+        const pending = await this.requestQueue.count();
+        if (pending > 0) {
+            this.showInfo(this.t('connection.restored', { count: pending }));
+        }
+        await this.requestQueue.flush();
+        if (pending > 0 && !this.isProcessing) {
+            this.hideStatus();
+        }
+    }
+
+    /**
+     * Queue lines that fell back to the dictionary or stayed in English because there was no network.
+     * Offline mode chosen by staff is left alone: those lines are meant to stay local.
+     */
+    async queueOfflineTranslations(translationMeta, sources) {
+        if (this.translationService.offlineMode || this.offlineManager.isOnline()) {
+            return;
+        }
+
+        const texts = new Set();
+        Object.entries(translationMeta).forEach(([section, metas]) => {
+            (metas || []).forEach((meta, index) => {
+                const text = sources[section]?.[index];
+                if (text && ['untranslated', 'fallback'].includes(meta?.path)) {
+                    texts.add(text.trim());
+                }
+            });
+        });
+        if (texts.size === 0) {
+            return;
+        }
+
+        const payload = { language: this.currentLanguage, texts: [...texts] };
+        try {
+            // Keyed by content, so re-processing the same document does not queue it twice
+            await this.requestQueue.enqueue('translate', payload, { key: `${payload.language}:${payload.texts.join('\n')}` });
+        } catch (error) {
+            console.error('❌ Could not queue offline translations:', error);
+        }
+    }
+
+    /**
+     * Translate queued lines online; the results land in translation memory,
+     * and the document on screen is refreshed if it is still the one they came from
+     */
+    async runQueuedTranslation({ language, texts }) {
+        if (this.translationService.isOffline()) {
+            throw new Error('Still offline');
+        }
+
+        const result = await this.translationService.translateSections({ queued: texts }, language, 'en');
+        const stillMissing = (result.meta.queued || []).filter(meta => meta?.path === 'untranslated').length;
+        if (stillMissing === texts.length) {
+            // Keep the job for the next attempt
+            throw new Error('No provider could translate the queued lines');
+        }
+        if (stillMissing > 0) {
+            console.warn(`⚠️ ${stillMissing} queued line(s) could not be translated online either`);
+        }
+
+        const current = this.currentParsedData;
+        const shown = current && this.currentLanguage === language &&
+            texts.some(text => Object.values(current).some(items => Array.isArray(items) && items.some(item => typeof item === 'string' && item.trim() === text)));
+        if (shown && !this.isProcessing) {
+            await this.processDischargeData(this.currentData, true);
+        }
+    }
+
+    /**
+     * Back-translate the translated sections and attach a fidelity report to each item's metadata
+     */
+    async verifyTranslatedSections(sources, translations, translationMeta) {
+        this.showStatus(this.t('verify.running'), 'info');
+        try {
+            const report = await this.translationVerifier.verify(sources, translations, translationMeta, this.currentLanguage);
+            Object.entries(report).forEach(([section, items]) => {
+                items.forEach((fidelity, index) => {
+                    if (translationMeta[section]?.[index] && fidelity) {
+                        translationMeta[section][index].fidelity = fidelity;
+                    }
+                });
+            });
+            const flagged = this.getUnreviewedFlaggedItems(translationMeta).length;
+            console.log(`🔍 Translation verification complete: ${flagged} item(s) flagged`);
+        } catch (error) {
+            // Verification is advisory; the translation itself is still shown
+            console.warn('⚠️ Translation verification failed:', error);
+            this.showWarning(this.t('verify.failed'));
+        }
+    }
+
+    /**
+     * Flagged items that an interpreter has not reviewed yet
+     * @returns {Array<{section: string, index: number}>}
+     */
+    getUnreviewedFlaggedItems(translationMeta = this.currentTranslatedData?.translationMeta) {
+        const items = [];
+        Object.entries(translationMeta || {}).forEach(([section, entries]) => {
+            (entries || []).forEach((meta, index) => {
+                if (meta?.fidelity?.flagged && !meta.fidelity.reviewed) {
+                    items.push({ section, index });
+                }
+            });
+        });
+        return items;
+    }
 
-        } catch (error) {
-            console.error('❌ Error processing discharge data:', error);
-            this.showError(`Error processing data: ${error.message}`);
-        } finally {
-            this.isProcessing = false;
+    /**
+     * Ask staff to confirm before handing out instructions that still have unreviewed flagged items
+     * @param {string} question - Translated "... anyway?" question for the action
+     */
+    confirmUnreviewedTranslations(question) {
+        const count = this.getUnreviewedFlaggedItems().length;
+        if (count === 0) {
+            return true;
         }
+        return confirm(`${this.t('verify.unreviewed', { count })} ${question}`);
     }
 
     /**
-     * Generate QR code asynchronously (non-blocking)
+     * Generate QR code asynchronously (non-blocking). Downloads wait for the generation in
+     * flight (getReusableQRCode), so they carry the code and PIN shown on screen.
      */
     async generateQRCodeAsync(parsedData, translatedData) {
+        console.log('🔄 Generating QR code...');
+        this.currentQRCode = null;
+        const generation = this.documentGenerator.generateQRCode(
+            parsedData, 
+            translatedData, 
+            this.currentLanguage
+        );
+        this.qrCodeGeneration = generation;
+
         try {
-            console.log('🔄 Generating QR code...');
-            this.currentQRCode = await this.documentGenerator.generateQRCode(
-                parsedData, 
-                translatedData, 
-                this.currentLanguage
-            );
+            const qrCode = await generation;
+            // Newer data started its own code in the meantime
+            if (this.qrCodeGeneration !== generation) {
+                return;
+            }
+            this.currentQRCode = qrCode;
             console.log('✅ QR code generated:', this.currentQRCode);
             
             // Update the display with QR code
             this.updateQRCodeDisplay();
+            this.warnIfQRSigningNotConfigured(this.currentQRCode);
             
         } catch (error) {
             console.warn('⚠️ QR code generation failed:', error);
-            this.currentQRCode = null;
+            if (this.qrCodeGeneration === generation) {
+                this.currentQRCode = null;
+            }
+        }
+    }
+
+    /**
+     * Forget the current code and any generation in flight
+     */
+    clearQRCode() {
+        this.currentQRCode = null;
+        this.qrCodeGeneration = null;
+    }
+
+    /**
+     * A download that had to make its own code (none was ready) shows it on screen, so staff see its PIN
+     */
+    adoptQRCode(qrCode) {
+        if (!qrCode || qrCode.isPlaceholder || qrCode === this.currentQRCode) {
+            return;
+        }
+        this.currentQRCode = qrCode;
+        this.updateQRCodeDisplay();
+    }
+
+    /**
+     * Tell staff that documents carry no working QR code until a facility signing key is set up
+     * @returns {boolean} Whether the warning was shown
+     */
+    warnIfQRSigningNotConfigured(qrCode) {
+        if (qrCode?.reason !== 'signing_not_configured') {
+            return false;
+        }
+        this.showWarning(this.t('qr.signing_not_configured'));
+        return true;
+    }
+
+    /**
+     * Banner above the results while the last PDF has characters left blank because no bundled font
+     * has them (typically rare hanzi or kanji in a drug or condition name), so staff check the printout
+     */
+    updateMissingCharactersBanner(characters = []) {
+        let banner = document.getElementById('pdf-missing-characters');
+        if (characters.length === 0) {
+            banner?.remove();
+            return;
+        }
+
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'pdf-missing-characters';
+            banner.className = 'pdf-missing-characters';
+            banner.setAttribute('role', 'alert');
+            document.getElementById('outputContent')?.prepend(banner);
         }
+        banner.textContent = `⚠️ ${this.t('documents.missing_characters', { count: characters.length, characters: characters.join(' ') })}`;
+    }
+
+    /**
+     * The code set shown on screen, so a download carries the same codes (and PIN); waits for one still being generated
+     */
+    async getReusableQRCode() {
+        const generation = this.qrCodeGeneration;
+        if (generation) {
+            try {
+                await generation;
+            } catch (error) {
+                // Reported by generateQRCodeAsync; the download makes its own code
+            }
+        }
+        return this.currentQRCode && !this.currentQRCode.isPlaceholder ? this.currentQRCode : null;
     }
 
     /**
@@ -395,12 +1187,16 @@ class DischargeTranslatorApp {
      */
     async generateDischargeDocument(format = 'pdf') {
         if (!this.currentData) {
-            this.showError('No discharge data available. Please process discharge information first.');
+            this.showError(this.t('documents.no_data'));
+            return;
+        }
+
+        if (format !== 'ics' && !this.confirmUnreviewedTranslations(this.t('verify.generate_anyway', { format: format.toUpperCase() }))) {
             return;
         }
 
         try {
-            this.showStatus(`Generating ${format.toUpperCase()} document...`, 'info');
+            this.showStatus(this.t('documents.generating', { format: format.toUpperCase() }), 'info');
 
             // Use stored data
             const parsedData = this.currentParsedData || this.medicalParser.parseDischargeData(this.currentData);
@@ -421,29 +1217,69 @@ class DischargeTranslatorApp {
                 const pdfData = await this.documentGenerator.generatePDF(
                     parsedData, 
                     translationData, 
-                    this.currentLanguage
+                    this.currentLanguage,
+                    { qrCode: await this.getReusableQRCode(), bilingual: this.bilingualLayout }
                 );
                 
                 this.documentGenerator.downloadDocument(pdfData, 'pdf');
-                this.showSuccess('PDF document downloaded successfully!');
+                this.adoptQRCode(pdfData.qrCode);
+                this.updateMissingCharactersBanner(pdfData.missingCharacters);
+                // The download still goes ahead, but staff must know its QR code will not scan
+                if (this.warnIfQRSigningNotConfigured(pdfData.qrCode)) {
+                    return;
+                }
+                this.showSuccess(this.t('documents.pdf_done'));
                 
             } else if (format === 'html') {
                 console.log('🔄 Generating HTML...');
                 const htmlData = await this.documentGenerator.generateHTML(
                     parsedData, 
                     translationData, 
-                    this.currentLanguage
+                    this.currentLanguage,
+                    { qrCode: await this.getReusableQRCode(), bilingual: this.bilingualLayout }
                 );
                 
                 this.documentGenerator.downloadDocument(htmlData, 'html');
-                this.showSuccess('HTML document downloaded successfully!');
+                this.adoptQRCode(htmlData.qrCode);
+                // The download still goes ahead, but staff must know its QR code will not scan
+                if (this.warnIfQRSigningNotConfigured(htmlData.qrCode)) {
+                    return;
+                }
+                this.showSuccess(this.t('documents.html_done'));
+            } else if (format === 'ics') {
+                console.log('🔄 Generating calendar...');
+                const icsData = this.documentGenerator.generateICS(
+                    parsedData.appointments,
+                    translationData,
+                    this.currentLanguage
+                );
+
+                if (icsData.eventCount === 0) {
+                    this.showWarning(this.t('documents.no_appointments'));
+                    return;
+                }
+                this.documentGenerator.downloadDocument(icsData, 'ics');
+                this.showSuccess(this.t('documents.calendar_done', { count: icsData.eventCount }));
+            } else if (format === 'fhir') {
+                console.log('🔄 Generating FHIR bundle...');
+                const fhirData = await this.documentGenerator.generateFHIR(
+                    parsedData,
+                    translationData,
+                    this.currentLanguage,
+                    { qrCode: await this.getReusableQRCode(), bilingual: this.bilingualLayout }
+                );
+
+                this.documentGenerator.downloadDocument(fhirData, 'fhir');
+                this.adoptQRCode(fhirData.qrCode);
+                this.updateMissingCharactersBanner(fhirData.missingCharacters);
+                this.showSuccess(this.t('documents.fhir_done'));
             }
 
             this.hideStatus();
 
         } catch (error) {
             console.error('❌ Document generation failed:', error);
-            this.showError(`Failed to generate ${format.toUpperCase()}: ${error.message}`);
+            this.showError(this.t('documents.failed', { format: format.toUpperCase(), error: this.escapeHtml(error.message) }));
             this.hideStatus();
         }
     }
@@ -466,60 +1302,58 @@ class DischargeTranslatorApp {
         // Clear previous content
         outputContent.innerHTML = '';
 
-        // Define sections with their display information
-        const sections = [
-            { 
-                key: 'diagnoses', 
-                title: '🩺 Diagnoses & Conditions', 
-                description: 'Medical conditions identified during your visit'
-            },
-            { 
-                key: 'procedures', 
-                title: '⚕️ Procedures & Treatments', 
-                description: 'Medical procedures performed during your stay'
-            },
-            { 
-                key: 'medications', 
-                title: '💊 Medications', 
-                description: 'Prescribed medications and instructions'
-            },
-            { 
-                key: 'instructions', 
-                title: '📋 Care Instructions', 
-                description: 'Important care instructions for your recovery'
-            },
-            { 
-                key: 'returnReasons', 
-                title: '🚨 When to Seek Emergency Care', 
-                description: 'Warning signs that require immediate medical attention'
-            },
-            { 
-                key: 'followUp', 
-                title: '📅 Follow-up Care', 
-                description: 'Scheduled appointments and ongoing care requirements'
-            }
-        ];
+        // Staff review of the detected patient details
+        if (this.currentParsedData) {
+            outputContent.appendChild(this.createPatientInfoReviewElement(
+                this.currentParsedData.patientInfo,
+                this.currentParsedData.patientInfoConfidence
+            ));
+        }
+
+        // Sections with their icons; titles and descriptions come from the message catalog
+        const icons = {
+            diagnoses: '🩺',
+            procedures: '⚕️',
+            medications: '💊',
+            instructions: '📋',
+            returnReasons: '🚨',
+            followUp: '📅'
+        };
+        const generator = this.documentGenerator;
+        const sections = Object.entries(icons).map(([key, icon]) => ({
+            key,
+            title: `${icon} ${generator.getLocalizedSectionTitle(key, this.currentLanguage)}`,
+            description: generator.getLocalizedSectionDescription(key, this.currentLanguage)
+        }));
 
         let hasContent = false;
 
         // Create sections
         sections.forEach(section => {
             if (data[section.key] && data[section.key].length > 0) {
-                const sectionElement = this.createSectionElement(section, data[section.key]);
+                const sectionElement = this.createSectionElement(section, data[section.key], data.annotations?.[section.key], data.translationMeta?.[section.key], data.sectionSources?.[section.key]);
                 outputContent.appendChild(sectionElement);
                 hasContent = true;
             }
         });
 
+        // Pill calendar built from the parsed medication frequencies
+        if (this.currentParsedData) {
+            const medicationSchedule = this.documentGenerator.buildMedicationSchedule(this.currentParsedData, data);
+            if (medicationSchedule.schedules.length > 0 || medicationSchedule.asNeeded.length > 0) {
+                outputContent.appendChild(this.createMedicationScheduleElement(medicationSchedule));
+            }
+        }
+
         // Show default message if no structured content
         if (!hasContent) {
             const defaultSection = document.createElement('div');
             defaultSection.className = 'section';
             defaultSection.innerHTML = `
-                <h3>📋 Discharge Information</h3>
+                <h3>📋 ${this.t('output.default_title')}</h3>
                 <div class="section-content">
-                    <p>Your discharge information has been processed and translated.</p>
-                    <p>If specific sections are not shown above, your discharge instructions may be in a format that requires manual review.</p>
+                    <p>${this.t('output.default_processed')}</p>
+                    <p>${this.t('output.default_review')}</p>
                 </div>
             `;
             outputContent.appendChild(defaultSection);
@@ -544,13 +1378,17 @@ class DischargeTranslatorApp {
         const actionButtons = document.querySelector('.action-buttons');
         if (!actionButtons) return;
         
+        const hasAppointments = (this.currentParsedData?.appointments || []).some(appointment => appointment.date);
+
         // Update the action buttons HTML
         actionButtons.innerHTML = `
-            <button id="downloadPdfBtn" class="btn btn-download-pdf">📄 Download PDF with QR</button>
-            <button id="downloadHtmlBtn" class="btn btn-download-html">🌐 Download HTML with QR</button>
-            <button id="generateQRBtn" class="btn btn-qr" style="display:none;">📱 View QR Code</button>
-            <button id="printBtn" class="btn btn-print">🖨️ Print Instructions</button>
-            <button id="shareBtn" class="btn btn-share">📤 Share</button>
+            <button id="downloadPdfBtn" class="btn btn-download-pdf">📄 ${this.t('actions.download_pdf')}</button>
+            <button id="downloadHtmlBtn" class="btn btn-download-html">🌐 ${this.t('actions.download_html')}</button>
+            <button id="generateQRBtn" class="btn btn-qr" style="display:none;">📱 ${this.t('actions.view_qr')}</button>
+            ${hasAppointments ? `<button id="downloadCalendarBtn" class="btn btn-calendar">📅 ${this.t('actions.calendar')}</button>` : ''}
+            <button id="downloadFhirBtn" class="btn btn-secondary">🏥 ${this.t('actions.export_fhir')}</button>
+            <button id="printBtn" class="btn btn-print">🖨️ ${this.t('actions.print')}</button>
+            <button id="shareBtn" class="btn btn-share">📤 ${this.t('actions.share')}</button>
         `;
         
         // Attach event listeners
@@ -564,6 +1402,16 @@ class DischargeTranslatorApp {
             this.generateDischargeDocument('html');
         });
         
+        document.getElementById('downloadCalendarBtn')?.addEventListener('click', () => {
+            console.log('📅 Calendar download clicked');
+            this.generateDischargeDocument('ics');
+        });
+
+        document.getElementById('downloadFhirBtn')?.addEventListener('click', () => {
+            console.log('🏥 FHIR export clicked');
+            this.generateDischargeDocument('fhir');
+        });
+        
         document.getElementById('generateQRBtn')?.addEventListener('click', () => {
             console.log('📱 QR view clicked');
             this.showQRCodeModal();
@@ -585,7 +1433,7 @@ class DischargeTranslatorApp {
      */
     showQRCodeModal() {
         if (!this.currentQRCode) {
-            this.showError('QR code not available yet. Please wait for generation to complete.');
+            this.showError(this.t('qr.not_ready'));
             return;
         }
 
@@ -595,13 +1443,15 @@ class DischargeTranslatorApp {
         modal.innerHTML = `
             <div class="qr-modal-content">
                 <div class="qr-modal-header">
-                    <h3>📱 Mobile Access QR Code</h3>
-                    <button class="qr-modal-close">&times;</button>
+                    <h3>📱 ${this.t('qr.modal_title')}</h3>
+                    <button class="qr-modal-close" aria-label="${this.t('common.close')}">&times;</button>
                 </div>
                 <div class="qr-modal-body">
-                    <img src="${this.currentQRCode.dataURL}" alt="QR Code" class="qr-modal-image">
-                    <p>Scan this QR code with your smartphone to access these discharge instructions on your mobile device.</p>
-                    <p><strong>Note:</strong> The QR code contains encrypted medical data for secure access.</p>
+                    ${this.documentGenerator.generateQRSequenceHTML(this.currentQRCode, this.currentLanguage, 'qr-modal-image')}
+                    <p>${this.t('qr.modal_scan')}</p>
+                    ${this.currentQRCode.total > 1 ? `<p><strong>${this.documentGenerator.getQRSequenceText(this.currentQRCode, this.currentLanguage)}</strong></p>` : ''}
+                    ${this.currentQRCode.pin ? `<p class="qr-pin">🔑 ${this.t('qr.modal_pin', { pin: `<strong>${this.currentQRCode.pin}</strong>` })}</p>` : ''}
+                    <p><strong>${this.t('qr.modal_note_label')}</strong> ${this.t('qr.modal_note')}</p>
                 </div>
             </div>
         `;
@@ -671,26 +1521,430 @@ class DischargeTranslatorApp {
     /**
      * Create a section element for display
      */
-    createSectionElement(sectionInfo, items) {
+    createSectionElement(sectionInfo, items, annotations = [], translationMeta = [], importSource = null) {
         const section = document.createElement('div');
         section.className = 'section';
         section.setAttribute('data-section', sectionInfo.key);
 
-        const itemsHtml = items.map(item => {
-            return `<p>${this.escapeHtml(item)}</p>`;
-        }).join('');
+        const itemHtml = items.map((item, index) => {
+            const annotation = annotations[index] || {};
+            const fidelity = translationMeta?.[index]?.fidelity;
+            const notesHtml = this.createUntranslatedHtml(translationMeta?.[index]) +
+                this.createGlossaryViolationHtml(translationMeta?.[index]?.glossaryViolations) +
+                this.createFidelityHtml(fidelity, index);
+            const lowFidelity = fidelity?.flagged && !fidelity.reviewed ? ' item-low-fidelity' : '';
+            // Which step produced the line (template, memory, mt...), for staff inspecting the output
+            const path = translationMeta?.[index]?.path ? ` data-translation-path="${translationMeta[index].path}"` : '';
+            // Prohibitions ("do not", "stop") and conditional instructions are highlighted
+            if (annotation.negated) {
+                return `<p class="item-prohibition${lowFidelity}"${path}><span class="item-flag" aria-hidden="true">⛔</span> ${this.escapeHtml(item)}${notesHtml}</p>`;
+            }
+            if (annotation.conditional || annotation.hypothetical) {
+                return `<p class="item-conditional${lowFidelity}"${path}><span class="item-flag" aria-hidden="true">⚠️</span> ${this.escapeHtml(item)}${notesHtml}</p>`;
+            }
+            return `<p${lowFidelity ? ` class="${lowFidelity.trim()}"` : ''}${path}>${this.escapeHtml(item)}${notesHtml}</p>`;
+        });
+        const itemsHtml = this.isBilingualLayout()
+            ? this.createBilingualItemsHtml(this.currentParsedData[sectionInfo.key], items, itemHtml)
+            : itemHtml.join('');
 
         section.innerHTML = `
-            <h3>${sectionInfo.title}</h3>
+            <h3>${sectionInfo.title}${this.createImportSourceHtml(importSource)}</h3>
             <div class="section-content">
                 <div class="section-description" style="font-style: italic; margin-bottom: 15px; color: #666;">${sectionInfo.description}</div>
                 ${itemsHtml}
             </div>
         `;
 
+        section.querySelectorAll('.fidelity-review-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showInterpreterReviewModal(sectionInfo.key, Number(button.dataset.index));
+            });
+        });
+
+        return section;
+    }
+
+    isBilingualLayout() {
+        return this.bilingualLayout && this.currentLanguage !== 'en' && !!this.currentParsedData;
+    }
+
+    /**
+     * Two-column rows: English source on the left, the translated item (with its review notes) on the right
+     * @param {string[]} sourceItems - Parsed English items
+     * @param {string[]} items - Translated items
+     * @param {string[]} itemHtml - Rendered translated items, same order
+     */
+    createBilingualItemsHtml(sourceItems, items, itemHtml) {
+        const pairing = this.documentGenerator.pairItems(sourceItems, items);
+        const missing = `<div class="bilingual-missing">${this.t('common.not_available')}</div>`;
+
+        const rowsHtml = pairing.rows.map((row, index) => `
+            <div class="bilingual-row">
+                ${row.source !== null ? `<div class="bilingual-source" lang="en">${this.escapeHtml(row.source)}</div>` : missing}
+                ${row.translated !== null ? `<div class="bilingual-target" lang="${this.currentLanguage}">${itemHtml[index]}</div>` : missing}
+            </div>`).join('');
+
+        const mismatchHtml = pairing.mismatch
+            ? `<div class="bilingual-mismatch" role="alert">⚠️ ${this.t('bilingual.mismatch', { count: pairing.mismatch.source, translated: pairing.mismatch.translated })}</div>`
+            : '';
+
+        return `
+            ${mismatchHtml}
+            <div class="bilingual-items">
+                <div class="bilingual-row bilingual-header">
+                    <div>${this.escapeHtml(this.documentGenerator.getLanguageName('en'))}</div>
+                    <div>${this.escapeHtml(this.documentGenerator.getLanguageName(this.currentLanguage))}</div>
+                </div>
+                ${rowsHtml}
+            </div>`;
+    }
+
+    /**
+     * Badge on sections imported from a C-CDA document: coded entries are exact,
+     * items read from narrative text are worth a second look
+     */
+    createImportSourceHtml(importSource) {
+        if (!['coded', 'narrative', 'mixed'].includes(importSource)) {
+            return '';
+        }
+        return ` <span class="section-source section-source-${importSource}" title="${this.t(`source.${importSource}_title`)}">${this.t(`source.${importSource}`)}</span>`;
+    }
+
+    /**
+     * Note on an item no provider or phrase pack could translate; it is shown in English
+     */
+    createUntranslatedHtml(meta) {
+        if (meta?.service !== 'all_methods_failed') {
+            return '';
+        }
+        return `<span class="item-untranslated-note" role="note">🌐 ${this.t('notes.untranslated')}</span>`;
+    }
+
+    /**
+     * Note listing glossary terms a translation failed to keep
+     */
+    createGlossaryViolationHtml(violations) {
+        if (!violations || violations.length === 0) {
+            return '';
+        }
+        const details = violations
+            .map(violation => this.t('notes.glossary_term', { source: violation.source, expected: violation.expected }))
+            .join('; ');
+        return `<span class="item-glossary-violation" role="note">📖 ${this.t('notes.glossary', { details: this.escapeHtml(details) })}</span>`;
+    }
+
+    /**
+     * Note with the back-translation result for a verified item (staff only)
+     */
+    createFidelityHtml(fidelity, index) {
+        if (!fidelity || fidelity.trusted) {
+            return '';
+        }
+        if (fidelity.reviewed) {
+            return `<span class="item-fidelity-note item-fidelity-reviewed" role="note">🗣️ ${this.t('notes.reviewed')}</span>`;
+        }
+        if (!fidelity.flagged) {
+            return fidelity.verified === false
+                ? `<span class="item-fidelity-note item-fidelity-unverified" role="note">🔍 ${this.t('notes.not_back_translated')}</span>`
+                : '';
+        }
+
+        const reasons = fidelity.reasons
+            .map(reason => this.i18n?.has(`app.notes.reason.${reason}`, this.currentLanguage) ? this.t(`notes.reason.${reason}`) : reason)
+            .join(', ');
+        const score = fidelity.score === null ? this.t('common.not_available') : `${Math.round(fidelity.score * 100)}%`;
+        const backTranslation = fidelity.backTranslation
+            ? ` ${this.t('notes.back_translation', { text: this.escapeHtml(fidelity.backTranslation) })}`
+            : '';
+
+        return `<span class="item-fidelity-note" role="note">🔍 ${this.t('notes.fidelity', { score, reasons: this.escapeHtml(reasons) })}${backTranslation}
+            <button type="button" class="fidelity-review-btn" data-index="${index}">🗣️ ${this.t('notes.request_review')}</button></span>`;
+    }
+
+    /**
+     * Interpreter review of a flagged item: approve or correct the translation.
+     * Approved wording is stored in the translation memory and reused for the same source text.
+     */
+    showInterpreterReviewModal(sectionKey, index) {
+        const source = this.currentParsedData?.[sectionKey]?.[index];
+        const translated = this.currentTranslatedData?.[sectionKey]?.[index];
+        const meta = this.currentTranslatedData?.translationMeta?.[sectionKey]?.[index];
+        if (source === undefined || translated === undefined || !meta) {
+            return;
+        }
+
+        const fidelity = meta.fidelity || {};
+        const modal = document.createElement('div');
+        modal.className = 'qr-modal';
+        modal.innerHTML = `
+            <div class="qr-modal-content review-modal-content">
+                <div class="qr-modal-header">
+                    <h3>🗣️ ${this.t('review.title')}</h3>
+                    <button class="qr-modal-close" aria-label="${this.t('common.close')}">&times;</button>
+                </div>
+                <dl class="review-details">
+                    <dt>${this.t('review.source')}</dt>
+                    <dd lang="en" dir="ltr">${this.escapeHtml(source)}</dd>
+                    <dt>${this.t('review.back_translation')}${fidelity.backProvider ? ` (${this.escapeHtml(fidelity.backProvider)})` : ''}</dt>
+                    <dd>${this.escapeHtml(fidelity.backTranslation || this.t('common.not_available'))}</dd>
+                    <dt>${this.t('review.translation', {
+                        language: this.escapeHtml(this.documentGenerator.getLanguageName(this.currentLanguage)),
+                        service: this.escapeHtml(meta.service || this.t('common.unknown'))
+                    })}</dt>
+                    <dd><textarea class="review-translation" rows="4" dir="auto">${this.escapeHtml(translated)}</textarea></dd>
+                </dl>
+                <div class="review-actions">
+                    <button class="btn btn-secondary review-cancel">${this.t('common.cancel')}</button>
+                    <button class="btn review-approve">✅ ${this.t('review.approve')}</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const closeModal = () => document.body.removeChild(modal);
+        modal.querySelector('.qr-modal-close').addEventListener('click', closeModal);
+        modal.querySelector('.review-cancel').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelector('.review-approve').addEventListener('click', async () => {
+            const approvedText = modal.querySelector('.review-translation').value.trim();
+            if (!approvedText) {
+                this.showError(this.t('review.empty'));
+                return;
+            }
+
+            this.currentTranslatedData[sectionKey][index] = approvedText;
+            meta.fidelity = { ...fidelity, reviewed: true, edited: approvedText !== translated };
+            meta.service = 'Interpreter (approved)';
+            meta.provider = 'interpreter';
+            meta.path = 'memory';
+            meta.confidence = 1.0;
+            meta.glossaryViolations = [];
+
+            const memory = this.translationService.memory;
+            if (memory) {
+                try {
+                    await memory.store([{
+                        sourceText: source,
+                        translatedText: approvedText,
+                        sourceLang: 'en',
+                        targetLang: this.currentLanguage,
+                        provider: memory.approvedProvider,
+                        service: 'Interpreter (approved)',
+                        glossaryVersion: 'none',
+                        approved: true,
+                        confidence: 1.0
+                    }]);
+                } catch (error) {
+                    console.warn('⚠️ Could not store approved translation:', error);
+                }
+            }
+
+            closeModal();
+            this.displayResults(this.currentTranslatedData);
+            this.generateQRCodeAsync(this.currentParsedData, this.currentTranslatedData);
+            this.showSuccess(this.t('review.approved'));
+        });
+    }
+
+    /**
+     * Create the medication schedule grid with tickable dose boxes
+     */
+    createMedicationScheduleElement(medicationSchedule) {
+        const generator = this.documentGenerator;
+        const language = this.currentLanguage;
+
+        const section = document.createElement('div');
+        section.className = 'section medication-schedule';
+        section.setAttribute('data-section', 'medicationSchedule');
+
+        const tablesHtml = medicationSchedule.schedules.map(schedule => {
+            const headerCells = schedule.slots
+                .map(slot => `<th scope="col">${this.escapeHtml(generator.getScheduleSlotLabel(slot, language))}</th>`)
+                .join('');
+            const rows = schedule.days.map(day => {
+                const dayLabel = generator.getScheduleDayLabel(day, language);
+                const cells = day.doses.map((due, slotIndex) => due
+                    ? `<td><input type="checkbox" aria-label="${this.escapeHtml(`${dayLabel} ${generator.getScheduleSlotLabel(schedule.slots[slotIndex], language)}`)}"></td>`
+                    : '<td class="no-dose">–</td>').join('');
+                return `<tr><th scope="row">${this.escapeHtml(dayLabel)}</th>${cells}</tr>`;
+            }).join('');
+            const note = generator.getScheduleNote(schedule, language);
+
+            return `
+                <div class="schedule-medication">
+                    <p class="schedule-medication-name">${this.escapeHtml(schedule.label)}</p>
+                    <div class="schedule-table-wrapper">
+                        <table class="schedule-table">
+                            <thead><tr><th scope="col">${generator.getLocalizedText('schedule_day', language)}</th>${headerCells}</tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                    ${note ? `<p class="schedule-note">${this.escapeHtml(note)}</p>` : ''}
+                </div>`;
+        }).join('');
+
+        const asNeededHtml = medicationSchedule.asNeeded.length > 0 ? `
+            <div class="schedule-as-needed">
+                <p class="schedule-medication-name">${generator.getLocalizedText('schedule_as_needed', language)}</p>
+                ${medicationSchedule.asNeeded.map(entry => `<p>${this.escapeHtml(entry.label)}</p>`).join('')}
+            </div>` : '';
+
+        section.innerHTML = `
+            <h3>🗓️ ${generator.getLocalizedText('medication_schedule', language)}</h3>
+            <div class="section-content">
+                <div class="section-description" style="font-style: italic; margin-bottom: 15px; color: #666;">${generator.getLocalizedText('medication_schedule_description', language)}</div>
+                ${tablesHtml}
+                ${asNeededHtml}
+            </div>
+        `;
+
+        return section;
+    }
+
+    /**
+     * Create the patient details review form so staff can correct extracted values
+     */
+    createPatientInfoReviewElement(patientInfo, confidence = {}) {
+        const fields = [
+            { key: 'name', label: this.t('patient_review.name') },
+            { key: 'dob', label: this.t('patient_review.dob') },
+            { key: 'mrn', label: this.t('patient_review.mrn') },
+            { key: 'admissionDate', label: this.t('patient_review.admission_date') },
+            { key: 'dischargeDate', label: this.t('patient_review.discharge_date') },
+            { key: 'attending', label: this.t('patient_review.attending') },
+            { key: 'unit', label: this.t('patient_review.unit') }
+        ];
+        const info = patientInfo || {};
+
+        const section = document.createElement('div');
+        section.className = 'section patient-review';
+        section.setAttribute('data-section', 'patientInfo');
+
+        const fieldsHtml = fields.map(field => {
+            const value = info[field.key] || '';
+            const score = confidence[field.key];
+            const isLowConfidence = value && score !== undefined && score < 0.8;
+            const scoreLabel = value && score !== undefined ? `${Math.round(score * 100)}%` : '';
+            return `
+                <label class="patient-field${isLowConfidence ? ' low-confidence' : ''}">
+                    <span class="patient-field-label">${field.label}</span>
+                    <input type="text" name="${field.key}" value="${this.escapeHtml(value)}" autocomplete="off">
+                    <span class="patient-field-confidence" title="${this.t('patient_review.confidence')}">${scoreLabel}</span>
+                </label>`;
+        }).join('');
+
+        section.innerHTML = `
+            <h3>🪪 ${this.t('patient_review.title')}</h3>
+            <div class="section-content">
+                <div class="section-description" style="font-style: italic; margin-bottom: 15px; color: #666;">${this.t('patient_review.description')}</div>
+                <form class="patient-review-form">
+                    ${fieldsHtml}
+                    <button type="submit" class="btn btn-secondary">✅ ${this.t('patient_review.save')}</button>
+                </form>
+            </div>
+        `;
+
+        section.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePatientInfo(new FormData(e.target), fields.map(field => field.key));
+        });
+
         return section;
     }
 
+    /**
+     * Apply staff-reviewed patient details to the current data
+     */
+    savePatientInfo(formData, keys) {
+        if (!this.currentParsedData) {
+            return;
+        }
+        // The code on screen still carries the details before the review
+        this.clearQRCode();
+
+        const patientInfo = {};
+        const confidence = {};
+        keys.forEach(key => {
+            const value = (formData.get(key) || '').toString().trim();
+            if (value) {
+                patientInfo[key] = value;
+                confidence[key] = 1.0; // Confirmed by staff
+            }
+        });
+
+        const reviewed = Object.keys(patientInfo).length > 0 ? patientInfo : null;
+        // Relative follow-up dates are resolved against the (possibly corrected) discharge date
+        const appointments = this.medicalParser.appointmentParser.parseAppointments(
+            this.currentParsedData.followUp,
+            reviewed?.dischargeDate,
+            this.currentParsedData.annotations?.followUp
+        );
+        [this.currentParsedData, this.currentTranslatedData].filter(Boolean).forEach(data => {
+            data.patientInfo = reviewed;
+            data.patientInfoConfidence = confidence;
+            data.appointments = appointments;
+        });
+
+        this.displayResults(this.currentTranslatedData || this.currentParsedData);
+        this.generateQRCodeAsync(this.currentParsedData, this.currentTranslatedData || this.currentParsedData);
+        this.showSuccess(this.t('patient_review.saved'));
+    }
+
+    // ========== LOCALIZATION ==========
+
+    /**
+     * App message in the selected language (data/i18n/<language>.json, "app" group)
+     * @param {string} key - Key within the group, e.g. 'status.processing'
+     * @param {Object} params - Placeholder values; count picks the plural form
+     */
+    t(key, params = {}) {
+        return this.i18n ? this.i18n.t(`app.${key}`, params, this.currentLanguage) : key;
+    }
+
+    /**
+     * Switch the app chrome to a language, loading its messages first
+     */
+    async setLanguage(language) {
+        this.currentLanguage = language;
+        await this.i18n?.load(language);
+
+        // Another language may have been picked while this one loaded
+        if (this.currentLanguage === language) {
+            this.applyTranslations();
+            this.updateLanguageDisplay();
+        }
+    }
+
+    /**
+     * Translate the static page: elements marked data-i18n get their text, data-i18n-placeholder,
+     * data-i18n-aria-label and data-i18n-title their attribute. The English in index.html stays
+     * if the catalog cannot be loaded.
+     */
+    applyTranslations() {
+        const root = document.documentElement;
+        root.lang = this.currentLanguage;
+        root.dir = this.documentGenerator.getTextDirection(this.currentLanguage);
+
+        const translate = (key, apply) => {
+            if (this.i18n?.has(`app.${key}`, this.currentLanguage)) {
+                apply(this.t(key));
+            }
+        };
+        translate('title', text => { document.title = text; });
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            translate(element.dataset.i18n, text => { element.textContent = text; });
+        });
+        ['placeholder', 'aria-label', 'title'].forEach(attribute => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                translate(element.getAttribute(`data-i18n-${attribute}`), text => element.setAttribute(attribute, text));
+            });
+        });
+    }
+
     /**
      * Update language display
      */
@@ -704,6 +1958,118 @@ class DischargeTranslatorApp {
         }
     }
 
+    /**
+     * Show the translation memory browser (staff only): search, delete, TMX export / import
+     */
+    async showTranslationMemoryModal() {
+        const memory = this.translationService.memory;
+        if (!memory) {
+            this.showError(this.t('memory.disabled'));
+            return;
+        }
+
+        const languages = window.appConfig.getSupportedLanguages().filter(code => code !== 'en');
+        const modal = document.createElement('div');
+        modal.className = 'qr-modal';
+        modal.innerHTML = `
+            <div class="qr-modal-content tm-modal-content">
+                <div class="qr-modal-header">
+                    <h3>🧠 ${this.t('staff.translation_memory')}</h3>
+                    <button class="qr-modal-close" aria-label="${this.t('common.close')}">&times;</button>
+                </div>
+                <div class="tm-controls">
+                    <input type="search" class="tm-search" placeholder="${this.t('memory.search')}" aria-label="${this.t('memory.search_label')}">
+                    <select class="tm-language" aria-label="${this.t('memory.filter_label')}">
+                        <option value="">${this.t('memory.all_languages')}</option>
+                        ${languages.map(code => `<option value="${code}">${this.documentGenerator.getLanguageName(code)}</option>`).join('')}
+                    </select>
+                    <button class="btn btn-secondary tm-export">⬇️ ${this.t('memory.export')}</button>
+                    <label class="btn btn-secondary tm-import">⬆️ ${this.t('memory.import')}<input type="file" accept=".tmx,.xml" hidden></label>
+                    <button class="btn btn-secondary tm-clear">🗑️ ${this.t('memory.clear')}</button>
+                </div>
+                <p class="tm-summary"></p>
+                <div class="tm-table-wrapper">
+                    <table class="tm-table">
+                        <thead><tr><th>${this.t('memory.source')}</th><th>${this.t('memory.translation')}</th><th>${this.t('memory.language')}</th><th>${this.t('memory.provider')}</th><th>${this.t('memory.uses')}</th><th></th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const search = modal.querySelector('.tm-search');
+        const language = modal.querySelector('.tm-language');
+        const tbody = modal.querySelector('tbody');
+        const summary = modal.querySelector('.tm-summary');
+        const filter = () => ({ search: search.value, targetLang: language.value });
+
+        const render = async () => {
+            const entries = await memory.list(filter());
+            const total = await memory.count();
+            summary.textContent = this.t('memory.summary', { shown: entries.length, count: total, limit: memory.maxEntries });
+            tbody.innerHTML = entries.slice(0, 500).map(entry => `
+                <tr>
+                    <td>${this.escapeHtml(entry.sourceText)}</td>
+                    <td>${entry.approved ? '✅ ' : ''}${this.escapeHtml(entry.translatedText)}</td>
+                    <td>${this.escapeHtml(entry.targetLang)}</td>
+                    <td>${this.escapeHtml(entry.service)}</td>
+                    <td>${entry.hits || 0}</td>
+                    <td><button class="tm-delete" data-id="${this.escapeHtml(entry.id)}" aria-label="${this.t('memory.delete')}">✖</button></td>
+                </tr>`).join('');
+        };
+
+        const closeModal = () => document.body.removeChild(modal);
+        modal.querySelector('.qr-modal-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        search.addEventListener('input', render);
+        language.addEventListener('change', render);
+
+        tbody.addEventListener('click', async (e) => {
+            const button = e.target.closest('.tm-delete');
+            if (button) {
+                await memory.delete(button.dataset.id);
+                await render();
+            }
+        });
+
+        modal.querySelector('.tm-export').addEventListener('click', async () => {
+            const tmx = await memory.exportTMX(filter());
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([tmx], { type: 'application/x-tmx+xml' }));
+            link.download = `translation-memory-${language.value || 'all'}-${new Date().toISOString().slice(0, 10)}.tmx`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        });
+
+        modal.querySelector('.tm-import input').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const count = await memory.importTMX(await file.text());
+                this.showSuccess(this.t('memory.imported', { count }));
+                await render();
+            } catch (error) {
+                this.showError(this.t('memory.import_failed', { error: this.escapeHtml(error.message) }));
+            }
+            e.target.value = '';
+        });
+
+        modal.querySelector('.tm-clear').addEventListener('click', async () => {
+            if (confirm(this.t('memory.clear_confirm'))) {
+                await memory.clear();
+                await render();
+            }
+        });
+
+        await render();
+    }
+
     /**
      * Print instructions
      */
@@ -711,7 +2077,11 @@ class DischargeTranslatorApp {
         const outputSection = document.getElementById('output');
         
         if (!outputSection || !outputSection.classList.contains('show')) {
-            this.showError('No instructions to print. Please process discharge data first.');
+            this.showError(this.t('share.nothing_to_print'));
+            return;
+        }
+
+        if (!this.confirmUnreviewedTranslations(this.t('verify.print_anyway'))) {
             return;
         }
 
@@ -725,7 +2095,7 @@ class DischargeTranslatorApp {
         const outputSection = document.getElementById('output');
         
         if (!outputSection || !outputSection.classList.contains('show')) {
-            this.showError('No instructions to share. Please process discharge data first.');
+            this.showError(this.t('share.nothing_to_share'));
             return;
         }
 
@@ -735,7 +2105,7 @@ class DischargeTranslatorApp {
         if (navigator.share) {
             try {
                 await navigator.share({
-                    title: 'Discharge Instructions',
+                    title: this.documentGenerator.getLocalizedText('discharge_instructions', this.currentLanguage),
                     text: textContent,
                     url: window.location.href
                 });
@@ -755,12 +2125,12 @@ class DischargeTranslatorApp {
     fallbackShare(textContent) {
         if (navigator.clipboard) {
             navigator.clipboard.writeText(textContent).then(() => {
-                this.showSuccess('Instructions copied to clipboard!');
+                this.showSuccess(this.t('share.copied'));
             }).catch(() => {
-                this.showInfo('Use Ctrl+C to copy the displayed instructions.');
+                this.showInfo(this.t('share.copy_hint'));
             });
         } else {
-            this.showInfo('Use Ctrl+C to copy the displayed instructions.');
+            this.showInfo(this.t('share.copy_hint'));
         }
     }
 
@@ -771,9 +2141,11 @@ class DischargeTranslatorApp {
         const outputContent = document.getElementById('outputContent');
         if (!outputContent) return '';
 
-        let text = 'DISCHARGE INSTRUCTIONS\n\n';
+        const generator = this.documentGenerator;
+        const language = this.currentLanguage;
+        let text = `${generator.getLocalizedText('document_title', language)}\n\n`;
         
-        const sections = outputContent.querySelectorAll('.section');
+        const sections = outputContent.querySelectorAll('.section:not(.patient-review)');
         sections.forEach(section => {
             const title = section.querySelector('h3')?.textContent || '';
             const content = section.querySelector('.section-content');
@@ -784,7 +2156,10 @@ class DischargeTranslatorApp {
                 
                 const paragraphs = content.querySelectorAll('p');
                 paragraphs.forEach(p => {
-                    const pText = p.textContent?.trim();
+                    // Staff-only glossary and fidelity notes are not part of the patient's text
+                    const paragraph = p.cloneNode(true);
+                    paragraph.querySelectorAll('.item-glossary-violation, .item-fidelity-note, .item-untranslated-note').forEach(note => note.remove());
+                    const pText = paragraph.textContent?.trim();
                     if (pText && !pText.includes('section-description')) {
                         text += `• ${pText}\n`;
                     }
@@ -793,8 +2168,8 @@ class DischargeTranslatorApp {
             }
         });
 
-        text += `\nGenerated on: ${new Date().toLocaleDateString()}\n`;
-        text += 'This translation is for informational purposes only. Always consult your healthcare provider for medical advice.';
+        text += `\n${generator.getLocalizedText('generated_on', language)}: ${generator.formatDocumentDate(language)}\n`;
+        text += generator.getLocalizedText('disclaimer_text', language);
 
         return text;
     }
@@ -0,0 +1,316 @@
+/**
+ * Appointment Parser - Normalises follow-up instructions into dated appointment objects
+ * Relative dates ("in 2 weeks") are resolved against the discharge date
+ */
+class AppointmentParser {
+    constructor() {
+        this.specialties = [
+            'primary care', 'family medicine', 'internal medicine', 'cardiology', 'orthopedics', 'orthopaedics',
+            'orthopedic surgery', 'oral surgery', 'oral and maxillofacial surgery', 'general surgery', 'surgery',
+            'neurology', 'neurosurgery', 'gastroenterology', 'pulmonology', 'nephrology', 'urology', 'oncology',
+            'hematology', 'endocrinology', 'dermatology', 'ophthalmology', 'ent', 'otolaryngology',
+            'obstetrics', 'gynecology', 'ob/gyn', 'pediatrics', 'psychiatry', 'physical therapy',
+            'occupational therapy', 'wound care', 'infectious disease', 'rheumatology', 'podiatry', 'dentist'
+        ].sort((a, b) => b.length - a.length);
+
+        // Phrases that name a provider type rather than a specialty
+        this.providerTypes = {
+            'primary care physician': 'primary care',
+            'primary care provider': 'primary care',
+            'pcp': 'primary care',
+            'family doctor': 'primary care',
+            'cardiologist': 'cardiology',
+            'orthopedist': 'orthopedics',
+            'orthopedic surgeon': 'orthopedics',
+            'oral surgeon': 'oral surgery',
+            'surgeon': 'surgery',
+            'neurologist': 'neurology',
+            'gastroenterologist': 'gastroenterology',
+            'pulmonologist': 'pulmonology',
+            'urologist': 'urology',
+            'oncologist': 'oncology',
+            'dermatologist': 'dermatology',
+            'ophthalmologist': 'ophthalmology',
+            'eye doctor': 'ophthalmology',
+            'endocrinologist': 'endocrinology',
+            'physical therapist': 'physical therapy',
+            'specialist': null,
+            'doctor': null,
+            'physician': null
+        };
+
+        this.monthNames = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+            'august', 'september', 'october', 'november', 'december'];
+        this.weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+        this.numberWords = {
+            'a': 1, 'an': 1, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+            'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'twelve': 12, 'a couple of': 2, 'a few': 3
+        };
+
+        this.phonePattern = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?(?:\d{4}|[A-Z]{4})\b/;
+    }
+
+    /**
+     * Parse follow-up items into appointments
+     * @param {string[]} items - followUp items from the parser
+     * @param {string|Date|null} dischargeDate - Reference date for relative expressions (defaults to today)
+     * @param {Object[]} annotations - Negation detector flags for the items (result.annotations.followUp)
+     */
+    parseAppointments(items, dischargeDate = null, annotations = []) {
+        const reference = this.toDate(dischargeDate) || this.startOfDay(new Date());
+        return (items || [])
+            .map((item, index) => {
+                const appointment = this.parseAppointment(item, reference, annotations?.[index]);
+                // Index into followUp so the translated sentence can be used alongside
+                return appointment ? { ...appointment, itemIndex: index } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse one follow-up sentence
+     * @param {Object} annotation - Its negation detector flags, if known
+     */
+    parseAppointment(text, reference, annotation = null) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const when = this.resolveDate(text, reference);
+        const provider = this.findProvider(text);
+        const location = this.findLocation(text);
+        const phone = this.findPhone(text);
+
+        // Only sentences that say who or when are appointments
+        if (!when && !provider.provider && !provider.specialty) {
+            return null;
+        }
+        if (this.isConditional(text, when, provider, annotation)) {
+            return null;
+        }
+
+        return {
+            text: text,
+            provider: provider.provider,
+            specialty: provider.specialty,
+            date: when ? when.date : null,
+            dateText: when ? when.text : null,
+            isRelative: when ? when.relative : false,
+            isApproximate: when ? when.approximate : false,
+            time: this.findTime(text),
+            location: location,
+            phone: phone
+        };
+    }
+
+    /**
+     * Whether a sentence is advice for a situation rather than an appointment: "Follow up with your doctor
+     * if symptoms persist for more than 3 days". A sentence with a conditional or hypothetical cue only counts
+     * when it names a provider and gives the date before the cue ("See Dr. Lee within 1 week, or sooner if
+     * the pain gets worse").
+     */
+    isConditional(text, when, provider, annotation) {
+        const cues = (annotation?.cues || []).filter(cue => cue.type === 'conditional' || cue.type === 'hypothetical');
+        if (cues.length === 0) {
+            return false;
+        }
+        if (!when || !provider.mentioned) {
+            return true;
+        }
+        const dateStart = text.toLowerCase().indexOf(when.text);
+        return cues.some(cue => cue.start === undefined || cue.start <= dateStart);
+    }
+
+    /**
+     * Resolve absolute ("on 11/03/2026", "March 3") or relative ("in 2 weeks", "next Monday") dates
+     */
+    resolveDate(text, reference) {
+        const lower = text.toLowerCase();
+        let match;
+
+        // Numeric dates: 11/03/2026, 2026-11-03, 11/03. Out-of-range numbers ("24/7", "2/30") are not dates.
+        if ((match = lower.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+            const date = this.calendarDate(+match[1], +match[2], +match[3]);
+            if (date) {
+                return this.absolute(date, match[0]);
+            }
+        }
+        if ((match = lower.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+            let year = match[3] ? +match[3] : reference.getFullYear();
+            if (year < 100) year += 2000;
+            let date = this.calendarDate(year, +match[1], +match[2]);
+            if (date && !match[3] && date < reference) date = this.calendarDate(year + 1, +match[1], +match[2]);
+            if (date) {
+                return this.absolute(date, match[0]);
+            }
+        }
+
+        // Month names: March 3, March 3rd 2026, 3 March
+        const monthAlternatives = this.monthNames.map(month => `${month.slice(0, 3)}(?:${month.slice(3)})?\\.?`).join('|');
+        const monthFirst = new RegExp(`\\b(${monthAlternatives})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`);
+        const dayFirst = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthAlternatives})(?:,?\\s+(\\d{4}))?\\b`);
+        if ((match = lower.match(monthFirst)) || (match = lower.match(dayFirst))) {
+            const monthFirstOrder = isNaN(match[1]);
+            const monthText = monthFirstOrder ? match[1] : match[2];
+            const day = +(monthFirstOrder ? match[2] : match[1]);
+            const month = this.monthNames.findIndex(name => name.startsWith(monthText.slice(0, 3)));
+            const year = match[3] ? +match[3] : reference.getFullYear();
+            let date = this.calendarDate(year, month + 1, day);
+            if (date && !match[3] && date < reference) date = this.calendarDate(year + 1, month + 1, day);
+            if (date) {
+                return this.absolute(date, match[0]);
+            }
+        }
+
+        // Relative: in 2 weeks, within 7-10 days, in one month, 1 week after discharge
+        const amount = '(\\d+(?:\\s*(?:-|to)\\s*\\d+)?|a couple of|a few|an?|one|two|three|four|five|six|seven|eight|nine|ten|twelve)';
+        const relative = new RegExp(`\\b(in|within|after|about|approximately)?\\s*${amount}\\s+(days?|weeks?|months?)\\b`);
+        if ((match = lower.match(relative))) {
+            const range = match[2].split(/\s*(?:-|to)\s*/);
+            const value = this.numberWords[range[0]] ?? parseInt(range[0], 10);
+            const upper = range[1] ? parseInt(range[1], 10) : value;
+            const unit = match[3].replace(/s$/, '');
+            // "within 2 weeks" means by that date; a range targets its upper bound
+            const date = this.addInterval(reference, upper, unit);
+            return {
+                date: this.formatDate(date),
+                text: match[0].trim(),
+                relative: true,
+                approximate: match[1] === 'within' || match[1] === 'about' || match[1] === 'approximately' || upper !== value,
+                offset: { value: upper, unit }
+            };
+        }
+
+        if ((match = lower.match(/\b(tomorrow|next week|next month)\b/))) {
+            const offsets = { 'tomorrow': [1, 'day'], 'next week': [1, 'week'], 'next month': [1, 'month'] };
+            const [value, unit] = offsets[match[1]];
+            return {
+                date: this.formatDate(this.addInterval(reference, value, unit)),
+                text: match[0],
+                relative: true,
+                approximate: match[1] !== 'tomorrow',
+                offset: { value, unit }
+            };
+        }
+
+        if ((match = lower.match(new RegExp(`\\b(?:(next|this|on)\\s+)?(${this.weekdays.join('|')})\\b`)))) {
+            const target = this.weekdays.indexOf(match[2]);
+            const date = new Date(reference);
+            // "Monday" and "next Monday" both mean the coming Monday, never the discharge day itself
+            const days = (target - date.getDay() + 7) % 7 || 7;
+            date.setDate(date.getDate() + days);
+            return { date: this.formatDate(date), text: match[0], relative: true, approximate: false, offset: { value: days, unit: 'day' } };
+        }
+
+        return null;
+    }
+
+    findProvider(text) {
+        const lower = text.toLowerCase();
+
+        const doctor = text.match(/\b(?:Dr\.?|Doctor)\s+([A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+)?)/);
+        const provider = doctor ? `Dr. ${doctor[1]}` : null;
+
+        let specialty = this.specialties.find(name => new RegExp(`\\b${name.replace('/', '\\/')}\\b`).test(lower)) || null;
+        let type = null;
+        if (!specialty) {
+            type = Object.keys(this.providerTypes)
+                .sort((a, b) => b.length - a.length)
+                .find(name => new RegExp(`\\b${name}\\b`).test(lower));
+            if (type) {
+                specialty = this.providerTypes[type];
+            }
+        }
+
+        // mentioned: some provider is named, even one without a specialty ("your doctor")
+        return { provider, specialty, mentioned: !!(provider || specialty || type) };
+    }
+
+    findLocation(text) {
+        const match = text.match(/\b(?:at|in)\s+(?:the\s+)?((?:[A-Z][\w&'-]*\s*)+(?:Clinic|Center|Centre|Hospital|Office|Building|Medical Group|Practice|Suite\s+\w+)(?:[,\s]+(?:Suite|Room|Floor)\s+\w+)?)/);
+        if (match) {
+            return match[1].trim();
+        }
+        const address = text.match(/\b\d{2,5}\s+[A-Z][\w]*(?:\s+[A-Z][\w]*)*\s+(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Boulevard|Blvd|Lane|Ln|Way)\b\.?/);
+        return address ? address[0].trim() : null;
+    }
+
+    findPhone(text) {
+        const match = text.match(this.phonePattern);
+        return match ? match[0].trim() : null;
+    }
+
+    findTime(text) {
+        const match = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?\b/i) || text.match(/\bat\s+(\d{1,2}):(\d{2})\b/);
+        if (!match) {
+            return null;
+        }
+        let hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        if (match[3]) {
+            const pm = match[3].toLowerCase() === 'p';
+            if (pm && hours < 12) hours += 12;
+            if (!pm && hours === 12) hours = 0;
+        }
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    // ========== DATE HELPERS ==========
+
+    absolute(date, text) {
+        if (!date || isNaN(date.getTime())) {
+            return null;
+        }
+        return { date: this.formatDate(date), text, relative: false, approximate: false };
+    }
+
+    /**
+     * A local date, or null when the month or day is out of range (new Date() would roll it into a later month)
+     * @param {number} month - 1 to 12
+     */
+    calendarDate(year, month, day) {
+        if (month < 1 || month > 12 || day < 1 || day > new Date(year, month, 0).getDate()) {
+            return null;
+        }
+        return new Date(year, month - 1, day);
+    }
+
+    addInterval(reference, value, unit) {
+        const date = new Date(reference);
+        if (unit === 'day') date.setDate(date.getDate() + value);
+        if (unit === 'week') date.setDate(date.getDate() + value * 7);
+        if (unit === 'month') date.setMonth(date.getMonth() + value);
+        return date;
+    }
+
+    toDate(value) {
+        if (!value) {
+            return null;
+        }
+        if (value instanceof Date) {
+            return this.startOfDay(value);
+        }
+        // A date known only to the year or month ("2026-10") is no day to count from
+        if (/^\d{4}(?:-\d{2})?$/.test(String(value).trim())) {
+            return null;
+        }
+        const iso = window.PatientInfoExtractor ? new PatientInfoExtractor().parseDate(value) : null;
+        const date = iso ? new Date(`${iso}T00:00:00`) : new Date(value);
+        return isNaN(date.getTime()) ? null : this.startOfDay(date);
+    }
+
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+// Export for use in the medical parser
+window.AppointmentParser = AppointmentParser;
@@ -0,0 +1,621 @@
+/**
+ * C-CDA Importer - Maps C-CDA R2.1 documents (CCD, Discharge Summary) onto the parser's result structure
+ * Problems, Medications, Procedures, Plan of Treatment and Instructions sections are read from their coded
+ * entries; a section without usable entries falls back to its narrative text. The header supplies the
+ * patient and encounter demographics. result.sectionSources records which categories came from which.
+ */
+class CCDAImporter {
+    constructor(options = {}) {
+        this.medicationExtractor = options.medicationExtractor || new MedicationExtractor();
+        // Item cleanup, dosage sentences and appointment wording are shared with the FHIR import
+        this.fhirImporter = options.fhirImporter || new FHIRImporter({ medicationExtractor: this.medicationExtractor });
+
+        this.namespace = 'urn:hl7-org:v3';
+        this.xsiNamespace = 'http://www.w3.org/2001/XMLSchema-instance';
+
+        this.documentTypes = {
+            '34133-9': 'Continuity of Care Document',
+            '18842-5': 'Discharge Summary'
+        };
+
+        // Sections by LOINC code, with the C-CDA templateId roots for documents that use local codes
+        const template = id => `2.16.840.1.113883.10.20.22.2.${id}`;
+        this.sectionTypes = [
+            { kind: 'dischargeDiagnoses', codes: ['11535-2'], templates: [template(24)] },
+            { kind: 'problems', codes: ['11450-4'], templates: [template(5), template('5.1')] },
+            { kind: 'dischargeMedications', codes: ['10183-2', '75311-1'], templates: [template(11), template('11.1')] },
+            { kind: 'medications', codes: ['10160-0'], templates: [template(1), template('1.1')] },
+            { kind: 'procedures', codes: ['47519-4'], templates: [template(7), template('7.1')] },
+            { kind: 'plan', codes: ['18776-5'], templates: [template(10)] },
+            { kind: 'instructions', codes: ['69730-0', '8653-8'], templates: [template(45), template(41)] }
+        ];
+
+        // Entries that were never carried out or were recorded in error
+        this.excludedStatuses = ['nullified', 'cancelled', 'aborted'];
+        // Mood codes for things that are planned rather than done
+        this.plannedMoods = ['INT', 'RQO', 'PRP', 'ARQ', 'PRMS', 'APT'];
+        this.instructionTemplate = '2.16.840.1.113883.10.20.22.4.20';
+        // US SSN; never used as the MRN
+        this.ssnRoot = '2.16.840.1.113883.4.1';
+        // Patient header dates, which may be recorded to the year or month only
+        this.dateFields = ['dob', 'admissionDate', 'dischargeDate'];
+    }
+
+    /**
+     * The parsed XML document for a C-CDA string or Document, or null if the input is not a ClinicalDocument
+     * @throws {Error} When the input is a ClinicalDocument that is not well-formed XML
+     */
+    parseDocument(input) {
+        let doc = input;
+        if (typeof input === 'string') {
+            const text = input.trim();
+            if (!text.startsWith('<') || !/<(?:\w+:)?ClinicalDocument\b/.test(text) || typeof DOMParser === 'undefined') {
+                return null;
+            }
+            doc = new DOMParser().parseFromString(text, 'application/xml');
+            if (doc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('The C-CDA document is not well-formed XML');
+            }
+        }
+        const root = doc?.documentElement;
+        return root?.localName === 'ClinicalDocument' && root.namespaceURI === this.namespace ? doc : null;
+    }
+
+    /**
+     * Map a C-CDA document onto the parseDischargeData() result structure
+     * @param {Document} doc - Parsed ClinicalDocument
+     * @returns {Object} Parse result; `sectionSources` maps each category to 'coded', 'narrative' or 'mixed',
+     *   and `narrative` holds the text of unrecognised sections for documents with nothing mapped
+     */
+    toParsedData(doc) {
+        const root = doc.documentElement;
+        const result = {
+            diagnoses: [],
+            medications: [],
+            instructions: [],
+            followUp: [],
+            returnReasons: [],
+            procedures: [],
+            medicationDetails: [],
+            annotations: {},
+            patientInfo: null,
+            patientInfoConfidence: {},
+            appointments: [],
+            rawText: '',
+            source: 'ccda',
+            documentType: this.documentTypes[this.attr(this.child(root, 'code'), 'code')] ||
+                this.attr(this.child(root, 'code'), 'displayName') || 'Clinical document',
+            sectionSources: {},
+            narrative: ''
+        };
+
+        this.narrativeIds = this.collectIds(root);
+        try {
+            result.patientInfo = this.mapPatientInfo(root);
+            Object.entries(result.patientInfo || {}).forEach(([field, value]) => {
+                // Coded header fields are exact; a date recorded only to the year or month is flagged for staff to complete
+                result.patientInfoConfidence[field] = this.dateFields.includes(field) && value.length < 10 ? 0.5 : 1.0;
+            });
+
+            const body = this.child(root, 'component', 'structuredBody');
+            if (!body) {
+                console.warn('⚠️ C-CDA document has no structured body');
+            }
+            const sections = body ? this.findSections(body) : [];
+            const kinds = new Set(sections.map(section => section.kind));
+
+            const notes = [];
+            sections.forEach(section => {
+                if (!section.kind) {
+                    const text = this.narrativeLines(this.child(section.element, 'text'))
+                        .map(line => line.cells.join(', '))
+                        .join('\n');
+                    if (text) notes.push(section.title ? `${section.title}:\n${text}` : text);
+                    return;
+                }
+                // The discharge lists replace the longer-term problem and medication lists when both are present
+                if ((section.kind === 'problems' && kinds.has('dischargeDiagnoses')) ||
+                    (section.kind === 'medications' && kinds.has('dischargeMedications'))) {
+                    return;
+                }
+                this.mapSection(section, result);
+            });
+            result.narrative = notes.join('\n\n');
+        } finally {
+            this.narrativeIds = null;
+        }
+
+        result.rawText = this.fhirImporter.toText(result);
+        const sources = Object.entries(result.sectionSources).map(([category, origin]) => `${category} ${origin}`).join(', ');
+        console.log(`✅ ${result.documentType} mapped: ${this.fhirImporter.describeCounts(result)} (${sources || 'nothing mapped'})`);
+        return result;
+    }
+
+    // ========== HEADER ==========
+
+    mapPatientInfo(root) {
+        const info = {};
+        const patientRole = this.child(root, 'recordTarget', 'patientRole');
+        if (patientRole) {
+            const name = this.formatName(this.child(patientRole, 'patient', 'name'));
+            if (name) info.name = name;
+
+            const birthTime = this.attr(this.child(patientRole, 'patient', 'birthTime'), 'value');
+            if (birthTime) info.dob = this.toIsoDate(birthTime).slice(0, 10);
+
+            const mrn = this.children(patientRole, 'id')
+                .find(id => this.attr(id, 'extension') && this.attr(id, 'root') !== this.ssnRoot);
+            if (mrn) info.mrn = this.attr(mrn, 'extension');
+        }
+
+        const encounter = this.child(root, 'componentOf', 'encompassingEncounter');
+        if (encounter) {
+            const effectiveTime = this.child(encounter, 'effectiveTime');
+            const start = this.attr(this.child(effectiveTime, 'low'), 'value');
+            const end = this.attr(this.child(effectiveTime, 'high'), 'value');
+            if (start) info.admissionDate = this.fhirImporter.localDateTime(this.toIsoDate(start)).date;
+            if (end) info.dischargeDate = this.fhirImporter.localDateTime(this.toIsoDate(end)).date;
+
+            const participants = this.children(encounter, 'encounterParticipant');
+            const attending = participants.find(participant => this.attr(participant, 'typeCode') === 'ATND') ||
+                participants.find(participant => this.attr(participant, 'typeCode') === 'DIS');
+            const attendingName = this.formatName(this.child(attending, 'assignedEntity', 'assignedPerson', 'name')) ||
+                this.formatName(this.child(encounter, 'responsibleParty', 'assignedEntity', 'assignedPerson', 'name'));
+            if (attendingName) info.attending = attendingName;
+
+            const facility = this.child(encounter, 'location', 'healthCareFacility');
+            const unit = this.nodeText(this.child(facility, 'location', 'name')) || this.codeText(this.child(facility, 'code'));
+            if (unit) info.unit = unit;
+        }
+
+        return Object.keys(info).length > 0 ? info : null;
+    }
+
+    // ========== SECTIONS ==========
+
+    /**
+     * Every section in document order, nested ones included, with its kind (null when not one we map)
+     */
+    findSections(parent, found = []) {
+        this.children(parent, 'component').forEach(component => {
+            const element = this.child(component, 'section');
+            if (!element) return;
+
+            const code = this.attr(this.child(element, 'code'), 'code');
+            const templates = this.children(element, 'templateId').map(id => this.attr(id, 'root'));
+            const type = this.sectionTypes.find(entry => entry.codes.includes(code)) ||
+                this.sectionTypes.find(entry => entry.templates.some(root => templates.includes(root)));
+            found.push({ element, kind: type?.kind || null, title: this.nodeText(this.child(element, 'title')) });
+            this.findSections(element, found);
+        });
+        return found;
+    }
+
+    /**
+     * Coded entries first; the narrative only when they yield nothing, since it repeats the same items
+     */
+    mapSection(section, result) {
+        const codedCount = this.track(result, 'coded', () => {
+            this.children(section.element, 'entry').forEach(entry => {
+                const statement = this.elementChildren(entry)[0];
+                if (statement) this.mapEntry(section.kind, statement, result);
+            });
+        });
+        if (codedCount === 0) {
+            this.track(result, 'narrative', () => {
+                this.mapNarrative(section.kind, this.narrativeLines(this.child(section.element, 'text')), result);
+            });
+        }
+    }
+
+    mapEntry(kind, statement, result) {
+        if (!this.isCurrent(statement)) return;
+
+        switch (kind) {
+            case 'dischargeDiagnoses':
+            case 'problems':
+                // A completed problem concern is a resolved problem
+                if (kind === 'problems' && statement.localName === 'act' && this.attr(this.child(statement, 'statusCode'), 'code') === 'completed') {
+                    return;
+                }
+                this.problemObservations(statement).forEach(observation => {
+                    this.fhirImporter.addItem(result.diagnoses,
+                        this.codeText(this.child(observation, 'value')) || this.statementText(observation));
+                });
+                break;
+            case 'dischargeMedications':
+            case 'medications':
+                this.substanceAdministrations(statement).forEach(administration => this.mapMedication(administration, result));
+                break;
+            case 'procedures':
+                if (!this.plannedMoods.includes(this.attr(statement, 'moodCode'))) {
+                    this.fhirImporter.addItem(result.procedures, this.codeText(this.child(statement, 'code')) || this.statementText(statement));
+                }
+                break;
+            case 'plan':
+                if (statement.localName === 'encounter') {
+                    this.mapPlannedEncounter(statement, result);
+                } else {
+                    this.addInstructionText(result, this.statementText(statement));
+                }
+                break;
+            case 'instructions':
+                this.addInstructionText(result, this.statementText(statement));
+                break;
+        }
+    }
+
+    /**
+     * Problem observations inside a concern act, or the observation itself
+     */
+    problemObservations(statement) {
+        if (statement.localName === 'observation') {
+            return [statement];
+        }
+        return this.children(statement, 'entryRelationship')
+            .map(relationship => this.child(relationship, 'observation'))
+            .filter(observation => observation && this.isCurrent(observation));
+    }
+
+    substanceAdministrations(statement) {
+        if (statement.localName === 'substanceAdministration') {
+            return [statement];
+        }
+        return this.children(statement, 'entryRelationship')
+            .map(relationship => this.child(relationship, 'substanceAdministration'))
+            .filter(administration => administration && this.isCurrent(administration));
+    }
+
+    /**
+     * Section narrative: one item per list item, paragraph or table row
+     */
+    mapNarrative(kind, lines, result) {
+        const items = lines.filter(line => !line.caption);
+        switch (kind) {
+            case 'dischargeDiagnoses':
+            case 'problems':
+                // Table rows carry status and dates in later columns
+                items.forEach(line => this.fhirImporter.addItem(result.diagnoses, line.cells[0]));
+                break;
+            case 'procedures':
+                items.forEach(line => this.fhirImporter.addItem(result.procedures, line.cells[0]));
+                break;
+            case 'dischargeMedications':
+            case 'medications':
+                // Medication tables: name, then directions
+                items.forEach(line => this.fhirImporter.addMedication(result, line.cells[0], line.cells[1] || '', {}));
+                break;
+            case 'plan':
+                items.forEach(line => {
+                    const text = line.cells.join(', ');
+                    if (/follow[- ]?up|appointment|\bsee\s+(?:dr\b|your\s+(?:doctor|provider))/i.test(text)) {
+                        this.fhirImporter.addItem(result.followUp, text);
+                    } else {
+                        this.addInstructionText(result, text);
+                    }
+                });
+                break;
+            case 'instructions':
+                // Captions become headers, so "Return precautions" lines still go to returnReasons
+                this.fhirImporter.addInstructionDocument(result, lines
+                    .map(line => line.caption ? `${line.cells[0].replace(/:$/, '')}:` : line.cells.join(', '))
+                    .join('\n'));
+                break;
+        }
+    }
+
+    addInstructionText(result, text) {
+        if (text) {
+            this.fhirImporter.addInstruction(result, text);
+        }
+    }
+
+    // ========== MEDICATIONS AND APPOINTMENTS ==========
+
+    mapMedication(administration, result) {
+        const material = this.child(administration, 'consumable', 'manufacturedProduct', 'manufacturedMaterial');
+        const name = this.codeText(this.child(material, 'code')) || this.nodeText(this.child(material, 'name'));
+        if (!name) return;
+
+        // Patient instructions are nested Instruction acts
+        const instructions = this.children(administration, 'entryRelationship')
+            .map(relationship => this.child(relationship, 'act'))
+            .filter(act => act && this.hasTemplate(act, this.instructionTemplate))
+            .map(act => this.statementText(act))
+            .filter(Boolean);
+        const sig = [this.referencedText(this.child(administration, 'text')), ...instructions].filter(Boolean).join('. ');
+
+        const supply = this.children(administration, 'entryRelationship')
+            .map(relationship => this.child(relationship, 'supply'))
+            .find(Boolean);
+        const supplyQuantity = this.child(supply, 'quantity');
+
+        this.fhirImporter.addMedication(result, name, sig, this.fhirImporter.structuredDosage(
+            this.toDosage(administration),
+            supplyQuantity ? { dispenseRequest: { quantity: this.toQuantity(supplyQuantity) } } : {}
+        ));
+    }
+
+    /**
+     * The substanceAdministration's dose, route and timing as a FHIR Dosage, for the shared dosage mapping
+     */
+    toDosage(administration) {
+        const dosage = {};
+
+        const dose = this.child(administration, 'doseQuantity');
+        if (dose && this.attr(dose, 'value')) {
+            const quantity = this.toQuantity(dose);
+            // Unit "1" means a count of the administration unit (tablets, capsules)
+            if (!quantity.unit || quantity.unit === '1') {
+                quantity.unit = this.codeText(this.child(administration, 'administrationUnitCode'));
+            }
+            dosage.doseAndRate = [{ doseQuantity: quantity }];
+        }
+
+        const route = this.codeText(this.child(administration, 'routeCode'));
+        if (route) dosage.route = { text: route };
+
+        const repeat = {};
+        this.children(administration, 'effectiveTime').forEach(time => {
+            const type = this.xsiType(time);
+            if (type === 'PIVL_TS') {
+                const period = this.child(time, 'period');
+                const value = parseFloat(this.attr(period, 'value'));
+                const unit = this.attr(period, 'unit');
+                if (!value || !unit) return;
+                // institutionSpecified: "every 12 h" means twice a day at the usual times
+                if (this.attr(time, 'institutionSpecified') === 'true' && unit === 'h') {
+                    Object.assign(repeat, { frequency: Math.round(24 / value), period: 1, periodUnit: 'd' });
+                } else {
+                    Object.assign(repeat, { frequency: 1, period: value, periodUnit: unit });
+                }
+            } else if (type === 'EIVL_TS') {
+                const event = this.attr(this.child(time, 'event'), 'code');
+                if (event) repeat.when = [event];
+            } else {
+                const start = this.attr(this.child(time, 'low'), 'value');
+                const end = this.attr(this.child(time, 'high'), 'value');
+                if (start && end) {
+                    repeat.boundsPeriod = {
+                        start: this.fhirImporter.localDateTime(this.toIsoDate(start)).date,
+                        end: this.fhirImporter.localDateTime(this.toIsoDate(end)).date
+                    };
+                }
+            }
+        });
+        if (Object.keys(repeat).length > 0) {
+            dosage.timing = { repeat };
+        }
+
+        const precondition = this.child(administration, 'precondition');
+        if (precondition) {
+            dosage.asNeededBoolean = true;
+            const reason = this.codeText(this.child(precondition, 'criterion', 'value'));
+            if (reason) dosage.asNeededCodeableConcept = { text: reason };
+        }
+        return dosage;
+    }
+
+    /**
+     * A planned encounter in the Plan of Treatment is a follow-up appointment
+     */
+    mapPlannedEncounter(encounter, result) {
+        const time = this.child(encounter, 'effectiveTime');
+        const start = this.attr(time, 'value') || this.attr(this.child(time, 'low'), 'value');
+
+        const assignedEntity = this.child(encounter, 'performer', 'assignedEntity');
+        const location = this.children(encounter, 'participant')
+            .find(participant => this.attr(participant, 'typeCode') === 'LOC');
+        const locationRole = this.child(location, 'participantRole');
+        const phone = this.attr(this.child(locationRole, 'telecom') || this.child(assignedEntity, 'telecom'), 'value');
+
+        this.fhirImporter.addAppointment(result, {
+            description: this.referencedText(this.child(encounter, 'text')),
+            specialty: this.codeText(this.child(assignedEntity, 'code')),
+            provider: this.formatName(this.child(assignedEntity, 'assignedPerson', 'name')) ||
+                this.nodeText(this.child(assignedEntity, 'representedOrganization', 'name')) || null,
+            start: start ? this.toIsoDate(start) : null,
+            location: this.nodeText(this.child(locationRole, 'playingEntity', 'name')) || null,
+            phone: phone ? phone.replace(/^tel:/i, '') : null
+        });
+    }
+
+    // ========== NARRATIVE ==========
+
+    /**
+     * Lines of a section's narrative block; table rows keep their cells apart.
+     * Header rows are dropped and table captions are returned with caption: true.
+     * @returns {{ cells: string[], caption: boolean }[]}
+     */
+    narrativeLines(text) {
+        const lines = [];
+        if (!text) return lines;
+
+        let buffer = '';
+        const flush = () => {
+            const value = buffer.replace(/\s+/g, ' ').trim();
+            if (value) lines.push({ cells: [value], caption: false });
+            buffer = '';
+        };
+        const walk = node => {
+            Array.from(node.childNodes || []).forEach(child => {
+                if (child.nodeType === 3 || child.nodeType === 4) {
+                    buffer += child.nodeValue;
+                    return;
+                }
+                if (child.nodeType !== 1) return;
+
+                const name = child.localName;
+                if (name === 'thead' || name === 'footnote') {
+                    return;
+                }
+                if (name === 'br') {
+                    flush();
+                } else if (name === 'tr') {
+                    flush();
+                    const cells = this.elementChildren(child).filter(cell => ['td', 'th'].includes(cell.localName));
+                    if (cells.some(cell => cell.localName === 'td')) {
+                        const values = cells.map(cell => this.nodeText(cell));
+                        if (values.some(Boolean)) lines.push({ cells: values.filter(Boolean), caption: false });
+                    }
+                } else if (name === 'caption') {
+                    flush();
+                    const caption = this.nodeText(child);
+                    if (caption) lines.push({ cells: [caption], caption: true });
+                } else if (['paragraph', 'item', 'list', 'table', 'tbody', 'tfoot'].includes(name)) {
+                    flush();
+                    walk(child);
+                    flush();
+                } else {
+                    walk(child);
+                }
+            });
+        };
+        walk(text);
+        flush();
+        return lines;
+    }
+
+    /**
+     * Narrative elements by ID, for <reference value="#..."/> lookups
+     */
+    collectIds(root) {
+        const ids = new Map();
+        const walk = node => {
+            this.elementChildren(node).forEach(element => {
+                const id = this.attr(element, 'ID');
+                if (id) ids.set(id, element);
+                walk(element);
+            });
+        };
+        walk(root);
+        return ids;
+    }
+
+    /**
+     * Text of an element that may point into the narrative with a reference
+     */
+    referencedText(element) {
+        if (!element) return null;
+        const reference = this.attr(this.child(element, 'reference'), 'value');
+        if (reference?.startsWith('#')) {
+            const target = this.narrativeIds?.get(reference.slice(1));
+            if (target) return this.nodeText(target);
+        }
+        return this.nodeText(element);
+    }
+
+    statementText(statement) {
+        return this.referencedText(this.child(statement, 'text')) || this.codeText(this.child(statement, 'code'));
+    }
+
+    /**
+     * Readable text of a coded value: its original text, display name or a translation's display name
+     */
+    codeText(code) {
+        if (!code) return null;
+        return this.referencedText(this.child(code, 'originalText')) ||
+            this.attr(code, 'displayName') ||
+            this.children(code, 'translation').map(translation => this.attr(translation, 'displayName')).find(Boolean) ||
+            null;
+    }
+
+    // ========== HELPERS ==========
+
+    /**
+     * Run a mapping step and mark every category it added items to with the given origin
+     * @returns {number} Items added
+     */
+    track(result, origin, mapping) {
+        const categories = ['diagnoses', 'medications', 'instructions', 'followUp', 'returnReasons', 'procedures'];
+        const before = categories.map(category => result[category].length);
+        mapping();
+
+        let added = 0;
+        categories.forEach((category, index) => {
+            const count = result[category].length - before[index];
+            if (count === 0) return;
+            added += count;
+            const current = result.sectionSources[category];
+            result.sectionSources[category] = current && current !== origin ? 'mixed' : origin;
+        });
+        return added;
+    }
+
+    isCurrent(statement) {
+        return this.attr(statement, 'negationInd') !== 'true' &&
+            !this.excludedStatuses.includes(this.attr(this.child(statement, 'statusCode'), 'code'));
+    }
+
+    hasTemplate(element, root) {
+        return this.children(element, 'templateId').some(id => this.attr(id, 'root') === root);
+    }
+
+    formatName(name) {
+        if (!name) return null;
+        const parts = this.elementChildren(name);
+        if (parts.length === 0) {
+            return this.nodeText(name);
+        }
+        return ['prefix', 'given', 'family', 'suffix']
+            .flatMap(part => parts.filter(element => element.localName === part).map(element => this.nodeText(element)))
+            .filter(Boolean)
+            .join(' ') || null;
+    }
+
+    /**
+     * HL7 timestamp (20261016143000-0500) in ISO form at the precision it was recorded: "2026",
+     * "2026-11" and "2026-11-05" stay as they are, a time keeps its UTC offset when it has one
+     */
+    toIsoDate(value) {
+        const match = String(value).match(/^(\d{4})(\d{2})?(\d{2})?(?:(\d{2})(\d{2})?(\d{2})?)?(?:\.\d+)?(?:([+-]\d{2})(\d{2})?)?/);
+        if (!match) return value;
+        const [, year, month, day, hours, minutes = '00', seconds = '00', offsetHours, offsetMinutes = '00'] = match;
+        const date = [year, month, day].filter(Boolean).join('-');
+        if (!day || !hours) return date;
+        const offset = offsetHours ? `${offsetHours}:${offsetMinutes}` : '';
+        return `${date}T${hours}:${minutes}:${seconds}${offset}`;
+    }
+
+    toQuantity(element) {
+        const value = parseFloat(this.attr(element, 'value'));
+        // UCUM annotations such as {capsule} are plain words
+        const unit = this.attr(element, 'unit')?.replace(/^\{(.*)\}$/, '$1') || null;
+        return { value: Number.isNaN(value) ? undefined : value, unit };
+    }
+
+    xsiType(element) {
+        const type = element.getAttributeNS?.(this.xsiNamespace, 'type') || this.attr(element, 'xsi:type') || '';
+        return type.split(':').pop();
+    }
+
+    /**
+     * First element at the end of a path of child element names
+     */
+    child(node, ...names) {
+        let current = node;
+        for (const name of names) {
+            current = current && this.children(current, name)[0];
+        }
+        return current || null;
+    }
+
+    children(node, name) {
+        return this.elementChildren(node).filter(element => element.localName === name);
+    }
+
+    elementChildren(node) {
+        return node ? Array.from(node.childNodes || []).filter(child => child.nodeType === 1) : [];
+    }
+
+    attr(element, name) {
+        return element?.getAttribute(name) || null;
+    }
+
+    nodeText(element) {
+        return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() || null : null;
+    }
+}
+
+// Export for use in the medical parser
+window.CCDAImporter = CCDAImporter;
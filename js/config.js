@@ -10,7 +10,69 @@ class AppConfig {
             // Translation API Keys
             GOOGLE_TRANSLATE_API_KEY: 'YOUR_API_KEY_HERE',
             MICROSOFT_TRANSLATOR_KEY: '',
+            MICROSOFT_TRANSLATOR_REGION: 'global',
             DEEPL_API_KEY: '',
+            // Target language → DeepL glossary id
+            DEEPL_GLOSSARY_IDS: {},
+
+            // Self-hosted LibreTranslate server, e.g. 'https://translate.example-hospital.org'
+            LIBRETRANSLATE_URL: '',
+            LIBRETRANSLATE_API_KEY: '',
+            // Public LibreTranslate servers, tried after the configured providers
+            LIBRETRANSLATE_PUBLIC_ENDPOINTS: [
+                'https://libretranslate.com/translate',
+                'https://libretranslate.de/translate'
+            ],
+
+            // Provider order per target language, e.g. { th: ['google', 'azure'] }.
+            // Providers not listed follow in the default order.
+            TRANSLATION_PROVIDER_PRIORITY: {},
+            // Batch requests in flight at once during translation
+            TRANSLATION_MAX_CONCURRENCY: 4,
+
+            // Translation memory (IndexedDB); least-recently-used machine translations are evicted above the limit
+            TRANSLATION_MEMORY_ENABLED: true,
+            TRANSLATION_MEMORY_MAX_ENTRIES: 5000,
+
+            // Medical terminology glossary (fixed translations and do-not-translate terms)
+            GLOSSARY_URL: 'data/glossary.json',
+
+            // Back-translation check: items scoring below the threshold are flagged for interpreter review
+            VERIFY_TRANSLATIONS: false,
+            VERIFY_FIDELITY_THRESHOLD: 0.6,
+
+            // Show the English source beside each translated item on screen, in HTML and in the PDF
+            BILINGUAL_LAYOUT: false,
+
+            // 'online' uses the configured providers; 'offline' translates only with the bundled phrase packs
+            TRANSLATION_MODE: 'online',
+            PHRASE_PACK_URL: 'data/phrase-packs/',
+
+            // QR payload: base45 characters per code; larger payloads are split into a numbered sequence
+            QR_CHUNK_SIZE: 1600,
+            QR_MAX_CHUNKS: 8,
+            // QR encryption: 'pin' (a PIN per document, given to the patient separately) or 'facility' (shared key below)
+            QR_ENCRYPTION: 'pin',
+            QR_PIN_LENGTH: 6,
+            // Base64 AES-256 key shared by this facility's devices, for 'facility' mode
+            QR_FACILITY_KEY: '',
+            // Issuing devices: { keyId, privateKey: <ECDSA P-256 JWK> }; see QRPayloadSecurity.generateFacilityKeys()
+            QR_SIGNING_KEY: null,
+            // Public keys of facilities whose codes are accepted: { keyId: <JWK> }
+            QR_TRUSTED_SIGNERS: {},
+
+            // OCR of printed sheets (bundled Tesseract): English model, medical wordlist,
+            // and the word confidence (0-100) below which words are highlighted for correction
+            OCR_LANG_PATH: 'data/ocr',
+            OCR_WORDLIST_URL: 'data/ocr/eng.medical-words',
+            OCR_MIN_CONFIDENCE: 75,
+
+            // Message catalogs for the app and the generated documents, one file per locale
+            I18N_URL: 'data/i18n/',
+
+            // PDF text: Noto font subsets per script (see data/fonts/manifest.json) and the HarfBuzz shaper
+            PDF_FONT_PATH: 'data/fonts/',
+            PDF_SHAPER_URL: 'js/vendor/hb.wasm',
             
             // App settings
             DEBUG_MODE: false,
@@ -18,7 +80,14 @@ class AppConfig {
                 'en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'zh', 
                 'ja', 'ko', 'ar', 'hi', 'th', 'vi'
             ],
-            DEFAULT_LANGUAGE: 'en'
+            DEFAULT_LANGUAGE: 'en',
+
+            // Extra discharge-note header synonyms per parser category,
+            // e.g. { instructions: ['nursing instructions'] }
+            SECTION_HEADER_SYNONYMS: {},
+
+            // Days shown in the medication schedule when no duration is prescribed
+            SCHEDULE_DEFAULT_DAYS: 7
         };
     }
 
@@ -23,12 +23,23 @@ class MedicalDocumentGenerator {
         // QR Code settings
         this.qrConfig = {
             size: 150,
-            margin: 2,
+            margin: 4,
+            errorCorrectionLevel: 'M',
             color: {
                 dark: '#000000',
                 light: '#FFFFFF'
             }
         };
+
+        this.scheduleBuilder = window.MedicationScheduleBuilder ? new MedicationScheduleBuilder() : null;
+        this.qrCodec = window.QRPayloadCodec ? new QRPayloadCodec() : null;
+        this.qrEncoder = window.QREncoder ? new QREncoder() : null;
+        this.fhirExporter = window.FHIRExporter ? new FHIRExporter({ documentGenerator: this }) : null;
+        this.pdfText = window.PDFTextRenderer ? new PDFTextRenderer() : null;
+        this.i18n = window.i18n || null;
+
+        // Languages written right to left: the HTML document is mirrored and PDF items are right-aligned
+        this.rtlLanguages = ['ar', 'he', 'fa', 'ur'];
     }
 
     /**
@@ -42,121 +53,102 @@ class MedicalDocumentGenerator {
     }
 
     /**
-     * Generate QR code containing medical data with fallback support
+     * Generate the QR code(s) for a discharge summary.
+     * Only the English items and the target language are encoded; the scanning device translates them again,
+     * which keeps the payload small enough for one code in most cases.
+     * The payload is encrypted and signed; in PIN mode a new PIN is generated for every code set.
+     * @returns {Promise<Object>} { dataURL, rawData, size, codes: [{ dataURL, svg, version, rawData, index }], total, pin }
      */
     async generateQRCode(dischargeData, translationData, language = 'en') {
         try {
             console.log('🔄 Starting QR code generation...');
-            
-            // Create structured data for QR code
-            const qrData = {
-                version: '1.0',
-                type: 'medical_discharge',
-                timestamp: new Date().toISOString(),
-                language: language,
-                hospital: {
-                    name: this.hospitalConfig.name,
-                    phone: this.hospitalConfig.phone
-                },
-                data: {
-                    original: dischargeData,
-                    translated: translationData,
-                    language: language
-                }
-            };
 
-            const qrString = JSON.stringify(qrData);
-            console.log('QR data prepared, length:', qrString.length);
-
-            let qrCodeDataURL;
-
-            // Method 1: Try primary QRCode library
-            if (typeof QRCode !== 'undefined') {
-                console.log('✅ Using primary QRCode library');
-                qrCodeDataURL = await new Promise((resolve, reject) => {
-                    QRCode.toDataURL(qrString, {
-                        width: this.qrConfig.size,
-                        margin: this.qrConfig.margin,
-                        color: this.qrConfig.color,
-                        errorCorrectionLevel: 'M'
-                    }, (error, url) => {
-                        if (error) {
-                            console.warn('Primary QRCode failed:', error);
-                            reject(error);
-                        } else {
-                            console.log('✅ Primary QRCode succeeded');
-                            resolve(url);
-                        }
-                    });
-                });
-            } 
-            // Method 2: Fallback to QR service
-            else {
-                console.log('⚠️ Primary QRCode not available, using fallback');
-                qrCodeDataURL = await this.generateQRCodeFallback(qrString);
+            if (!this.qrCodec) {
+                throw new Error('QR payload codec not loaded');
+            }
+
+            // Without a facility signing key no code can be issued; staff are told so instead of a generic failure
+            if (this.qrCodec.security && !this.qrCodec.security.canSign()) {
+                console.warn('⚠️ QR signing is not configured (QR_SIGNING_KEY); see the README');
+                return this.createQRCodePlaceholder('QR_SIGNING_KEY is not set', 'signing_not_configured');
             }
 
+            const pin = this.qrCodec.security?.mode === 'pin' ? this.qrCodec.security.generatePin() : null;
+            const chunks = await this.qrCodec.encode(this.buildQRDocument(dischargeData, language), { pin });
+            const codes = chunks.map((chunk, position) => ({
+                ...this.renderQRCode(chunk),
+                rawData: chunk,
+                index: position + 1
+            }));
+
             return {
-                dataURL: qrCodeDataURL,
-                rawData: qrString,
-                size: this.qrConfig.size
+                dataURL: codes[0].dataURL,
+                rawData: chunks.join('\n'),
+                size: this.qrConfig.size,
+                codes,
+                total: codes.length,
+                pin
             };
 
         } catch (error) {
             console.error('❌ QR code generation failed:', error);
             
-            // Method 3: Final fallback - create placeholder
+            // Final fallback - create placeholder
             return this.createQRCodePlaceholder(error.message);
         }
     }
 
     /**
-     * Fallback QR code generation using external service
+     * The fields carried in the QR payload
      */
-    async generateQRCodeFallback(qrString) {
-        try {
-            const size = this.qrConfig.size;
-            const url = `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&data=${encodeURIComponent(qrString)}`;
-            
-            console.log('🔄 Trying fallback QR service...');
-            
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-                
-                img.onload = function() {
-                    try {
-                        const canvas = document.createElement('canvas');
-                        canvas.width = this.width;
-                        canvas.height = this.height;
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(this, 0, 0);
-                        console.log('✅ Fallback QR service succeeded');
-                        resolve(canvas.toDataURL());
-                    } catch (canvasError) {
-                        console.error('Canvas error:', canvasError);
-                        reject(canvasError);
-                    }
-                };
-                
-                img.onerror = function() {
-                    const error = new Error('Fallback QR service failed to load image');
-                    console.error('❌ Fallback QR service failed');
-                    reject(error);
-                };
-                
-                img.src = url;
-            });
-        } catch (error) {
-            console.error('Fallback QR generation error:', error);
-            throw error;
+    buildQRDocument(dischargeData, language) {
+        const sections = {};
+        ['diagnoses', 'medications', 'instructions', 'followUp', 'returnReasons', 'procedures'].forEach(section => {
+            sections[section] = dischargeData?.[section] || [];
+        });
+
+        return {
+            language,
+            issuedAt: new Date().toISOString().slice(0, 10),
+            hospital: {
+                name: this.hospitalConfig.name,
+                phone: this.hospitalConfig.phone
+            },
+            sections,
+            patientInfo: dischargeData?.patientInfo || null
+        };
+    }
+
+    /**
+     * Render one QR string locally, as a PNG data URL and as SVG markup
+     */
+    renderQRCode(qrString) {
+        if (!this.qrEncoder) {
+            throw new Error('QR encoder not loaded');
         }
+
+        const symbol = this.qrEncoder.encode(qrString, { errorCorrectionLevel: this.qrConfig.errorCorrectionLevel });
+        // At least 4 px per module so dense codes stay sharp when scaled down on screen or in the PDF
+        const scale = Math.max(4, Math.ceil(this.qrConfig.size / (symbol.size + this.qrConfig.margin * 2)));
+        const options = {
+            scale,
+            margin: this.qrConfig.margin,
+            dark: this.qrConfig.color.dark,
+            light: this.qrConfig.color.light
+        };
+
+        return {
+            dataURL: this.qrEncoder.toDataURL(symbol, options),
+            svg: this.qrEncoder.toSVG(symbol, options),
+            version: symbol.version
+        };
     }
 
     /**
      * Create a placeholder when all QR generation methods fail
+     * @param {string} reason - 'signing_not_configured' when no facility signing key is set, otherwise 'failed'
      */
-    createQRCodePlaceholder(errorMessage = 'QR generation failed') {
+    createQRCodePlaceholder(errorMessage = 'QR generation failed', reason = 'failed') {
         console.log('🔄 Creating QR placeholder...');
         
         const canvas = document.createElement('canvas');
@@ -185,6 +177,7 @@ class MedicalDocumentGenerator {
             rawData: JSON.stringify({ error: errorMessage }),
             size: this.qrConfig.size,
             isPlaceholder: true,
+            reason,
             error: errorMessage
         };
     }
@@ -192,17 +185,29 @@ class MedicalDocumentGenerator {
     /**
      * Generate professional PDF discharge document with QR code
      */
-    async generatePDF(dischargeData, translationData, language = 'en') {
+    async generatePDF(dischargeData, translationData, language = 'en', options = {}) {
         try {
             console.log('🔄 Starting PDF generation...');
             
-            // Check if jsPDF is available
-            if (typeof jsPDF === 'undefined') {
+            // Check if jsPDF is available (the UMD build exports it as window.jspdf.jsPDF)
+            const jsPDF = window.jspdf?.jsPDF || window.jsPDF;
+            if (!jsPDF) {
                 throw new Error('jsPDF library not loaded. Please check your script tags.');
             }
+            if (!this.pdfText) {
+                throw new Error('PDF text renderer not loaded. Please check your script tags.');
+            }
 
-            const { jsPDF } = window;
             const doc = new jsPDF('p', 'mm', 'a4');
+
+            // Labels come from the message catalog, which loads each locale on first use
+            await this.i18n?.load(language);
+
+            // Embed fonts for every script in the document (Helvetica only covers Latin-1)
+            await this.pdfText.prepare(doc, {
+                language,
+                text: JSON.stringify([dischargeData, translationData, this.hospitalConfig])
+            });
             
             let yPosition = 20;
             const pageWidth = doc.internal.pageSize.getWidth();
@@ -211,17 +216,17 @@ class MedicalDocumentGenerator {
 
             // Generate QR code first
             console.log('🔄 Generating QR code for PDF...');
-            const qrCode = await this.generateQRCode(dischargeData, translationData, language);
+            const qrCode = options.qrCode || await this.generateQRCode(dischargeData, translationData, language);
 
             // Document header
-            yPosition = this.addDocumentHeader(doc, yPosition, pageWidth, margin);
+            yPosition = this.addDocumentHeader(doc, yPosition, pageWidth, margin, language);
             
             // Add QR code to top right
-            this.addQRCodeToPDF(doc, qrCode, pageWidth - 60, 20);
+            this.addQRCodeToPDF(doc, qrCode, pageWidth - 60, 20, language);
             
             // Patient information section (if available)
             if (dischargeData.patientInfo) {
-                yPosition = this.addPatientInfo(doc, dischargeData.patientInfo, yPosition, margin, contentWidth);
+                yPosition = this.addPatientInfo(doc, dischargeData.patientInfo, yPosition, margin, contentWidth, language);
             }
             
             // Language indicator
@@ -229,6 +234,7 @@ class MedicalDocumentGenerator {
             
             // QR Code information section
             yPosition = this.addQRCodeInfo(doc, yPosition, margin, language);
+            yPosition = this.addQRSequenceToPDF(doc, qrCode, yPosition, margin, language);
             
             // Main content sections
             const sections = [
@@ -236,40 +242,49 @@ class MedicalDocumentGenerator {
                     key: 'diagnoses', 
                     title: this.getLocalizedSectionTitle('diagnoses', language),
                     icon: '🩺',
-                    data: translationData.diagnoses || dischargeData.diagnoses || []
+                    data: translationData.diagnoses || dischargeData.diagnoses || [],
+                    annotations: this.getItemAnnotations('diagnoses', dischargeData, translationData)
                 },
                 { 
                     key: 'procedures', 
                     title: this.getLocalizedSectionTitle('procedures', language),
                     icon: '⚕️',
-                    data: translationData.procedures || dischargeData.procedures || []
+                    data: translationData.procedures || dischargeData.procedures || [],
+                    annotations: this.getItemAnnotations('procedures', dischargeData, translationData)
                 },
                 { 
                     key: 'medications', 
                     title: this.getLocalizedSectionTitle('medications', language),
                     icon: '💊',
-                    data: translationData.medications || dischargeData.medications || []
+                    data: translationData.medications || dischargeData.medications || [],
+                    annotations: this.getItemAnnotations('medications', dischargeData, translationData)
                 },
                 { 
                     key: 'instructions', 
                     title: this.getLocalizedSectionTitle('instructions', language),
                     icon: '📋',
-                    data: translationData.instructions || dischargeData.instructions || []
+                    data: translationData.instructions || dischargeData.instructions || [],
+                    annotations: this.getItemAnnotations('instructions', dischargeData, translationData)
                 },
                 { 
                     key: 'returnReasons', 
                     title: this.getLocalizedSectionTitle('returnReasons', language),
                     icon: '🚨',
-                    data: translationData.returnReasons || dischargeData.returnReasons || []
+                    data: translationData.returnReasons || dischargeData.returnReasons || [],
+                    annotations: this.getItemAnnotations('returnReasons', dischargeData, translationData)
                 },
                 { 
                     key: 'followUp', 
                     title: this.getLocalizedSectionTitle('followUp', language),
                     icon: '📅',
-                    data: translationData.followUp || dischargeData.followUp || []
+                    data: translationData.followUp || dischargeData.followUp || [],
+                    annotations: this.getItemAnnotations('followUp', dischargeData, translationData)
                 }
             ];
 
+            // Bilingual layout: each translated item is followed by its English source
+            const bilingual = options.bilingual && language !== 'en';
+
             // Add each section
             for (const section of sections) {
                 if (section.data && section.data.length > 0) {
@@ -279,9 +294,17 @@ class MedicalDocumentGenerator {
                         yPosition = 20;
                     }
                     
-                    yPosition = this.addContentSection(doc, section, yPosition, margin, contentWidth);
+                    yPosition = bilingual
+                        ? this.addBilingualContentSection(doc, section, this.pairItems(dischargeData[section.key], section.data), yPosition, margin, contentWidth, language)
+                        : this.addContentSection(doc, section, yPosition, margin, contentWidth);
                 }
             }
+
+            // Day-by-slot medication schedule
+            const medicationSchedule = this.buildMedicationSchedule(dischargeData, translationData);
+            if (medicationSchedule.schedules.length > 0 || medicationSchedule.asNeeded.length > 0) {
+                yPosition = this.addMedicationSchedule(doc, medicationSchedule, yPosition, margin, contentWidth, language);
+            }
             
             // Footer with QR code instructions
             this.addDocumentFooterWithQR(doc, language);
@@ -293,7 +316,9 @@ class MedicalDocumentGenerator {
                 pdf: doc,
                 blob: doc.output('blob'),
                 filename: this.generateFilename('discharge-instructions', language),
-                qrCode: qrCode
+                qrCode: qrCode,
+                // Characters no bundled font could draw; they are blank in the PDF
+                missingCharacters: this.pdfText.getMissingCharacters(doc)
             };
             
         } catch (error) {
@@ -305,16 +330,18 @@ class MedicalDocumentGenerator {
     /**
      * Generate professional HTML document with QR code
      */
-    async generateHTML(dischargeData, translationData, language = 'en') {
+    async generateHTML(dischargeData, translationData, language = 'en', options = {}) {
         try {
             console.log('🔄 Starting HTML generation...');
+
+            await this.i18n?.load(language);
             
             const languageName = this.getLanguageName(language);
-            const currentDate = new Date().toLocaleDateString();
+            const currentDate = this.formatDocumentDate(language);
             
             // Generate QR code
             console.log('🔄 Generating QR code for HTML...');
-            const qrCode = await this.generateQRCode(dischargeData, translationData, language);
+            const qrCode = options.qrCode || await this.generateQRCode(dischargeData, translationData, language);
             
             const sections = [
                 { 
@@ -322,6 +349,7 @@ class MedicalDocumentGenerator {
                     title: this.getLocalizedSectionTitle('diagnoses', language),
                     icon: '🩺',
                     data: translationData.diagnoses || dischargeData.diagnoses || [],
+                    annotations: this.getItemAnnotations('diagnoses', dischargeData, translationData),
                     description: this.getLocalizedSectionDescription('diagnoses', language)
                 },
                 { 
@@ -329,6 +357,7 @@ class MedicalDocumentGenerator {
                     title: this.getLocalizedSectionTitle('procedures', language),
                     icon: '⚕️',
                     data: translationData.procedures || dischargeData.procedures || [],
+                    annotations: this.getItemAnnotations('procedures', dischargeData, translationData),
                     description: this.getLocalizedSectionDescription('procedures', language)
                 },
                 { 
@@ -336,6 +365,7 @@ class MedicalDocumentGenerator {
                     title: this.getLocalizedSectionTitle('medications', language),
                     icon: '💊',
                     data: translationData.medications || dischargeData.medications || [],
+                    annotations: this.getItemAnnotations('medications', dischargeData, translationData),
                     description: this.getLocalizedSectionDescription('medications', language)
                 },
                 { 
@@ -343,6 +373,7 @@ class MedicalDocumentGenerator {
                     title: this.getLocalizedSectionTitle('instructions', language),
                     icon: '📋',
                     data: translationData.instructions || dischargeData.instructions || [],
+                    annotations: this.getItemAnnotations('instructions', dischargeData, translationData),
                     description: this.getLocalizedSectionDescription('instructions', language)
                 },
                 { 
@@ -350,6 +381,7 @@ class MedicalDocumentGenerator {
                     title: this.getLocalizedSectionTitle('returnReasons', language),
                     icon: '🚨',
                     data: translationData.returnReasons || dischargeData.returnReasons || [],
+                    annotations: this.getItemAnnotations('returnReasons', dischargeData, translationData),
                     description: this.getLocalizedSectionDescription('returnReasons', language)
                 },
                 { 
@@ -357,22 +389,32 @@ class MedicalDocumentGenerator {
                     title: this.getLocalizedSectionTitle('followUp', language),
                     icon: '📅',
                     data: translationData.followUp || dischargeData.followUp || [],
+                    annotations: this.getItemAnnotations('followUp', dischargeData, translationData),
                     description: this.getLocalizedSectionDescription('followUp', language)
                 }
             ];
 
+            // Bilingual layout: English source and translation in two columns
+            const bilingual = options.bilingual && language !== 'en';
             const sectionsHTML = sections
                 .filter(section => section.data && section.data.length > 0)
-                .map(section => this.generateSectionHTML(section))
+                .map(section => bilingual
+                    ? this.generateBilingualSectionHTML(section, this.pairItems(dischargeData[section.key], section.data), language)
+                    : this.generateSectionHTML(section))
                 .join('');
 
+            const medicationSchedule = this.buildMedicationSchedule(dischargeData, translationData);
+            const scheduleHTML = medicationSchedule.schedules.length > 0 || medicationSchedule.asNeeded.length > 0
+                ? this.generateScheduleHTML(medicationSchedule, language)
+                : '';
+
             const htmlDocument = `
 <!DOCTYPE html>
-<html lang="${language}">
+<html lang="${language}" dir="${this.getTextDirection(language)}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Discharge Instructions - ${languageName}</title>
+    <title>${this.getLocalizedText('discharge_instructions', language)} - ${languageName}</title>
     <style>
         ${this.getDocumentCSS()}
     </style>
@@ -385,12 +427,13 @@ class MedicalDocumentGenerator {
                 <h1 class="hospital-name">${this.hospitalConfig.name}</h1>
                 <div class="hospital-contact">
                     <div>${this.hospitalConfig.address}</div>
-                    <div>Tel: ${this.hospitalConfig.phone}</div>
+                    <div>${this.getLocalizedText('tel', language)}: ${this.hospitalConfig.phone}</div>
                 </div>
             </div>
             <div class="qr-section">
-                <img src="${qrCode.dataURL}" alt="QR Code for Mobile Access" class="qr-code">
+                ${this.generateQRSequenceHTML(qrCode, language, 'qr-code', 'svg')}
                 <p class="qr-label">${this.getLocalizedText('scan_qr', language)}</p>
+                ${qrCode.total > 1 ? `<p class="qr-label">${this.getQRSequenceText(qrCode, language)}</p>` : ''}
             </div>
         </header>
 
@@ -415,6 +458,7 @@ class MedicalDocumentGenerator {
         <!-- Main Content -->
         <main class="document-content">
             ${sectionsHTML}
+            ${scheduleHTML}
         </main>
 
         <!-- Footer -->
@@ -445,6 +489,150 @@ class MedicalDocumentGenerator {
         }
     }
 
+    /**
+     * Generate an iCalendar (.ics) file with one event per follow-up appointment
+     */
+    generateICS(appointments, translationData = {}, language = 'en') {
+        try {
+            console.log('🔄 Starting ICS generation...');
+
+            const now = new Date();
+            const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+            const translatedFollowUp = translationData.followUp || [];
+
+            const events = (appointments || [])
+                .filter(appointment => appointment.date)
+                .map((appointment, index) => {
+                    const date = appointment.date.replace(/-/g, '');
+                    const who = appointment.provider ||
+                        (appointment.specialty && appointment.specialty.replace(/\b[a-z]/g, char => char.toUpperCase()));
+                    const summary = who
+                        ? `${this.getLocalizedText('follow_up_appointment', language)}: ${who}`
+                        : this.getLocalizedText('follow_up_appointment', language);
+
+                    const description = [translatedFollowUp[appointment.itemIndex] || appointment.text];
+                    if (appointment.phone) {
+                        description.push(`${this.getLocalizedText('phone', language)}: ${appointment.phone}`);
+                    }
+                    if (appointment.isApproximate) {
+                        description.push(this.getLocalizedText('approximate_date_note', language));
+                    }
+
+                    const lines = [
+                        'BEGIN:VEVENT',
+                        `UID:${date}-${index}-${now.getTime()}@discharge-translator`,
+                        `DTSTAMP:${stamp}`
+                    ];
+                    if (appointment.time) {
+                        // Local (floating) time; one hour is a reasonable default length
+                        const [hours, minutes] = appointment.time.split(':').map(Number);
+                        const end = new Date(`${appointment.date}T00:00:00`);
+                        end.setHours(hours + 1, minutes);
+                        const endDate = `${end.getFullYear()}${String(end.getMonth() + 1).padStart(2, '0')}${String(end.getDate()).padStart(2, '0')}`;
+                        const endTime = `${String(end.getHours()).padStart(2, '0')}${String(end.getMinutes()).padStart(2, '0')}00`;
+                        lines.push(`DTSTART:${date}T${appointment.time.replace(':', '')}00`);
+                        lines.push(`DTEND:${endDate}T${endTime}`);
+                    } else {
+                        lines.push(`DTSTART;VALUE=DATE:${date}`);
+                    }
+                    lines.push(`SUMMARY:${this.escapeICSText(summary)}`);
+                    if (appointment.location) {
+                        lines.push(`LOCATION:${this.escapeICSText(appointment.location)}`);
+                    }
+                    lines.push(`DESCRIPTION:${this.escapeICSText(description.join('\n'))}`);
+                    lines.push('END:VEVENT');
+                    return lines;
+                });
+
+            const calendar = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                `PRODID:-//${this.escapeICSText(this.hospitalConfig.name)}//Discharge Translator//${language.toUpperCase()}`,
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                ...events.flat(),
+                'END:VCALENDAR'
+            ].map(line => this.foldICSLine(line)).join('\r\n');
+
+            console.log(`✅ ICS generation completed (${events.length} events)`);
+
+            return {
+                ics: calendar + '\r\n',
+                filename: this.generateFilename('follow-up-appointments', language, 'ics'),
+                eventCount: events.length
+            };
+
+        } catch (error) {
+            console.error('❌ ICS generation failed:', error);
+            throw new Error(`Failed to generate calendar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate a FHIR R4 transaction Bundle for writing the translated instructions back to the chart:
+     * a Composition with one section per category, the PDF as a DocumentReference and per-section Provenance
+     */
+    async generateFHIR(dischargeData, translationData, language = 'en', options = {}) {
+        try {
+            console.log('🔄 Starting FHIR generation...');
+
+            if (!this.fhirExporter) {
+                throw new Error('FHIR exporter not loaded');
+            }
+
+            // The exact PDF the patient was given goes into the record
+            const pdfData = await this.generatePDF(dischargeData, translationData, language, options);
+            const bundle = await this.fhirExporter.buildBundle(dischargeData, translationData, language, {
+                pdf: pdfData,
+                hospital: this.hospitalConfig
+            });
+
+            console.log('✅ FHIR generation completed');
+
+            return {
+                json: JSON.stringify(bundle, null, 2),
+                bundle,
+                filename: this.generateFilename('discharge-instructions', language, 'json'),
+                qrCode: pdfData.qrCode,
+                missingCharacters: pdfData.missingCharacters
+            };
+
+        } catch (error) {
+            console.error('❌ FHIR generation failed:', error);
+            throw new Error(`Failed to generate FHIR bundle: ${error.message}`);
+        }
+    }
+
+    /**
+     * <img> tags for every code of a sequence, numbered when there is more than one
+     * @param {string} format - 'png', or 'svg' for documents that are printed at arbitrary sizes
+     */
+    generateQRSequenceHTML(qrCode, language, className, format = 'png') {
+        const codes = qrCode.codes || [{ dataURL: qrCode.dataURL, index: 1 }];
+        const source = code => format === 'svg' && code.svg
+            ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(code.svg)}`
+            : code.dataURL;
+        if (codes.length === 1) {
+            return `<img src="${source(codes[0])}" alt="QR Code" class="${className}">`;
+        }
+        return `
+            <div class="qr-sequence">
+                ${codes.map(code => {
+                    const label = this.getLocalizedText('qr_sequence_part', language, { index: code.index, total: codes.length });
+                    return `
+                    <figure class="qr-sequence-item">
+                        <img src="${source(code)}" alt="${label}" class="${className}">
+                        <figcaption>${label}</figcaption>
+                    </figure>`;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    getQRSequenceText(qrCode, language) {
+        return this.getLocalizedText('qr_sequence', language, { count: qrCode.total });
+    }
+
     /**
      * Display QR code in the current interface
      */
@@ -467,11 +655,15 @@ class MedicalDocumentGenerator {
         qrSection.innerHTML = `
             <h3>📱 ${this.getLocalizedText('mobile_access', language)}</h3>
             <div class="qr-container">
-                <img src="${qrCode.dataURL}" alt="QR Code" class="qr-code-display">
+                ${this.generateQRSequenceHTML(qrCode, language, 'qr-code-display')}
                 <div class="qr-instructions">
                     <p><strong>${this.getLocalizedText('scan_qr', language)}</strong></p>
                     <p>${this.getLocalizedText('qr_instructions', language)}</p>
-                    ${qrCode.isPlaceholder ? '<p style="color: #dc3545; font-size: 0.9em;">⚠️ QR code generation failed, but downloads are still available.</p>' : ''}
+                    ${qrCode.total > 1 ? `<p><strong>${this.getQRSequenceText(qrCode, language)}</strong></p>` : ''}
+                    ${qrCode.pin ? `<p class="qr-pin">🔑 ${this.getLocalizedText('qr_pin', language, { pin: `<strong>${qrCode.pin}</strong>` })}</p>` : ''}
+                    ${qrCode.reason === 'signing_not_configured'
+                        ? `<p class="qr-not-configured" role="alert">⚠️ ${this.getLocalizedText('qr_signing_not_configured', language)}</p>`
+                        : qrCode.isPlaceholder ? `<p style="color: #dc3545; font-size: 0.9em;">⚠️ ${this.getLocalizedText('qr_failed', language)}${qrCode.error ? ` (${this.escapeHtml(qrCode.error)})` : ''}</p>` : ''}
                 </div>
             </div>
         `;
@@ -493,6 +685,14 @@ class MedicalDocumentGenerator {
                 const blob = new Blob([documentData.html], { type: 'text/html' });
                 link.href = URL.createObjectURL(blob);
                 link.download = documentData.filename;
+            } else if (type === 'ics') {
+                const blob = new Blob([documentData.ics], { type: 'text/calendar' });
+                link.href = URL.createObjectURL(blob);
+                link.download = documentData.filename;
+            } else if (type === 'fhir') {
+                const blob = new Blob([documentData.json], { type: 'application/fhir+json' });
+                link.href = URL.createObjectURL(blob);
+                link.download = documentData.filename;
             }
             
             document.body.appendChild(link);
@@ -513,31 +713,33 @@ class MedicalDocumentGenerator {
     /**
      * Add document header to PDF
      */
-    addDocumentHeader(doc, yPosition, pageWidth, margin) {
+    addDocumentHeader(doc, yPosition, pageWidth, margin, language = 'en') {
         // Hospital name
         doc.setFontSize(18);
-        doc.setTextColor(this.hexToRgb(this.hospitalConfig.primaryColor));
-        doc.text(this.hospitalConfig.name, margin, yPosition);
+        doc.setTextColor(...this.hexToRgb(this.hospitalConfig.primaryColor));
+        this.pdfText.text(doc, this.hospitalConfig.name, margin, yPosition);
         yPosition += 10;
 
         // Hospital contact info
         doc.setFontSize(10);
         doc.setTextColor(100, 100, 100);
-        doc.text(this.hospitalConfig.address, margin, yPosition);
+        this.pdfText.text(doc, this.hospitalConfig.address, margin, yPosition);
         yPosition += 5;
-        doc.text(`Tel: ${this.hospitalConfig.phone}`, margin, yPosition);
+        this.pdfText.text(doc, `${this.getLocalizedText('tel', language)}: ${this.hospitalConfig.phone}`, margin, yPosition);
         yPosition += 10;
 
         // Title line
         doc.setLineWidth(1);
-        doc.setDrawColor(this.hexToRgb(this.hospitalConfig.primaryColor));
+        doc.setDrawColor(...this.hexToRgb(this.hospitalConfig.primaryColor));
         doc.line(margin, yPosition, pageWidth - margin, yPosition);
         yPosition += 15;
 
-        // Document title
+        // Document title, kept clear of the QR code in the top right corner
         doc.setFontSize(16);
         doc.setTextColor(0, 0, 0);
-        doc.text('DISCHARGE INSTRUCTIONS', margin, yPosition);
+        const title = this.getLocalizedText('document_title', language);
+        const titleLayout = this.getPDFLineLayout(title, margin, pageWidth - 65);
+        this.pdfText.text(doc, title, titleLayout.x, yPosition, titleLayout.options);
         yPosition += 15;
 
         return yPosition;
@@ -546,27 +748,25 @@ class MedicalDocumentGenerator {
     /**
      * Add patient information section to PDF
      */
-    addPatientInfo(doc, patientInfo, yPosition, margin, contentWidth) {
+    addPatientInfo(doc, patientInfo, yPosition, margin, contentWidth, language = 'en') {
+        const heading = this.getLocalizedText('patient_information', language);
+        const headingLayout = this.getPDFLineLayout(heading, margin, margin + contentWidth);
         doc.setFontSize(12);
-        doc.setTextColor(this.hexToRgb(this.hospitalConfig.primaryColor));
-        doc.text('Patient Information', margin, yPosition);
+        doc.setTextColor(...this.hexToRgb(this.hospitalConfig.primaryColor));
+        this.pdfText.text(doc, heading, headingLayout.x, yPosition, headingLayout.options);
         yPosition += 8;
 
         doc.setFontSize(10);
         doc.setTextColor(0, 0, 0);
         
-        if (patientInfo.name) {
-            doc.text(`Name: ${patientInfo.name}`, margin, yPosition);
-            yPosition += 5;
-        }
-        if (patientInfo.dob) {
-            doc.text(`Date of Birth: ${patientInfo.dob}`, margin, yPosition);
-            yPosition += 5;
-        }
-        if (patientInfo.mrn) {
-            doc.text(`MRN: ${patientInfo.mrn}`, margin, yPosition);
-            yPosition += 5;
-        }
+        this.getPatientInfoFields().forEach(field => {
+            if (patientInfo[field.key]) {
+                const line = `${this.getLocalizedText(field.label, language)}: ${patientInfo[field.key]}`;
+                const layout = this.getPDFLineLayout(line, margin, margin + contentWidth);
+                this.pdfText.text(doc, line, layout.x, yPosition, layout.options);
+                yPosition += 5;
+            }
+        });
         
         yPosition += 5;
         return yPosition;
@@ -577,86 +777,233 @@ class MedicalDocumentGenerator {
      */
     addLanguageIndicator(doc, language, yPosition, margin) {
         const languageName = this.getLanguageName(language);
+        const languageText = `${this.getLocalizedText('language', language)}: ${languageName}`;
+        const dateText = `${this.getLocalizedText('date', language)}: ${this.formatDocumentDate(language)}`;
+        const languageLayout = this.getPDFLineLayout(languageText, margin, margin + 75);
+        const dateLayout = this.getPDFLineLayout(dateText, margin + 80, margin + 155);
         doc.setFontSize(11);
         doc.setTextColor(0, 0, 0);
-        doc.text(`Language: ${languageName}`, margin, yPosition);
-        doc.text(`Date: ${new Date().toLocaleDateString()}`, margin + 80, yPosition);
+        this.pdfText.text(doc, languageText, languageLayout.x, yPosition, languageLayout.options);
+        this.pdfText.text(doc, dateText, dateLayout.x, yPosition, dateLayout.options);
         return yPosition + 15;
     }
 
     /**
      * Add QR code to PDF
      */
-    addQRCodeToPDF(doc, qrCode, x, y) {
+    addQRCodeToPDF(doc, qrCode, x, y, language = 'en') {
         const qrSize = 40; // Size in mm
         try {
             doc.addImage(qrCode.dataURL, 'PNG', x, y, qrSize, qrSize);
             
-            // Add QR code label
+            // Add QR code label; the rest of a sequence follows the QR information section
             doc.setFontSize(8);
             doc.setTextColor(100, 100, 100);
-            doc.text('Scan for mobile access', x + qrSize/2, y + qrSize + 5, { align: 'center' });
+            const label = qrCode.total > 1
+                ? this.getLocalizedText('qr_sequence_part', language, { index: 1, total: qrCode.total })
+                : this.getLocalizedText('qr_label', language);
+            this.pdfText.text(doc, label, x + qrSize/2, y + qrSize + 5, { align: 'center' });
         } catch (error) {
             console.warn('Failed to add QR code to PDF:', error);
             // Add text placeholder instead
             doc.setFontSize(8);
             doc.setTextColor(100, 100, 100);
-            doc.text('QR Code', x + qrSize/2, y + qrSize/2, { align: 'center' });
-            doc.text('Unavailable', x + qrSize/2, y + qrSize/2 + 3, { align: 'center' });
+            const lines = this.pdfText.splitTextToSize(doc, this.getLocalizedText('qr_unavailable', language), qrSize);
+            lines.forEach((line, index) => {
+                this.pdfText.text(doc, line, x + qrSize/2, y + qrSize/2 + index * 3, { align: 'center' });
+            });
         }
     }
 
+    /**
+     * Add codes 2..n of a multi-code sequence in a row
+     */
+    addQRSequenceToPDF(doc, qrCode, yPosition, margin, language = 'en') {
+        const codes = (qrCode.codes || []).slice(1);
+        if (codes.length === 0) {
+            return yPosition;
+        }
+
+        const qrSize = 35;
+        const gap = 8;
+        codes.forEach((code, position) => {
+            const x = margin + position * (qrSize + gap);
+            try {
+                doc.addImage(code.dataURL, 'PNG', x, yPosition, qrSize, qrSize);
+            } catch (error) {
+                console.warn(`Failed to add QR code ${code.index} to PDF:`, error);
+            }
+            doc.setFontSize(8);
+            doc.setTextColor(100, 100, 100);
+            const label = this.getLocalizedText('qr_sequence_part', language, { index: code.index, total: qrCode.total });
+            this.pdfText.text(doc, label, x + qrSize/2, yPosition + qrSize + 4, { align: 'center' });
+        });
+        return yPosition + qrSize + 12;
+    }
+
     /**
      * Add QR code information section to PDF
      */
     addQRCodeInfo(doc, yPosition, margin, language) {
+        const heading = `📱 ${this.getLocalizedText('mobile_access', language)}`;
+        const headingLayout = this.getPDFLineLayout(heading, margin, margin + 140);
         doc.setFontSize(11);
-        doc.setTextColor(this.hexToRgb(this.hospitalConfig.primaryColor));
-        doc.text('📱 Mobile Access', margin, yPosition);
+        doc.setTextColor(...this.hexToRgb(this.hospitalConfig.primaryColor));
+        this.pdfText.text(doc, heading, headingLayout.x, yPosition, headingLayout.options);
         yPosition += 6;
 
         doc.setFontSize(9);
         doc.setTextColor(0, 0, 0);
         const qrText = this.getLocalizedText('qr_instructions', language);
-        const lines = doc.splitTextToSize(qrText, 140);
+        const lines = this.pdfText.splitTextToSize(doc, qrText, 140);
         lines.forEach(line => {
-            doc.text(line, margin, yPosition);
+            const layout = this.getPDFLineLayout(line, margin, margin + 140);
+            this.pdfText.text(doc, line, layout.x, yPosition, layout.options);
             yPosition += 4;
         });
         
         return yPosition + 8;
     }
 
+    /**
+     * Where a PDF line starts: right-to-left text is aligned to the right edge of its column
+     */
+    getPDFLineLayout(text, left, right) {
+        const rtl = this.pdfText.isRTL(text);
+        return {
+            x: rtl ? right : left,
+            options: { align: rtl ? 'right' : 'left', direction: rtl ? 'rtl' : 'ltr' }
+        };
+    }
+
     /**
      * Add content section to PDF
      */
     addContentSection(doc, section, yPosition, margin, contentWidth) {
         // Section title
         doc.setFontSize(12);
-        doc.setTextColor(this.hexToRgb(this.hospitalConfig.primaryColor));
-        doc.text(`${section.icon} ${section.title}`, margin, yPosition);
+        doc.setTextColor(...this.hexToRgb(this.hospitalConfig.primaryColor));
+        const title = `${section.icon} ${section.title}`;
+        const titleLayout = this.getPDFLineLayout(title, margin, margin + contentWidth);
+        this.pdfText.text(doc, title, titleLayout.x, yPosition, titleLayout.options);
         yPosition += 8;
 
         // Section content
         doc.setFontSize(10);
         doc.setTextColor(0, 0, 0);
         
-        section.data.forEach(item => {
-            const lines = doc.splitTextToSize(`• ${item}`, contentWidth);
+        section.data.forEach((item, index) => {
+            const annotation = section.annotations?.[index] || {};
+            // Prohibitions print in bold red with a "!" marker, conditionals in amber
+            let bullet = '•';
+            if (annotation.negated) {
+                bullet = '!';
+                this.pdfText.setFontStyle(doc, 'bold');
+                doc.setTextColor(176, 0, 32);
+            } else if (annotation.conditional || annotation.hypothetical) {
+                doc.setTextColor(153, 102, 0);
+            }
+
+            const text = `${bullet} ${item}`;
+            const layout = this.getPDFLineLayout(text, margin + 5, margin + contentWidth);
+            const lines = this.pdfText.splitTextToSize(doc, text, contentWidth);
             lines.forEach(line => {
                 if (yPosition > 270) {
                     doc.addPage();
                     yPosition = 20;
                 }
-                doc.text(line, margin + 5, yPosition);
+                this.pdfText.text(doc, line, layout.x, yPosition, layout.options);
                 yPosition += 5;
             });
             yPosition += 2;
+
+            this.pdfText.setFontStyle(doc, 'normal');
+            doc.setTextColor(0, 0, 0);
         });
         
         return yPosition + 8;
     }
 
+    /**
+     * Add a bilingual content section to PDF: each translated item, then its English source in grey.
+     * A count mismatch between the two lists is printed in red under the title.
+     */
+    addBilingualContentSection(doc, section, pairing, yPosition, margin, contentWidth, language) {
+        const ensureSpace = () => {
+            if (yPosition > 270) {
+                doc.addPage();
+                yPosition = 20;
+            }
+        };
+
+        // Section title, with the English title for staff
+        doc.setFontSize(12);
+        doc.setTextColor(...this.hexToRgb(this.hospitalConfig.primaryColor));
+        const englishTitle = this.getLocalizedSectionTitle(section.key, 'en');
+        const title = `${section.icon} ${section.title}${section.title !== englishTitle ? ` / ${englishTitle}` : ''}`;
+        const titleLayout = this.getPDFLineLayout(title, margin, margin + contentWidth);
+        this.pdfText.text(doc, title, titleLayout.x, yPosition, titleLayout.options);
+        yPosition += 8;
+
+        if (pairing.mismatch) {
+            doc.setFontSize(9);
+            this.pdfText.setFontStyle(doc, 'bold');
+            doc.setTextColor(176, 0, 32);
+            const mismatch = `! ${this.getBilingualMismatchText(pairing.mismatch, language)}`;
+            const mismatchLayout = this.getPDFLineLayout(mismatch, margin + 5, margin + contentWidth);
+            this.pdfText.splitTextToSize(doc, mismatch, contentWidth).forEach(line => {
+                ensureSpace();
+                this.pdfText.text(doc, line, mismatchLayout.x, yPosition, mismatchLayout.options);
+                yPosition += 4.5;
+            });
+            this.pdfText.setFontStyle(doc, 'normal');
+            yPosition += 2;
+        }
+
+        pairing.rows.forEach((row, index) => {
+            const annotation = section.annotations?.[index] || {};
+            doc.setFontSize(10);
+            let bullet = '•';
+            if (row.translated === null) {
+                doc.setTextColor(120, 120, 120);
+            } else if (annotation.negated) {
+                bullet = '!';
+                this.pdfText.setFontStyle(doc, 'bold');
+                doc.setTextColor(176, 0, 32);
+            } else if (annotation.conditional || annotation.hypothetical) {
+                doc.setTextColor(153, 102, 0);
+            } else {
+                doc.setTextColor(0, 0, 0);
+            }
+
+            const translated = `${bullet} ${row.translated ?? this.getLocalizedText('bilingual_missing', language)}`;
+            const layout = this.getPDFLineLayout(translated, margin + 5, margin + contentWidth);
+            this.pdfText.splitTextToSize(doc, translated, contentWidth).forEach(line => {
+                ensureSpace();
+                this.pdfText.text(doc, line, layout.x, yPosition, layout.options);
+                yPosition += 5;
+            });
+            this.pdfText.setFontStyle(doc, 'normal');
+
+            // English source, indented under the translation
+            doc.setFontSize(9);
+            this.pdfText.setFontStyle(doc, 'italic');
+            doc.setTextColor(100, 100, 100);
+            const source = row.source ?? this.getLocalizedText('bilingual_missing', language);
+            this.pdfText.splitTextToSize(doc, `EN: ${source}`, contentWidth - 6).forEach(line => {
+                ensureSpace();
+                this.pdfText.text(doc, line, margin + 9, yPosition, { direction: 'ltr' });
+                yPosition += 4.5;
+            });
+            this.pdfText.setFontStyle(doc, 'normal');
+            yPosition += 2.5;
+        });
+
+        doc.setFontSize(10);
+        doc.setTextColor(0, 0, 0);
+        return yPosition + 8;
+    }
+
     /**
      * Add enhanced footer with QR code information
      */
@@ -672,8 +1019,12 @@ class MedicalDocumentGenerator {
         
         const footerY = pageHeight - 25;
         
-        doc.text(disclaimerText, margin, footerY, { maxWidth: 180 });
-        doc.text(qrFooterText, margin, footerY + 8, { maxWidth: 180 });
+        [[disclaimerText, footerY], [qrFooterText, footerY + 8]].forEach(([text, y]) => {
+            const layout = this.getPDFLineLayout(text, margin, margin + 180);
+            this.pdfText.splitTextToSize(doc, text, 180).forEach((line, index) => {
+                this.pdfText.text(doc, line, layout.x, y + index * 3.5, layout.options);
+            });
+        });
     }
 
     // ========== HTML HELPER METHODS ==========
@@ -682,7 +1033,12 @@ class MedicalDocumentGenerator {
      * Generate section HTML
      */
     generateSectionHTML(section) {
-        const itemsHTML = section.data.map(item => `<li>${this.escapeHtml(item)}</li>`).join('');
+        const itemsHTML = section.data.map((item, index) => {
+            const annotation = section.annotations?.[index] || {};
+            const className = annotation.negated ? 'prohibition'
+                : (annotation.conditional || annotation.hypothetical) ? 'conditional' : '';
+            return `<li${className ? ` class="${className}"` : ''}>${this.escapeHtml(item)}</li>`;
+        }).join('');
         
         return `
         <section class="content-section">
@@ -697,21 +1053,112 @@ class MedicalDocumentGenerator {
         </section>`;
     }
 
+    /**
+     * Generate a bilingual section HTML: English source and translation in two columns
+     */
+    generateBilingualSectionHTML(section, pairing, language) {
+        const englishTitle = this.getLocalizedSectionTitle(section.key, 'en');
+        const missing = `<td class="bilingual-missing">${this.getLocalizedText('bilingual_missing', language)}</td>`;
+
+        const rowsHTML = pairing.rows.map((row, index) => {
+            const annotation = section.annotations?.[index] || {};
+            const className = annotation.negated ? 'prohibition'
+                : (annotation.conditional || annotation.hypothetical) ? 'conditional' : '';
+            return `
+                <tr${className ? ` class="${className}"` : ''}>
+                    ${row.source !== null ? `<td lang="en" dir="ltr">${this.escapeHtml(row.source)}</td>` : missing}
+                    ${row.translated !== null ? `<td lang="${language}">${this.escapeHtml(row.translated)}</td>` : missing}
+                </tr>`;
+        }).join('');
+
+        return `
+        <section class="content-section bilingual-section">
+            <h2 class="section-title">
+                <span class="section-icon">${section.icon}</span>
+                ${section.title}
+                ${section.title !== englishTitle ? `<span class="section-title-source" lang="en" dir="ltr">/ ${englishTitle}</span>` : ''}
+            </h2>
+            <p class="section-description">${section.description}</p>
+            ${pairing.mismatch ? `<p class="bilingual-mismatch">⚠ ${this.getBilingualMismatchText(pairing.mismatch, language)}</p>` : ''}
+            <table class="bilingual-table">
+                <thead>
+                    <tr>
+                        <th lang="en" dir="ltr">English</th>
+                        <th>${this.getLanguageName(language)}</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHTML}
+                </tbody>
+            </table>
+        </section>`;
+    }
+
+    /**
+     * English source and translated items of a section, row by row. Translation keeps items
+     * one-to-one; when the counts differ the shorter side is padded with null and the pairing is
+     * flagged, since rows past the first difference may no longer match.
+     * @returns {{ rows: { source: string|null, translated: string|null }[], mismatch: { source: number, translated: number }|null }}
+     */
+    pairItems(sourceItems, translatedItems) {
+        const source = sourceItems || [];
+        const translated = translatedItems || [];
+        const rows = Array.from({ length: Math.max(source.length, translated.length) }, (_, index) => ({
+            source: source[index] ?? null,
+            translated: translated[index] ?? null
+        }));
+        return {
+            rows,
+            mismatch: source.length !== translated.length
+                ? { source: source.length, translated: translated.length }
+                : null
+        };
+    }
+
+    getBilingualMismatchText(mismatch, language) {
+        return this.getLocalizedText('bilingual_mismatch', language, { count: mismatch.source, translated: mismatch.translated });
+    }
+
+    /**
+     * Negation / conditional flags for a section's items. Translation keeps items
+     * one-to-one, so the parser's annotations line up with the translated list.
+     */
+    getItemAnnotations(key, dischargeData, translationData) {
+        return translationData.annotations?.[key] || dischargeData.annotations?.[key] || [];
+    }
+
     /**
      * Generate patient info HTML
      */
     generatePatientInfoHTML(patientInfo, language) {
+        const detailsHTML = this.getPatientInfoFields()
+            .filter(field => patientInfo[field.key])
+            .map(field => `<div><strong>${this.getLocalizedText(field.label, language)}:</strong> ${this.escapeHtml(patientInfo[field.key])}</div>`)
+            .join('');
+
         return `
         <section class="patient-info">
             <h2>${this.getLocalizedText('patient_information', language)}</h2>
             <div class="patient-details">
-                ${patientInfo.name ? `<div><strong>${this.getLocalizedText('name', language)}:</strong> ${patientInfo.name}</div>` : ''}
-                ${patientInfo.dob ? `<div><strong>${this.getLocalizedText('date_of_birth', language)}:</strong> ${patientInfo.dob}</div>` : ''}
-                ${patientInfo.mrn ? `<div><strong>${this.getLocalizedText('medical_record', language)}:</strong> ${patientInfo.mrn}</div>` : ''}
+                ${detailsHTML}
             </div>
         </section>`;
     }
 
+    /**
+     * Patient information fields in display order with their localization keys
+     */
+    getPatientInfoFields() {
+        return [
+            { key: 'name', label: 'name' },
+            { key: 'dob', label: 'date_of_birth' },
+            { key: 'mrn', label: 'medical_record' },
+            { key: 'admissionDate', label: 'admission_date' },
+            { key: 'dischargeDate', label: 'discharge_date' },
+            { key: 'attending', label: 'attending_physician' },
+            { key: 'unit', label: 'unit' }
+        ];
+    }
+
     /**
      * Get document CSS styles
      */
@@ -776,13 +1223,28 @@ class MedicalDocumentGenerator {
             color: #666;
             margin-top: 5px;
         }
+
+        .qr-sequence {
+            display: flex;
+            gap: 10px;
+            justify-content: center;
+        }
+
+        .qr-sequence-item {
+            margin: 0;
+        }
+
+        .qr-sequence-item figcaption {
+            font-size: 10px;
+            color: #666;
+        }
         
         .qr-info-section {
             background: #e8f4fd;
             padding: 15px;
             border-radius: 8px;
             margin-bottom: 20px;
-            border-left: 4px solid ${this.hospitalConfig.secondaryColor};
+            border-inline-start: 4px solid ${this.hospitalConfig.secondaryColor};
         }
         
         .qr-info-section h3 {
@@ -820,7 +1282,7 @@ class MedicalDocumentGenerator {
             padding: 20px;
             border-radius: 5px;
             margin-bottom: 30px;
-            border-left: 4px solid ${this.hospitalConfig.primaryColor};
+            border-inline-start: 4px solid ${this.hospitalConfig.primaryColor};
         }
         
         .patient-info h2 {
@@ -865,12 +1327,12 @@ class MedicalDocumentGenerator {
         
         .section-content {
             list-style: none;
-            padding-left: 0;
+            padding-inline-start: 0;
         }
         
         .section-content li {
             padding: 8px 0;
-            padding-left: 20px;
+            padding-inline-start: 20px;
             position: relative;
             border-bottom: 1px solid #f0f0f0;
         }
@@ -880,7 +1342,131 @@ class MedicalDocumentGenerator {
             color: ${this.hospitalConfig.primaryColor};
             font-weight: bold;
             position: absolute;
-            left: 0;
+            inset-inline-start: 0;
+        }
+        
+        .section-content li.prohibition {
+            color: #842029;
+            font-weight: bold;
+            background: #fdecee;
+        }
+        
+        .section-content li.prohibition:before {
+            content: "⛔";
+            font-size: 12px;
+        }
+        
+        .section-content li.conditional {
+            background: #fff8e1;
+        }
+        
+        .section-content li.conditional:before {
+            content: "⚠";
+            color: #996600;
+        }
+        
+        .section-title-source {
+            font-size: 14px;
+            font-weight: normal;
+            color: #666;
+        }
+        
+        .bilingual-mismatch {
+            margin-bottom: 12px;
+            padding: 8px 12px;
+            border-inline-start: 4px solid #b00020;
+            background: #fdecee;
+            color: #842029;
+            font-weight: bold;
+        }
+        
+        .bilingual-table {
+            width: 100%;
+            border-collapse: collapse;
+            table-layout: fixed;
+        }
+        
+        .bilingual-table th,
+        .bilingual-table td {
+            padding: 8px 10px;
+            text-align: start;
+            vertical-align: top;
+            border-bottom: 1px solid #f0f0f0;
+        }
+        
+        .bilingual-table th {
+            color: ${this.hospitalConfig.primaryColor};
+            border-bottom: 2px solid ${this.hospitalConfig.primaryColor};
+        }
+        
+        .bilingual-table td:first-child {
+            color: #555;
+            border-inline-end: 1px solid #e0e0e0;
+        }
+        
+        .bilingual-table tr.prohibition td {
+            color: #842029;
+            font-weight: bold;
+            background: #fdecee;
+        }
+        
+        .bilingual-table tr.conditional td {
+            background: #fff8e1;
+        }
+        
+        .bilingual-table td.bilingual-missing {
+            color: #999;
+            font-style: italic;
+        }
+        
+        .schedule-medication {
+            margin-bottom: 25px;
+        }
+        
+        .schedule-medication h3,
+        .schedule-as-needed h3 {
+            font-size: 15px;
+            margin-bottom: 8px;
+        }
+        
+        .schedule-table {
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        
+        .schedule-table th,
+        .schedule-table td {
+            border: 1px solid #ccc;
+            padding: 4px 10px;
+            text-align: center;
+        }
+        
+        .schedule-table thead th {
+            background: #f0f4f8;
+        }
+        
+        .schedule-table tbody th {
+            text-align: start;
+            font-weight: normal;
+            white-space: nowrap;
+        }
+        
+        .schedule-table .dose-box {
+            display: inline-block;
+            width: 14px;
+            height: 14px;
+            border: 2px solid ${this.hospitalConfig.primaryColor};
+            border-radius: 2px;
+        }
+        
+        .schedule-table .no-dose {
+            color: #bbb;
+        }
+        
+        .schedule-note {
+            font-size: 12px;
+            color: #666;
+            margin-top: 6px;
         }
         
         .document-footer {
@@ -921,6 +1507,15 @@ class MedicalDocumentGenerator {
                 padding: 20px;
             }
             
+            .bilingual-table thead {
+                display: none;
+            }
+            
+            .bilingual-table td {
+                display: block;
+                border-inline-end: none !important;
+            }
+            
             .hospital-header {
                 flex-direction: column;
                 text-align: center;
@@ -938,6 +1533,223 @@ class MedicalDocumentGenerator {
         }`;
     }
 
+    // ========== MEDICATION SCHEDULE ==========
+
+    /**
+     * Build the pill calendar for the parsed medications, labelled with the translated medication text
+     */
+    buildMedicationSchedule(dischargeData, translationData = {}) {
+        if (!this.scheduleBuilder) {
+            return { startDate: null, schedules: [], asNeeded: [] };
+        }
+        return this.scheduleBuilder.build(
+            dischargeData.medicationDetails,
+            translationData.medications || dischargeData.medications || [],
+            { startDate: dischargeData.patientInfo?.dischargeDate }
+        );
+    }
+
+    /**
+     * Column heading for a schedule slot; clock slots show the time itself
+     */
+    getScheduleSlotLabel(slot, language) {
+        return slot.key === 'clock' ? slot.time : this.getLocalizedText(`schedule_${slot.key}`, language);
+    }
+
+    /**
+     * Row heading for a schedule day, e.g. "Mon, Oct 19"
+     */
+    getScheduleDayLabel(day, language) {
+        const date = new Date(`${day.date}T00:00:00`);
+        try {
+            return date.toLocaleDateString(language, { weekday: 'short', month: 'short', day: 'numeric' });
+        } catch (error) {
+            return `${this.getLocalizedText('schedule_day', language)} ${day.dayNumber}`;
+        }
+    }
+
+    /**
+     * Note shown under a schedule when the duration was assumed or cut short
+     */
+    getScheduleNote(schedule, language) {
+        if (schedule.hasDefaultDuration) {
+            return this.getLocalizedText('schedule_default_duration', language, { count: schedule.days.length });
+        }
+        if (schedule.truncated) {
+            return this.getLocalizedText('schedule_truncated', language, { shown: schedule.days.length, count: schedule.totalDays });
+        }
+        return '';
+    }
+
+    /**
+     * Add the medication schedule grid to the PDF
+     */
+    addMedicationSchedule(doc, medicationSchedule, yPosition, margin, contentWidth, language) {
+        const pageBreak = (needed) => {
+            if (yPosition + needed > 270) {
+                doc.addPage();
+                yPosition = 20;
+                return true;
+            }
+            return false;
+        };
+
+        pageBreak(30);
+        doc.setFontSize(12);
+        doc.setTextColor(...this.hexToRgb(this.hospitalConfig.primaryColor));
+        this.pdfText.text(doc, `🗓️ ${this.getLocalizedText('medication_schedule', language)}`, margin, yPosition);
+        yPosition += 6;
+
+        doc.setFontSize(9);
+        doc.setTextColor(100, 100, 100);
+        this.pdfText.text(doc, this.getLocalizedText('medication_schedule_description', language), margin, yPosition);
+        yPosition += 7;
+
+        const dayColumnWidth = 35;
+        const rowHeight = 6;
+        const boxSize = 3.5;
+
+        medicationSchedule.schedules.forEach(schedule => {
+            const columnWidth = Math.min(25, (contentWidth - dayColumnWidth) / schedule.slots.length);
+            const tableWidth = dayColumnWidth + columnWidth * schedule.slots.length;
+
+            const drawHeader = () => {
+                doc.setFillColor(240, 244, 248);
+                doc.rect(margin, yPosition - 4, tableWidth, rowHeight, 'F');
+                doc.setFontSize(8);
+                this.pdfText.setFontStyle(doc, 'bold');
+                doc.setTextColor(0, 0, 0);
+                schedule.slots.forEach((slot, slotIndex) => {
+                    const x = margin + dayColumnWidth + columnWidth * slotIndex + columnWidth / 2;
+                    this.pdfText.text(doc, this.getScheduleSlotLabel(slot, language), x, yPosition, { align: 'center' });
+                });
+                this.pdfText.setFontStyle(doc, 'normal');
+                yPosition += rowHeight;
+            };
+
+            // Medication name above its grid
+            const titleLayout = this.getPDFLineLayout(schedule.label, margin, margin + contentWidth);
+            const titleLines = this.pdfText.splitTextToSize(doc, schedule.label, contentWidth);
+            pageBreak(titleLines.length * 5 + rowHeight * 3);
+            doc.setFontSize(10);
+            this.pdfText.setFontStyle(doc, 'bold');
+            doc.setTextColor(0, 0, 0);
+            titleLines.forEach(line => {
+                this.pdfText.text(doc, line, titleLayout.x, yPosition, titleLayout.options);
+                yPosition += 5;
+            });
+            this.pdfText.setFontStyle(doc, 'normal');
+            yPosition += 1;
+
+            drawHeader();
+            doc.setDrawColor(150, 150, 150);
+
+            schedule.days.forEach(day => {
+                if (pageBreak(rowHeight)) {
+                    drawHeader();
+                }
+                doc.setFontSize(8);
+                doc.setTextColor(0, 0, 0);
+                this.pdfText.text(doc, this.getScheduleDayLabel(day, language), margin + 1, yPosition);
+
+                day.doses.forEach((due, slotIndex) => {
+                    const centerX = margin + dayColumnWidth + columnWidth * slotIndex + columnWidth / 2;
+                    if (due) {
+                        doc.rect(centerX - boxSize / 2, yPosition - boxSize + 0.5, boxSize, boxSize);
+                    } else {
+                        doc.setTextColor(180, 180, 180);
+                        this.pdfText.text(doc, '–', centerX, yPosition, { align: 'center' });
+                        doc.setTextColor(0, 0, 0);
+                    }
+                });
+                doc.line(margin, yPosition + 2, margin + tableWidth, yPosition + 2);
+                yPosition += rowHeight;
+            });
+
+            const note = this.getScheduleNote(schedule, language);
+            if (note) {
+                doc.setFontSize(8);
+                doc.setTextColor(100, 100, 100);
+                this.pdfText.splitTextToSize(doc, note, contentWidth).forEach(line => {
+                    pageBreak(4);
+                    this.pdfText.text(doc, line, margin, yPosition);
+                    yPosition += 4;
+                });
+            }
+            yPosition += 6;
+        });
+
+        if (medicationSchedule.asNeeded.length > 0) {
+            pageBreak(15);
+            doc.setFontSize(10);
+            this.pdfText.setFontStyle(doc, 'bold');
+            doc.setTextColor(0, 0, 0);
+            this.pdfText.text(doc, this.getLocalizedText('schedule_as_needed', language), margin, yPosition);
+            this.pdfText.setFontStyle(doc, 'normal');
+            yPosition += 6;
+
+            doc.setFontSize(9);
+            medicationSchedule.asNeeded.forEach(entry => {
+                const label = `• ${entry.label}`;
+                const layout = this.getPDFLineLayout(label, margin + 5, margin + contentWidth);
+                this.pdfText.splitTextToSize(doc, label, contentWidth - 5).forEach(line => {
+                    pageBreak(5);
+                    this.pdfText.text(doc, line, layout.x, yPosition, layout.options);
+                    yPosition += 5;
+                });
+            });
+        }
+
+        return yPosition + 8;
+    }
+
+    /**
+     * Generate the medication schedule grid for the HTML document
+     */
+    generateScheduleHTML(medicationSchedule, language) {
+        const tablesHTML = medicationSchedule.schedules.map(schedule => {
+            const headerCells = schedule.slots
+                .map(slot => `<th scope="col">${this.escapeHtml(this.getScheduleSlotLabel(slot, language))}</th>`)
+                .join('');
+            const rowsHTML = schedule.days.map(day => {
+                const cells = day.doses
+                    .map(due => due ? '<td class="dose"><span class="dose-box"></span></td>' : '<td class="no-dose">–</td>')
+                    .join('');
+                return `<tr><th scope="row">${this.escapeHtml(this.getScheduleDayLabel(day, language))}</th>${cells}</tr>`;
+            }).join('');
+            const note = this.getScheduleNote(schedule, language);
+
+            return `
+            <div class="schedule-medication">
+                <h3>${this.escapeHtml(schedule.label)}</h3>
+                <table class="schedule-table">
+                    <thead><tr><th scope="col">${this.getLocalizedText('schedule_day', language)}</th>${headerCells}</tr></thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+                ${note ? `<p class="schedule-note">${this.escapeHtml(note)}</p>` : ''}
+            </div>`;
+        }).join('');
+
+        const asNeededHTML = medicationSchedule.asNeeded.length > 0 ? `
+            <div class="schedule-as-needed">
+                <h3>${this.getLocalizedText('schedule_as_needed', language)}</h3>
+                <ul class="section-content">
+                    ${medicationSchedule.asNeeded.map(entry => `<li>${this.escapeHtml(entry.label)}</li>`).join('')}
+                </ul>
+            </div>` : '';
+
+        return `
+        <section class="content-section medication-schedule">
+            <h2 class="section-title">
+                <span class="section-icon">🗓️</span>
+                ${this.getLocalizedText('medication_schedule', language)}
+            </h2>
+            <p class="section-description">${this.getLocalizedText('medication_schedule_description', language)}</p>
+            ${tablesHTML}
+            ${asNeededHTML}
+        </section>`;
+    }
+
     // ========== LOCALIZATION METHODS ==========
 
     /**
@@ -955,106 +1767,56 @@ class MedicalDocumentGenerator {
             'ja': '日本語 (Japanese)',
             'ko': '한국어 (Korean)',
             'ar': 'العربية (Arabic)',
-            'hi': 'हिन्दी (Hindi)'
+            'hi': 'हिन्दी (Hindi)',
+            'ru': 'Русский (Russian)',
+            'th': 'ไทย (Thai)',
+            'vi': 'Tiếng Việt (Vietnamese)'
         };
         return languages[code] || 'Unknown Language';
     }
 
+    /**
+     * Writing direction of a language, for the HTML dir attribute
+     */
+    getTextDirection(code) {
+        return this.rtlLanguages.includes(String(code).split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
     /**
      * Get localized section titles
      */
     getLocalizedSectionTitle(section, language) {
-        const titles = {
-            'en': {
-                'diagnoses': 'Diagnoses & Conditions',
-                'procedures': 'Procedures & Treatments', 
-                'medications': 'Medications',
-                'instructions': 'Care Instructions',
-                'returnReasons': 'When to Seek Emergency Care',
-                'followUp': 'Follow-up Care'
-            },
-            'es': {
-                'diagnoses': 'Diagnósticos y Condiciones',
-                'procedures': 'Procedimientos y Tratamientos',
-                'medications': 'Medicamentos', 
-                'instructions': 'Instrucciones de Cuidado',
-                'returnReasons': 'Cuándo Buscar Atención de Emergencia',
-                'followUp': 'Atención de Seguimiento'
-            }
-        };
-        return titles[language]?.[section] || titles['en'][section] || section;
+        return this.i18n ? this.i18n.t(`section.${section}.title`, {}, language) : section;
     }
 
     /**
      * Get localized section descriptions
      */
     getLocalizedSectionDescription(section, language) {
-        const descriptions = {
-            'en': {
-                'diagnoses': 'Medical conditions identified during your visit',
-                'procedures': 'Medical procedures performed during your stay',
-                'medications': 'Prescribed medications and instructions',
-                'instructions': 'Important care instructions for your recovery',
-                'returnReasons': 'Warning signs that require immediate medical attention',
-                'followUp': 'Scheduled appointments and ongoing care requirements'
-            },
-            'es': {
-                'diagnoses': 'Condiciones médicas identificadas durante su visita',
-                'procedures': 'Procedimientos médicos realizados durante su estadía',
-                'medications': 'Medicamentos recetados e instrucciones',
-                'instructions': 'Instrucciones importantes de cuidado para su recuperación',
-                'returnReasons': 'Señales de advertencia que requieren atención médica inmediata',
-                'followUp': 'Citas programadas y requisitos de atención continua'
-            }
-        };
-        return descriptions[language]?.[section] || descriptions['en'][section] || '';
+        return this.i18n ? this.i18n.t(`section.${section}.description`, {}, language) : '';
     }
 
     /**
-     * Get localized text for various UI elements
+     * Get localized text for various document elements (data/i18n/<language>.json, "document" group)
+     * @param {Object} params - Placeholder values; count picks the plural form
      */
-    getLocalizedText(key, language) {
-        const texts = {
-            'en': {
-                'document_title': 'DISCHARGE INSTRUCTIONS',
-                'language': 'Language',
-                'date': 'Date',
-                'patient_information': 'Patient Information',
-                'name': 'Name',
-                'date_of_birth': 'Date of Birth',
-                'medical_record': 'Medical Record Number',
-                'mobile_access': 'Mobile Access',
-                'scan_qr': 'Scan QR Code for Mobile Access',
-                'qr_instructions': 'Use your smartphone camera or QR scanner app to scan this code and access these instructions on your mobile device in your preferred language.',
-                'qr_footer_text': 'QR Code contains encrypted medical data for secure mobile access.',
-                'disclaimer_title': 'Important Notice',
-                'disclaimer_text': 'This translation is for informational purposes only. Always consult your healthcare provider for medical advice. If you have questions about these instructions, contact your doctor or pharmacist.',
-                'generated_on': 'Generated on',
-                'generated_by': 'Generated by'
-            },
-            'es': {
-                'document_title': 'INSTRUCCIONES DE ALTA',
-                'language': 'Idioma',
-                'date': 'Fecha',
-                'patient_information': 'Información del Paciente',
-                'name': 'Nombre',
-                'date_of_birth': 'Fecha de Nacimiento',
-                'medical_record': 'Número de Expediente Médico',
-                'mobile_access': 'Acceso Móvil',
-                'scan_qr': 'Escanee el Código QR para Acceso Móvil',
-                'qr_instructions': 'Use la cámara de su teléfono inteligente o una aplicación de escáner QR para escanear este código y acceder a estas instrucciones en su dispositivo móvil en su idioma preferido.',
-                'qr_footer_text': 'El código QR contiene datos médicos encriptados para acceso móvil seguro.',
-                'disclaimer_title': 'Aviso Importante',
-                'disclaimer_text': 'Esta traducción es solo para fines informativos. Siempre consulte a su proveedor de atención médica para obtener consejos médicos. Si tiene preguntas sobre estas instrucciones, comuníquese con su médico o farmacéutico.',
-                'generated_on': 'Generado el',
-                'generated_by': 'Generado por'
-            }
-        };
-        return texts[language]?.[key] || texts['en'][key] || key;
+    getLocalizedText(key, language, params = {}) {
+        return this.i18n ? this.i18n.t(`document.${key}`, params, language) : key;
     }
 
     // ========== UTILITY METHODS ==========
 
+    /**
+     * Today's date written the way the document's language writes dates
+     */
+    formatDocumentDate(language) {
+        try {
+            return new Date().toLocaleDateString(language);
+        } catch (error) {
+            return new Date().toLocaleDateString();
+        }
+    }
+
     /**
      * Generate filename for downloads
      */
@@ -1076,6 +1838,37 @@ class MedicalDocumentGenerator {
         ] : [0, 0, 0];
     }
 
+    /**
+     * Escape text values for iCalendar (RFC 5545)
+     */
+    escapeICSText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold iCalendar content lines longer than 75 octets
+     */
+    foldICSLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            // Continuation lines start with a space, which counts toward the limit
+            const limit = parts.length === 0 ? 75 : 74;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
     /**
      * Escape HTML characters
      */
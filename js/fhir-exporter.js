@@ -0,0 +1,304 @@
+/**
+ * FHIR Exporter - Packages translated discharge instructions for writing back to the chart
+ * Produces a FHIR R4 transaction Bundle with a Composition (one section per category, in the
+ * patient's language), a DocumentReference carrying the generated PDF, and one Provenance per
+ * section recording which translation provider produced each of its items.
+ */
+class FHIRExporter {
+    constructor(options = {}) {
+        // Section titles and language names come from the document generator
+        this.documentGenerator = options.documentGenerator || null;
+        this.appName = 'Discharge Instructions Translator';
+
+        this.systems = {
+            loinc: 'http://loinc.org',
+            identifierType: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+            participantType: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type',
+            dataOperation: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation',
+            targetElement: 'http://hl7.org/fhir/StructureDefinition/targetElement'
+        };
+
+        // Same order as the printed document
+        this.sections = [
+            { key: 'diagnoses', code: { system: 'http://loinc.org', code: '11535-2', display: 'Hospital discharge Dx Narrative' } },
+            { key: 'procedures', code: { system: 'http://loinc.org', code: '47519-4', display: 'History of Procedures Document' } },
+            { key: 'medications', code: { system: 'http://loinc.org', code: '10183-2', display: 'Hospital discharge medications Narrative' } },
+            { key: 'instructions', code: { system: 'http://loinc.org', code: '69730-0', display: 'Instructions' } },
+            { key: 'returnReasons', code: null },
+            { key: 'followUp', code: { system: 'http://loinc.org', code: '18776-5', display: 'Plan of care note' } }
+        ];
+
+        this.documentType = { system: 'http://loinc.org', code: '8653-8', display: 'Hospital Discharge instructions' };
+
+        // meta.path values from TranslationService, as recorded in the Provenance narrative
+        this.pathLabels = {
+            template: 'Vetted sentence template',
+            memory: 'Translation memory',
+            glossary: 'Medical glossary',
+            mt: 'Machine translation',
+            fallback: 'Offline phrase pack',
+            untranslated: 'Not translated (English shown)',
+            none: 'No translation needed'
+        };
+    }
+
+    /**
+     * Build the transaction Bundle
+     * @param {Object} dischargeData - Parsed English data (with fhirContext when it was imported from FHIR)
+     * @param {Object} translationData - Translated sections and translationMeta
+     * @param {string} language - Target language code
+     * @param {Object} options - { pdf: { blob, filename }, hospital: { name } }
+     * @returns {Promise<Object>} FHIR R4 Bundle
+     */
+    async buildBundle(dischargeData, translationData, language = 'en', options = {}) {
+        const now = new Date().toISOString();
+        const subject = this.subjectReference(dischargeData);
+        const encounter = dischargeData.fhirContext?.encounter ? { reference: dischargeData.fhirContext.encounter } : null;
+        const author = { display: options.hospital?.name || 'Medical Center' };
+
+        const compositionUrl = this.newUrn();
+        const documentUrl = this.newUrn();
+
+        const sections = this.sections
+            .map(section => ({
+                ...section,
+                items: translationData?.[section.key] || dischargeData[section.key] || [],
+                sourceItems: dischargeData[section.key] || [],
+                meta: translationData?.translationMeta?.[section.key] || []
+            }))
+            .filter(section => section.items.length > 0);
+
+        const composition = {
+            resourceType: 'Composition',
+            status: 'final',
+            type: { coding: [this.documentType], text: this.documentType.display },
+            language,
+            subject: subject || undefined,
+            encounter: encounter || undefined,
+            date: now,
+            author: [author],
+            title: this.getText('document_title', language),
+            section: sections.map(section => this.buildSection(section, language))
+        };
+
+        const entries = [this.transactionEntry(compositionUrl, composition)];
+
+        if (options.pdf?.blob) {
+            entries.push(this.transactionEntry(documentUrl, await this.buildDocumentReference(options.pdf, {
+                language, now, subject, encounter, author, compositionUrl
+            })));
+        }
+
+        sections.forEach(section => {
+            entries.push(this.transactionEntry(this.newUrn(), this.buildProvenance(section, language, {
+                now, compositionUrl, documentUrl: options.pdf?.blob ? documentUrl : null
+            })));
+        });
+
+        console.log(`✅ FHIR bundle built: ${sections.length} sections, ${entries.length} resources`);
+        return {
+            resourceType: 'Bundle',
+            type: 'transaction',
+            timestamp: now,
+            entry: entries
+        };
+    }
+
+    // ========== RESOURCES ==========
+
+    buildSection(section, language) {
+        const title = this.getSectionTitle(section.key, language);
+        const entry = {
+            id: section.key,
+            title,
+            text: {
+                status: 'generated',
+                div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="${this.escapeXml(language)}" xml:lang="${this.escapeXml(language)}"><ul>${
+                    section.items.map(item => `<li>${this.escapeXml(item)}</li>`).join('')
+                }</ul></div>`
+            }
+        };
+        entry.code = section.code
+            ? { coding: [section.code], text: title }
+            : { text: title };
+        return entry;
+    }
+
+    async buildDocumentReference(pdf, { language, now, subject, encounter, author, compositionUrl }) {
+        const bytes = new Uint8Array(await pdf.blob.arrayBuffer());
+        const attachment = {
+            contentType: 'application/pdf',
+            language,
+            data: this.toBase64(bytes),
+            size: bytes.length,
+            title: pdf.filename,
+            creation: now
+        };
+        const hash = await this.sha1(bytes);
+        if (hash) attachment.hash = hash;
+
+        const reference = {
+            resourceType: 'DocumentReference',
+            status: 'current',
+            docStatus: 'final',
+            type: { coding: [this.documentType], text: this.documentType.display },
+            subject: subject || undefined,
+            date: now,
+            author: [author],
+            description: `${this.getText('document_title', 'en')} (${this.getLanguageName(language)})`,
+            content: [{ attachment }],
+            context: { related: [{ reference: compositionUrl }] }
+        };
+        if (encounter) reference.context.encounter = [encounter];
+        return reference;
+    }
+
+    /**
+     * Who produced one section: every provider that translated at least one of its items,
+     * with the per-item detail in the narrative
+     */
+    buildProvenance(section, language, { now, compositionUrl, documentUrl }) {
+        const itemSources = section.items.map((item, index) => this.describeSource(section.meta[index], language));
+
+        const agents = [{
+            type: { coding: [{ system: this.systems.participantType, code: 'assembler', display: 'Assembler' }] },
+            who: { display: this.appName }
+        }];
+        const seen = new Set();
+        itemSources.forEach(source => {
+            if (!source.agent || seen.has(source.agent)) return;
+            seen.add(source.agent);
+            agents.push({
+                type: {
+                    coding: [{ system: this.systems.participantType, code: source.verified ? 'verifier' : 'performer' }],
+                    text: source.verified ? 'Interpreter' : 'Translation provider'
+                },
+                who: { display: source.agent }
+            });
+        });
+
+        const targets = [{
+            reference: compositionUrl,
+            extension: [{ url: this.systems.targetElement, valueUri: section.key }]
+        }];
+        if (documentUrl) targets.push({ reference: documentUrl });
+
+        const rows = section.items.map((item, index) => `<tr><td>${index + 1}</td><td>${this.escapeXml(section.sourceItems[index] || '')}</td><td>${this.escapeXml(itemSources[index].label)}</td></tr>`).join('');
+
+        return {
+            resourceType: 'Provenance',
+            text: {
+                status: 'generated',
+                div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${this.escapeXml(this.getSectionTitle(section.key, 'en'))}: ${
+                    language === 'en' ? 'English source, not translated' : `translated from English to ${this.escapeXml(this.getLanguageName(language))}`
+                }</p><table><tr><th>#</th><th>English source</th><th>Produced by</th></tr>${rows}</table></div>`
+            },
+            target: targets,
+            recorded: now,
+            activity: {
+                coding: [{ system: this.systems.dataOperation, code: 'CREATE', display: 'create' }],
+                text: language === 'en' ? 'Discharge instructions' : `Translation to ${this.getLanguageName(language)}`
+            },
+            agent: agents,
+            entity: [{
+                role: 'source',
+                what: { display: `English discharge instructions: ${this.getSectionTitle(section.key, 'en')}` }
+            }]
+        };
+    }
+
+    /**
+     * Provider and label for one translated item
+     */
+    describeSource(meta, language) {
+        if (language === 'en' || !meta) {
+            return { agent: null, label: this.pathLabels.none, verified: false };
+        }
+        const pathLabel = this.pathLabels[meta.path] || meta.path || 'Unknown';
+        const verified = meta.provider === 'interpreter' || !!meta.fidelity?.reviewed;
+        // Fallback entries carry internal service ids rather than names
+        const agent = ['no_translation_needed', 'all_methods_failed'].includes(meta.service) || !meta.service
+            ? null
+            : meta.service;
+        return {
+            agent,
+            verified,
+            label: agent ? `${agent} (${pathLabel.toLowerCase()})` : pathLabel
+        };
+    }
+
+    /**
+     * The chart patient when the data came from FHIR, otherwise a logical reference by MRN
+     */
+    subjectReference(dischargeData) {
+        if (dischargeData.fhirContext?.patient) {
+            return { reference: dischargeData.fhirContext.patient };
+        }
+        const info = dischargeData.patientInfo || {};
+        if (!info.mrn && !info.name) {
+            return null;
+        }
+        const subject = {};
+        if (info.mrn) {
+            subject.identifier = {
+                type: { coding: [{ system: this.systems.identifierType, code: 'MR' }] },
+                value: info.mrn
+            };
+        }
+        if (info.name) subject.display = info.name;
+        return subject;
+    }
+
+    transactionEntry(fullUrl, resource) {
+        return {
+            fullUrl,
+            resource,
+            request: { method: 'POST', url: resource.resourceType }
+        };
+    }
+
+    // ========== HELPERS ==========
+
+    getSectionTitle(key, language) {
+        return this.documentGenerator?.getLocalizedSectionTitle(key, language) || key;
+    }
+
+    getText(key, language) {
+        return this.documentGenerator?.getLocalizedText(key, language) || key;
+    }
+
+    getLanguageName(language) {
+        return this.documentGenerator?.getLanguageName(language) || language;
+    }
+
+    newUrn() {
+        return `urn:uuid:${crypto.randomUUID()}`;
+    }
+
+    async sha1(bytes) {
+        if (!window.crypto?.subtle) {
+            return null;
+        }
+        return this.toBase64(new Uint8Array(await crypto.subtle.digest('SHA-1', bytes)));
+    }
+
+    toBase64(bytes) {
+        // In chunks: spreading a whole PDF into fromCharCode overflows the stack
+        let binary = '';
+        for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in the document generator
+window.FHIRExporter = FHIRExporter;
@@ -0,0 +1,690 @@
+/**
+ * FHIR Importer - Maps FHIR R4 Bundles from the EHR onto the parser's result structure
+ * Patient and Encounter fill patientInfo; Condition, MedicationRequest, Procedure, CarePlan and
+ * Appointment resources become category items directly, without the free-text regex pass.
+ * DocumentReference text is used for instructions, or parsed as a note when nothing else is coded.
+ */
+class FHIRImporter {
+    constructor(options = {}) {
+        this.medicationExtractor = options.medicationExtractor || new MedicationExtractor();
+
+        // Resource statuses that mean "not part of what the patient was given"
+        this.excludedStatuses = {
+            Condition: ['entered-in-error', 'refuted'],
+            MedicationRequest: ['cancelled', 'entered-in-error', 'draft', 'completed', 'on-hold'],
+            Procedure: ['not-done', 'entered-in-error', 'preparation'],
+            CarePlan: ['entered-in-error', 'revoked', 'draft'],
+            Appointment: ['cancelled', 'noshow', 'entered-in-error', 'fulfilled'],
+            DocumentReference: ['entered-in-error', 'superseded']
+        };
+        // Problems the patient no longer has
+        this.excludedClinicalStatuses = ['resolved', 'inactive', 'remission'];
+        // Orders given on the ward; only discharge and community prescriptions go home with the patient
+        this.excludedMedicationCategories = ['inpatient'];
+
+        // LOINC document types that hold patient instructions rather than a full note
+        this.instructionDocumentCodes = ['8653-8', '69730-0', '74213-0'];
+
+        // Dose units that are a strength ("500 mg") rather than a dose form ("1 tablet")
+        this.strengthUnits = { mg: 'mg', mcg: 'mcg', ug: 'mcg', g: 'g', ml: 'mL', unit: 'units', units: 'units', iu: 'IU', '[iu]': 'IU', meq: 'mEq' };
+
+        this.frequencyCodes = {
+            QD: { timesPerDay: 1, text: 'once daily' },
+            BID: { timesPerDay: 2, text: 'twice daily' },
+            TID: { timesPerDay: 3, text: 'three times daily' },
+            QID: { timesPerDay: 4, text: 'four times daily' },
+            QHS: { timesPerDay: 1, text: 'at bedtime' },
+            QAM: { timesPerDay: 1, text: 'every morning' },
+            QOD: { timesPerDay: 0.5, text: 'every other day' },
+            QWK: { timesPerDay: 1 / 7, text: 'once weekly' }
+        };
+        // FHIR timing abbreviations that differ from ours
+        this.timingCodeAliases = { AM: 'QAM', HS: 'QHS', WK: 'QWK' };
+
+        this.durationUnits = { d: 'day', wk: 'week', mo: 'month' };
+
+        this.monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+            'August', 'September', 'October', 'November', 'December'];
+    }
+
+    /**
+     * The Bundle in a JSON string or object, or null if the input is not a FHIR Bundle
+     */
+    parseBundle(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            const text = input.trim();
+            if (!text.startsWith('{') || !text.includes('"resourceType"')) {
+                return null;
+            }
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                return null;
+            }
+        }
+        return data?.resourceType === 'Bundle' && Array.isArray(data.entry) ? data : null;
+    }
+
+    /**
+     * Map a Bundle onto the parseDischargeData() result structure
+     * @param {Object} bundle - FHIR R4 Bundle
+     * @returns {Object} Parse result; `narrative` holds note text when the bundle has no coded items
+     */
+    toParsedData(bundle) {
+        const result = {
+            diagnoses: [],
+            medications: [],
+            instructions: [],
+            followUp: [],
+            returnReasons: [],
+            procedures: [],
+            medicationDetails: [],
+            annotations: {},
+            patientInfo: null,
+            patientInfoConfidence: {},
+            appointments: [],
+            rawText: '',
+            source: 'fhir',
+            // Chart references, so an export can be written back to the same patient and encounter
+            fhirContext: { patient: null, encounter: null },
+            narrative: ''
+        };
+
+        this.index(bundle);
+        try {
+            result.patientInfo = this.mapPatientInfo(result.fhirContext);
+            Object.keys(result.patientInfo || {}).forEach(field => {
+                // Coded EHR fields are exact
+                result.patientInfoConfidence[field] = 1.0;
+            });
+
+            this.resourcesOfType('Condition').forEach(condition => {
+                this.addItem(result.diagnoses, this.conceptText(condition.code));
+            });
+
+            this.resourcesOfType('MedicationRequest').forEach(request => this.mapMedicationRequest(request, result));
+
+            this.resourcesOfType('Procedure').forEach(procedure => {
+                this.addItem(result.procedures, this.conceptText(procedure.code));
+            });
+
+            this.resourcesOfType('CarePlan').forEach(plan => {
+                this.carePlanItems(plan).forEach(text => this.addInstruction(result, text));
+            });
+
+            this.resourcesOfType('Appointment')
+                .sort((a, b) => String(a.start || '9999').localeCompare(String(b.start || '9999')))
+                .forEach(appointment => this.mapAppointment(appointment, result));
+
+            const notes = [];
+            this.resourcesOfType('DocumentReference').forEach(reference => {
+                const text = this.documentText(reference);
+                if (!text) return;
+                if (this.isInstructionDocument(reference)) {
+                    this.addInstructionDocument(result, text);
+                } else {
+                    notes.push(text);
+                }
+            });
+            result.narrative = notes.join('\n\n');
+        } finally {
+            this.resources = null;
+            this.references = null;
+        }
+
+        result.rawText = this.toText(result);
+        console.log(`✅ FHIR bundle mapped: ${this.describeCounts(result)}`);
+        return result;
+    }
+
+    // ========== PATIENT AND ENCOUNTER ==========
+
+    mapPatientInfo(context) {
+        const info = {};
+        const patient = this.resourcesOfType('Patient')[0];
+        if (patient) {
+            context.patient = this.referenceTo(patient);
+            const name = this.formatName(patient.name);
+            if (name) info.name = name;
+            if (patient.birthDate) info.dob = patient.birthDate;
+
+            const identifiers = patient.identifier || [];
+            const mrn = identifiers.find(id => id.type?.coding?.some(coding => coding.code === 'MR')) || identifiers[0];
+            if (mrn?.value) info.mrn = mrn.value;
+        }
+
+        // The inpatient stay being discharged: the encounter that ended last
+        const encounter = this.resourcesOfType('Encounter')
+            .sort((a, b) => String(b.period?.end || '').localeCompare(String(a.period?.end || '')))[0];
+        if (encounter) {
+            context.encounter = this.referenceTo(encounter);
+            if (encounter.period?.start) info.admissionDate = this.localDateTime(encounter.period.start).date;
+            if (encounter.period?.end) info.dischargeDate = this.localDateTime(encounter.period.end).date;
+
+            const participants = encounter.participant || [];
+            const hasRole = (participant, code) => participant.type?.some(type => type.coding?.some(coding => coding.code === code));
+            const attending = participants.find(participant => hasRole(participant, 'ATND')) ||
+                participants.find(participant => hasRole(participant, 'DIS')) ||
+                participants[0];
+            const attendingName = attending && this.referenceName(attending.individual);
+            if (attendingName) info.attending = attendingName;
+
+            const unit = encounter.location?.[0]?.location;
+            const unitName = unit && this.referenceName(unit);
+            if (unitName) info.unit = unitName;
+        }
+
+        return Object.keys(info).length > 0 ? info : null;
+    }
+
+    // ========== MEDICATIONS ==========
+
+    mapMedicationRequest(request, result) {
+        const name = this.medicationName(request);
+        if (!name) return;
+
+        // A discontinued home medication is an instruction to stop it
+        if (request.status === 'stopped') {
+            this.addItem(result.instructions, `Stop taking ${name}`);
+            return;
+        }
+
+        const dosages = request.dosageInstruction || [];
+        const dosage = dosages[0] || {};
+        let sig = dosages.map(entry => entry.text).filter(Boolean).join('; ');
+        if (dosage.patientInstruction) {
+            sig = sig ? `${sig}. ${dosage.patientInstruction}` : dosage.patientInstruction;
+        }
+        this.addMedication(result, name, sig, this.structuredDosage(dosage, request));
+    }
+
+    /**
+     * Add a medication line and its record; coded fields win, the sig text fills whatever was left uncoded
+     * @param {string} sig - Dosage text from the record, if any
+     * @param {Object} structured - Record fields from structuredDosage()
+     */
+    addMedication(result, name, sig, structured) {
+        if (!sig) {
+            sig = this.describeDosage(structured);
+        }
+        const text = !sig
+            ? name
+            : sig.toLowerCase().includes(name.toLowerCase().split(/\s+/)[0])
+                ? sig
+                : `${name}, ${sig.charAt(0).toLowerCase()}${sig.slice(1)}`;
+        const displayText = this.medicationExtractor.normalizeText(text);
+
+        if (result.medications.includes(displayText)) return;
+        result.medications.push(displayText);
+
+        const parsed = this.medicationExtractor.parseMedication(displayText, { lenient: true }) || {};
+        const record = { ...parsed, text: displayText, drug: parsed.drug || name };
+        Object.entries(structured).forEach(([field, value]) => {
+            if (value !== null && value !== undefined && value !== false) {
+                record[field] = value;
+            }
+        });
+        ['strength', 'unit', 'dose', 'route', 'frequency', 'prnReason', 'duration', 'quantity'].forEach(field => {
+            record[field] = record[field] ?? null;
+        });
+        record.asNeeded = !!record.asNeeded;
+        result.medicationDetails.push(record);
+    }
+
+    medicationName(request) {
+        if (request.medicationCodeableConcept) {
+            return this.conceptText(request.medicationCodeableConcept);
+        }
+        const reference = request.medicationReference;
+        const medication = this.resolve(reference, request);
+        return (medication && this.conceptText(medication.code)) || reference?.display || null;
+    }
+
+    /**
+     * Medication record fields from a Dosage, in MedicationExtractor's shapes
+     */
+    structuredDosage(dosage, request) {
+        const fields = {};
+
+        const quantity = dosage.doseAndRate?.[0]?.doseQuantity;
+        if (quantity?.value !== undefined) {
+            const unitKey = String(quantity.code || quantity.unit || '').toLowerCase();
+            if (this.strengthUnits[unitKey]) {
+                fields.strength = String(quantity.value);
+                fields.unit = this.strengthUnits[unitKey];
+            } else if (quantity.unit) {
+                const form = quantity.unit.toLowerCase();
+                fields.dose = { amount: quantity.value, form: quantity.value === 1 ? form : form.replace(/(?<!s)$/, 's') };
+            }
+        }
+
+        const routeText = this.conceptText(dosage.route);
+        if (routeText) {
+            fields.route = this.medicationExtractor.findRoute(routeText) || routeText.toLowerCase();
+        }
+
+        fields.frequency = this.frequencyFromTiming(dosage.timing);
+        fields.asNeeded = !!(dosage.asNeededBoolean || dosage.asNeededCodeableConcept);
+        const reason = this.conceptText(dosage.asNeededCodeableConcept);
+        fields.prnReason = reason ? reason.toLowerCase() : null;
+        fields.duration = this.durationFromTiming(dosage.timing);
+
+        const dispense = request.dispenseRequest?.quantity;
+        if (dispense?.value !== undefined) {
+            fields.quantity = { value: dispense.value, unit: dispense.unit ? dispense.unit.toLowerCase() : null };
+        }
+        return fields;
+    }
+
+    frequencyFromTiming(timing) {
+        if (!timing) return null;
+
+        const rawCode = this.conceptCode(timing.code)?.toUpperCase();
+        const code = rawCode && (this.timingCodeAliases[rawCode] || rawCode);
+        if (code && this.frequencyCodes[code]) {
+            return { text: this.frequencyCodes[code].text, code, intervalHours: null, timesPerDay: this.frequencyCodes[code].timesPerDay };
+        }
+        const hourly = code?.match(/^Q(\d+)H$/);
+        if (hourly) {
+            return this.intervalFrequency(parseInt(hourly[1], 10));
+        }
+
+        const repeat = timing.repeat || {};
+        if ((repeat.when || []).includes('HS')) {
+            return this.frequencyFor('QHS');
+        }
+        if ((repeat.when || []).some(when => ['MORN', 'MORN.early', 'ACM'].includes(when))) {
+            return this.frequencyFor('QAM');
+        }
+
+        const times = repeat.frequency || 1;
+        const period = repeat.period;
+        if (!period) return null;
+
+        if (repeat.periodUnit === 'h' && times === 1) {
+            return this.intervalFrequency(period, repeat.periodMax);
+        }
+        if (repeat.periodUnit === 'd' && period === 1) {
+            const byCount = { 1: 'QD', 2: 'BID', 3: 'TID', 4: 'QID' }[times];
+            return byCount
+                ? this.frequencyFor(byCount)
+                : { text: `${times} times daily`, code: `${times}X/D`, intervalHours: null, timesPerDay: times };
+        }
+        if (repeat.periodUnit === 'd' && period === 2 && times === 1) {
+            return this.frequencyFor('QOD');
+        }
+        if (repeat.periodUnit === 'wk' && period === 1 && times === 1) {
+            return this.frequencyFor('QWK');
+        }
+        return null;
+    }
+
+    frequencyFor(code) {
+        const entry = this.frequencyCodes[code];
+        return { text: entry.text, code, intervalHours: null, timesPerDay: entry.timesPerDay };
+    }
+
+    intervalFrequency(hours, maxHours = null) {
+        // For ranges like every 4-6 hours the longer interval gives the scheduled dose count
+        const longest = maxHours || hours;
+        return {
+            text: maxHours ? `every ${hours}-${maxHours} hours` : `every ${hours} hours`,
+            code: maxHours ? `Q${hours}-${maxHours}H` : `Q${hours}H`,
+            intervalHours: longest,
+            timesPerDay: longest > 0 ? Math.floor(24 / longest) : null
+        };
+    }
+
+    durationFromTiming(timing) {
+        const bounds = timing?.repeat?.boundsDuration;
+        const unit = this.durationUnits[bounds?.code || bounds?.unit];
+        if (bounds?.value && unit) {
+            return {
+                text: `for ${bounds.value} ${unit}${bounds.value === 1 ? '' : 's'}`,
+                value: bounds.value,
+                unit,
+                days: bounds.value * { day: 1, week: 7, month: 30 }[unit]
+            };
+        }
+
+        const period = timing?.repeat?.boundsPeriod;
+        if (period?.start && period?.end) {
+            const days = Math.round((new Date(period.end) - new Date(period.start)) / 86400000);
+            if (days > 0) {
+                return { text: `for ${days} day${days === 1 ? '' : 's'}`, value: days, unit: 'day', days };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sentence for a dosage that has no text
+     */
+    describeDosage(fields) {
+        const parts = [];
+        if (fields.dose) parts.push(`${fields.dose.amount} ${fields.dose.form}`);
+        else if (fields.strength) parts.push(`${fields.strength} ${fields.unit}`);
+        if (fields.route) parts.push(fields.route === 'oral' ? 'by mouth' : fields.route);
+        if (fields.frequency) parts.push(fields.frequency.text);
+        if (fields.asNeeded) parts.push(fields.prnReason ? `as needed for ${fields.prnReason}` : 'as needed');
+        if (fields.duration) parts.push(fields.duration.text);
+        return parts.length > 0 ? `Take ${parts.join(' ')}` : '';
+    }
+
+    // ========== CARE PLANS, APPOINTMENTS AND DOCUMENTS ==========
+
+    carePlanItems(plan) {
+        const items = [];
+        if (plan.description) items.push(plan.description);
+        (plan.activity || []).forEach(activity => {
+            const detail = activity.detail || {};
+            if (['cancelled', 'entered-in-error', 'stopped'].includes(detail.status)) return;
+            const text = detail.description || this.conceptText(detail.code) || activity.reference?.display;
+            if (text) items.push(text);
+            (activity.progress || []).forEach(note => note.text && items.push(note.text));
+        });
+        (plan.note || []).forEach(note => note.text && items.push(note.text));
+        return items;
+    }
+
+    mapAppointment(appointment, result) {
+        let provider = null;
+        let location = null;
+        let phone = null;
+        (appointment.participant || []).forEach(participant => {
+            const reference = participant.actor?.reference || '';
+            const actor = this.resolve(participant.actor, appointment);
+            const type = actor?.resourceType || reference.split('/')[0];
+            if (type === 'Practitioner' || type === 'PractitionerRole') {
+                provider = provider || this.referenceName(participant.actor);
+            } else if (type === 'Location' || type === 'HealthcareService') {
+                location = location || this.referenceName(participant.actor);
+                phone = phone || actor?.telecom?.find(telecom => telecom.system === 'phone')?.value || null;
+            }
+        });
+
+        this.addAppointment(result, {
+            description: appointment.description,
+            specialty: this.conceptText(appointment.specialty?.[0]) || this.conceptText(appointment.serviceType?.[0]),
+            provider,
+            start: appointment.start,
+            location,
+            phone,
+            instruction: appointment.patientInstruction
+        });
+    }
+
+    /**
+     * Add a dated follow-up item and its appointment entry
+     * @param {Object} details - { description, specialty, provider, start (ISO date or date-time), location, phone, instruction }.
+     *   A start known only to the month ("2026-11") is approximate and gets no calendar date.
+     */
+    addAppointment(result, details) {
+        const { description, specialty, provider = null, start, location = null, phone = null, instruction } = details;
+        const { date, time } = this.localDateTime(start);
+        const approximate = !!date && date.length < 10;
+        const dateText = date ? this.formatDate(date) : null;
+
+        const parts = [description || (specialty ? `Follow-up appointment (${specialty})` : 'Follow-up appointment')];
+        if (provider) parts.push(`with ${provider}`);
+        if (dateText) parts.push(`${approximate ? 'in' : 'on'} ${dateText}`);
+        if (time) parts.push(`at ${this.formatTime(time)}`);
+        if (location) parts.push(`at ${location}`);
+        let text = parts.join(' ');
+        if (phone) text += `. Phone: ${phone}`;
+        if (instruction) text += `. ${instruction}`;
+
+        if (!this.addItem(result.followUp, text)) return;
+        result.appointments.push({
+            text: result.followUp[result.followUp.length - 1],
+            provider,
+            specialty: specialty ? specialty.toLowerCase() : null,
+            date: approximate ? null : date,
+            dateText,
+            isRelative: false,
+            isApproximate: approximate,
+            time,
+            location,
+            phone,
+            itemIndex: result.followUp.length - 1
+        });
+    }
+
+    isInstructionDocument(reference) {
+        const codes = (reference.type?.coding || []).map(coding => coding.code);
+        return codes.some(code => this.instructionDocumentCodes.includes(code)) ||
+            /instruction/i.test(this.conceptText(reference.type) || '');
+    }
+
+    /**
+     * Instruction documents go in line by line; a "Return precautions:" style header
+     * sends the lines under it to returnReasons
+     */
+    addInstructionDocument(result, text) {
+        let target = null;
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim();
+            if (!line) return;
+
+            const header = line.match(/^([^:]{2,60}):\s*(.*)$/);
+            if (header && !/\d$/.test(header[1])) {
+                target = this.isReturnReason(header[1]) || /warning|emergency|return|call/i.test(header[1])
+                    ? result.returnReasons
+                    : result.instructions;
+                if (header[2]) this.addItem(target, header[2]);
+                return;
+            }
+
+            if (target) {
+                this.addItem(target, line);
+            } else {
+                this.addInstruction(result, line);
+            }
+        });
+    }
+
+    addInstruction(result, text) {
+        this.addItem(this.isReturnReason(text) ? result.returnReasons : result.instructions, text);
+    }
+
+    /**
+     * "Return to the ED if...", "Call your doctor if..." belong with the warning signs
+     */
+    isReturnReason(text) {
+        return /^(?:return|come back|call|seek|go to)\b[^.]*\b(?:if|when|for)\b/i.test(text.trim());
+    }
+
+    /**
+     * Plain text of a DocumentReference's inline attachments
+     */
+    documentText(reference) {
+        return (reference.content || [])
+            .map(content => content.attachment)
+            .filter(attachment => attachment?.data && /^text\/(plain|html)/i.test(attachment.contentType || 'text/plain'))
+            .map(attachment => {
+                const bytes = Uint8Array.from(atob(attachment.data), char => char.charCodeAt(0));
+                const text = new TextDecoder().decode(bytes);
+                return /html/i.test(attachment.contentType || '') ? this.htmlToText(text) : text;
+            })
+            .join('\n\n')
+            .replace(/\r\n/g, '\n')
+            .trim();
+    }
+
+    htmlToText(html) {
+        return html
+            .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n');
+    }
+
+    // ========== HELPERS ==========
+
+    index(bundle) {
+        this.resources = [];
+        this.references = new Map();
+        bundle.entry.forEach(entry => {
+            const resource = entry?.resource;
+            if (!resource?.resourceType) return;
+            this.resources.push(resource);
+            if (entry.fullUrl) this.references.set(entry.fullUrl, resource);
+            if (resource.id) this.references.set(`${resource.resourceType}/${resource.id}`, resource);
+        });
+    }
+
+    resourcesOfType(type) {
+        const excluded = this.excludedStatuses[type] || [];
+        return this.resources.filter(resource => resource.resourceType === type &&
+            !excluded.includes(resource.status) &&
+            !excluded.includes(this.conceptCode(resource.verificationStatus)) &&
+            !this.excludedClinicalStatuses.includes(this.conceptCode(resource.clinicalStatus)) &&
+            !(type === 'MedicationRequest' && this.hasCategory(resource, this.excludedMedicationCategories)));
+    }
+
+    /**
+     * True if any of a resource's categories is coded as one of the given codes
+     */
+    hasCategory(resource, codes) {
+        return (resource.category || []).some(category =>
+            (category.coding || []).some(coding => codes.includes(coding.code)));
+    }
+
+    /**
+     * The resource a Reference points to: contained, by full URL or by type/id
+     */
+    resolve(reference, container = null) {
+        const target = reference?.reference;
+        if (!target) return null;
+        if (target.startsWith('#')) {
+            return container?.contained?.find(resource => `#${resource.id}` === target) || null;
+        }
+        return this.references.get(target) || this.references.get(target.split('/').slice(-2).join('/')) || null;
+    }
+
+    /**
+     * Server reference ("Patient/123") for a resource with an id
+     */
+    referenceTo(resource) {
+        return resource.id ? `${resource.resourceType}/${resource.id}` : null;
+    }
+
+    referenceName(reference) {
+        const resource = this.resolve(reference);
+        if (resource?.name) {
+            return typeof resource.name === 'string' ? resource.name : this.formatName(resource.name);
+        }
+        return reference?.display || null;
+    }
+
+    formatName(names) {
+        const list = Array.isArray(names) ? names : [names];
+        const name = list.find(entry => entry?.use === 'official') || list.find(Boolean);
+        if (!name) return null;
+        if (name.text) return name.text;
+        return [...(name.prefix || []), ...(name.given || []), name.family].filter(Boolean).join(' ') || null;
+    }
+
+    conceptText(concept) {
+        if (!concept) return null;
+        return concept.text || concept.coding?.find(coding => coding.display)?.display || null;
+    }
+
+    conceptCode(concept) {
+        return concept?.coding?.[0]?.code || null;
+    }
+
+    /**
+     * Add a cleaned item unless it is empty or already present
+     * @returns {boolean} Whether it was added
+     */
+    addItem(list, text) {
+        const cleaned = String(text || '').replace(/\s+/g, ' ').replace(/[.;]+$/, '').trim();
+        if (cleaned.length < 3) return false;
+        const item = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+        if (list.includes(item)) return false;
+        list.push(item);
+        return true;
+    }
+
+    /**
+     * Date and time of a FHIR date, dateTime or instant on this device's clock. A value with a time
+     * carries a UTC offset, so "2026-11-05T14:30:00Z" is 9:30 AM at UTC-5; a bare date is kept as written.
+     * @returns {{ date: string|null, time: string|null }} yyyy-mm-dd and HH:MM
+     */
+    localDateTime(value) {
+        if (!value) return { date: null, time: null };
+        const text = String(value);
+        if (!/T\d{2}:\d{2}/.test(text)) return { date: text.slice(0, 10), time: null };
+
+        const instant = new Date(text);
+        if (Number.isNaN(instant.getTime())) return { date: text.slice(0, 10), time: text.slice(11, 16) };
+        const pad = number => String(number).padStart(2, '0');
+        return {
+            date: `${instant.getFullYear()}-${pad(instant.getMonth() + 1)}-${pad(instant.getDate())}`,
+            time: `${pad(instant.getHours())}:${pad(instant.getMinutes())}`
+        };
+    }
+
+    formatDate(iso) {
+        const [year, month, day] = iso.split('-').map(Number);
+        if (!month) return iso;
+        return day ? `${this.monthNames[month - 1]} ${day}, ${year}` : `${this.monthNames[month - 1]} ${year}`;
+    }
+
+    formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const suffix = hours >= 12 ? 'PM' : 'AM';
+        return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+    }
+
+    /**
+     * Labelled plain text of the mapped items, readable by the text parser again
+     */
+    toText(result) {
+        const headers = {
+            diagnoses: 'Diagnoses',
+            medications: 'Medications',
+            instructions: 'Instructions',
+            followUp: 'Follow-up',
+            returnReasons: 'Return Precautions',
+            procedures: 'Procedures'
+        };
+        const labels = { name: 'Patient Name', dob: 'DOB', mrn: 'MRN', admissionDate: 'Admission Date', dischargeDate: 'Discharge Date', attending: 'Attending', unit: 'Unit' };
+
+        const blocks = [];
+        const info = result.patientInfo || {};
+        const infoLines = Object.keys(labels).filter(field => info[field]).map(field => `${labels[field]}: ${info[field]}`);
+        if (infoLines.length > 0) blocks.push(infoLines.join('\n'));
+
+        Object.entries(headers).forEach(([category, header]) => {
+            if (result[category].length > 0) {
+                blocks.push(`${header}:\n${result[category].map(item => `- ${item}`).join('\n')}`);
+            }
+        });
+        if (result.narrative) blocks.push(result.narrative);
+        return blocks.join('\n\n');
+    }
+
+    describeCounts(result) {
+        return ['diagnoses', 'medications', 'instructions', 'followUp', 'returnReasons', 'procedures']
+            .map(category => `${result[category].length} ${category}`)
+            .join(', ');
+    }
+
+    hasCodedItems(result) {
+        return ['diagnoses', 'medications', 'instructions', 'followUp', 'returnReasons', 'procedures']
+            .some(category => result[category].length > 0);
+    }
+}
+
+// Export for use in the medical parser
+window.FHIRImporter = FHIRImporter;
@@ -0,0 +1,184 @@
+/**
+ * QR File Scanner - Finds QR codes in uploaded images and PDFs
+ * Each PNG/JPEG or PDF page is drawn to a canvas and scanned repeatedly: every code found is painted over
+ * so the next pass finds the one after it. Results carry the page they came from.
+ */
+class QRFileScanner {
+    constructor(options = {}) {
+        this.pdfWorkerSrc = options.pdfWorkerSrc || 'js/vendor/pdf.worker.min.js';
+        // PDF pages are rendered at this multiple of 72 dpi; codes on printed sheets need ~150+ dpi
+        this.pdfScale = options.pdfScale || 2.5;
+        this.maxCodesPerPage = options.maxCodesPerPage || 12;
+        // Very large photos are scaled down; QR modules stay well above one pixel at this size
+        this.maxDimension = options.maxDimension || 2400;
+        this.supportedTypes = ['image/png', 'image/jpeg', 'application/pdf'];
+        this.qrEngine = null;
+    }
+
+    isSupported(file) {
+        return this.supportedTypes.includes(file?.type) || /\.(png|jpe?g|pdf)$/i.test(file?.name || '');
+    }
+
+    isPdf(file) {
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+    }
+
+    /**
+     * Scan one file
+     * @param {File} file - PNG, JPEG or PDF
+     * @param {Object} options - { onProgress: ({ page, pageCount }) => void }
+     * @returns {Promise<{ data: string, page: number, pageCount: number }[]>} Codes in page order, top to bottom
+     */
+    async scanFile(file, options = {}) {
+        if (!this.isSupported(file)) {
+            throw new Error(`${file?.name || 'This file'} is not a PNG, JPEG or PDF`);
+        }
+        if (typeof QrScanner === 'undefined') {
+            throw new Error('QR Scanner library not loaded');
+        }
+        if (!this.qrEngine) {
+            this.qrEngine = await QrScanner.createQrEngine();
+        }
+
+        const results = [];
+        if (this.isPdf(file)) {
+            const pdf = await this.loadPdf(file);
+            try {
+                for (let page = 1; page <= pdf.numPages; page++) {
+                    options.onProgress?.({ page, pageCount: pdf.numPages });
+                    const canvas = await this.renderPdfPage(pdf, page);
+                    (await this.findCodes(canvas)).forEach(data => results.push({ data, page, pageCount: pdf.numPages }));
+                }
+            } finally {
+                pdf.destroy();
+            }
+        } else {
+            options.onProgress?.({ page: 1, pageCount: 1 });
+            const canvas = await this.renderImage(file);
+            (await this.findCodes(canvas)).forEach(data => results.push({ data, page: 1, pageCount: 1 }));
+        }
+
+        console.log(`✅ ${results.length} QR code(s) found in ${file.name}`);
+        return results;
+    }
+
+    /**
+     * Every QR code on one canvas, top to bottom
+     */
+    async findCodes(canvas) {
+        const found = [];
+        const ctx = canvas.getContext('2d');
+
+        for (let pass = 0; pass < this.maxCodesPerPage; pass++) {
+            let result;
+            try {
+                result = await QrScanner.scanImage(canvas, {
+                    qrEngine: this.qrEngine,
+                    returnDetailedScanResult: true
+                });
+            } catch (error) {
+                break; // No (further) code on this page
+            }
+            if (!result?.data) {
+                break;
+            }
+
+            const points = result.cornerPoints || [];
+            found.push({ data: result.data, top: Math.min(...points.map(point => point.y), Infinity) });
+
+            // Paint over the code, with a margin for the quiet zone, so the next pass finds another one
+            if (points.length < 3) {
+                break;
+            }
+            const xs = points.map(point => point.x);
+            const ys = points.map(point => point.y);
+            const margin = Math.max(8, (Math.max(...xs) - Math.min(...xs)) * 0.1);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(
+                Math.min(...xs) - margin,
+                Math.min(...ys) - margin,
+                Math.max(...xs) - Math.min(...xs) + margin * 2,
+                Math.max(...ys) - Math.min(...ys) + margin * 2
+            );
+        }
+
+        // A sheet can repeat the same code; keep reading order
+        return found
+            .sort((a, b) => a.top - b.top)
+            .map(item => item.data)
+            .filter((data, index, all) => all.indexOf(data) === index);
+    }
+
+    // ========== RENDERING ==========
+
+    async renderImage(file) {
+        const image = await this.loadImage(file);
+        const scale = Math.min(1, this.maxDimension / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        image.close?.();
+        return canvas;
+    }
+
+    loadImage(file) {
+        if (window.createImageBitmap) {
+            return createImageBitmap(file);
+        }
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`${file.name} could not be read as an image`));
+            };
+            image.src = url;
+        });
+    }
+
+    async loadPdf(file) {
+        const pdfjs = window.pdfjsLib;
+        if (!pdfjs) {
+            throw new Error('PDF library not loaded');
+        }
+        pdfjs.GlobalWorkerOptions.workerSrc = this.pdfWorkerSrc;
+        try {
+            return await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+        } catch (error) {
+            if (error?.name === 'PasswordException') {
+                throw new Error(`${file.name} is password protected`);
+            }
+            throw new Error(`${file.name} could not be opened as a PDF`);
+        }
+    }
+
+    async renderPdfPage(pdf, pageNumber) {
+        const page = await pdf.getPage(pageNumber);
+        let viewport = page.getViewport({ scale: this.pdfScale });
+        const largest = Math.max(viewport.width, viewport.height);
+        if (largest > this.maxDimension * 1.5) {
+            viewport = page.getViewport({ scale: this.pdfScale * (this.maxDimension * 1.5) / largest });
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: ctx, viewport }).promise;
+        page.cleanup();
+        return canvas;
+    }
+}
+
+// Export for use in the main app
+window.QRFileScanner = QRFileScanner;
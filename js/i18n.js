@@ -0,0 +1,362 @@
+/**
+ * I18n Catalog - Message catalogs for the app chrome and the generated documents (data/i18n/*.json)
+ * A message is a string with {placeholders}, or an object of plural forms (zero, one, two, few, many, other)
+ * picked by the count parameter. Messages missing from a locale come from the next locale in its
+ * fallback chain (pt-BR → pt → the manifest's fallbacks → en) and are reported once each.
+ * English is bundled (data/i18n/en.js) rather than fetched, so no message key ever reaches the page or a document.
+ */
+class I18nCatalog {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || window.appConfig?.get('I18N_URL', 'data/i18n/') || 'data/i18n/';
+        this.defaultLocale = 'en';
+        this.manifest = null;
+        this.manifestPromise = null;
+        this.catalogs = new Map();     // locale → { version, messages: Map<key, message> }
+        this.loading = new Map();      // locale → pending promise
+        this.missing = new Map();      // requested locale → Set of keys served from a fallback
+        this.pluralRules = new Map();  // locale → Intl.PluralRules
+        this.pluralForms = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+        const bundled = options.bundled || window.I18N_BUNDLED_CATALOG;
+        if (bundled) {
+            this.addCatalog(bundled);
+        } else {
+            console.error('❌ Bundled English messages (data/i18n/en.js) not loaded; check the script tags');
+        }
+    }
+
+    /**
+     * Load manifest.json (once)
+     */
+    loadManifest() {
+        if (!this.manifestPromise) {
+            this.manifestPromise = this.fetchJSON(`${this.baseUrl}manifest.json`)
+                .then(manifest => {
+                    this.manifest = manifest;
+                    this.defaultLocale = manifest.defaultLocale || this.defaultLocale;
+                    console.log(`✅ Message catalog manifest ${manifest.version} loaded (${Object.keys(manifest.locales || {}).length} locales)`);
+                    return manifest;
+                })
+                .catch(error => {
+                    // Allow a retry once the files are reachable again
+                    this.manifestPromise = null;
+                    throw error;
+                });
+        }
+        return this.manifestPromise;
+    }
+
+    /**
+     * Locales with a message file, from the manifest once loaded, otherwise from the app config
+     */
+    getLocales() {
+        if (this.manifest) {
+            return Object.keys(this.manifest.locales || {});
+        }
+        return window.appConfig?.getSupportedLanguages() || [this.defaultLocale];
+    }
+
+    hasLocale(locale) {
+        return this.getLocales().includes(locale);
+    }
+
+    /**
+     * Locales tried in turn for a message: the locale itself, its base language,
+     * the fallbacks the manifest lists for either, then the default locale
+     * @param {string} locale - BCP 47 tag, e.g. 'pt-BR'
+     * @returns {string[]}
+     */
+    getFallbackChain(locale) {
+        const chain = [];
+        const add = (code) => {
+            if (code && !chain.includes(code)) {
+                chain.push(code);
+                (this.manifest?.locales?.[code]?.fallback || []).forEach(add);
+            }
+        };
+        const tag = String(locale || this.defaultLocale);
+        add(tag);
+        add(tag.split('-')[0]);
+        add(this.defaultLocale);
+        return chain;
+    }
+
+    /**
+     * Load the message files of a locale's fallback chain. A locale that cannot be loaded
+     * is skipped (its messages come from the rest of the chain), so this never throws.
+     * @returns {Promise<string[]>} The locales of the chain that are loaded
+     */
+    async load(locale) {
+        try {
+            await this.loadManifest();
+        } catch (error) {
+            console.warn('⚠️ Message catalog manifest could not be loaded:', error.message);
+            return [];
+        }
+
+        const chain = this.getFallbackChain(locale).filter(code => this.hasLocale(code));
+        const loaded = [];
+        for (const code of chain) {
+            try {
+                await this.getCatalog(code);
+                loaded.push(code);
+            } catch (error) {
+                console.warn(`⚠️ Messages for ${code} could not be loaded:`, error.message);
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * Get a locale's messages, fetching them on first use
+     */
+    async getCatalog(locale) {
+        if (this.catalogs.has(locale)) {
+            return this.catalogs.get(locale);
+        }
+        if (!this.loading.has(locale)) {
+            this.loading.set(locale, this.loadCatalog(locale).finally(() => this.loading.delete(locale)));
+        }
+        return this.loading.get(locale);
+    }
+
+    async loadCatalog(locale) {
+        const manifest = await this.loadManifest();
+        const entry = manifest.locales?.[locale];
+        if (!entry) {
+            throw new Error(`No message file for ${locale}`);
+        }
+        if (entry.bundled) {
+            throw new Error(`Messages ${locale} are bundled (${entry.file}) and must be loaded with a script tag`);
+        }
+
+        // The version in the URL keeps a stale cached copy from being used after an update
+        const file = await this.fetchJSON(`${this.baseUrl}${entry.file}?v=${encodeURIComponent(entry.version)}`);
+        if (file.locale !== locale) {
+            throw new Error(`Message file ${entry.file} is for ${file.locale}, expected ${locale}`);
+        }
+        if (file.version !== entry.version) {
+            console.warn(`⚠️ Messages ${locale} are version ${file.version}, manifest lists ${entry.version}`);
+        }
+
+        const catalog = this.addCatalog(file);
+
+        if (locale !== this.defaultLocale) {
+            // Compare with the default catalog so translators see every gap at once, not only the ones hit at runtime
+            this.getCatalog(this.defaultLocale)
+                .then(() => {
+                    const gaps = this.audit(locale);
+                    if (gaps.length > 0) {
+                        console.warn(`⚠️ Messages ${locale} ${file.version}: ${gaps.length} missing, shown from the fallback locales:`, gaps);
+                    }
+                })
+                .catch(() => {});
+        }
+        return catalog;
+    }
+
+    /**
+     * Register a locale's messages: a message file's contents, { locale, version, messages }
+     */
+    addCatalog(file) {
+        const catalog = { version: file.version, messages: this.flatten(file.messages || {}) };
+        this.catalogs.set(file.locale, catalog);
+        console.log(`✅ Messages ${file.locale} ${file.version} loaded (${catalog.messages.size} messages)`);
+        return catalog;
+    }
+
+    /**
+     * Whether a message exists anywhere in the locale's fallback chain
+     */
+    has(key, locale = this.defaultLocale) {
+        return this.resolve(key, locale) !== null;
+    }
+
+    /**
+     * Translate a message. Placeholders are filled from params; a plural message picks its form
+     * with params.count. Unknown keys come back as the key itself.
+     * @param {string} key - Dotted path, e.g. 'document.scan_qr'
+     * @param {Object} params - Placeholder values, e.g. { count: 3, file: 'scan.pdf' }
+     * @param {string} locale - Locale to translate to (should be loaded with load() first)
+     * @returns {string}
+     */
+    t(key, params = {}, locale = this.defaultLocale) {
+        const resolved = this.resolve(key, locale);
+        if (!resolved) {
+            this.reportMissing(key, locale, null);
+            return key;
+        }
+        if (resolved.locale !== this.getPrimaryLocale(locale)) {
+            this.reportMissing(key, locale, resolved.locale);
+        }
+
+        let message = resolved.message;
+        if (typeof message === 'object') {
+            message = this.selectPlural(message, params.count, resolved.locale);
+        }
+        return this.interpolate(message, params);
+    }
+
+    /**
+     * First locale of the chain that has messages of its own, e.g. 'pt' for 'pt-BR'
+     */
+    getPrimaryLocale(locale) {
+        return this.getFallbackChain(locale).find(code => this.hasLocale(code)) || this.defaultLocale;
+    }
+
+    /**
+     * Message for a key from the first loaded locale of the chain that has it
+     * @returns {{ message: string|Object, locale: string }|null}
+     */
+    resolve(key, locale) {
+        for (const code of this.getFallbackChain(locale)) {
+            const message = this.catalogs.get(code)?.messages.get(key);
+            if (message !== undefined) {
+                return { message, locale: code };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Plural form for a count; forms a locale does not distinguish fall back to 'other'
+     */
+    selectPlural(forms, count, locale) {
+        const number = Number(count);
+        if (!Number.isFinite(number)) {
+            return forms.other;
+        }
+        return forms[this.getPluralRules(locale).select(number)] ?? forms.other;
+    }
+
+    getPluralRules(locale) {
+        if (!this.pluralRules.has(locale)) {
+            this.pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        return this.pluralRules.get(locale);
+    }
+
+    /**
+     * Plural forms whole numbers up to 200 can select in a locale. Categories only reached by
+     * millions or fractions (Spanish and French 'many') are left to 'other'.
+     */
+    getPluralCategories(locale) {
+        const rules = this.getPluralRules(locale);
+        const categories = new Set();
+        for (let number = 0; number <= 200; number++) {
+            categories.add(rules.select(number));
+        }
+        return [...categories];
+    }
+
+    /**
+     * Replace {name} placeholders; placeholders without a value are left in place
+     */
+    interpolate(message, params = {}) {
+        return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined || params[name] === null ? match : String(params[name]));
+    }
+
+    /**
+     * Log a message served from a fallback (or not found at all), once per locale and key
+     */
+    reportMissing(key, locale, usedLocale) {
+        if (!this.missing.has(locale)) {
+            this.missing.set(locale, new Set());
+        }
+        const keys = this.missing.get(locale);
+        if (keys.has(key)) {
+            return;
+        }
+        keys.add(key);
+        if (usedLocale) {
+            console.warn(`⚠️ Message "${key}" missing for ${locale}, using ${usedLocale}`);
+        } else {
+            console.error(`❌ Message "${key}" missing for ${locale} and every fallback locale`);
+        }
+    }
+
+    /**
+     * Keys that were served from a fallback so far, per requested locale
+     * @returns {Object<string, string[]>}
+     */
+    getMissingReport() {
+        const report = {};
+        this.missing.forEach((keys, locale) => {
+            report[locale] = [...keys].sort();
+        });
+        return report;
+    }
+
+    /**
+     * Messages of the default catalog a loaded locale lacks, including plural forms
+     * its grammar needs, e.g. 'document.qr_sequence#few' for Russian
+     * @returns {string[]}
+     */
+    audit(locale) {
+        const base = this.catalogs.get(this.defaultLocale);
+        const catalog = this.catalogs.get(locale);
+        if (!base || !catalog) {
+            return [];
+        }
+
+        const categories = this.getPluralCategories(locale);
+        const gaps = [];
+        base.messages.forEach((baseMessage, key) => {
+            const message = catalog.messages.get(key);
+            if (message === undefined) {
+                gaps.push(key);
+            } else if (typeof baseMessage === 'object' || typeof message === 'object') {
+                const forms = typeof message === 'object' ? message : {};
+                categories
+                    .filter(category => forms[category] === undefined)
+                    .forEach(category => gaps.push(`${key}#${category}`));
+            }
+        });
+        return gaps;
+    }
+
+    /**
+     * Loaded catalogs and their versions, for the staff status display
+     */
+    getStatus() {
+        return {
+            version: this.manifest?.version || null,
+            locales: this.getLocales(),
+            loaded: [...this.catalogs.entries()].map(([locale, catalog]) => ({ locale, version: catalog.version, messages: catalog.messages.size })),
+            missing: this.getMissingReport()
+        };
+    }
+
+    /**
+     * Nested message groups → Map of dotted keys; plural form objects stay whole
+     */
+    flatten(messages, prefix = '', into = new Map()) {
+        Object.entries(messages).forEach(([name, value]) => {
+            const key = prefix ? `${prefix}.${name}` : name;
+            if (typeof value === 'string' || this.isPluralForms(value)) {
+                into.set(key, value);
+            } else if (value && typeof value === 'object') {
+                this.flatten(value, key, into);
+            }
+        });
+        return into;
+    }
+
+    isPluralForms(value) {
+        return !!value && typeof value === 'object' && typeof value.other === 'string' &&
+            Object.keys(value).every(name => this.pluralForms.includes(name));
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.json();
+    }
+}
+
+// Export for use in the document generator and the app; one catalog is shared by both
+window.I18nCatalog = I18nCatalog;
+window.i18n = new I18nCatalog();
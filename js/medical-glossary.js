@@ -0,0 +1,179 @@
+/**
+ * Medical Glossary - Enforces fixed translations for medical terms across all translation providers
+ * Terms are swapped for placeholders before the provider call and restored afterwards, so abbreviations
+ * such as "PRN", brand-name drugs, dosages and phone numbers come out the same whichever provider is used
+ */
+class MedicalGlossary {
+    constructor(data = null) {
+        this.version = 'none';
+        this.terms = [];
+        this.patterns = [];
+        this.loaded = false;
+        if (data) {
+            this.setData(data);
+        }
+    }
+
+    /**
+     * Load the glossary JSON (data/glossary.json by default)
+     */
+    async load(url = window.appConfig?.get('GLOSSARY_URL', 'data/glossary.json') || 'data/glossary.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.setData(await response.json());
+            console.log(`✅ Medical glossary ${this.version} loaded (${this.terms.length} terms)`);
+        } catch (error) {
+            // Translation still works without the glossary; items simply are not protected
+            console.warn('⚠️ Medical glossary could not be loaded:', error.message);
+        }
+        return this;
+    }
+
+    setData(data) {
+        this.version = data.version || 'none';
+        this.terms = (data.terms || []).map(term => ({
+            ...term,
+            matcher: this.createTermPattern([term.term, ...(term.aliases || [])], term.caseSensitive)
+        }));
+        this.patterns = (data.patterns || []).map(entry => ({
+            ...entry,
+            matcher: new RegExp(entry.pattern, entry.caseSensitive === false ? 'gi' : 'g')
+        }));
+        this.loaded = true;
+    }
+
+    createTermPattern(forms, caseSensitive = false) {
+        const alternatives = forms
+            .sort((a, b) => b.length - a.length)
+            .map(form => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+        // Whole words only; dotted abbreviations ("p.r.n.") end in a non-word character
+        return new RegExp(`(?<![\\w.])(?:${alternatives})(?![\\w])`, caseSensitive ? 'g' : 'gi');
+    }
+
+    /**
+     * Replace glossary terms with placeholders
+     * @returns {{ text: string, placeholders: Object[] }}
+     */
+    protect(text, targetLang) {
+        if (!text || (this.terms.length === 0 && this.patterns.length === 0)) {
+            return { text, placeholders: [] };
+        }
+
+        // Collect non-overlapping matches, patterns (dosages, phones) first
+        const matches = [];
+        const overlaps = (start, end) => matches.some(match => start < match.end && end > match.start);
+        const collect = entry => {
+            entry.matcher.lastIndex = 0;
+            for (const match of text.matchAll(entry.matcher)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (match[0] && !overlaps(start, end)) {
+                    matches.push({ start, end, source: match[0], entry });
+                }
+            }
+        };
+        this.patterns.forEach(collect);
+        this.terms.forEach(collect);
+
+        if (matches.length === 0) {
+            return { text, placeholders: [] };
+        }
+
+        matches.sort((a, b) => a.start - b.start);
+        const placeholders = [];
+        let protectedText = '';
+        let cursor = 0;
+
+        matches.forEach((match, index) => {
+            const token = `[[G${index}]]`;
+            const target = match.entry.doNotTranslate
+                ? match.source
+                : (match.entry.translations?.[targetLang] ?? null);
+
+            // Terms without a translation for this language are left for the provider
+            if (target === null) {
+                return;
+            }
+
+            protectedText += text.slice(cursor, match.start) + token;
+            cursor = match.end;
+            placeholders.push({
+                token,
+                index,
+                source: match.source,
+                target,
+                term: match.entry.term || match.entry.name,
+                kind: match.entry.doNotTranslate ? 'keep' : 'translate'
+            });
+        });
+        protectedText += text.slice(cursor);
+
+        return { text: protectedText, placeholders };
+    }
+
+    /**
+     * Put glossary terms back in place of their placeholders
+     * @returns {{ text: string, violations: Object[] }}
+     */
+    restore(translated, placeholders) {
+        if (!placeholders || placeholders.length === 0) {
+            return { text: translated, violations: [] };
+        }
+
+        const found = new Set();
+        // Providers sometimes add spaces or change case inside the token
+        let text = translated.replace(/\[\s*\[\s*G\s*(\d+)\s*\]\s*\]/gi, (token, index) => {
+            const placeholder = placeholders.find(entry => entry.index === Number(index));
+            if (!placeholder) {
+                return token;
+            }
+            found.add(placeholder.index);
+            return placeholder.target;
+        });
+
+        const violations = [];
+        placeholders
+            .filter(placeholder => !found.has(placeholder.index))
+            .forEach(placeholder => {
+                // A provider may have dropped the token but still written the required wording
+                if (text.toLowerCase().includes(placeholder.target.toLowerCase())) {
+                    return;
+                }
+                violations.push({
+                    type: 'missing_term',
+                    term: placeholder.term,
+                    source: placeholder.source,
+                    expected: placeholder.target
+                });
+            });
+
+        // Tidy spacing left around restored terms
+        text = text.replace(/[ \t]{2,}/g, ' ').trim();
+
+        return { text, violations };
+    }
+
+    /**
+     * Check a finished translation (e.g. from the translation memory) against the glossary
+     * @returns {Object[]} violations
+     */
+    check(sourceText, translatedText, targetLang) {
+        const { placeholders } = this.protect(sourceText, targetLang);
+        const lower = (translatedText || '').toLowerCase();
+        return placeholders
+            .filter(placeholder => !lower.includes(placeholder.target.toLowerCase()))
+            .map(placeholder => ({
+                type: 'missing_term',
+                term: placeholder.term,
+                source: placeholder.source,
+                expected: placeholder.target
+            }));
+    }
+}
+
+// Export for use in the translation service
+window.MedicalGlossary = MedicalGlossary;
@@ -0,0 +1,374 @@
+/**
+ * Medication Extractor - Turns free-text medication instructions into structured records
+ * Each record keeps drug, strength, route, frequency, PRN reason, duration and quantity
+ * plus a span pointing back into the original text
+ */
+class MedicationExtractor {
+    constructor() {
+        // Common discharge medications (generic and brand names)
+        this.knownDrugs = [
+            'acetaminophen', 'tylenol', 'ibuprofen', 'advil', 'motrin', 'naproxen', 'aleve', 'aspirin',
+            'oxycodone', 'hydrocodone', 'percocet', 'norco', 'tramadol', 'morphine', 'codeine',
+            'amoxicillin-clavulanate', 'amoxicillin', 'augmentin', 'azithromycin', 'cephalexin', 'keflex',
+            'ciprofloxacin', 'levofloxacin', 'doxycycline', 'clindamycin', 'metronidazole', 'nitrofurantoin',
+            'sulfamethoxazole-trimethoprim', 'bactrim', 'penicillin',
+            'lisinopril', 'losartan', 'amlodipine', 'metoprolol', 'carvedilol', 'atenolol',
+            'hydrochlorothiazide', 'furosemide', 'lasix', 'spironolactone',
+            'atorvastatin', 'simvastatin', 'rosuvastatin', 'metformin', 'insulin', 'glipizide',
+            'warfarin', 'coumadin', 'apixaban', 'eliquis', 'rivaroxaban', 'xarelto', 'clopidogrel', 'plavix',
+            'enoxaparin', 'lovenox', 'heparin', 'prednisone', 'methylprednisolone',
+            'albuterol', 'fluticasone', 'montelukast', 'omeprazole', 'pantoprazole', 'famotidine',
+            'ondansetron', 'zofran', 'docusate', 'senna', 'polyethylene glycol', 'miralax',
+            'levothyroxine', 'gabapentin', 'cyclobenzaprine', 'diphenhydramine', 'benadryl',
+            'loratadine', 'cetirizine', 'sertraline', 'nitroglycerin', 'potassium chloride',
+            'chlorhexidine', 'mupirocin', 'bacitracin'
+        ].sort((a, b) => b.length - a.length);
+
+        // Words that introduce a medication instruction without naming a drug
+        this.genericDrugWords = ['medication', 'medications', 'medicine', 'medicines', 'pill', 'pills', 'tablet', 'tablets', 'capsule', 'capsules'];
+
+        this.actionVerbs = /^(?:take|use|apply|inject|inhale|start|continue|resume|give|place|insert)\b/i;
+
+        this.strengthPattern = /(\d+(?:\.\d+)?(?:\s*(?:-|to)\s*\d+(?:\.\d+)?)?)\s*(mg|mcg|µg|gm?|ml|units?|iu|meq|%)(?![a-z])/i;
+
+        this.dosePattern = /\b(\d+(?:\.\d+)?(?:\s*(?:-|to)\s*\d+)?|one|two|three|half a|half)\s+(tablets?|tabs?|capsules?|caps?|puffs?|drops?|sprays?|patch(?:es)?|teaspoons?|tablespoons?)\b/i;
+
+        this.routes = [
+            { route: 'oral', pattern: /\b(?:by mouth|orally|oral)\b|\bp\.?o\.?(?![a-z])/i },
+            { route: 'sublingual', pattern: /\b(?:under (?:the|your) tongue|sublingual(?:ly)?)\b|\bSL\b/ },
+            { route: 'inhaled', pattern: /\b(?:inhale[sd]?|inhaled|inhaler|nebuli[sz]er|puffs?)\b/i },
+            { route: 'subcutaneous', pattern: /\b(?:subcutaneous(?:ly)?|under the skin|subq)\b|\b(?:SC|SQ)\b/i },
+            { route: 'intramuscular', pattern: /\bintramuscular(?:ly)?\b|\bIM\b/ },
+            { route: 'intravenous', pattern: /\bintravenous(?:ly)?\b|\bIV\b/ },
+            { route: 'rectal', pattern: /\b(?:rectally|per rectum|suppositor(?:y|ies))\b/i },
+            { route: 'ophthalmic', pattern: /\b(?:eye drops?|in (?:each|the|both|your) eyes?|ophthalmic)\b/i },
+            { route: 'otic', pattern: /\b(?:ear drops?|in (?:each|the|both|your) ears?|otic)\b/i },
+            { route: 'nasal', pattern: /\b(?:nasal(?:ly)?|intranasal|in each nostril|nasal spray)\b/i },
+            { route: 'transdermal', pattern: /\b(?:transdermal|patch(?:es)?)\b/i },
+            { route: 'topical', pattern: /\b(?:topical(?:ly)?|apply|ointment|cream)\b/i }
+        ];
+
+        // Ordered most specific first; the first match wins
+        this.frequencies = [
+            { pattern: /\b(?:every|q)\s*(\d+)\s*(?:-|to)\s*(\d+)\s*(?:hours?|hrs?|h)\b/i, interval: true },
+            { pattern: /\b(?:every|q)\s*(\d+)\s*(?:hours?|hrs?|h)\b/i, interval: true },
+            { pattern: /\b(?:four times (?:a |per )?day|four times daily|q\.?i\.?d\.?)(?![a-z])/i, code: 'QID', timesPerDay: 4 },
+            { pattern: /\b(?:three times (?:a |per )?day|three times daily|t\.?i\.?d\.?)(?![a-z])/i, code: 'TID', timesPerDay: 3 },
+            { pattern: /\b(?:twice (?:a |per )?day|twice daily|two times (?:a |per )?day|two times daily|b\.?i\.?d\.?)(?![a-z])/i, code: 'BID', timesPerDay: 2 },
+            { pattern: /\b(?:at bedtime|before bed(?:time)?|nightly|every night|at night|q\.?h\.?s\.?)(?![a-z])/i, code: 'QHS', timesPerDay: 1 },
+            { pattern: /\b(?:every morning|each morning|in the morning|q\.?a\.?m\.?)(?![a-z])/i, code: 'QAM', timesPerDay: 1 },
+            { pattern: /\bevery other day\b|\bq\.?o\.?d\.?(?![a-z])/i, code: 'QOD', timesPerDay: 0.5 },
+            { pattern: /\b(?:once (?:a |per )?week|weekly)\b/i, code: 'QWK', timesPerDay: 1 / 7 },
+            { pattern: /\b(?:once (?:a |per )?day|once daily|daily|every day|each day|q\.?d\.?)(?![a-z])/i, code: 'QD', timesPerDay: 1 }
+        ];
+
+        this.prnPattern = /\b(?:as needed|if needed|when needed|p\.?r\.?n\.?)(?![a-z])/i;
+        this.prnReasonPattern = /\b(?:as needed|if needed|when needed|p\.?r\.?n\.?)\s+for\s+([a-z][a-z\s-]*?)(?=\s*(?:[.,;()]|$|\b(?:every|up to|and|or|not|no more|do not)\b|\bfor\s+\d))/i;
+        this.prnAbbreviationPattern = /\bp\.?r\.?n\.?\s+(?!for\b)([a-z][a-z\s-]*?)(?=\s*(?:[.,;()]|$|\b(?:every|up to|and|or|not)\b|\bfor\s+\d))/i;
+        this.reasonBeforePrnPattern = /\bfor\s+([a-z][a-z\s-]*?)\s+(?:as needed|if needed|when needed|prn)\b/i;
+
+        this.durationPattern = /\b(?:for|x|times)\s*(?:the\s+next\s+|a\s+total\s+of\s+)?(\d+|one|two|three|four|five|six|seven|eight|nine|ten|fourteen|thirty)\s*(days?|d|weeks?|wks?|months?)\b/i;
+
+        this.quantityPattern = /(?:#\s*|\b(?:qty|quantity|dispense|disp)\.?:?\s*)(\d+)(?:\s*\(?[a-z\s]*\)?\s*(tablets?|tabs?|capsules?|caps?|ml|inhalers?|patch(?:es)?|bottles?))?/i;
+
+        this.numberWords = {
+            'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7,
+            'eight': 8, 'nine': 9, 'ten': 10, 'fourteen': 14, 'thirty': 30, 'half': 0.5, 'half a': 0.5
+        };
+
+        // Abbreviations whose trailing period does not end a sentence
+        this.abbreviations = /^(?:p\.?o|b\.?i\.?d|t\.?i\.?d|q\.?i\.?d|q\.?d|q\.?h\.?s|p\.?r\.?n|q\d*h?|tab|tabs|approx|e\.g|i\.e|a\.m|p\.m)$/i;
+        // Titles are always followed by a name, never a sentence break
+        this.titles = /^(?:dr|mr|mrs|ms|st)$/i;
+    }
+
+    /**
+     * Extract structured medication records from text
+     * @param {string} text - Source text
+     * @param {Object} options - { offset: span offset into rawText, lenient: accept a drug without dosing details }
+     */
+    extract(text, options = {}) {
+        const { offset = 0, lenient = false } = options;
+        const records = [];
+
+        if (!text || typeof text !== 'string') {
+            return records;
+        }
+
+        this.splitSentences(text).forEach(sentence => {
+            const record = this.parseMedication(sentence.text, { lenient });
+            if (record) {
+                record.span = {
+                    start: sentence.start + offset,
+                    end: sentence.end + offset
+                };
+                records.push(record);
+                return;
+            }
+
+            // A dispense line such as "Qty: 30 tablets" belongs to the medication above it
+            const previous = records[records.length - 1];
+            const quantity = this.findQuantity(sentence.text);
+            if (previous && !previous.quantity && quantity) {
+                previous.quantity = quantity;
+                previous.span.end = sentence.end + offset;
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * Parse a single sentence into a medication record, or null if it is not one
+     */
+    parseMedication(sentence, options = {}) {
+        const text = sentence.trim();
+        if (text.length < 4) {
+            return null;
+        }
+
+        const drug = this.findDrugName(text);
+        const hasActionVerb = this.actionVerbs.test(text);
+        const strength = this.findStrength(text);
+        const dose = this.findDose(text);
+        const route = this.findRoute(text);
+        const frequency = this.findFrequency(text);
+        const prn = this.findPrn(text);
+
+        const hasDosing = !!(strength || dose || frequency || prn.asNeeded);
+        const isMedication = (drug.name && (hasDosing || route || options.lenient)) ||
+            (drug.generic && hasActionVerb && hasDosing);
+
+        if (!isMedication) {
+            return null;
+        }
+
+        return {
+            text: this.normalizeText(text),
+            drug: drug.name,
+            strength: strength ? strength.value : null,
+            unit: strength ? strength.unit : null,
+            dose: dose,
+            route: route,
+            frequency: frequency,
+            asNeeded: prn.asNeeded,
+            prnReason: prn.reason,
+            duration: this.findDuration(text),
+            quantity: this.findQuantity(text)
+        };
+    }
+
+    /**
+     * Split text into sentences while tracking their offsets
+     */
+    splitSentences(text) {
+        const sentences = [];
+        let start = 0;
+
+        const pushSentence = (end) => {
+            const raw = text.slice(start, end);
+            const bullet = raw.match(/^\s*(?:[-*•]\s+)?/)[0];
+            const leading = bullet.length;
+            const trimmed = raw.slice(leading).trim();
+            if (trimmed) {
+                sentences.push({
+                    text: trimmed,
+                    start: start + leading,
+                    end: start + leading + trimmed.length
+                });
+            }
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '\n' || char === ';') {
+                pushSentence(i);
+                start = i + 1;
+                continue;
+            }
+
+            if (char === '.' || char === '!' || char === '?') {
+                const next = text[i + 1];
+                if (next !== undefined && !/\s/.test(next)) {
+                    continue; // Decimal point or inline abbreviation
+                }
+
+                const previousWord = text.slice(start, i).split(/\s+/).pop() || '';
+                const nextChar = text.slice(i + 1).trimStart().charAt(0);
+                if (this.titles.test(previousWord) ||
+                    (this.abbreviations.test(previousWord) && /[a-z]/.test(nextChar))) {
+                    continue;
+                }
+
+                pushSentence(i + 1);
+                start = i + 1;
+            }
+        }
+
+        pushSentence(text.length);
+        return sentences;
+    }
+
+    /**
+     * Find the drug name in a sentence
+     */
+    findDrugName(text) {
+        const lower = text.toLowerCase();
+
+        for (const drug of this.knownDrugs) {
+            const match = new RegExp(`\\b${this.escapeRegex(drug)}\\b`, 'i').exec(lower);
+            if (match) {
+                return { name: text.substr(match.index, drug.length), generic: false };
+            }
+        }
+
+        // "Take <name> 10 mg ..." or "Take <name> 2 tablets ..."; an unknown name needs a strength or dose
+        // form, or "Take your blood pressure every morning" would be a medication
+        const verbMatch = text.match(/^(?:take|use|apply|inject|inhale|start|continue|resume|give)\s+(?:your\s+|the\s+|a\s+|an\s+)?([a-z][\w-]*(?:\s+[a-z][\w-]*){0,2}?)(?=\s+(?:\d|by\b|orally\b|po\b|p\.o\.|once\b|twice\b|three\b|four\b|every\b|daily\b|at\b|as\b|with\b|under\b|in\b|to\b|for\b)|\s*$)/i);
+        if (verbMatch && (this.findStrength(text) || this.findDose(text))) {
+            const candidate = verbMatch[1].trim();
+            if (this.genericDrugWords.includes(candidate.toLowerCase().split(/\s+/).pop())) {
+                return { name: null, generic: true };
+            }
+            return { name: candidate, generic: false };
+        }
+
+        // "<Name> 10 mg ..." as typically found in medication lists
+        const listMatch = text.match(/\b([A-Z][a-z]+(?:[- ][A-Z]?[a-z]+)?)\s+\d+(?:\.\d+)?\s*(?:mg|mcg|µg|gm?|ml|units?|iu|meq|%)(?![a-z])/);
+        if (listMatch && !this.genericDrugWords.includes(listMatch[1].toLowerCase())) {
+            return { name: listMatch[1], generic: false };
+        }
+
+        const generic = this.genericDrugWords.some(word => new RegExp(`\\b${word}\\b`, 'i').test(text));
+        return { name: null, generic };
+    }
+
+    findStrength(text) {
+        const match = text.match(this.strengthPattern);
+        if (!match) {
+            return null;
+        }
+        let unit = match[2].toLowerCase();
+        if (unit === 'µg') unit = 'mcg';
+        if (unit === 'gm') unit = 'g';
+        if (unit === 'ml') unit = 'mL';
+        if (unit === 'unit') unit = 'units';
+        if (unit === 'meq') unit = 'mEq';
+        if (unit === 'iu') unit = 'IU';
+        return { value: match[1].replace(/\s+/g, ''), unit };
+    }
+
+    findDose(text) {
+        const match = text.match(this.dosePattern);
+        if (!match) {
+            return null;
+        }
+        const amount = match[1].toLowerCase();
+        return {
+            amount: this.numberWords[amount] ?? amount.replace(/\s+/g, ''),
+            form: match[2].toLowerCase()
+        };
+    }
+
+    findRoute(text) {
+        const found = this.routes.find(entry => entry.pattern.test(text));
+        return found ? found.route : null;
+    }
+
+    findFrequency(text) {
+        for (const entry of this.frequencies) {
+            const match = text.match(entry.pattern);
+            if (!match) {
+                continue;
+            }
+
+            if (entry.interval) {
+                // For ranges like "every 4-6 hours" the longer interval gives the scheduled dose count
+                const hours = parseInt(match[2] || match[1], 10);
+                const minHours = parseInt(match[1], 10);
+                return {
+                    text: match[0],
+                    code: match[2] ? `Q${minHours}-${hours}H` : `Q${hours}H`,
+                    intervalHours: hours,
+                    timesPerDay: hours > 0 ? Math.floor(24 / hours) : null
+                };
+            }
+
+            return {
+                text: match[0],
+                code: entry.code,
+                intervalHours: null,
+                timesPerDay: entry.timesPerDay
+            };
+        }
+        return null;
+    }
+
+    findPrn(text) {
+        if (!this.prnPattern.test(text)) {
+            return { asNeeded: false, reason: null };
+        }
+
+        const match = text.match(this.prnReasonPattern);
+        let reason = match ? match[1].trim() : null;
+        if (!reason) {
+            const abbreviated = text.match(this.prnAbbreviationPattern);
+            reason = abbreviated ? abbreviated[1].trim() : null;
+        }
+        if (!reason) {
+            const before = text.match(this.reasonBeforePrnPattern);
+            reason = before ? before[1].trim() : null;
+        }
+        return { asNeeded: true, reason };
+    }
+
+    findDuration(text) {
+        const match = text.match(this.durationPattern);
+        if (!match) {
+            return null;
+        }
+
+        const rawValue = match[1].toLowerCase();
+        const value = this.numberWords[rawValue] ?? parseInt(rawValue, 10);
+        const unitText = match[2].toLowerCase();
+        const unit = unitText.startsWith('w') ? 'week' : unitText.startsWith('m') ? 'month' : 'day';
+        const multiplier = { day: 1, week: 7, month: 30 }[unit];
+
+        return {
+            text: match[0].trim(),
+            value,
+            unit,
+            days: value * multiplier
+        };
+    }
+
+    findQuantity(text) {
+        const match = text.match(this.quantityPattern);
+        if (!match) {
+            return null;
+        }
+        return {
+            value: parseInt(match[1], 10),
+            unit: match[2] ? match[2].toLowerCase() : null
+        };
+    }
+
+    /**
+     * Normalize the display text of a record
+     */
+    normalizeText(text) {
+        const cleaned = text
+            .replace(/[.;]+$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+    }
+
+    escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Export for use in the medical parser
+window.MedicationExtractor = MedicationExtractor;
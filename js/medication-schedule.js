@@ -0,0 +1,163 @@
+/**
+ * Medication Schedule Builder - Turns parsed medication frequencies into a day-by-time-slot "pill calendar"
+ * Fixed daily frequencies use named slots (morning/noon/evening/bedtime); hourly intervals use clock times
+ */
+class MedicationScheduleBuilder {
+    constructor(options = {}) {
+        this.slotTimes = {
+            morning: '08:00',
+            noon: '12:00',
+            evening: '18:00',
+            bedtime: '22:00'
+        };
+
+        // Named slots per frequency code
+        this.slotsByCode = {
+            QD: ['morning'],
+            QAM: ['morning'],
+            QHS: ['bedtime'],
+            QOD: ['morning'],
+            QWK: ['morning'],
+            BID: ['morning', 'evening'],
+            TID: ['morning', 'noon', 'evening'],
+            QID: ['morning', 'noon', 'evening', 'bedtime']
+        };
+
+        // Days between doses for codes that are not taken every day
+        this.dayIntervalByCode = {
+            QOD: 2,
+            QWK: 7
+        };
+
+        this.firstDoseHour = 8;
+        this.defaultDays = options.defaultDays || window.appConfig?.get('SCHEDULE_DEFAULT_DAYS', 7) || 7;
+        this.maxDays = options.maxDays || 31;
+    }
+
+    /**
+     * Build schedules for every medication with a fixed frequency
+     * @param {Object[]} details - medicationDetails records from the parser
+     * @param {string[]} labels - Display text per medication (translated when available)
+     * @param {Object} options - { startDate: 'yyyy-mm-dd' | Date }
+     * @returns {{ startDate: string, schedules: Object[], asNeeded: Object[] }}
+     */
+    build(details, labels = [], options = {}) {
+        const start = this.toStartDate(options.startDate);
+        const schedules = [];
+        const asNeeded = [];
+
+        (details || []).forEach((record, index) => {
+            if (!record) {
+                return;
+            }
+            const label = labels[index] || record.text || record.drug;
+
+            // As-needed medicines have no fixed times; they are listed separately
+            if (record.asNeeded) {
+                asNeeded.push({ index, drug: record.drug, label, reason: record.prnReason || null });
+                return;
+            }
+
+            const schedule = this.buildSchedule(record, start);
+            if (schedule) {
+                schedules.push({ index, drug: record.drug, label, ...schedule });
+            }
+        });
+
+        return { startDate: this.formatDate(start), schedules, asNeeded };
+    }
+
+    /**
+     * Build the slot columns and day rows for one medication record
+     */
+    buildSchedule(record, start) {
+        const frequency = record.frequency;
+        if (!frequency) {
+            return null;
+        }
+
+        const timing = this.getTiming(frequency);
+        if (!timing) {
+            return null;
+        }
+
+        // Without a prescribed duration, weekly / alternate-day medicines still show several doses
+        const totalDays = record.duration?.days || Math.max(this.defaultDays, timing.everyDays * 4);
+        const dayCount = Math.min(totalDays, this.maxDays);
+
+        const days = Array.from({ length: dayCount }, (_, dayIndex) => {
+            const date = new Date(start);
+            date.setDate(date.getDate() + dayIndex);
+            const isDoseDay = dayIndex % timing.everyDays === 0;
+            return {
+                date: this.formatDate(date),
+                dayNumber: dayIndex + 1,
+                doses: timing.slots.map(() => isDoseDay)
+            };
+        });
+
+        return {
+            frequency: frequency.code,
+            mode: timing.mode,
+            slots: timing.slots,
+            days,
+            totalDays,
+            hasDefaultDuration: !record.duration,
+            truncated: totalDays > dayCount
+        };
+    }
+
+    /**
+     * Map a frequency to its slot columns and how often (in days) they repeat
+     */
+    getTiming(frequency) {
+        if (frequency.intervalHours) {
+            const hours = frequency.intervalHours;
+            if (hours >= 24) {
+                return {
+                    mode: 'slots',
+                    slots: [this.createSlot('morning')],
+                    everyDays: Math.max(1, Math.round(hours / 24))
+                };
+            }
+
+            // Clock times from the first morning dose, e.g. every 8 hours → 08:00, 16:00, 00:00
+            const count = Math.floor(24 / hours);
+            const slots = Array.from({ length: count }, (_, i) => {
+                const hour = (this.firstDoseHour + i * hours) % 24;
+                return { key: 'clock', time: `${String(hour).padStart(2, '0')}:00` };
+            });
+            return { mode: 'clock', slots, everyDays: 1 };
+        }
+
+        const keys = this.slotsByCode[frequency.code];
+        if (!keys) {
+            return null;
+        }
+        return {
+            mode: 'slots',
+            slots: keys.map(key => this.createSlot(key)),
+            everyDays: this.dayIntervalByCode[frequency.code] || 1
+        };
+    }
+
+    createSlot(key) {
+        return { key, time: this.slotTimes[key] };
+    }
+
+    toStartDate(value) {
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        }
+        const iso = value && window.PatientInfoExtractor ? new PatientInfoExtractor().parseDate(value) : null;
+        const date = iso ? new Date(`${iso}T00:00:00`) : new Date();
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+// Export for use in the document generator and app
+window.MedicationScheduleBuilder = MedicationScheduleBuilder;
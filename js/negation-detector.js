@@ -0,0 +1,244 @@
+/**
+ * Negation Detector - NegEx-style scope detection for discharge instructions
+ * Flags items as negated ("do not take ibuprofen", "no fever"), conditional ("if", "until")
+ * or hypothetical ("may develop", "watch for")
+ */
+class NegationDetector {
+    constructor() {
+        // Trigger phrases; "forward" scopes run to the right of the cue, "backward" to the left
+        this.triggers = [
+            // Prohibitions and absence
+            { cue: 'do not', type: 'negated', direction: 'forward' },
+            { cue: "don't", type: 'negated', direction: 'forward' },
+            { cue: 'does not', type: 'negated', direction: 'forward' },
+            { cue: 'should not', type: 'negated', direction: 'forward' },
+            { cue: 'must not', type: 'negated', direction: 'forward' },
+            { cue: 'cannot', type: 'negated', direction: 'forward' },
+            { cue: "can't", type: 'negated', direction: 'forward' },
+            { cue: 'never', type: 'negated', direction: 'forward' },
+            { cue: 'no longer', type: 'negated', direction: 'forward' },
+            { cue: 'refrain from', type: 'negated', direction: 'forward' },
+            { cue: 'avoid', type: 'negated', direction: 'forward' },
+            { cue: 'stop', type: 'negated', direction: 'forward' },
+            { cue: 'discontinue', type: 'negated', direction: 'forward' },
+            { cue: 'hold', type: 'negated', direction: 'forward' },
+            { cue: 'without', type: 'negated', direction: 'forward' },
+            { cue: 'denies', type: 'negated', direction: 'forward' },
+            { cue: 'absence of', type: 'negated', direction: 'forward' },
+            { cue: 'free of', type: 'negated', direction: 'forward' },
+            { cue: 'not', type: 'negated', direction: 'forward' },
+            { cue: 'no', type: 'negated', direction: 'forward' },
+            { cue: 'is not needed', type: 'negated', direction: 'backward' },
+            { cue: 'not needed', type: 'negated', direction: 'backward' },
+            { cue: 'not required', type: 'negated', direction: 'backward' },
+            { cue: 'was ruled out', type: 'negated', direction: 'backward' },
+            { cue: 'ruled out', type: 'negated', direction: 'backward' },
+            { cue: 'unlikely', type: 'negated', direction: 'backward' },
+
+            // Conditions on when the instruction applies
+            { cue: 'only if', type: 'conditional', direction: 'forward' },
+            { cue: 'if', type: 'conditional', direction: 'forward' },
+            { cue: 'unless', type: 'conditional', direction: 'forward' },
+            { cue: 'until', type: 'conditional', direction: 'forward' },
+            { cue: 'in case', type: 'conditional', direction: 'forward' },
+            { cue: 'should you', type: 'conditional', direction: 'forward' },
+            { cue: 'as long as', type: 'conditional', direction: 'forward' },
+            { cue: 'provided that', type: 'conditional', direction: 'forward' },
+            { cue: 'whenever', type: 'conditional', direction: 'forward' },
+
+            // Possible future events rather than current findings
+            { cue: 'may', type: 'hypothetical', direction: 'forward' },
+            { cue: 'might', type: 'hypothetical', direction: 'forward' },
+            { cue: 'could', type: 'hypothetical', direction: 'forward' },
+            { cue: 'watch for', type: 'hypothetical', direction: 'forward' },
+            { cue: 'look out for', type: 'hypothetical', direction: 'forward' },
+            { cue: 'signs of', type: 'hypothetical', direction: 'forward' },
+            { cue: 'risk of', type: 'hypothetical', direction: 'forward' },
+            { cue: 'possible', type: 'hypothetical', direction: 'forward' },
+            { cue: 'in the event of', type: 'hypothetical', direction: 'forward' }
+        ].sort((a, b) => b.cue.length - a.cue.length);
+
+        // Phrases that contain a trigger but do not negate anything
+        this.pseudoTriggers = [
+            'not only', 'no more than', 'not more than', 'no less than', 'no later than',
+            'not exceed', 'not certain', 'if needed', 'if necessary', 'as needed', 'may be taken',
+            'stop sign', 'hold on'
+        ];
+
+        // Verbs that end a medication; negating one ("never stop", "do not skip") means keep taking it
+        this.discontinuationVerbs = ['stop', 'discontinue', 'hold', 'skip', 'miss', 'quit', 'interrupt'];
+        // Conditions that make a stop or hold apply only sometimes ("hold if heart rate is below 60")
+        this.conditionalHoldCues = ['if', 'only if', 'whenever', 'in case', 'should you'];
+
+        // Words that close a scope
+        this.terminators = /^(?:but|however|except|although|though|yet|which|who|then|and then|otherwise)$/i;
+        this.scopeWindow = 6;
+    }
+
+    /**
+     * Analyze a sentence and return its flags and the scope of each cue
+     */
+    analyze(text) {
+        const analysis = {
+            negated: false,
+            conditional: false,
+            hypothetical: false,
+            cues: []
+        };
+
+        if (!text || typeof text !== 'string') {
+            return analysis;
+        }
+
+        const tokens = this.tokenize(text);
+        const lowerTokens = tokens.map(token => token.text.toLowerCase());
+        const claimed = new Set();
+
+        // Mask pseudo-triggers so their words cannot start a scope
+        this.pseudoTriggers.forEach(phrase => {
+            this.findPhrase(lowerTokens, phrase).forEach(index => {
+                phrase.split(' ').forEach((_, offset) => claimed.add(index + offset));
+            });
+        });
+
+        this.triggers.forEach(trigger => {
+            this.findPhrase(lowerTokens, trigger.cue).forEach(index => {
+                const length = trigger.cue.split(' ').length;
+                const positions = Array.from({ length }, (_, offset) => index + offset);
+                if (positions.some(position => claimed.has(position))) {
+                    return;
+                }
+                positions.forEach(position => claimed.add(position));
+
+                const scope = trigger.direction === 'forward'
+                    ? this.scopeForward(tokens, index + length)
+                    : this.scopeBackward(tokens, index - 1);
+
+                analysis[trigger.type] = true;
+                analysis.cues.push({
+                    type: trigger.type,
+                    cue: trigger.cue,
+                    start: tokens[index].start,
+                    scope: scope,
+                    scopeText: scope ? text.slice(scope.start, scope.end) : ''
+                });
+            });
+        });
+
+        analysis.cues.sort((a, b) => a.start - b.start);
+        this.resolveDiscontinuation(text, analysis.cues);
+        ['negated', 'conditional', 'hypothetical'].forEach(type => {
+            analysis[type] = analysis.cues.some(cue => cue.type === type);
+        });
+        return analysis;
+    }
+
+    /**
+     * Stopping a medication is itself a negation. A negated stop ("never stop", "do not skip doses")
+     * is an instruction to continue, so both cues become "affirmed", as does the exception that
+     * follows it ("without talking to your cardiologist"). A stop or hold that waits for a
+     * condition ("hold if heart rate is below 60") is conditional rather than a prohibition.
+     */
+    resolveDiscontinuation(text, cues) {
+        let continued = null;
+        cues.forEach(cue => {
+            if (continued !== null && cue.cue === 'without' && cue.start > continued) {
+                cue.type = 'affirmed';
+                return;
+            }
+            if (cue.type !== 'negated' || !cue.scope) {
+                return;
+            }
+            const firstWord = text.slice(cue.scope.start).match(/^[A-Za-z]+/)?.[0].toLowerCase();
+            if (this.discontinuationVerbs.includes(firstWord)) {
+                cue.type = 'affirmed';
+                cues.filter(other => other.start === cue.scope.start).forEach(other => {
+                    other.type = 'affirmed';
+                });
+                continued = cue.scope.start;
+            }
+        });
+
+        cues.forEach(cue => {
+            if (cue.type === 'negated' && this.discontinuationVerbs.includes(cue.cue) &&
+                cues.some(other => other.type === 'conditional' && other.start > cue.start && this.conditionalHoldCues.includes(other.cue))) {
+                cue.type = 'conditional';
+            }
+        });
+    }
+
+    /**
+     * Check whether a term inside the text falls within a negation scope
+     */
+    isTermNegated(text, term, analysis = this.analyze(text)) {
+        if (!term) {
+            return false;
+        }
+        const index = text.toLowerCase().indexOf(term.toLowerCase());
+        if (index === -1) {
+            return false;
+        }
+        return analysis.cues.some(cue => cue.type === 'negated' && cue.scope &&
+            index >= cue.scope.start && index < cue.scope.end);
+    }
+
+    /**
+     * Split text into word tokens with offsets; punctuation becomes its own token
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /[A-Za-z0-9]+(?:['’][A-Za-z]+)?|[.;:!?,()]/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            tokens.push({ text: match[0].replace('’', "'"), start: match.index, end: match.index + match[0].length });
+        }
+        return tokens;
+    }
+
+    /**
+     * Find every token index where a (multi-word) phrase starts
+     */
+    findPhrase(lowerTokens, phrase) {
+        const words = phrase.split(' ');
+        const indexes = [];
+        for (let i = 0; i <= lowerTokens.length - words.length; i++) {
+            if (words.every((word, offset) => lowerTokens[i + offset] === word)) {
+                indexes.push(i);
+            }
+        }
+        return indexes;
+    }
+
+    scopeForward(tokens, from) {
+        let last = null;
+        for (let i = from, words = 0; i < tokens.length && words < this.scopeWindow; i++) {
+            const token = tokens[i].text;
+            if (/^[.;:!?()]$/.test(token) || this.terminators.test(token)) {
+                break;
+            }
+            if (token !== ',') {
+                words++;
+            }
+            last = tokens[i];
+        }
+        return last ? { start: tokens[from].start, end: last.end } : null;
+    }
+
+    scopeBackward(tokens, from) {
+        let first = null;
+        for (let i = from, words = 0; i >= 0 && words < this.scopeWindow; i--) {
+            const token = tokens[i].text;
+            if (/^[.;:!?()]$/.test(token) || this.terminators.test(token)) {
+                break;
+            }
+            if (token !== ',') {
+                words++;
+            }
+            first = tokens[i];
+        }
+        return first ? { start: first.start, end: tokens[from].end } : null;
+    }
+}
+
+// Export for use in the medical parser
+window.NegationDetector = NegationDetector;
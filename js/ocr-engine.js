@@ -0,0 +1,254 @@
+/**
+ * OCR Engine - Reads printed English discharge sheets with the bundled Tesseract WASM build
+ * Everything runs in the browser: the engine, the English model and a medical wordlist are served
+ * from this app, so patient sheets never leave the device. Words below the confidence threshold are
+ * returned flagged (with a wordlist suggestion where one is close) so staff can correct them.
+ */
+class OCREngine {
+    constructor(options = {}) {
+        const config = window.appConfig;
+        this.language = 'eng';
+        this.workerPath = options.workerPath || 'js/vendor/tesseract-worker.min.js';
+        // Directory: the worker picks the SIMD build when the browser supports it
+        this.corePath = options.corePath || 'js/vendor/tesseract-core/';
+        this.langPath = options.langPath || config?.get('OCR_LANG_PATH', 'data/ocr') || 'data/ocr';
+        this.wordlistUrl = options.wordlistUrl || config?.get('OCR_WORDLIST_URL', 'data/ocr/eng.medical-words') || 'data/ocr/eng.medical-words';
+        this.minConfidence = options.minConfidence ?? config?.get('OCR_MIN_CONFIDENCE', 75) ?? 75;
+        // Photos are scaled down to this size; printed text stays readable and recognition stays fast
+        this.maxDimension = options.maxDimension || 2400;
+
+        this.worker = null;
+        this.workerPromise = null;
+        this.wordlist = new Map(); // lower case -> as written in the wordlist
+        this.progressHandler = null;
+    }
+
+    isAvailable() {
+        return typeof Tesseract !== 'undefined' && typeof WebAssembly !== 'undefined';
+    }
+
+    /**
+     * Recognize the text on a photo or scan
+     * @param {HTMLCanvasElement|ImageBitmap|Blob} image - The sheet
+     * @param {Object} options - { onProgress: ({ status, progress }) => void }, progress from 0 to 1
+     * @returns {Promise<{ text: string, confidence: number, lines: Object[], lowConfidenceCount: number }>}
+     *   Each line is { words: [{ text, confidence, lowConfidence, suggestion }] }
+     */
+    async recognize(image, options = {}) {
+        this.progressHandler = options.onProgress || null;
+        try {
+            const worker = await this.getWorker();
+            const { data } = await worker.recognize(this.prepareImage(image), {}, { text: true, blocks: true });
+            return this.buildResult(data);
+        } finally {
+            this.progressHandler = null;
+        }
+    }
+
+    /**
+     * Lines and words with confidence flags from Tesseract's block tree
+     */
+    buildResult(data) {
+        const lines = [];
+        (data.blocks || []).forEach(block => {
+            block.paragraphs.forEach(paragraph => {
+                paragraph.lines.forEach(line => {
+                    const words = line.words
+                        .filter(word => word.text.trim())
+                        .map(word => this.reviewWord(word));
+                    if (words.length > 0) {
+                        lines.push({ words });
+                    }
+                });
+                // Keep paragraph breaks so the parser still sees section headers on their own lines
+                lines.push({ words: [] });
+            });
+        });
+        while (lines.length > 0 && lines[lines.length - 1].words.length === 0) {
+            lines.pop();
+        }
+
+        const words = lines.flatMap(line => line.words);
+        const lowConfidenceCount = words.filter(word => word.lowConfidence).length;
+        const text = lines.map(line => line.words.map(word => word.text).join(' ')).join('\n');
+
+        console.log(`🔤 OCR read ${words.length} words, ${lowConfidenceCount} below ${this.minConfidence}% confidence`);
+        return {
+            text,
+            confidence: Math.round(data.confidence ?? 0),
+            lines,
+            lowConfidenceCount
+        };
+    }
+
+    reviewWord(word) {
+        const confidence = Math.round(word.confidence);
+        const lowConfidence = confidence < this.minConfidence;
+        return {
+            text: word.text,
+            confidence,
+            lowConfidence,
+            suggestion: lowConfidence ? this.suggest(word.text) : null
+        };
+    }
+
+    /**
+     * Closest wordlist term for a misread word (edit distance 1, or 2 for longer words)
+     * @returns {string|null}
+     */
+    suggest(text) {
+        // Digits inside a word are usually misread letters (metopro1ol)
+        const match = text.match(/^([^A-Za-z0-9]*)([A-Za-z0-9]*[A-Za-z][A-Za-z0-9]*)([^A-Za-z0-9]*)$/);
+        if (!match || match[2].length < 4 || this.wordlist.has(match[2].toLowerCase())) {
+            return null;
+        }
+
+        const word = match[2].toLowerCase();
+        const maxDistance = word.length >= 8 ? 2 : 1;
+        let best = null;
+        let bestDistance = maxDistance + 1;
+        this.wordlist.forEach((written, candidate) => {
+            if (Math.abs(candidate.length - word.length) > maxDistance) return;
+            const distance = this.editDistance(word, candidate, bestDistance);
+            if (distance < bestDistance) {
+                best = written;
+                bestDistance = distance;
+            }
+        });
+        if (!best) {
+            return null;
+        }
+
+        // Keep the sheet's capitalization for ordinary words
+        const cased = best === best.toLowerCase() && /^[A-Z]/.test(match[2])
+            ? best.charAt(0).toUpperCase() + best.slice(1)
+            : best;
+        return `${match[1]}${cased}${match[3]}`;
+    }
+
+    /**
+     * Levenshtein distance, giving up once every path exceeds the limit
+     */
+    editDistance(a, b, limit) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin >= limit) {
+                return limit;
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Scale large photos down; Tesseract does its own binarization
+     */
+    prepareImage(image) {
+        const width = image.videoWidth || image.width;
+        const height = image.videoHeight || image.height;
+        if (!width || !height || Math.max(width, height) <= this.maxDimension) {
+            return image;
+        }
+
+        const scale = this.maxDimension / Math.max(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // ========== WORKER ==========
+
+    /**
+     * The Tesseract worker, created on first use (loading the model takes a few seconds)
+     */
+    getWorker() {
+        if (!this.workerPromise) {
+            this.workerPromise = this.createWorker().catch(error => {
+                this.workerPromise = null;
+                console.error('❌ OCR engine failed to load:', error);
+                throw new Error('The text recognition engine could not be loaded');
+            });
+        }
+        return this.workerPromise;
+    }
+
+    async createWorker() {
+        if (!this.isAvailable()) {
+            throw new Error('OCR library not loaded');
+        }
+
+        // The worker runs from a blob URL, so every path it loads must be absolute
+        const worker = await Tesseract.createWorker(this.language, Tesseract.OEM.LSTM_ONLY, {
+            workerPath: this.resolveUrl(this.workerPath),
+            corePath: this.resolveUrl(this.corePath),
+            langPath: this.resolveUrl(this.langPath),
+            gzip: true,
+            logger: message => this.reportProgress(message)
+        });
+
+        // The medical wordlist is an init-time setting, so the engine is initialized a second time with it
+        const words = await this.loadWordlist();
+        if (words.length > 0) {
+            await worker.writeText(`${this.language}.medical-words`, words.join('\n'));
+            await worker.reinitialize(this.language, Tesseract.OEM.LSTM_ONLY, { user_words_suffix: 'medical-words' });
+        }
+        await worker.setParameters({
+            preserve_interword_spaces: '1',
+            tessedit_pageseg_mode: Tesseract.PSM.AUTO
+        });
+
+        this.worker = worker;
+        console.log(`✅ OCR engine ready (${words.length} medical terms)`);
+        return worker;
+    }
+
+    async loadWordlist() {
+        try {
+            const response = await fetch(this.wordlistUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const words = (await response.text()).split(/\r?\n/).map(word => word.trim()).filter(Boolean);
+            words.forEach(word => this.wordlist.set(word.toLowerCase(), word));
+            return words;
+        } catch (error) {
+            // Recognition still works with the general English model
+            console.warn('⚠️ OCR medical wordlist not loaded:', error.message);
+            return [];
+        }
+    }
+
+    reportProgress(message) {
+        if (this.progressHandler && message.status === 'recognizing text') {
+            this.progressHandler({ status: message.status, progress: message.progress });
+        }
+    }
+
+    resolveUrl(path) {
+        return new URL(path, document.baseURI).href;
+    }
+
+    async terminate() {
+        const worker = this.worker;
+        this.worker = null;
+        this.workerPromise = null;
+        if (worker) {
+            await worker.terminate();
+        }
+    }
+}
+
+// Export for use in the main app
+window.OCREngine = OCREngine;
@@ -0,0 +1,113 @@
+/**
+ * Offline Manager - Registers the service worker, prompts staff when a new version is ready
+ * and reports connection changes to the app
+ */
+class OfflineManager {
+    constructor(options = {}) {
+        this.scriptUrl = options.scriptUrl || 'sw.js';
+        this.onOnline = options.onOnline || (() => {});
+        this.onOffline = options.onOffline || (() => {});
+        // Message lookup for the update prompt (the app's t(), keys in the "app" group)
+        this.translate = options.translate || (key => window.i18n?.t(`app.${key}`) ?? key);
+        this.registration = null;
+        this.reloading = false;
+        this.bannerElement = null;
+    }
+
+    /**
+     * Register the service worker and start tracking the connection
+     */
+    async init() {
+        window.addEventListener('online', () => {
+            console.log('🌐 Connection restored');
+            this.onOnline();
+        });
+        window.addEventListener('offline', () => {
+            console.log('📴 Connection lost');
+            this.onOffline();
+        });
+
+        if (!('serviceWorker' in navigator)) {
+            console.warn('⚠️ Service workers not supported, the app will not load without a network');
+            return null;
+        }
+        // Service workers only run over HTTPS or on localhost
+        if (!window.isSecureContext) {
+            console.warn('⚠️ Not a secure context, service worker not registered');
+            return null;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+            console.log('✅ Service worker registered');
+        } catch (error) {
+            console.error('❌ Service worker registration failed:', error);
+            return null;
+        }
+
+        // A worker already waiting was installed on an earlier visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            worker?.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+
+        // The new worker took over after "Reload": load the page it serves
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) {
+                return;
+            }
+            this.reloading = true;
+            window.location.reload();
+        });
+
+        return this.registration;
+    }
+
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    /**
+     * Offer to switch to the new version; the waiting worker only activates when staff agree,
+     * so a page is never swapped out mid-consultation
+     */
+    showUpdatePrompt(worker) {
+        if (this.bannerElement) {
+            return;
+        }
+
+        const banner = document.createElement('div');
+        banner.className = 'update-banner';
+        banner.setAttribute('role', 'status');
+        // data-i18n lets the app re-translate the prompt when the language changes
+        banner.innerHTML = `
+            🔄 <span data-i18n="update.available">${this.translate('update.available')}</span>
+            <button type="button" class="btn update-reload" data-i18n="update.reload">${this.translate('update.reload')}</button>
+            <button type="button" class="btn btn-secondary update-dismiss" data-i18n="update.later">${this.translate('update.later')}</button>
+        `;
+
+        banner.querySelector('.update-reload').addEventListener('click', () => {
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        banner.querySelector('.update-dismiss').addEventListener('click', () => {
+            banner.remove();
+            this.bannerElement = null;
+        });
+
+        document.body.appendChild(banner);
+        this.bannerElement = banner;
+        console.log('🔄 New service worker waiting');
+    }
+}
+
+// Export for use in the main app
+window.OfflineManager = OfflineManager;
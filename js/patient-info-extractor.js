@@ -0,0 +1,240 @@
+/**
+ * Patient Info Extractor - Reads demographics from discharge note headers
+ * Recognises "Label: value" layouts, several fields per line, and reports a confidence per field
+ */
+class PatientInfoExtractor {
+    constructor() {
+        // Label alternatives per field. `loose` labels may be followed by the value without a colon.
+        this.fields = {
+            name: {
+                labels: ['patient name', 'name of patient', 'patient', 'name', 'pt name', 'pt'],
+                validate: value => this.validateName(value)
+            },
+            dob: {
+                labels: ['date of birth', 'birth date', 'birthdate', 'd\\.?o\\.?b\\.?'],
+                loose: true,
+                validate: value => this.validateDate(value, { past: true })
+            },
+            mrn: {
+                labels: ['medical record number', 'medical record no\\.?', 'medical record #', 'medical record', 'mrn', 'mr #', 'mr#', 'record #', 'chart #'],
+                loose: true,
+                validate: value => this.validateIdentifier(value)
+            },
+            admissionDate: {
+                labels: ['admission date', 'date of admission', 'admit date', 'admitted on', 'admitted', 'date admitted'],
+                validate: value => this.validateDate(value)
+            },
+            dischargeDate: {
+                labels: ['discharge date', 'date of discharge', 'discharged on', 'discharged', 'date discharged'],
+                validate: value => this.validateDate(value)
+            },
+            attending: {
+                labels: ['attending physician', 'attending provider', 'attending', 'discharging physician', 'discharging provider', 'physician', 'provider'],
+                validate: value => this.validateName(value, { allowTitle: true })
+            },
+            unit: {
+                labels: ['nursing unit', 'unit', 'ward', 'floor', 'room'],
+                validate: value => this.validateUnit(value)
+            }
+        };
+
+        this.monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    }
+
+    /**
+     * Extract demographics from text
+     * @returns {{ patientInfo: Object|null, confidence: Object, spans: Array }}
+     */
+    extract(text) {
+        const found = {};
+        const spans = [];
+
+        if (!text || typeof text !== 'string') {
+            return { patientInfo: null, confidence: {}, spans };
+        }
+
+        const labelPattern = this.getLabelPattern();
+        let lineStart = 0;
+
+        text.split('\n').forEach(line => {
+            const labels = [...line.matchAll(labelPattern)]
+                .map(match => ({
+                    field: this.getFieldForLabel(match[2]),
+                    label: match[2],
+                    hasSeparator: !!match[3].trim(),
+                    start: match.index + match[1].length,
+                    valueStart: match.index + match[0].length
+                }))
+                .filter(entry => entry.field && (entry.hasSeparator || this.fields[entry.field].loose));
+
+            labels.forEach((entry, index) => {
+                const valueEnd = index + 1 < labels.length ? labels[index + 1].start : line.length;
+                const rawValue = line.slice(entry.valueStart, valueEnd);
+                // Values end at a wide gap, a pipe or a semicolon
+                const value = rawValue.split(/\s{3,}|\t|\||;/)[0].replace(/[,\s]+$/, '').trim();
+                if (!value) {
+                    return;
+                }
+
+                const validation = this.fields[entry.field].validate(value);
+                if (!validation) {
+                    return;
+                }
+
+                // Explicit labels with a colon are trusted more than loose "DOB 1/2/60" forms
+                let confidence = validation.confidence;
+                if (!entry.hasSeparator) {
+                    confidence -= 0.1;
+                }
+                if (['patient', 'pt', 'provider', 'physician', 'room'].includes(entry.label.toLowerCase())) {
+                    confidence -= 0.1;
+                }
+                confidence = Math.max(0.1, Math.round(confidence * 100) / 100);
+
+                if (!found[entry.field] || found[entry.field].confidence < confidence) {
+                    found[entry.field] = { value: validation.value, confidence };
+                }
+                spans.push({ start: lineStart + entry.start, end: lineStart + entry.valueStart + rawValue.trimEnd().length });
+            });
+
+            lineStart += line.length + 1;
+        });
+
+        const fieldNames = Object.keys(found);
+        if (fieldNames.length === 0) {
+            return { patientInfo: null, confidence: {}, spans };
+        }
+
+        const patientInfo = {};
+        const confidence = {};
+        fieldNames.forEach(field => {
+            patientInfo[field] = found[field].value;
+            confidence[field] = found[field].confidence;
+        });
+
+        return { patientInfo, confidence, spans };
+    }
+
+    /**
+     * Regex matching any field label at a line start or after a gap / separator
+     */
+    getLabelPattern() {
+        if (!this.labelPattern) {
+            const alternatives = Object.values(this.fields)
+                .flatMap(field => field.labels)
+                .sort((a, b) => b.length - a.length)
+                .join('|');
+            this.labelPattern = new RegExp(`(^|\\s{2,}|\\t|\\||;|,\\s*)[ \\t]*(${alternatives})(\\s*[:#-]\\s*|\\s+)`, 'gi');
+        }
+        return this.labelPattern;
+    }
+
+    getFieldForLabel(label) {
+        const normalized = label.toLowerCase();
+        const entry = Object.entries(this.fields).find(([, field]) =>
+            field.labels.some(alternative => new RegExp(`^${alternative}$`, 'i').test(normalized)));
+        return entry ? entry[0] : null;
+    }
+
+    validateName(value, options = {}) {
+        let name = value.replace(/\s+/g, ' ').trim();
+        const hasTitle = /^(dr\.?|doctor)\s+/i.test(name) || /,?\s*(md|do|np|pa-c|pa)\.?$/i.test(name);
+        if (!/^[A-Za-z][A-Za-z'.,\- ]{1,60}$/.test(name)) {
+            return null;
+        }
+
+        const words = name.replace(/^(dr\.?|doctor)\s+/i, '').split(/[\s,]+/).filter(Boolean);
+        if (words.length < 2 && !(options.allowTitle && hasTitle)) {
+            return null;
+        }
+
+        // "DOE, JANE" → "Jane Doe"
+        const commaForm = name.match(/^([A-Za-z'\-]+),\s*([A-Za-z'\- ]+)$/);
+        if (commaForm && !options.allowTitle) {
+            name = `${commaForm[2]} ${commaForm[1]}`;
+        }
+        if (name === name.toUpperCase()) {
+            name = name.toLowerCase().replace(/\b[a-z]/g, char => char.toUpperCase());
+        }
+
+        return { value: name, confidence: commaForm ? 0.85 : 0.95 };
+    }
+
+    validateDate(value, options = {}) {
+        const match = value.match(/^\d{1,4}[/.-]\d{1,2}[/.-]\d{2,4}|^[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|^\d{1,2}\s+[A-Za-z]{3,9}\.?\s+\d{4}/);
+        if (!match) {
+            return null;
+        }
+
+        const iso = this.parseDate(match[0]);
+        if (!iso) {
+            return { value: match[0], confidence: 0.5 };
+        }
+
+        const date = new Date(`${iso}T00:00:00`);
+        const year = date.getFullYear();
+        if (options.past && (date > new Date() || year < 1900)) {
+            return { value: match[0], confidence: 0.4 };
+        }
+        return { value: match[0], confidence: 0.95 };
+    }
+
+    validateIdentifier(value) {
+        const match = value.match(/^[A-Z0-9][A-Z0-9-]{3,19}\b/i);
+        if (!match || !/\d/.test(match[0])) {
+            return null;
+        }
+        return { value: match[0], confidence: /^\d+$/.test(match[0]) ? 0.95 : 0.85 };
+    }
+
+    validateUnit(value) {
+        const unit = value.replace(/\s+/g, ' ').trim();
+        if (unit.length > 40 || unit.split(' ').length > 5) {
+            return null;
+        }
+        return { value: unit, confidence: 0.8 };
+    }
+
+    /**
+     * Parse a date string to ISO yyyy-mm-dd (US month/day order for numeric dates)
+     */
+    parseDate(text) {
+        if (!text) {
+            return null;
+        }
+        const value = text.trim();
+        let year, month, day;
+
+        let match = value.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))) {
+            [, month, day, year] = match.map(Number);
+            if (year < 100) {
+                year += year > (new Date().getFullYear() % 100) ? 1900 : 2000;
+            }
+        } else if ((match = value.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})/))) {
+            month = this.monthNames.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+            day = Number(match[2]);
+            year = Number(match[3]);
+        } else if ((match = value.match(/^(\d{1,2})\s+([A-Za-z]{3,9})\.?\s+(\d{4})/))) {
+            day = Number(match[1]);
+            month = this.monthNames.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+            year = Number(match[3]);
+        } else {
+            return null;
+        }
+
+        if (!month || month > 12 || !day || day > 31) {
+            return null;
+        }
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1) {
+            return null;
+        }
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+}
+
+// Export for use in the medical parser
+window.PatientInfoExtractor = PatientInfoExtractor;
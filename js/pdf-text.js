@@ -0,0 +1,679 @@
+/**
+ * PDF Text Renderer - Draws text in any supported script into jsPDF documents
+ * jsPDF's built-in Helvetica only covers Latin-1, so the bundled Noto subsets (data/fonts) are embedded
+ * per document for the scripts it contains. Lines are split into bidi runs (bidi-js) and font runs,
+ * shaped with HarfBuzz (Arabic joining, Indic reordering, Thai marks, emoji) and drawn glyph by glyph.
+ * Line breaking follows word boundaries for Thai and character boundaries for CJK, with the usual
+ * rules against starting a line with closing punctuation.
+ */
+class PDFTextRenderer {
+    constructor(options = {}) {
+        const config = window.appConfig;
+        this.fontPath = options.fontPath || config?.get('PDF_FONT_PATH', 'data/fonts/') || 'data/fonts/';
+        this.shaperUrl = options.shaperUrl || config?.get('PDF_SHAPER_URL', 'js/vendor/hb.wasm') || 'js/vendor/hb.wasm';
+
+        // Shaped glyphs are drawn through private-use code points mapped to their glyph ids
+        this.glyphBase = 0xE000;
+        this.glyphLimit = 0xF8FF - 0xE000;
+
+        this.manifest = null;
+        this.manifestPromise = null;
+        this.shaperPromise = null;
+        this.bidi = typeof bidi_js === 'function' ? bidi_js() : null;
+        this.fontFiles = new Map(); // file -> Promise<{ binary, face, font, upem, unicodes }>
+        this.documents = new WeakMap(); // jsPDF document -> { families, style, language, widths }
+        this.reportedMissing = new Set();
+
+        // Scripts written without spaces: a line may break between any two of their words or characters
+        this.noSpaceScript = /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+        // Closing punctuation, small kana and prolonged sound marks never start a line; opening brackets never end one
+        this.noLineStart = /^[\s.,;:!?%)\]}»、。，．・：；？！）」』】〕〉》〙〗｝〞ー々〻ゝゞヽヾぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ]/u;
+        this.noLineEnd = /[([{«（「『【〔〈《〘〖｛〝]$/u;
+        // Characters that belong with the one before them (marks, joiners, variation selectors)
+        this.extender = /^[\p{M}\p{Default_Ignorable_Code_Point}]$/u;
+        this.neutral = /^[\s\p{P}\p{S}\p{N}]$/u;
+        // Characters above U+00FF that the built-in Helvetica still has
+        this.winAnsiExtras = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+    }
+
+    // ========== SETUP ==========
+
+    /**
+     * Load and embed the fonts a document needs before anything is drawn
+     * @param {jsPDF} doc - The document
+     * @param {Object} options - { language, text }: every string that will be drawn (or a superset, e.g. JSON of the data)
+     */
+    async prepare(doc, { language = 'en', text = '' } = {}) {
+        const state = { language, style: 'normal', families: [], widths: new Map(), builtin: false, missing: new Set() };
+        this.documents.set(doc, state);
+
+        try {
+            const manifest = await this.loadManifest();
+            const shaper = await this.loadShaper();
+            const families = this.selectFamilies(manifest.families, language, text);
+
+            for (const family of families) {
+                const styles = {};
+                for (const [style, file] of Object.entries(family.files)) {
+                    styles[style] = await this.loadFontFile(file, shaper);
+                }
+                state.families.push({ ...family, styles });
+            }
+
+            state.families.forEach(family => this.registerFamily(doc, family, !!shaper));
+            state.shaper = shaper;
+            console.log(`✅ PDF fonts embedded: ${state.families.map(family => family.key).join(', ')}${shaper ? '' : ' (without shaping)'}`);
+        } catch (error) {
+            // Latin text still prints; other scripts come out as in earlier versions
+            console.warn('⚠️ PDF fonts not loaded, using the built-in Helvetica:', error.message);
+            state.builtin = true;
+        }
+        return state;
+    }
+
+    async loadManifest() {
+        if (!this.manifestPromise) {
+            this.manifestPromise = fetch(`${this.fontPath}manifest.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Font manifest: HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(manifest => {
+                    manifest.families.forEach(family => {
+                        family.ranges = family.ranges.map(range => range.split('-').map(code => parseInt(code, 16)))
+                            .map(([start, end = start]) => [start, end]);
+                    });
+                    this.manifest = manifest;
+                    return manifest;
+                })
+                .catch(error => {
+                    this.manifestPromise = null;
+                    throw error;
+                });
+        }
+        return this.manifestPromise;
+    }
+
+    /**
+     * The HarfBuzz shaper, or null when WebAssembly or the module is unavailable
+     * (text is then drawn unshaped: fine for Latin, Cyrillic and CJK, approximate for Arabic and Thai)
+     */
+    async loadShaper() {
+        if (typeof hbjs !== 'function' || typeof WebAssembly === 'undefined') {
+            return null;
+        }
+        if (!this.shaperPromise) {
+            this.shaperPromise = fetch(this.shaperUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(bytes => WebAssembly.instantiate(bytes))
+                .then(({ instance }) => hbjs(instance))
+                .catch(error => {
+                    // Not retried: fonts loaded meanwhile have no shaping data
+                    console.warn('⚠️ Text shaper not loaded, drawing text unshaped:', error.message);
+                    return null;
+                });
+        }
+        return this.shaperPromise;
+    }
+
+    loadFontFile(file, shaper) {
+        if (!this.fontFiles.has(file)) {
+            const promise = fetch(`${this.fontPath}${file}`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${file}: HTTP ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(buffer => {
+                    const bytes = new Uint8Array(buffer);
+                    // jsPDF's virtual file system takes binary strings; built in chunks to keep the stack small
+                    let binary = '';
+                    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+                        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+                    }
+                    const loaded = { file, binary, font: null, upem: 1000, unicodes: null };
+                    if (shaper) {
+                        const face = shaper.createFace(shaper.createBlob(bytes), 0);
+                        loaded.font = shaper.createFont(face);
+                        loaded.upem = face.upem;
+                        loaded.unicodes = new Set(face.collectUnicodes());
+                    }
+                    return loaded;
+                })
+                .catch(error => {
+                    this.fontFiles.delete(file);
+                    throw error;
+                });
+            this.fontFiles.set(file, promise);
+        }
+        return this.fontFiles.get(file);
+    }
+
+    /**
+     * Families to embed: those marked always, those preferred for the language,
+     * the first family (in preference order) whose ranges hold each character of the text,
+     * and the supplements of every family embedded
+     */
+    selectFamilies(families, language, text) {
+        const ordered = this.orderFamilies(families, language);
+        const selected = new Set(families.filter(family => family.always || family.languages?.includes(language)));
+
+        new Set(Array.from(text, char => char.codePointAt(0))).forEach(codePoint => {
+            if (codePoint < 0x80) return;
+            const family = ordered.find(candidate => this.inRanges(candidate, codePoint));
+            if (family) selected.add(family);
+        });
+        families.filter(family => family.supplements && [...selected].some(base => base.key === family.supplements))
+            .forEach(family => selected.add(family));
+        return ordered.filter(family => selected.has(family));
+    }
+
+    /**
+     * The language's own families first (Japanese kanji from the Japanese font, not the Chinese one)
+     */
+    orderFamilies(families, language) {
+        return [
+            ...families.filter(family => family.languages?.includes(language)),
+            ...families.filter(family => !family.languages?.includes(language))
+        ];
+    }
+
+    registerFamily(doc, family, shaped) {
+        Object.entries(family.styles).forEach(([style, loaded]) => {
+            doc.addFileToVFS(loaded.file, loaded.binary);
+            doc.addFont(loaded.file, family.name, style);
+
+            const metadata = doc.internal.getFont(family.name, style).metadata;
+            if (shaped) {
+                const codeMap = metadata.cmap.unicode.codeMap;
+                const glyphCount = Math.min(metadata.maxp.numGlyphs - 1, this.glyphLimit);
+                for (let glyph = 1; glyph <= glyphCount; glyph++) {
+                    codeMap[this.glyphBase + glyph] = glyph;
+                }
+            } else if (!loaded.unicodes) {
+                loaded.unicodes = new Set(Object.keys(metadata.cmap.unicode.codeMap).map(Number));
+            }
+        });
+    }
+
+    // ========== DRAWING ==========
+
+    /**
+     * Bold, italic or normal for the following text (families without the style use their regular face)
+     */
+    setFontStyle(doc, style) {
+        const state = this.documents.get(doc);
+        if (!state || state.builtin) {
+            doc.setFont(undefined, style);
+            return;
+        }
+        state.style = style;
+    }
+
+    /**
+     * Draw one line of text
+     * @param {Object} options - { align: 'left'|'center'|'right', direction: 'ltr'|'rtl'|'auto' }
+     *   x is the left edge, centre or right edge according to align
+     */
+    text(doc, text, x, y, options = {}) {
+        text = String(text ?? '');
+        const state = this.documents.get(doc);
+        if (!state || state.builtin) {
+            // Helvetica has no glyphs beyond its WinAnsi encoding
+            if (state) {
+                Array.from(text).filter(char => char.codePointAt(0) > 0xFF && !this.winAnsiExtras.includes(char))
+                    .forEach(char => this.reportMissing(state, char.codePointAt(0)));
+            }
+            doc.text(text, x, y, options.align && options.align !== 'left' ? { align: options.align } : undefined);
+            return;
+        }
+
+        const runs = this.layoutLine(doc, state, text, options.direction || 'auto');
+        const width = runs.reduce((sum, run) => sum + run.width, 0);
+        let pen = options.align === 'right' ? x - width : options.align === 'center' ? x - width / 2 : x;
+
+        // Viewers copy and search the logical text rather than the glyphs
+        doc.internal.write(`/Span <</ActualText ${this.toPdfTextString(text)}>> BDC`);
+        runs.forEach(run => {
+            this.drawRun(doc, state, run, pen, y);
+            pen += run.width;
+        });
+        doc.internal.write('EMC');
+    }
+
+    /**
+     * Width of a line in document units at the current font size and style
+     */
+    getTextWidth(doc, text) {
+        text = String(text ?? '');
+        const state = this.documents.get(doc);
+        if (!state || state.builtin) {
+            return doc.getTextWidth(text);
+        }
+        return this.fontRuns(state, text)
+            .reduce((sum, run) => sum + this.measureRun(doc, state, run), 0);
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth (the replacement for doc.splitTextToSize)
+     * @returns {string[]}
+     */
+    splitTextToSize(doc, text, maxWidth) {
+        text = String(text ?? '');
+        const state = this.documents.get(doc);
+        if (!state || state.builtin) {
+            return doc.splitTextToSize(text, maxWidth);
+        }
+
+        const lines = [];
+        text.split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            let lineWidth = 0;
+            this.breakUnits(paragraph, state.language).forEach(unit => {
+                const word = unit.trimEnd();
+                const wordWidth = this.getTextWidth(doc, word);
+                if (line && lineWidth + wordWidth > maxWidth) {
+                    lines.push(line.trimEnd());
+                    line = '';
+                    lineWidth = 0;
+                }
+                if (!line && wordWidth > maxWidth) {
+                    // A single word wider than the line: break between grapheme clusters
+                    const pieces = this.splitLongWord(doc, word, maxWidth);
+                    lines.push(...pieces.slice(0, -1));
+                    line = pieces[pieces.length - 1] + unit.slice(word.length);
+                    lineWidth = this.getTextWidth(doc, line);
+                    return;
+                }
+                line += unit;
+                lineWidth += this.getTextWidth(doc, unit);
+            });
+            lines.push(line.trimEnd());
+        });
+        return lines;
+    }
+
+    /**
+     * Whether a text reads right to left (its first strong character is Arabic, Hebrew, ...)
+     */
+    isRTL(text) {
+        text = String(text ?? '');
+        if (this.bidi) {
+            return this.bidi.getEmbeddingLevels(text).paragraphs[0]?.level === 1;
+        }
+        const strong = text.match(/[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{L}]/u);
+        return !!strong && /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}]/u.test(strong[0]);
+    }
+
+    // ========== LAYOUT ==========
+
+    /**
+     * Runs of one font and one bidi level, shaped, in visual (left to right) order
+     */
+    layoutLine(doc, state, text, direction) {
+        const levels = this.getLevels(text, direction);
+        const runs = [];
+        this.fontRuns(state, text).forEach(run => {
+            // Split each font run where the embedding level changes
+            let start = run.start;
+            for (let index = run.start + 1; index <= run.end; index++) {
+                if (index === run.end || levels[index] !== levels[start]) {
+                    runs.push({ family: run.family, start, end: index, text: text.slice(start, index), level: levels[start] });
+                    start = index;
+                }
+            }
+        });
+
+        runs.forEach(run => {
+            run.glyphs = this.shapeRun(state, run);
+            run.width = this.measureRun(doc, state, run);
+        });
+        return this.reorderRuns(runs);
+    }
+
+    /**
+     * Bidi embedding level of each UTF-16 code unit
+     */
+    getLevels(text, direction) {
+        if (this.bidi) {
+            return this.bidi.getEmbeddingLevels(text, direction === 'auto' ? undefined : direction).levels;
+        }
+        // Without the bidi module: one level for the whole line
+        const level = direction === 'rtl' || (direction === 'auto' && this.isRTL(text)) ? 1 : 0;
+        return new Uint8Array(text.length).fill(level);
+    }
+
+    /**
+     * Rule L2 of the bidi algorithm on whole runs: from the highest level down to the lowest odd level,
+     * reverse every sequence of runs at that level or above
+     */
+    reorderRuns(runs) {
+        if (runs.length < 2) {
+            return runs;
+        }
+        const highest = Math.max(...runs.map(run => run.level));
+        const lowestOdd = Math.min(...runs.map(run => run.level).filter(level => level % 2 === 1), highest + 1);
+        let ordered = runs.slice();
+        for (let level = highest; level >= lowestOdd; level--) {
+            const next = [];
+            let sequence = [];
+            ordered.forEach(run => {
+                if (run.level >= level) {
+                    sequence.push(run);
+                } else {
+                    next.push(...sequence.reverse(), run);
+                    sequence = [];
+                }
+            });
+            next.push(...sequence.reverse());
+            ordered = next;
+        }
+        return ordered;
+    }
+
+    /**
+     * Split text where the font changes. Each character goes to the first family that covers it and whose
+     * ranges claim it; marks stay with their base, and spaces, digits and punctuation with the text before them
+     */
+    fontRuns(state, text) {
+        const runs = [];
+        let current = null;
+        let index = 0;
+        for (const char of text) {
+            const codePoint = char.codePointAt(0);
+            const previous = current?.family;
+            let family;
+            if (previous && (this.extender.test(char) || (this.neutral.test(char) && this.covers(previous, codePoint)))) {
+                family = previous;
+            } else {
+                family = state.families.find(candidate => this.inRanges(candidate, codePoint) && this.covers(candidate, codePoint))
+                    || state.families.find(candidate => this.covers(candidate, codePoint))
+                    || previous
+                    || state.families[0];
+            }
+
+            if (family !== previous) {
+                current = { family, start: index, end: index };
+                runs.push(current);
+            }
+            index += char.length;
+            current.end = index;
+        }
+        runs.forEach(run => {
+            run.text = text.slice(run.start, run.end);
+        });
+        return runs;
+    }
+
+    /**
+     * HarfBuzz glyphs for a run, in visual order; null when drawing unshaped
+     */
+    shapeRun(state, run) {
+        if (!state.shaper) {
+            return null;
+        }
+        const face = this.getFace(run.family, state.style);
+        const buffer = state.shaper.createBuffer();
+        try {
+            buffer.addText(run.text);
+            buffer.guessSegmentProperties();
+            buffer.setDirection(run.level % 2 === 1 ? 'rtl' : 'ltr');
+            buffer.setLanguage(state.language);
+            state.shaper.shape(face.font, buffer);
+            return buffer.json();
+        } finally {
+            buffer.destroy();
+        }
+    }
+
+    measureRun(doc, state, run) {
+        const face = this.getFace(run.family, state.style);
+        const fontSize = doc.getFontSize();
+
+        if (!state.shaper) {
+            doc.setFont(run.family.name, this.getStyle(run.family, state.style));
+            return doc.getTextWidth(this.coveredText(state, run.family, run.text));
+        }
+
+        // Measured widths are cached in font units, per font, for line breaking
+        let units;
+        if (run.glyphs) {
+            units = run.glyphs.reduce((sum, glyph) => sum + glyph.ax, 0);
+        } else {
+            const key = `${face.file}\u0000${run.text}`;
+            units = state.widths.get(key);
+            if (units === undefined) {
+                units = this.shapeRun(state, { ...run, level: this.isRTL(run.text) ? 1 : 0 })
+                    .reduce((sum, glyph) => sum + glyph.ax, 0);
+                state.widths.set(key, units);
+            }
+        }
+        return units * fontSize / face.upem / doc.internal.scaleFactor;
+    }
+
+    drawRun(doc, state, run, x, y) {
+        const face = this.getFace(run.family, state.style);
+        const style = this.getStyle(run.family, state.style);
+        doc.setFont(run.family.name, style);
+
+        if (!run.glyphs) {
+            // jsPDF applies its own Arabic shaping and bidi reordering to plain text
+            doc.text(this.coveredText(state, run.family, run.text), x, y);
+            return;
+        }
+
+        const metadata = doc.internal.getFont(run.family.name, style).metadata;
+        const scale = doc.getFontSize() / face.upem / doc.internal.scaleFactor;
+        const clusterSizes = this.clusterSizes(run);
+        let pen = x;
+        let chunk = '';
+        let chunkX = x;
+        let chunkGlyphs = [];
+
+        const flush = () => {
+            if (chunk) {
+                doc.text(chunk, chunkX, y);
+                this.mapGlyphsToText(metadata, chunkGlyphs, run.text, clusterSizes);
+            }
+            chunk = '';
+            chunkGlyphs = [];
+        };
+
+        run.glyphs.forEach(glyph => {
+            if (glyph.g === 0 || glyph.g > this.glyphLimit) {
+                // .notdef would end jsPDF's encoding of the string, so missing glyphs are left blank
+                flush();
+                this.reportMissing(state, run.text.codePointAt(glyph.cl));
+                pen += glyph.ax * scale;
+                return;
+            }
+
+            // jsPDF advances by the glyph's own width; kerned or mark-positioned glyphs are placed one by one
+            const natural = glyph.dx === 0 && glyph.dy === 0
+                && Math.abs(glyph.ax * 1000 / face.upem - metadata.widthOfGlyph(glyph.g)) < 0.5;
+            if (!natural) {
+                flush();
+                doc.text(String.fromCharCode(this.glyphBase + glyph.g), pen + glyph.dx * scale, y - glyph.dy * scale);
+                this.mapGlyphsToText(metadata, [glyph], run.text, clusterSizes);
+                pen += glyph.ax * scale;
+                return;
+            }
+
+            if (!chunk) chunkX = pen;
+            chunk += String.fromCharCode(this.glyphBase + glyph.g);
+            chunkGlyphs.push(glyph);
+            pen += glyph.ax * scale;
+        });
+        flush();
+    }
+
+    /**
+     * Glyph count and end offset of each cluster of a shaped run
+     */
+    clusterSizes(run) {
+        const clusters = new Map();
+        run.glyphs.forEach(glyph => {
+            const cluster = clusters.get(glyph.cl) || { glyphs: 0, end: run.text.length };
+            cluster.glyphs++;
+            clusters.set(glyph.cl, cluster);
+        });
+        const starts = [...clusters.keys()].sort((a, b) => a - b);
+        starts.forEach((start, index) => {
+            clusters.get(start).end = starts[index + 1] ?? run.text.length;
+        });
+        return clusters;
+    }
+
+    /**
+     * Point the ToUnicode entries of drawn glyphs back at real characters (jsPDF records the private-use
+     * code points), for viewers that ignore ActualText. A glyph standing for exactly one character maps to it;
+     * ligatures and reordered clusters map to the cluster's first character until a 1:1 use is seen.
+     */
+    mapGlyphsToText(metadata, glyphs, text, clusters) {
+        metadata.glyphText = metadata.glyphText || new Map();
+        glyphs.forEach(glyph => {
+            const codePoint = text.codePointAt(glyph.cl);
+            const cluster = clusters.get(glyph.cl);
+            if (cluster.glyphs === 1 && cluster.end - glyph.cl === String.fromCodePoint(codePoint).length) {
+                metadata.glyphText.set(glyph.g, codePoint);
+            }
+
+            const mapped = metadata.glyphText.get(glyph.g) ?? codePoint;
+            if (mapped > 0xFFFF) {
+                // jsPDF writes one UTF-16 unit per entry; emoji rely on ActualText
+                delete metadata.toUnicode[glyph.g];
+            } else {
+                metadata.toUnicode[glyph.g] = mapped;
+            }
+        });
+    }
+
+    // ========== LINE BREAKING ==========
+
+    /**
+     * Pieces of text between line break opportunities, each with its trailing spaces.
+     * Words come from Intl.Segmenter (dictionary-based for Thai); outside no-space scripts
+     * a break is only allowed at a space.
+     */
+    breakUnits(text, language) {
+        let segments;
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            segments = Array.from(new Intl.Segmenter(language, { granularity: 'word' }).segment(text), part => part.segment);
+        } else {
+            // Without a segmenter: spaces, plus every CJK character
+            segments = text.split(/(\s+)/).flatMap(part => part.split(/([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])/u));
+        }
+
+        const units = [];
+        segments.filter(Boolean).forEach(segment => {
+            const last = units[units.length - 1];
+            if (last !== undefined && (/^\s+$/.test(segment) || (!/\s$/.test(last) && !this.canBreakBetween(last, segment)))) {
+                units[units.length - 1] = last + segment;
+            } else {
+                units.push(segment);
+            }
+        });
+        return units;
+    }
+
+    canBreakBetween(before, after) {
+        if (this.noLineStart.test(after) || this.noLineEnd.test(before)) {
+            return false;
+        }
+        const lastChar = Array.from(before).pop();
+        const firstChar = Array.from(after)[0];
+        return this.noSpaceScript.test(lastChar) || this.noSpaceScript.test(firstChar);
+    }
+
+    splitLongWord(doc, word, maxWidth) {
+        const graphemes = typeof Intl !== 'undefined' && Intl.Segmenter
+            ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(word), part => part.segment)
+            : Array.from(word);
+        const pieces = [''];
+        graphemes.forEach(grapheme => {
+            const current = pieces[pieces.length - 1];
+            if (current && this.getTextWidth(doc, current + grapheme) > maxWidth) {
+                pieces.push(grapheme);
+            } else {
+                pieces[pieces.length - 1] = current + grapheme;
+            }
+        });
+        return pieces;
+    }
+
+    // ========== HELPERS ==========
+
+    getFace(family, style) {
+        return family.styles[style] || family.styles.normal;
+    }
+
+    getStyle(family, style) {
+        return family.styles[style] ? style : 'normal';
+    }
+
+    inRanges(family, codePoint) {
+        return family.ranges.some(([start, end]) => codePoint >= start && codePoint <= end);
+    }
+
+    covers(family, codePoint) {
+        return family.styles.normal.unicodes?.has(codePoint) ?? false;
+    }
+
+    /**
+     * Unshaped drawing: drop characters the font lacks (a missing glyph would cut the rest of the string)
+     */
+    coveredText(state, family, text) {
+        return Array.from(text).filter(char => {
+            const codePoint = char.codePointAt(0);
+            if (codePoint > 0xFFFF || !this.covers(family, codePoint)) {
+                this.reportMissing(state, codePoint);
+                return false;
+            }
+            return true;
+        }).join('');
+    }
+
+    /**
+     * Record a character left blank in a document; the console warning is given once per session
+     */
+    reportMissing(state, codePoint) {
+        if (codePoint === undefined || this.extender.test(String.fromCodePoint(codePoint))) {
+            return;
+        }
+        state.missing.add(codePoint);
+        if (!this.reportedMissing.has(codePoint)) {
+            this.reportedMissing.add(codePoint);
+            console.warn(`⚠️ No PDF font has a glyph for U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`);
+        }
+    }
+
+    /**
+     * Characters drawn so far that no embedded font could draw (left blank in the PDF), for staff to check
+     * @returns {string[]}
+     */
+    getMissingCharacters(doc) {
+        return [...(this.documents.get(doc)?.missing || [])].map(codePoint => String.fromCodePoint(codePoint));
+    }
+
+    /**
+     * PDF text string in UTF-16BE hex
+     */
+    toPdfTextString(text) {
+        let hex = 'FEFF';
+        for (let index = 0; index < text.length; index++) {
+            hex += text.charCodeAt(index).toString(16).toUpperCase().padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+}
+
+// Export for use in the document generator
+window.PDFTextRenderer = PDFTextRenderer;
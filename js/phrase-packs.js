@@ -0,0 +1,129 @@
+/**
+ * Phrase Pack Store - Lazily loads the versioned offline phrase packs (data/phrase-packs/*.json)
+ * The manifest lists one pack per language with its version; packs are fetched on first use,
+ * or all at once before a tablet goes offline
+ */
+class PhrasePackStore {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || window.appConfig?.get('PHRASE_PACK_URL', 'data/phrase-packs/') || 'data/phrase-packs/';
+        this.sourceLanguage = 'en';
+        this.manifest = null;
+        this.manifestPromise = null;
+        this.packs = new Map();    // language → pack
+        this.loading = new Map();  // language → pending promise
+    }
+
+    /**
+     * Load manifest.json (once)
+     */
+    loadManifest() {
+        if (!this.manifestPromise) {
+            this.manifestPromise = this.fetchJSON(`${this.baseUrl}manifest.json`)
+                .then(manifest => {
+                    this.manifest = manifest;
+                    console.log(`✅ Phrase pack manifest ${manifest.version} loaded (${Object.keys(manifest.packs || {}).length} languages)`);
+                    return manifest;
+                })
+                .catch(error => {
+                    // Allow a retry once the files are reachable again
+                    this.manifestPromise = null;
+                    throw error;
+                });
+        }
+        return this.manifestPromise;
+    }
+
+    /**
+     * Languages with a pack, from the manifest once loaded, otherwise from the app config
+     */
+    getLanguages() {
+        if (this.manifest) {
+            return Object.keys(this.manifest.packs || {});
+        }
+        return window.appConfig?.getSupportedLanguages() || [this.sourceLanguage];
+    }
+
+    hasLanguage(language) {
+        return this.getLanguages().includes(language);
+    }
+
+    /**
+     * Get a language pack, fetching it on first use
+     */
+    async getPack(language) {
+        if (this.packs.has(language)) {
+            return this.packs.get(language);
+        }
+        if (!this.loading.has(language)) {
+            this.loading.set(language, this.loadPack(language).finally(() => this.loading.delete(language)));
+        }
+        return this.loading.get(language);
+    }
+
+    getSourcePack() {
+        return this.getPack(this.sourceLanguage);
+    }
+
+    async loadPack(language) {
+        const manifest = await this.loadManifest();
+        const entry = manifest.packs?.[language];
+        if (!entry) {
+            throw new Error(`No phrase pack for ${language}`);
+        }
+
+        // The version in the URL keeps a stale cached copy from being used after an update
+        const pack = await this.fetchJSON(`${this.baseUrl}${entry.file}?v=${encodeURIComponent(entry.version)}`);
+        if (pack.language !== language) {
+            throw new Error(`Phrase pack ${entry.file} is for ${pack.language}, expected ${language}`);
+        }
+        if (pack.version !== entry.version) {
+            console.warn(`⚠️ Phrase pack ${language} is version ${pack.version}, manifest lists ${entry.version}`);
+        }
+
+        this.packs.set(language, pack);
+        console.log(`✅ Phrase pack ${language} ${pack.version} loaded (${Object.keys(pack.templates || {}).length} templates)`);
+        return pack;
+    }
+
+    /**
+     * Fetch every pack so translation keeps working without a network
+     * @returns {Promise<{ loaded: string[], failed: string[] }>}
+     */
+    async preloadAll() {
+        await this.loadManifest();
+        const loaded = [];
+        const failed = [];
+        for (const language of this.getLanguages()) {
+            try {
+                await this.getPack(language);
+                loaded.push(language);
+            } catch (error) {
+                console.warn(`⚠️ Phrase pack ${language} could not be loaded:`, error.message);
+                failed.push(language);
+            }
+        }
+        return { loaded, failed };
+    }
+
+    /**
+     * Loaded packs and their versions, for the staff status display
+     */
+    getStatus() {
+        return {
+            version: this.manifest?.version || null,
+            languages: this.getLanguages(),
+            loaded: [...this.packs.values()].map(pack => ({ language: pack.language, version: pack.version }))
+        };
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.json();
+    }
+}
+
+// Export for use in the translation service
+window.PhrasePackStore = PhrasePackStore;
@@ -0,0 +1,584 @@
+/**
+ * QR Encoder - Generates QR codes locally (ISO/IEC 18004), so patient data is never sent to a rendering service
+ * Byte and alphanumeric modes, error correction levels L/M/Q/H, versions 1–40, automatic mask selection.
+ * Renders to canvas (PNG data URL) and SVG.
+ */
+class QREncoder {
+    constructor(options = {}) {
+        this.defaultLevel = options.errorCorrectionLevel || 'M';
+
+        this.alphanumericCharset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+        // Mode indicators and character count field widths for versions 1–9, 10–26, 27–40
+        this.modes = {
+            alphanumeric: { indicator: 0x2, countBits: [9, 11, 13] },
+            byte: { indicator: 0x4, countBits: [8, 16, 16] }
+        };
+
+        // Format information bits per level
+        this.levelBits = { L: 1, M: 0, Q: 3, H: 2 };
+
+        // Error correction codewords per block and number of blocks, indexed by version (index 0 unused)
+        this.eccCodewordsPerBlock = {
+            L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        };
+        this.errorCorrectionBlocks = {
+            L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        };
+
+        this.buildGaloisTables();
+    }
+
+    /**
+     * Encode text into a QR symbol
+     * @param {string} text - Content; alphanumeric mode is used when every character allows it
+     * @param {Object} options - { errorCorrectionLevel: 'L'|'M'|'Q'|'H', minVersion, maxVersion, mask: 0–7 }
+     * @returns {{ version: number, size: number, errorCorrectionLevel: string, mask: number, mode: string, modules: boolean[][] }}
+     */
+    encode(text, options = {}) {
+        const level = (options.errorCorrectionLevel || this.defaultLevel).toUpperCase();
+        if (!(level in this.levelBits)) {
+            throw new Error(`Unknown QR error correction level "${level}"`);
+        }
+        const minVersion = options.minVersion || 1;
+        const maxVersion = options.maxVersion || 40;
+
+        const segment = this.makeSegment(String(text ?? ''));
+
+        // Smallest version that holds the data
+        let version = minVersion;
+        let dataBits;
+        for (; ; version++) {
+            dataBits = this.getSegmentBits(segment, version);
+            if (dataBits !== null && dataBits <= this.getDataCodewords(version, level) * 8) {
+                break;
+            }
+            if (version >= maxVersion) {
+                throw new Error(`Data too long for a QR code (${segment.count} characters in ${segment.mode} mode, level ${level})`);
+            }
+        }
+
+        const codewords = this.buildCodewords(segment, version, level);
+        const symbol = this.createSymbol(version);
+        this.drawFunctionPatterns(symbol, level);
+        this.drawCodewords(symbol, this.addErrorCorrection(codewords, version, level));
+
+        // Pick the mask with the lowest penalty unless one was requested
+        let mask = options.mask ?? -1;
+        if (mask === -1) {
+            let lowestPenalty = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                this.applyMask(symbol, candidate);
+                this.drawFormatBits(symbol, level, candidate);
+                const penalty = this.getPenaltyScore(symbol.modules);
+                if (penalty < lowestPenalty) {
+                    mask = candidate;
+                    lowestPenalty = penalty;
+                }
+                this.applyMask(symbol, candidate); // XOR again to undo
+            }
+        }
+        this.applyMask(symbol, mask);
+        this.drawFormatBits(symbol, level, mask);
+
+        return {
+            version,
+            size: symbol.size,
+            errorCorrectionLevel: level,
+            mask,
+            mode: segment.mode,
+            modules: symbol.modules
+        };
+    }
+
+    // ========== RENDERING ==========
+
+    /**
+     * Draw a symbol (or text, encoded first) on a canvas
+     * @param {Object} options - { scale: px per module, margin: modules of quiet zone, dark, light, canvas }
+     */
+    toCanvas(qr, options = {}) {
+        const symbol = typeof qr === 'string' ? this.encode(qr, options) : qr;
+        const { scale = 4, margin = 4, dark = '#000000', light = '#FFFFFF' } = options;
+        const dimension = (symbol.size + margin * 2) * scale;
+
+        const canvas = options.canvas || document.createElement('canvas');
+        canvas.width = dimension;
+        canvas.height = dimension;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = light;
+        ctx.fillRect(0, 0, dimension, dimension);
+        ctx.fillStyle = dark;
+        symbol.modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) {
+                    ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                }
+            });
+        });
+        return canvas;
+    }
+
+    /**
+     * PNG data URL of a symbol
+     */
+    toDataURL(qr, options = {}) {
+        return this.toCanvas(qr, options).toDataURL('image/png');
+    }
+
+    /**
+     * SVG markup of a symbol; one path, crisp at any print size
+     * @param {Object} options - { margin, dark, light, size: CSS width/height, title }
+     */
+    toSVG(qr, options = {}) {
+        const symbol = typeof qr === 'string' ? this.encode(qr, options) : qr;
+        const { margin = 4, dark = '#000000', light = '#FFFFFF' } = options;
+        const dimension = symbol.size + margin * 2;
+
+        const path = [];
+        symbol.modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) {
+                    path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+                }
+            });
+        });
+
+        const size = options.size ? ` width="${options.size}" height="${options.size}"` : '';
+        const title = options.title ? `<title>${String(options.title).replace(/[<>&"]/g, '')}</title>` : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}"${size} shape-rendering="crispEdges">${title}` +
+            `<rect width="100%" height="100%" fill="${light}"/><path d="${path.join('')}" fill="${dark}"/></svg>`;
+    }
+
+    // ========== DATA ENCODING ==========
+
+    makeSegment(text) {
+        const isAlphanumeric = [...text].every(char => this.alphanumericCharset.includes(char));
+        if (isAlphanumeric) {
+            return { mode: 'alphanumeric', count: text.length, text };
+        }
+        const bytes = new TextEncoder().encode(text);
+        return { mode: 'byte', count: bytes.length, bytes };
+    }
+
+    getCountBits(mode, version) {
+        return this.modes[mode].countBits[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+    }
+
+    /**
+     * Total bits of a segment at a version, or null if its length does not fit the count field
+     */
+    getSegmentBits(segment, version) {
+        const countBits = this.getCountBits(segment.mode, version);
+        if (segment.count >= 1 << countBits) {
+            return null;
+        }
+        const dataBits = segment.mode === 'alphanumeric'
+            ? Math.floor(segment.count / 2) * 11 + (segment.count % 2) * 6
+            : segment.count * 8;
+        return 4 + countBits + dataBits;
+    }
+
+    buildCodewords(segment, version, level) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(this.modes[segment.mode].indicator, 4);
+        append(segment.count, this.getCountBits(segment.mode, version));
+        if (segment.mode === 'alphanumeric') {
+            const values = [...segment.text].map(char => this.alphanumericCharset.indexOf(char));
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                append(values[i] * 45 + values[i + 1], 11);
+            }
+            if (values.length % 2 === 1) {
+                append(values[values.length - 1], 6);
+            }
+        } else {
+            segment.bytes.forEach(byte => append(byte, 8));
+        }
+
+        // Terminator, byte alignment, then alternating pad bytes
+        const capacityBits = this.getDataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = new Uint8Array(bits.length / 8);
+        bits.forEach((bit, index) => {
+            codewords[index >>> 3] |= bit << (7 - (index & 7));
+        });
+        return codewords;
+    }
+
+    /**
+     * Modules available for data and error correction after the function patterns
+     */
+    getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    getDataCodewords(version, level) {
+        return Math.floor(this.getRawDataModules(version) / 8) -
+            this.eccCodewordsPerBlock[level][version] * this.errorCorrectionBlocks[level][version];
+    }
+
+    // ========== ERROR CORRECTION ==========
+
+    buildGaloisTables() {
+        // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+        this.gfExp = new Uint8Array(512);
+        this.gfLog = new Uint8Array(256);
+        let value = 1;
+        for (let i = 0; i < 255; i++) {
+            this.gfExp[i] = value;
+            this.gfLog[value] = i;
+            value <<= 1;
+            if (value & 0x100) {
+                value ^= 0x11D;
+            }
+        }
+        for (let i = 255; i < 512; i++) {
+            this.gfExp[i] = this.gfExp[i - 255];
+        }
+        this.generatorCache = new Map();
+    }
+
+    gfMultiply(a, b) {
+        return a === 0 || b === 0 ? 0 : this.gfExp[this.gfLog[a] + this.gfLog[b]];
+    }
+
+    /**
+     * Reed–Solomon generator polynomial of a degree (leading 1 omitted)
+     */
+    getGenerator(degree) {
+        if (!this.generatorCache.has(degree)) {
+            const result = new Uint8Array(degree);
+            result[degree - 1] = 1;
+            let root = 1;
+            for (let i = 0; i < degree; i++) {
+                for (let j = 0; j < degree; j++) {
+                    result[j] = this.gfMultiply(result[j], root);
+                    if (j + 1 < degree) {
+                        result[j] ^= result[j + 1];
+                    }
+                }
+                root = this.gfMultiply(root, 0x02);
+            }
+            this.generatorCache.set(degree, result);
+        }
+        return this.generatorCache.get(degree);
+    }
+
+    getRemainder(data, generator) {
+        const result = new Uint8Array(generator.length);
+        data.forEach(byte => {
+            const factor = byte ^ result[0];
+            result.copyWithin(0, 1);
+            result[result.length - 1] = 0;
+            generator.forEach((coefficient, i) => {
+                result[i] ^= this.gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Split data into blocks, append each block's error correction and interleave
+     */
+    addErrorCorrection(data, version, level) {
+        const blockCount = this.errorCorrectionBlocks[level][version];
+        const eccLength = this.eccCodewordsPerBlock[level][version];
+        const rawCodewords = Math.floor(this.getRawDataModules(version) / 8);
+        const shortBlockCount = blockCount - (rawCodewords % blockCount);
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const generator = this.getGenerator(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+            const blockData = data.subarray(offset, offset + dataLength);
+            offset += dataLength;
+            blocks.push({ data: blockData, ecc: this.getRemainder(blockData, generator) });
+        }
+
+        const result = [];
+        const longestData = shortBlockLength - eccLength + 1;
+        for (let i = 0; i < longestData; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) {
+                    result.push(block.data[i]);
+                }
+            });
+        }
+        for (let i = 0; i < eccLength; i++) {
+            blocks.forEach(block => result.push(block.ecc[i]));
+        }
+        return result;
+    }
+
+    // ========== SYMBOL LAYOUT ==========
+
+    createSymbol(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        return { version, size, modules: grid(), isFunction: grid() };
+    }
+
+    setFunctionModule(symbol, x, y, isDark) {
+        symbol.modules[y][x] = isDark;
+        symbol.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns(symbol, level) {
+        const { size } = symbol;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(symbol, 6, i, i % 2 === 0);
+            this.setFunctionModule(symbol, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        this.drawFinderPattern(symbol, 3, 3);
+        this.drawFinderPattern(symbol, size - 4, 3);
+        this.drawFinderPattern(symbol, 3, size - 4);
+
+        // Alignment patterns, skipping the three that would overlap finders
+        const positions = this.getAlignmentPositions(symbol.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                    this.drawAlignmentPattern(symbol, x, y);
+                }
+            });
+        });
+
+        // Reserve the format areas (real bits are drawn after masking) and add version information
+        this.drawFormatBits(symbol, level, 0);
+        this.drawVersionBits(symbol);
+    }
+
+    drawFinderPattern(symbol, centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x >= 0 && x < symbol.size && y >= 0 && y < symbol.size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunctionModule(symbol, x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(symbol, centerX, centerY) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(symbol, centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    getAlignmentPositions(version) {
+        if (version === 1) {
+            return [];
+        }
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    drawFormatBits(symbol, level, mask) {
+        const data = (this.levelBits[level] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const { size } = symbol;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(symbol, 8, i, bit(i));
+        }
+        this.setFunctionModule(symbol, 8, 7, bit(6));
+        this.setFunctionModule(symbol, 8, 8, bit(7));
+        this.setFunctionModule(symbol, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(symbol, 14 - i, 8, bit(i));
+        }
+
+        // Copy split between the other two finders, plus the always-dark module
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(symbol, size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(symbol, 8, size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(symbol, 8, size - 8, true);
+    }
+
+    drawVersionBits(symbol) {
+        if (symbol.version < 7) {
+            return;
+        }
+        let remainder = symbol.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (symbol.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = symbol.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(symbol, a, b, isDark);
+            this.setFunctionModule(symbol, b, a, isDark);
+        }
+    }
+
+    /**
+     * Place codewords in the two-column zigzag from the bottom-right corner
+     */
+    drawCodewords(symbol, codewords) {
+        const { size } = symbol;
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5; // Skip the vertical timing pattern
+            }
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!symbol.isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        symbol.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(symbol, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+            (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+            (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+        ];
+        const invert = conditions[mask];
+        if (!invert) {
+            throw new Error(`Invalid QR mask ${mask}`);
+        }
+        for (let y = 0; y < symbol.size; y++) {
+            for (let x = 0; x < symbol.size; x++) {
+                if (!symbol.isFunction[y][x] && invert(x, y)) {
+                    symbol.modules[y][x] = !symbol.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // ========== MASK PENALTY ==========
+
+    /**
+     * Penalty rules from the standard: long runs, 2×2 blocks, finder-like patterns and dark/light balance
+     */
+    getPenaltyScore(modules) {
+        const size = modules.length;
+        let penalty = 0;
+
+        const lineScore = (getModule) => {
+            let score = 0;
+            for (let line = 0; line < size; line++) {
+                let runColor = null;
+                let runLength = 0;
+                const values = [];
+                for (let i = 0; i < size; i++) {
+                    const value = getModule(line, i);
+                    values.push(value ? 1 : 0);
+                    if (value === runColor) {
+                        runLength++;
+                        if (runLength === 5) {
+                            score += 3;
+                        } else if (runLength > 5) {
+                            score += 1;
+                        }
+                    } else {
+                        runColor = value;
+                        runLength = 1;
+                    }
+                }
+
+                // 1:1:3:1:1 finder-like pattern with four light modules on either side
+                const row = values.join('');
+                for (const pattern of ['10111010000', '00001011101']) {
+                    let index = row.indexOf(pattern);
+                    while (index !== -1) {
+                        score += 40;
+                        index = row.indexOf(pattern, index + 1);
+                    }
+                }
+            }
+            return score;
+        };
+
+        penalty += lineScore((y, x) => modules[y][x]);
+        penalty += lineScore((x, y) => modules[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) {
+                    dark++;
+                }
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+        return penalty;
+    }
+}
+
+// Export for use in the document generator
+window.QREncoder = QREncoder;
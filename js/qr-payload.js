@@ -0,0 +1,445 @@
+/**
+ * QR Payload Codec - Compact, versioned encoding of a discharge summary for QR codes
+ * JSON with short field names → deflate → base45 (fits QR alphanumeric mode).
+ * Payloads too large for one code are split into a numbered sequence that is reassembled scan by scan.
+ *
+ * Text form of every code:  DT1:<index>/<total>:<set id>:<base45 data>
+ * Binary payload:           [format version][flags][CRC-32 of the JSON, 4 bytes][body]
+ * The binary payload is sealed by QRPayloadSecurity (encrypted and signed) before base45 encoding.
+ */
+class QRPayloadCodec {
+    constructor(options = {}) {
+        this.prefix = 'DT1';
+        this.formatVersion = 1;
+        this.flags = { deflate: 0x01 };
+        this.chunkSize = options.chunkSize || window.appConfig?.get('QR_CHUNK_SIZE', 1600) || 1600;
+        this.maxChunks = options.maxChunks || window.appConfig?.get('QR_MAX_CHUNKS', 8) || 8;
+
+        // Encryption and signatures; plain payloads are only accepted when explicitly allowed (tests, tooling)
+        this.security = 'security' in options ? options.security : (window.QRPayloadSecurity ? new QRPayloadSecurity() : null);
+        this.allowUnsigned = options.allowUnsigned ?? false;
+        this.maxPinAttempts = 3;
+
+        // RFC 9285 alphabet; every character is valid in QR alphanumeric mode
+        this.base45Alphabet = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+        // Field dictionary: long names in the app, one or two letters in the code.
+        // Codes are upper case so they never collide with the camelCase names they replace.
+        this.fieldDictionary = {
+            language: 'L',
+            issuedAt: 'T',
+            hospital: 'H',
+            name: 'N',
+            phone: 'P',
+            sections: 'S',
+            diagnoses: 'D',
+            medications: 'M',
+            instructions: 'I',
+            followUp: 'F',
+            returnReasons: 'R',
+            procedures: 'X',
+            patientInfo: 'PI',
+            dob: 'B',
+            mrn: 'MR',
+            admissionDate: 'AD',
+            dischargeDate: 'DD',
+            attending: 'AT',
+            unit: 'U',
+            fhirBundle: 'FB'
+        };
+        this.reverseDictionary = Object.fromEntries(
+            Object.entries(this.fieldDictionary).map(([field, code]) => [code, field])
+        );
+
+        this.crcTable = this.buildCrcTable();
+    }
+
+    /**
+     * True if a scanned string is one of our codes
+     */
+    isPayload(text) {
+        return typeof text === 'string' && text.startsWith(`${this.prefix}:`);
+    }
+
+    /**
+     * Encode a discharge document into one or more QR strings
+     * @param {Object} document - { language, issuedAt, hospital: { name, phone }, sections: { diagnoses: [], ... }, patientInfo }
+     * @param {Object} options - { pin } when codes are PIN-protected
+     * @returns {Promise<string[]>} Text for each code in the sequence
+     */
+    async encode(document, options = {}) {
+        const json = JSON.stringify(this.compact(document));
+        const jsonBytes = new TextEncoder().encode(json);
+
+        let body = jsonBytes;
+        let flags = 0;
+        const compressed = await this.deflate(jsonBytes);
+        if (compressed && compressed.length < jsonBytes.length) {
+            body = compressed;
+            flags |= this.flags.deflate;
+        }
+
+        let bytes = new Uint8Array(6 + body.length);
+        bytes[0] = this.formatVersion;
+        bytes[1] = flags;
+        new DataView(bytes.buffer).setUint32(2, this.crc32(jsonBytes));
+        bytes.set(body, 6);
+
+        // Patient data never leaves the device unencrypted
+        if (this.security) {
+            bytes = await this.security.seal(bytes, options);
+        } else if (!this.allowUnsigned) {
+            throw new Error('QR payload security not loaded');
+        }
+
+        const data = this.base45Encode(bytes);
+        const total = Math.ceil(data.length / this.chunkSize) || 1;
+        if (total > this.maxChunks) {
+            throw new Error(`Discharge summary needs ${total} QR codes; the limit is ${this.maxChunks}`);
+        }
+
+        // Derived from the sealed bytes, so it reveals nothing about the content
+        const setId = this.crc32(bytes).toString(16).toUpperCase().padStart(8, '0');
+        const chunks = [];
+        for (let index = 0; index < total; index++) {
+            const part = data.slice(index * this.chunkSize, (index + 1) * this.chunkSize);
+            chunks.push(`${this.prefix}:${index + 1}/${total}:${setId}:${part}`);
+        }
+
+        console.log(`✅ QR payload: ${json.length} chars JSON → ${bytes.length} bytes${flags & this.flags.deflate ? ' deflated' : ''}${bytes[0] !== this.formatVersion ? ', encrypted and signed' : ''} → ${total} code(s)`);
+        return chunks;
+    }
+
+    /**
+     * Encode an EHR export (FHIR R4 Bundle) for the QR path. The Bundle travels as JSON text so the
+     * field dictionary never rewrites its element names; it is sealed and signed like any other payload.
+     * @param {Object|string} bundle - FHIR Bundle
+     * @param {Object} options - { language, hospital, pin }
+     * @returns {Promise<string[]>} Text for each code in the sequence
+     */
+    async encodeFHIRBundle(bundle, options = {}) {
+        return this.encode({
+            language: options.language,
+            issuedAt: new Date().toISOString().slice(0, 10),
+            hospital: options.hospital,
+            fhirBundle: typeof bundle === 'string' ? bundle : JSON.stringify(bundle)
+        }, options);
+    }
+
+    /**
+     * Decode a complete sequence of QR strings (any order) back into the document
+     */
+    async decode(chunks, options = {}) {
+        const assembler = new QRChunkAssembler(this);
+        let state = null;
+        chunks.forEach(chunk => {
+            state = assembler.add(chunk);
+        });
+        if (!state?.complete) {
+            throw new Error(`Incomplete QR sequence: ${state?.received || 0} of ${state?.total || '?'} codes`);
+        }
+        return this.decodeData(assembler.getData(), options);
+    }
+
+    /**
+     * Decode the joined base45 data of a sequence.
+     * Signed codes are verified before anything is decrypted; unsigned codes are rejected.
+     * @param {Object} options - { requestPin: async ({ attempt, error }) => pin or null to cancel }
+     */
+    async decodeData(data, options = {}) {
+        let bytes = this.base45Decode(data);
+        if (bytes.length < 6) {
+            throw new Error('QR payload is truncated');
+        }
+
+        if (bytes[0] === this.formatVersion) {
+            if (!this.allowUnsigned) {
+                throw new Error('This QR code is not signed by a facility and cannot be trusted');
+            }
+        } else if (this.security) {
+            bytes = await this.openEnvelope(bytes, options);
+        } else {
+            throw new Error(`Unsupported QR payload version ${bytes[0]}`);
+        }
+
+        return this.decodePlain(bytes);
+    }
+
+    /**
+     * Verify the signature, then decrypt, asking for the PIN (up to three tries) when the code needs one
+     */
+    async openEnvelope(bytes, options) {
+        const envelope = await this.security.verify(bytes);
+        if (envelope.mode !== 'pin') {
+            return this.security.open(envelope);
+        }
+
+        let error = null;
+        for (let attempt = 1; ; attempt++) {
+            const pin = await options.requestPin?.({ attempt, error });
+            if (!pin) {
+                throw new Error('PIN entry cancelled');
+            }
+            try {
+                return await this.security.open(envelope, { pin });
+            } catch (openError) {
+                if (attempt >= this.maxPinAttempts) {
+                    throw openError;
+                }
+                error = openError.message;
+            }
+        }
+    }
+
+    /**
+     * Decode a version 1 (plain) payload
+     */
+    async decodePlain(bytes) {
+        if (bytes.length < 6 || bytes[0] !== this.formatVersion) {
+            throw new Error(`Unsupported QR payload version ${bytes[0]}`);
+        }
+
+        const flags = bytes[1];
+        const crc = new DataView(bytes.buffer, bytes.byteOffset).getUint32(2);
+        let body = bytes.subarray(6);
+        if (flags & this.flags.deflate) {
+            body = await this.inflate(body);
+        }
+        if (this.crc32(body) !== crc) {
+            throw new Error('QR payload checksum mismatch');
+        }
+
+        return this.expand(JSON.parse(new TextDecoder().decode(body)));
+    }
+
+    /**
+     * Parse the header of one scanned code
+     * @returns {{ index: number, total: number, setId: string, data: string }|null}
+     */
+    parseChunk(text) {
+        if (!this.isPayload(text)) {
+            return null;
+        }
+        const match = text.match(/^[A-Z0-9]+:(\d+)\/(\d+):([0-9A-F]{8}):(.*)$/s);
+        if (!match) {
+            return null;
+        }
+        const index = parseInt(match[1], 10);
+        const total = parseInt(match[2], 10);
+        if (index < 1 || index > total) {
+            return null;
+        }
+        return { index, total, setId: match[3], data: match[4] };
+    }
+
+    // ========== FIELD DICTIONARY ==========
+
+    /**
+     * Shorten known field names and drop empty values
+     */
+    compact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.compact(item));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                if (item === null || item === undefined || item === '' || (Array.isArray(item) && item.length === 0)) {
+                    return;
+                }
+                result[this.fieldDictionary[key] || key] = this.compact(item);
+            });
+            return result;
+        }
+        return value;
+    }
+
+    expand(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.expand(item));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                result[this.reverseDictionary[key] || key] = this.expand(item);
+            });
+            return result;
+        }
+        return value;
+    }
+
+    // ========== COMPRESSION ==========
+
+    /**
+     * zlib deflate via the Compression Streams API; null when the browser has none
+     */
+    async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') {
+            return null;
+        }
+        return this.pipeThrough(bytes, new CompressionStream('deflate'));
+    }
+
+    async inflate(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress the QR payload');
+        }
+        try {
+            return await this.pipeThrough(bytes, new DecompressionStream('deflate'));
+        } catch (error) {
+            throw new Error(`QR payload is corrupted (${error.message})`);
+        }
+    }
+
+    async pipeThrough(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // ========== BASE45 (RFC 9285) ==========
+
+    base45Encode(bytes) {
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 2) {
+            if (i + 1 < bytes.length) {
+                let value = bytes[i] * 256 + bytes[i + 1];
+                const c = value % 45;
+                value = (value - c) / 45;
+                const d = value % 45;
+                const e = (value - d) / 45;
+                result += this.base45Alphabet[c] + this.base45Alphabet[d] + this.base45Alphabet[e];
+            } else {
+                const value = bytes[i];
+                result += this.base45Alphabet[value % 45] + this.base45Alphabet[Math.floor(value / 45)];
+            }
+        }
+        return result;
+    }
+
+    base45Decode(text) {
+        const values = [...text].map(char => {
+            const value = this.base45Alphabet.indexOf(char);
+            if (value === -1) {
+                throw new Error(`Invalid character in QR payload: "${char}"`);
+            }
+            return value;
+        });
+        if (values.length % 3 === 1) {
+            throw new Error('QR payload has an invalid length');
+        }
+
+        const bytes = [];
+        for (let i = 0; i < values.length; i += 3) {
+            if (i + 2 < values.length) {
+                const value = values[i] + values[i + 1] * 45 + values[i + 2] * 2025;
+                if (value > 0xFFFF) {
+                    throw new Error('QR payload is corrupted');
+                }
+                bytes.push(value >> 8, value & 0xFF);
+            } else {
+                const value = values[i] + values[i + 1] * 45;
+                if (value > 0xFF) {
+                    throw new Error('QR payload is corrupted');
+                }
+                bytes.push(value);
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    // ========== CRC-32 ==========
+
+    buildCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+/**
+ * Collects the codes of one sequence as they are scanned, in any order.
+ * A code from a different sequence starts over.
+ */
+class QRChunkAssembler {
+    constructor(codec = new QRPayloadCodec()) {
+        this.codec = codec;
+        this.reset();
+    }
+
+    reset() {
+        this.setId = null;
+        this.total = 0;
+        this.parts = new Map(); // index → data
+    }
+
+    /**
+     * Add one scanned code
+     * @returns {{ complete: boolean, received: number, total: number, missing: number[], duplicate: boolean, restarted: boolean }}
+     */
+    add(text) {
+        const chunk = this.codec.parseChunk(text);
+        if (!chunk) {
+            throw new Error('Not a discharge QR code');
+        }
+
+        let restarted = false;
+        if (chunk.setId !== this.setId || chunk.total !== this.total) {
+            restarted = this.parts.size > 0;
+            this.reset();
+            this.setId = chunk.setId;
+            this.total = chunk.total;
+        }
+
+        // Scanners report the same code many times while it stays in view
+        const duplicate = this.parts.has(chunk.index);
+        this.parts.set(chunk.index, chunk.data);
+
+        return {
+            complete: this.parts.size === this.total,
+            received: this.parts.size,
+            total: this.total,
+            missing: this.getMissing(),
+            duplicate,
+            restarted
+        };
+    }
+
+    getMissing() {
+        const missing = [];
+        for (let index = 1; index <= this.total; index++) {
+            if (!this.parts.has(index)) {
+                missing.push(index);
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Joined data of a complete sequence
+     */
+    getData() {
+        let data = '';
+        for (let index = 1; index <= this.total; index++) {
+            data += this.parts.get(index);
+        }
+        return data;
+    }
+}
+
+// Export for use in the document generator and the scanner
+window.QRPayloadCodec = QRPayloadCodec;
+window.QRChunkAssembler = QRChunkAssembler;
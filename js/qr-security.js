@@ -0,0 +1,275 @@
+/**
+ * QR Payload Security - Authenticated encryption and facility signatures for discharge QR codes
+ * AES-256-GCM with a key derived from a short PIN (PBKDF2) or a shared per-facility key,
+ * then an ECDSA P-256 signature from the issuing facility over the whole sealed envelope.
+ *
+ * Sealed envelope: [version 2][key mode][signer id length][signer id][salt, PIN mode only][IV][ciphertext][signature]
+ * The ciphertext holds the plain (version 1) payload from QRPayloadCodec.
+ */
+class QRPayloadSecurity {
+    constructor(options = {}) {
+        const config = window.appConfig;
+        this.envelopeVersion = 2;
+        this.keyModes = { pin: 1, facility: 2 };
+        this.mode = options.mode || config?.get('QR_ENCRYPTION', 'pin') || 'pin';
+        this.pinLength = options.pinLength || config?.get('QR_PIN_LENGTH', 6) || 6;
+        this.pbkdf2Iterations = 210000;
+        this.saltLength = 16;
+        this.ivLength = 12;
+        this.signatureLength = 64; // P-256 r || s
+
+        // Issuing device: { keyId, privateKey: JWK }. Scanning devices: { keyId: public JWK }
+        this.facilityKey = options.facilityKey ?? config?.get('QR_FACILITY_KEY', '') ?? '';
+        this.signingKey = options.signingKey ?? config?.get('QR_SIGNING_KEY', null) ?? null;
+        this.trustedSigners = { ...(options.trustedSigners ?? config?.get('QR_TRUSTED_SIGNERS', {}) ?? {}) };
+
+        // A device always trusts its own facility's codes
+        if (this.signingKey?.keyId && this.signingKey.privateKey) {
+            const { d, key_ops, ...publicKey } = this.signingKey.privateKey;
+            this.trustedSigners[this.signingKey.keyId] = this.trustedSigners[this.signingKey.keyId] || publicKey;
+        }
+
+        this.keyCache = new Map();
+    }
+
+    get subtle() {
+        if (!window.crypto?.subtle) {
+            throw new Error('Encrypted QR codes need a secure (HTTPS) connection');
+        }
+        return window.crypto.subtle;
+    }
+
+    canSign() {
+        return !!(this.signingKey?.keyId && this.signingKey.privateKey);
+    }
+
+    /**
+     * Random numeric PIN for one document, handed to the patient separately from the printout
+     */
+    generatePin() {
+        const digits = [];
+        while (digits.length < this.pinLength) {
+            // Bytes of 250 and above are discarded: 256 is not a multiple of 10, so keeping them would favour 0-5
+            for (const value of this.randomBytes(this.pinLength)) {
+                if (value < 250 && digits.length < this.pinLength) {
+                    digits.push(value % 10);
+                }
+            }
+        }
+        return digits.join('');
+    }
+
+    /**
+     * Encrypt and sign a plain payload
+     * @param {Uint8Array} plaintext - Version 1 payload bytes
+     * @param {Object} options - { pin } required in PIN mode
+     * @returns {Promise<Uint8Array>} Sealed envelope
+     */
+    async seal(plaintext, options = {}) {
+        if (!this.canSign()) {
+            throw new Error('No QR signing key is configured for this facility (QR_SIGNING_KEY)');
+        }
+
+        const mode = this.keyModes[this.mode];
+        if (!mode) {
+            throw new Error(`Unknown QR encryption mode "${this.mode}"`);
+        }
+
+        const salt = mode === this.keyModes.pin ? this.randomBytes(this.saltLength) : new Uint8Array(0);
+        const iv = this.randomBytes(this.ivLength);
+        const key = await this.getEncryptionKey(mode, { pin: options.pin, salt });
+
+        const keyId = new TextEncoder().encode(this.signingKey.keyId);
+        if (keyId.length > 255) {
+            throw new Error('QR signing key id is too long');
+        }
+        const header = this.concat(
+            Uint8Array.of(this.envelopeVersion, mode, keyId.length),
+            keyId,
+            salt,
+            iv
+        );
+
+        // The header is authenticated as additional data, so the mode and signer cannot be swapped
+        const ciphertext = new Uint8Array(await this.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: header },
+            key,
+            plaintext
+        ));
+
+        const unsigned = this.concat(header, ciphertext);
+        const privateKey = await this.importSigningKey(this.signingKey.privateKey, 'sign');
+        const signature = new Uint8Array(await this.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            privateKey,
+            unsigned
+        ));
+
+        return this.concat(unsigned, signature);
+    }
+
+    /**
+     * Parse an envelope and check its signature; nothing is decrypted yet
+     * @returns {Promise<Object>} Envelope fields for open()
+     */
+    async verify(bytes) {
+        if (bytes[0] !== this.envelopeVersion) {
+            throw new Error('This QR code is not signed by a facility and cannot be trusted');
+        }
+
+        const mode = bytes[1];
+        const keyIdLength = bytes[2];
+        let offset = 3;
+        const keyId = new TextDecoder().decode(bytes.subarray(offset, offset + keyIdLength));
+        offset += keyIdLength;
+
+        const saltLength = mode === this.keyModes.pin ? this.saltLength : 0;
+        const minimum = offset + saltLength + this.ivLength + 16 + this.signatureLength;
+        if (!Object.values(this.keyModes).includes(mode) || bytes.length < minimum) {
+            throw new Error('This QR code is damaged or has been altered');
+        }
+
+        const salt = bytes.subarray(offset, offset + saltLength);
+        offset += saltLength;
+        const iv = bytes.subarray(offset, offset + this.ivLength);
+        offset += this.ivLength;
+        const header = bytes.subarray(0, offset);
+        const signed = bytes.subarray(0, bytes.length - this.signatureLength);
+        const ciphertext = bytes.subarray(offset, bytes.length - this.signatureLength);
+        const signature = bytes.subarray(bytes.length - this.signatureLength);
+
+        const publicJwk = this.trustedSigners[keyId];
+        if (!publicJwk) {
+            throw new Error(`This QR code was signed by an unknown facility (${keyId}) and cannot be trusted`);
+        }
+
+        const publicKey = await this.importSigningKey(publicJwk, 'verify');
+        const valid = await this.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, signature, signed);
+        if (!valid) {
+            throw new Error('This QR code has been altered since it was issued and cannot be trusted');
+        }
+
+        return {
+            keyId,
+            mode: mode === this.keyModes.pin ? 'pin' : 'facility',
+            salt: new Uint8Array(salt),
+            iv: new Uint8Array(iv),
+            header: new Uint8Array(header),
+            ciphertext: new Uint8Array(ciphertext)
+        };
+    }
+
+    /**
+     * Decrypt a verified envelope
+     * @param {Object} envelope - From verify()
+     * @param {Object} options - { pin } for PIN-protected codes
+     * @returns {Promise<Uint8Array>} The plain payload
+     */
+    async open(envelope, options = {}) {
+        const mode = this.keyModes[envelope.mode];
+        const key = await this.getEncryptionKey(mode, { pin: options.pin, salt: envelope.salt });
+        try {
+            return new Uint8Array(await this.subtle.decrypt(
+                { name: 'AES-GCM', iv: envelope.iv, additionalData: envelope.header },
+                key,
+                envelope.ciphertext
+            ));
+        } catch (error) {
+            // The signature already passed, so a failure here means the key is wrong
+            throw new Error(envelope.mode === 'pin'
+                ? 'Incorrect PIN for this QR code'
+                : 'This QR code was encrypted with a different facility key');
+        }
+    }
+
+    // ========== KEYS ==========
+
+    async getEncryptionKey(mode, { pin, salt }) {
+        if (mode === this.keyModes.pin) {
+            const normalized = String(pin ?? '').replace(/\s+/g, '');
+            if (!normalized) {
+                throw new Error('A PIN is required for this QR code');
+            }
+            const material = await this.subtle.importKey('raw', new TextEncoder().encode(normalized), 'PBKDF2', false, ['deriveKey']);
+            return this.subtle.deriveKey(
+                { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: this.pbkdf2Iterations },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        if (!this.facilityKey) {
+            throw new Error('No facility QR key is configured on this device (QR_FACILITY_KEY)');
+        }
+        if (!this.keyCache.has('facility')) {
+            const raw = this.fromBase64(this.facilityKey);
+            if (raw.length !== 32) {
+                throw new Error('QR_FACILITY_KEY must be a base64-encoded 256-bit key');
+            }
+            this.keyCache.set('facility', await this.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']));
+        }
+        return this.keyCache.get('facility');
+    }
+
+    async importSigningKey(jwk, usage) {
+        const cacheKey = `${usage}:${jwk.x}:${jwk.y}`;
+        if (!this.keyCache.has(cacheKey)) {
+            const { key_ops, ...keyData } = jwk;
+            this.keyCache.set(cacheKey, await this.subtle.importKey(
+                'jwk',
+                keyData,
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                [usage]
+            ));
+        }
+        return this.keyCache.get(cacheKey);
+    }
+
+    /**
+     * One-off setup helper: a new facility signing key pair and shared encryption key.
+     * The private key goes into QR_SIGNING_KEY on issuing devices, the public key into
+     * QR_TRUSTED_SIGNERS on every device that scans, the facility key into QR_FACILITY_KEY.
+     */
+    async generateFacilityKeys(keyId) {
+        const pair = await this.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        const privateKey = await this.subtle.exportKey('jwk', pair.privateKey);
+        const publicKey = await this.subtle.exportKey('jwk', pair.publicKey);
+        return {
+            QR_SIGNING_KEY: { keyId, privateKey },
+            QR_TRUSTED_SIGNERS: { [keyId]: publicKey },
+            QR_FACILITY_KEY: this.toBase64(this.randomBytes(32))
+        };
+    }
+
+    // ========== BYTES ==========
+
+    randomBytes(length) {
+        const bytes = new Uint8Array(length);
+        window.crypto.getRandomValues(bytes);
+        return bytes;
+    }
+
+    concat(...parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in the QR payload codec
+window.QRPayloadSecurity = QRPayloadSecurity;
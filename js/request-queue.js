@@ -0,0 +1,193 @@
+/**
+ * Request Queue - Work that needs the network, kept while the device is offline and replayed once it reconnects
+ * Jobs are stored in IndexedDB (in memory when unavailable) and run by a handler registered for their type,
+ * e.g. re-translating lines that could only be shown from phrase packs or in English
+ */
+class RequestQueue {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'discharge-translator-queue';
+        this.storeName = options.storeName || 'requests';
+        this.dbVersion = 1;
+        this.maxAttempts = options.maxAttempts || 5;
+
+        this.handlers = new Map(); // job type → async handler(payload)
+        this.db = null;
+        this.fallbackStore = null; // Map used when IndexedDB is unavailable (private browsing, tests)
+        this.ready = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Open (or create) the database. Safe to call repeatedly.
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    console.warn('⚠️ IndexedDB unavailable, queued requests are kept in memory only');
+                    this.fallbackStore = new Map();
+                    resolve(this);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve(this);
+                };
+                request.onerror = () => {
+                    console.warn('⚠️ Could not open request queue, using in-memory store:', request.error);
+                    this.fallbackStore = new Map();
+                    resolve(this);
+                };
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Handle one job type; the handler throws to keep the job for a later attempt
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Replay the queue whenever the browser reports the connection is back
+     */
+    listen() {
+        window.addEventListener('online', () => {
+            this.flush();
+        });
+    }
+
+    /**
+     * Queue a job. A job with the same key replaces the earlier one, so repeated requests
+     * for the same work (e.g. the same document and language) are sent once.
+     * @param {string} type - Handler name
+     * @param {Object} payload - Plain data, stored as is
+     * @param {Object} options - { key }
+     */
+    async enqueue(type, payload, options = {}) {
+        await this.open();
+        const job = {
+            id: options.key ? `${type}:${options.key}` : `${type}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            payload,
+            createdAt: Date.now(),
+            attempts: 0,
+            lastError: null
+        };
+        await this.write(job);
+        console.log(`📥 Queued ${type} request until the connection returns`);
+        return job;
+    }
+
+    /**
+     * Queued jobs, oldest first
+     */
+    async list() {
+        await this.open();
+        return (await this.readAll()).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async count() {
+        return (await this.list()).length;
+    }
+
+    async delete(id) {
+        await this.open();
+        if (this.fallbackStore) {
+            this.fallbackStore.delete(id);
+            return;
+        }
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Run every queued job in order. Failed jobs stay queued until they run out of attempts.
+     * @returns {Promise<{ completed: number, failed: number, dropped: number }>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.runQueue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async runQueue() {
+        const summary = { completed: 0, failed: 0, dropped: 0 };
+        if (navigator.onLine === false) {
+            return summary;
+        }
+
+        for (const job of await this.list()) {
+            const handler = this.handlers.get(job.type);
+            if (!handler) {
+                continue;
+            }
+            try {
+                await handler(job.payload);
+                await this.delete(job.id);
+                summary.completed++;
+            } catch (error) {
+                job.attempts++;
+                job.lastError = error.message;
+                if (job.attempts >= this.maxAttempts) {
+                    console.warn(`⚠️ Dropping queued ${job.type} request after ${job.attempts} attempts:`, error.message);
+                    await this.delete(job.id);
+                    summary.dropped++;
+                } else {
+                    await this.write(job);
+                    summary.failed++;
+                }
+            }
+        }
+
+        if (summary.completed + summary.failed + summary.dropped > 0) {
+            console.log(`📤 Request queue: ${summary.completed} sent, ${summary.failed} still queued, ${summary.dropped} dropped`);
+        }
+        return summary;
+    }
+
+    // ========== STORAGE HELPERS ==========
+
+    async readAll() {
+        if (this.fallbackStore) {
+            return [...this.fallbackStore.values()];
+        }
+        return (await this.transaction('readonly', store => store.getAll())) || [];
+    }
+
+    async write(job) {
+        if (this.fallbackStore) {
+            this.fallbackStore.set(job.id, job);
+            return;
+        }
+        await this.transaction('readwrite', store => store.put(job));
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result once the transaction completes
+     */
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+// Export for use in the main app
+window.RequestQueue = RequestQueue;
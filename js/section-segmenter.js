@@ -0,0 +1,171 @@
+/**
+ * Section Segmenter - Splits labelled discharge notes into category blocks
+ * Recognises headers such as "Discharge Diagnosis:" or "Home Medications:" using a configurable synonym table
+ */
+class SectionSegmenter {
+    constructor(synonyms = {}) {
+        // Header synonyms per parser category (matched case-insensitively)
+        this.synonyms = {
+            diagnoses: [
+                'diagnosis', 'diagnoses', 'discharge diagnosis', 'discharge diagnoses', 'primary diagnosis',
+                'secondary diagnosis', 'secondary diagnoses', 'final diagnosis', 'admitting diagnosis',
+                'problem list', 'problems', 'active problems', 'assessment'
+            ],
+            medications: [
+                'medications', 'medication', 'home medications', 'discharge medications', 'new medications',
+                'current medications', 'medication list', 'medication changes', 'prescriptions', 'meds',
+                'discharge meds', 'home meds'
+            ],
+            instructions: [
+                'instructions', 'discharge instructions', 'care instructions', 'patient instructions',
+                'home care', 'home care instructions', 'activity', 'activity level', 'diet', 'diet instructions',
+                'wound care', 'incision care', 'restrictions', 'activity restrictions', 'self care'
+            ],
+            followUp: [
+                'follow-up', 'follow up', 'followup', 'follow-up appointments', 'follow up appointments',
+                'follow-up care', 'appointments', 'scheduled appointments', 'follow-up instructions'
+            ],
+            returnReasons: [
+                'return precautions', 'when to return', 'reasons to return', 'when to seek care',
+                'when to seek emergency care', 'when to call your doctor', 'when to call', 'warning signs',
+                'call your doctor if', 'seek emergency care if', 'return to the emergency department if'
+            ],
+            procedures: [
+                'procedures', 'procedure', 'procedures performed', 'procedure performed', 'surgery',
+                'surgeries', 'operations', 'operation', 'surgical procedures', 'treatments performed'
+            ]
+        };
+
+        const configured = window.appConfig?.get('SECTION_HEADER_SYNONYMS', {}) || {};
+        [configured, synonyms].forEach(extra => {
+            Object.entries(extra).forEach(([category, list]) => this.addSynonyms(category, list));
+        });
+    }
+
+    /**
+     * Add header synonyms for a category
+     */
+    addSynonyms(category, list) {
+        const existing = this.synonyms[category] || [];
+        const additions = (Array.isArray(list) ? list : [list])
+            .map(synonym => synonym.toLowerCase().trim())
+            .filter(synonym => synonym && !existing.includes(synonym));
+        this.synonyms[category] = [...existing, ...additions];
+        this.headerPattern = null;
+    }
+
+    /**
+     * Replace the header synonyms for a category
+     */
+    setSynonyms(category, list) {
+        this.synonyms[category] = [];
+        this.addSynonyms(category, list);
+    }
+
+    /**
+     * Look up the category for a header label
+     */
+    getCategoryForHeader(header) {
+        const normalized = header.toLowerCase().replace(/\s+/g, ' ').trim();
+        const entry = Object.entries(this.synonyms).find(([, list]) => list.includes(normalized));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Build (and cache) the header regexes from the synonym table
+     */
+    getHeaderPatterns() {
+        if (!this.headerPattern) {
+            const alternatives = Object.values(this.synonyms)
+                .flat()
+                .sort((a, b) => b.length - a.length)
+                .map(synonym => synonym.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[\s-]+/g, '[\\s-]+'))
+                .join('|');
+
+            this.headerPattern = {
+                // Known header followed by a colon at a line start or after a sentence
+                inline: new RegExp(`(^|\\n|[.;]\\s+)[ \\t]*(?:[-*•#]+[ \\t]*)?(${alternatives})[ \\t]*:`, 'gi'),
+                // Known header alone on its own line, e.g. "DISCHARGE MEDICATIONS"
+                standalone: new RegExp(`(^|\\n)[ \\t]*(?:[-*•#]+[ \\t]*)?(${alternatives})[ \\t]*:?[ \\t]*(?=\\n)`, 'gi'),
+                // Any other "Label:" at a line start ends the previous block
+                generic: /(^|\n)[ \t]*([A-Z][A-Za-z /&()-]{1,40}):/g
+            };
+        }
+        return this.headerPattern;
+    }
+
+    /**
+     * Segment text into blocks. Blocks under a recognised header carry its category;
+     * everything else has a null category and is left for the regex fallback.
+     * A block is inline when its text stays on the header's own line ("Instructions: Rest. Follow up in 4 weeks.").
+     */
+    segment(text) {
+        if (!text || typeof text !== 'string') {
+            return { blocks: [], hasHeaders: false };
+        }
+
+        const patterns = this.getHeaderPatterns();
+        const headers = [];
+
+        const collect = (pattern, known) => {
+            pattern.lastIndex = 0;
+            for (const match of text.matchAll(pattern)) {
+                const start = match.index + match[1].length;
+                const label = match[2].trim();
+                const category = this.getCategoryForHeader(label);
+                if (!known && category) {
+                    continue; // Already picked up as a known header
+                }
+                headers.push({
+                    header: label,
+                    category,
+                    start,
+                    contentStart: match.index + match[0].length
+                });
+            }
+        };
+
+        collect(patterns.inline, true);
+        collect(patterns.standalone, true);
+        collect(patterns.generic, false);
+
+        // Drop headers that overlap one already accepted
+        const ordered = headers
+            .sort((a, b) => a.start - b.start)
+            .reduce((accepted, header) => {
+                const previous = accepted[accepted.length - 1];
+                if (!previous || header.start >= previous.contentStart) {
+                    accepted.push(header);
+                }
+                return accepted;
+            }, []);
+
+        const blocks = [];
+        const pushBlock = (category, header, start, end) => {
+            const raw = text.slice(start, end);
+            const leading = raw.length - raw.trimStart().length;
+            const trimmed = raw.trim();
+            if (trimmed) {
+                const inline = !!header && !raw.slice(0, leading).includes('\n') && !trimmed.includes('\n');
+                blocks.push({ category, header, text: trimmed, start: start + leading, end: start + leading + trimmed.length, inline });
+            }
+        };
+
+        let cursor = 0;
+        ordered.forEach((header, index) => {
+            pushBlock(null, null, cursor, header.start);
+            const end = index + 1 < ordered.length ? ordered[index + 1].start : text.length;
+            pushBlock(header.category, header.header, header.contentStart, end);
+            cursor = end;
+        });
+        pushBlock(null, null, cursor, text.length);
+
+        return {
+            blocks,
+            hasHeaders: blocks.some(block => block.category)
+        };
+    }
+}
+
+// Export for use in the medical parser
+window.SectionSegmenter = SectionSegmenter;
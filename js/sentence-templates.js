@@ -0,0 +1,557 @@
+/**
+ * Sentence Template Engine - Matches discharge sentences to vetted, parameterised templates
+ * English patterns such as "Take {drug}[ {dose}][ {route}] {frequency}[ for {duration}]" come from the
+ * source phrase pack; each language pack supplies the translated template plus the words used to fill
+ * dose, frequency, duration and time slots. Square brackets mark optional parts.
+ */
+class SentenceTemplateEngine {
+    constructor(sourcePack = null) {
+        this.templates = [];
+        this.termIndex = new Map();
+        this.ready = false;
+
+        // Slot name → slot type; names not listed are their own type
+        this.slotTypes = {
+            symptom: 'term',
+            condition: 'term'
+        };
+
+        // Glossary placeholders ([[G0]]) stand in for protected doses, abbreviations and drug names
+        this.tokenPattern = '\\[\\[G\\d+\\]\\]';
+
+        this.knownDrugs = window.MedicationExtractor ? new MedicationExtractor().knownDrugs : [];
+
+        if (sourcePack) {
+            this.setSourcePack(sourcePack);
+        }
+    }
+
+    /**
+     * Compile the English templates, terms and slot vocabulary of the source pack
+     */
+    setSourcePack(pack) {
+        const slots = pack.slots || {};
+        this.numberWords = slots.numberWords || {};
+        this.months = slots.months || [];
+        this.unitTypes = slots.unitTypes || {};
+        this.routes = slots.routes || {};
+        this.strengthUnits = slots.strengthUnits || [];
+        this.frequencyAliases = slots.frequency || {};
+
+        this.unitAliases = new Map();
+        Object.entries(slots.units || {}).forEach(([unit, aliases]) => {
+            aliases.forEach(alias => this.unitAliases.set(alias.toLowerCase(), unit));
+        });
+
+        this.termIndex = new Map();
+        Object.entries(pack.terms || {}).forEach(([id, aliases]) => {
+            aliases.forEach(alias => this.termIndex.set(this.normalizeKey(alias), id));
+        });
+
+        this.slotPatterns = this.createSlotPatterns();
+        this.templates = [];
+        (pack.templates || []).forEach(template => {
+            (template.patterns || [template.pattern]).forEach(pattern => {
+                this.templates.push({ id: template.id, ...this.compilePattern(pattern) });
+            });
+        });
+        // Most specific first: longer fixed wording wins over a looser pattern
+        this.templates.sort((a, b) => b.literalLength - a.literalLength);
+
+        this.sourceVersion = pack.version;
+        this.ready = true;
+    }
+
+    /**
+     * Translate one sentence with a language pack
+     * @returns {{ translatedText: string, templateId: string, slots: Object }|null} null when nothing matches
+     */
+    translate(text, pack, language = pack?.language) {
+        if (!this.ready || !pack || !text) {
+            return null;
+        }
+
+        const { body, ending } = this.splitEnding(text);
+
+        // A lone term (e.g. a diagnosis heading)
+        const termId = this.termIndex.get(this.normalizeKey(body));
+        if (termId && pack.terms?.[termId]) {
+            return {
+                translatedText: this.capitalize(pack.terms[termId], language) + this.renderEnding(ending, pack),
+                templateId: `term.${termId}`,
+                slots: {}
+            };
+        }
+
+        for (const template of this.templates) {
+            const match = body.match(template.regex);
+            if (!match) {
+                continue;
+            }
+            const slots = this.parseSlots(template, match);
+            if (!slots) {
+                continue;
+            }
+            const rendered = this.render(template.id, slots, pack, language);
+            if (rendered !== null) {
+                return {
+                    translatedText: rendered + this.renderEnding(ending, pack),
+                    templateId: template.id,
+                    slots
+                };
+            }
+        }
+        return null;
+    }
+
+    // ========== PATTERN COMPILATION ==========
+
+    /**
+     * Turn "Take {drug}[ {dose}]" into an anchored regex with one named group per slot
+     */
+    compilePattern(pattern) {
+        const slotNames = [];
+        let literalLength = 0;
+
+        const compilePart = part => part.split(/(\{\w+\})/).map(piece => {
+            const slot = piece.match(/^\{(\w+)\}$/);
+            if (slot) {
+                const group = `s${slotNames.length}`;
+                slotNames.push(slot[1]);
+                return `(?<${group}>${this.slotPatterns[this.getSlotType(slot[1])] || '.+?'})`;
+            }
+            literalLength += piece.trim().length;
+            return this.escapeRegex(piece).replace(/\s+/g, '\\s+');
+        }).join('');
+
+        const source = pattern.split(/(\[[^\]]*\])/).map(part => {
+            const optional = part.match(/^\[([^\]]*)\]$/);
+            return optional ? `(?:${compilePart(optional[1])})?` : compilePart(part);
+        }).join('');
+
+        return { pattern, slotNames, literalLength, regex: new RegExp(`^${source}$`, 'iu') };
+    }
+
+    createSlotPatterns() {
+        const token = this.tokenPattern;
+        const alternatives = words => [...words]
+            .sort((a, b) => b.length - a.length)
+            .map(word => this.escapeRegex(word).replace(/\s+/g, '\\s+'))
+            .join('|');
+        const unitsOf = type => alternatives([...this.unitAliases.entries()]
+            .filter(([, unit]) => (this.unitTypes[type] || []).includes(unit))
+            .map(([alias]) => alias));
+
+        const number = `(?:\\d+(?:[.,]\\d+)?(?:\\s*(?:-|to)\\s*\\d+(?:[.,]\\d+)?)?|${alternatives(Object.keys(this.numberWords))})`;
+        const end = '(?![\\p{L}\\d])';
+        const { PRN: prnAliases = [], ...codeAliases } = this.frequencyAliases;
+        const frequencyCore = [
+            token,
+            alternatives(Object.values(codeAliases).flat()),
+            `every\\s+${number}\\s+(?:hours?|hrs?)`,
+            `q\\s?\\d+\\s?h`,
+            `${number}\\s+times\\s+(?:a\\s+day|per\\s+day|daily)`,
+            alternatives(prnAliases)
+        ].join('|');
+
+        const months = this.months.map(month => `${month.slice(0, 3)}(?:${month.slice(3)})?\\.?`).join('|');
+
+        return {
+            drug: `\\S(?:.*?\\S)?`,
+            dose: `(?:${token}|${number}\\s*(?:${unitsOf('dose')})${end}|\\d+(?:[.,]\\d+)?\\s*(?:${alternatives(this.strengthUnits)})${end})`,
+            duration: `(?:${number}\\s*(?:${unitsOf('duration')})${end})`,
+            weight: `(?:${token}|${number}\\s*(?:${unitsOf('weight')})${end})`,
+            route: `(?:${token}|${alternatives(Object.values(this.routes).flat())})`,
+            frequency: `(?:${frequencyCore})(?:\\s+(?:${alternatives(prnAliases)}|${token}))?`,
+            temperature: `\\d+(?:[.,]\\d+)?\\s*(?:°\\s*[FC]|degrees(?:\\s+(?:F|C|Fahrenheit|Celsius))?|[FC])${end}`,
+            time: `(?:\\d{1,2}(?::\\d{2})?\\s*(?:a\\.?m\\.?|p\\.?m\\.?)|\\d{1,2}:\\d{2}|noon|midnight)`,
+            date: `(?:(?:${months})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}/\\d{1,2}/\\d{2,4}|\\d{4}-\\d{1,2}-\\d{1,2})`,
+            phone: `(?:${token}|(?:\\+?1[\\s.-]?)?\\(?\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4})`,
+            term: '.+?',
+            provider: '.+?'
+        };
+    }
+
+    getSlotType(name) {
+        return this.slotTypes[name] || name;
+    }
+
+    // ========== SLOT PARSING ==========
+
+    /**
+     * Parse every matched slot into a typed value; null if any slot is not acceptable
+     */
+    parseSlots(template, match) {
+        const slots = {};
+        for (let i = 0; i < template.slotNames.length; i++) {
+            const raw = match.groups[`s${i}`];
+            if (raw === undefined) {
+                continue; // optional part not present
+            }
+            const name = template.slotNames[i];
+            const type = this.getSlotType(name);
+            const value = this.parseSlot(type, raw.trim());
+            if (value === null) {
+                return null;
+            }
+            slots[name] = { type, raw: raw.trim(), ...value };
+        }
+        return slots;
+    }
+
+    parseSlot(type, raw) {
+        if (new RegExp(`^${this.tokenPattern}$`).test(raw)) {
+            return ['drug', 'dose', 'weight', 'route', 'frequency', 'phone', 'provider'].includes(type) ? { token: raw } : null;
+        }
+
+        switch (type) {
+            case 'drug':
+                return this.isDrugName(raw) ? { text: raw } : null;
+            case 'dose':
+                return this.parseQuantity(raw) || this.parseStrength(raw);
+            case 'duration':
+            case 'weight':
+                return this.parseQuantity(raw);
+            case 'route': {
+                const route = Object.keys(this.routes).find(key =>
+                    this.routes[key].some(alias => this.normalizeKey(alias) === this.normalizeKey(raw)));
+                return route ? { route } : null;
+            }
+            case 'frequency':
+                return this.parseFrequency(raw);
+            case 'term': {
+                const term = this.termIndex.get(this.normalizeKey(raw));
+                return term ? { term } : null;
+            }
+            case 'provider': {
+                const term = this.termIndex.get(this.normalizeKey(raw));
+                if (term) {
+                    return { term };
+                }
+                // Named clinicians are kept as written
+                return /^(?:dr|doctor|nurse)\.?\s+\p{Lu}[\p{L}'-]+(?:\s+\p{Lu}[\p{L}'-]+)?$/iu.test(raw) ? { text: raw } : null;
+            }
+            case 'temperature': {
+                const match = raw.match(/^(\d+(?:[.,]\d+)?)\s*(?:°\s*([FC])|degrees(?:\s+([FC]))?|([FC]))/i);
+                if (!match) {
+                    return null;
+                }
+                const scale = (match[2] || match[3] || match[4] || '').toUpperCase();
+                return { value: parseFloat(match[1].replace(',', '.')), scale };
+            }
+            case 'time':
+                return this.parseTime(raw);
+            case 'date':
+                return this.parseDate(raw);
+            case 'phone':
+                return { text: raw };
+            default:
+                return { text: raw };
+        }
+    }
+
+    /**
+     * Drug names are kept as written so they match the medicine label; only accept something
+     * that looks like a name, not an English phrase such as "your medications"
+     */
+    isDrugName(raw) {
+        if (new RegExp(`^(?:${this.tokenPattern}\\s*)+$`).test(raw)) {
+            return true;
+        }
+        const lower = raw.toLowerCase();
+        if (this.knownDrugs.includes(lower)) {
+            return true;
+        }
+        return /^\p{Lu}[\p{L}-]*(?:\s+\p{Lu}[\p{L}-]*){0,2}$/u.test(raw);
+    }
+
+    parseNumber(raw) {
+        const parts = raw.toLowerCase().split(/\s*(?:-|\bto\b)\s*/);
+        const values = parts.map(part => this.numberWords[part] ?? parseFloat(part.replace(',', '.')));
+        if (values.some(value => isNaN(value))) {
+            return null;
+        }
+        return { low: values[0], high: values[values.length - 1] };
+    }
+
+    /**
+     * Drug strengths ("500 mg") are written the same way in every language
+     */
+    parseStrength(raw) {
+        const match = raw.match(/^(\d+(?:[.,]\d+)?)\s*(\S+)$/);
+        if (!match || !this.strengthUnits.some(unit => unit.toLowerCase() === match[2].toLowerCase())) {
+            return null;
+        }
+        return { strength: `${match[1]} ${match[2]}` };
+    }
+
+    parseQuantity(raw) {
+        const match = raw.match(/^(.+?)\s*([\p{L}]+)$/u);
+        if (!match) {
+            return null;
+        }
+        const amount = this.parseNumber(match[1]);
+        const unit = this.unitAliases.get(match[2].toLowerCase());
+        return amount && unit ? { amount, unit } : null;
+    }
+
+    parseFrequency(raw) {
+        const prnAliases = this.frequencyAliases.PRN || [];
+        let text = raw;
+        let asNeeded = null;
+
+        // Trailing "as needed" (or its glossary placeholder) after a fixed frequency
+        const prnSuffix = new RegExp(`\\s+(${prnAliases.map(alias => this.escapeRegex(alias)).join('|')}|${this.tokenPattern})$`, 'i');
+        const suffix = text.match(prnSuffix);
+        if (suffix) {
+            asNeeded = suffix[1].startsWith('[[') ? { token: suffix[1] } : { code: 'PRN' };
+            text = text.slice(0, suffix.index);
+        }
+
+        let core = null;
+        const key = this.normalizeKey(text);
+        if (new RegExp(`^${this.tokenPattern}$`).test(text)) {
+            core = { token: text };
+        } else {
+            const code = Object.keys(this.frequencyAliases).find(candidate =>
+                this.frequencyAliases[candidate].some(alias => this.normalizeKey(alias) === key));
+            if (code) {
+                core = { code };
+            }
+        }
+
+        let match;
+        if (!core && (match = text.match(/^(?:every\s+(.+?)\s+(?:hours?|hrs?)|q\s?(\d+)\s?h)$/i))) {
+            const amount = this.parseNumber(match[1] || match[2]);
+            core = amount ? { code: 'every_hours', amount } : null;
+        }
+        if (!core && (match = text.match(/^(.+?)\s+times\s+(?:a\s+day|per\s+day|daily)$/i))) {
+            const amount = this.parseNumber(match[1]);
+            const fixed = { 1: 'QD', 2: 'BID', 3: 'TID', 4: 'QID' }[amount?.high];
+            core = amount ? (fixed && amount.low === amount.high ? { code: fixed } : { code: 'times_a_day', amount }) : null;
+        }
+
+        return core ? { ...core, asNeeded } : null;
+    }
+
+    parseTime(raw) {
+        const lower = raw.toLowerCase().replace(/\./g, '');
+        if (lower === 'noon') {
+            return { hours: 12, minutes: 0 };
+        }
+        if (lower === 'midnight') {
+            return { hours: 0, minutes: 0 };
+        }
+        const match = lower.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+        if (!match) {
+            return null;
+        }
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2] || '0', 10);
+        if (match[3] === 'pm' && hours < 12) hours += 12;
+        if (match[3] === 'am' && hours === 12) hours = 0;
+        return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+    }
+
+    parseDate(raw) {
+        const lower = raw.toLowerCase().replace(/(\d)(?:st|nd|rd|th)\b/, '$1');
+        let year = null, month, day;
+        let match;
+        if ((match = lower.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+            [year, month, day] = [+match[1], +match[2], +match[3]];
+        } else if ((match = lower.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/))) {
+            [month, day, year] = [+match[1], +match[2], +match[3]];
+            if (year < 100) year += 2000;
+        } else if ((match = lower.match(/^([a-z]+)\.?\s+(\d{1,2}),?(?:\s+(\d{4}))?$/))) {
+            month = this.months.findIndex(name => name.startsWith(match[1].slice(0, 3))) + 1;
+            day = +match[2];
+            year = match[3] ? +match[3] : null;
+        } else {
+            return null;
+        }
+        if (!month || month > 12 || !day || day > 31) {
+            return null;
+        }
+        return { year, month, day };
+    }
+
+    // ========== RENDERING ==========
+
+    /**
+     * Fill the language pack's template; null if the pack lacks the template or any slot wording.
+     * A placeholder may name a grammatical case, e.g. {duration|dative}, picked from the unit forms.
+     */
+    render(templateId, slots, pack, language) {
+        const target = pack.templates?.[templateId];
+        if (typeof target !== 'string') {
+            return null;
+        }
+
+        let failed = false;
+        const placeholder = /\{(\w+)(?:\|(\w+))?\}/g;
+        const fill = part => part.replace(placeholder, (_, name, variant) => {
+            const value = name in slots ? this.renderSlot(slots[name], pack, language, variant) : null;
+            if (value === null) {
+                failed = true;
+            }
+            return value ?? '';
+        });
+
+        // Optional parts are kept only when every slot inside them was present in the source
+        const text = fill(target.replace(/\[([^\]]*)\]/g, (_, part) => {
+            const names = [...part.matchAll(placeholder)].map(match => match[1]);
+            return names.every(name => name in slots) ? part : '';
+        }));
+
+        // A source slot the pack's wording leaves out would silently drop information
+        if (Object.keys(slots).some(name => !new RegExp(`\\{${name}(?:\\|\\w+)?\\}`).test(target))) {
+            return null;
+        }
+
+        return failed ? null : text.replace(/[ \t]{2,}/g, ' ').trim();
+    }
+
+    renderSlot(slot, pack, language, variant = null) {
+        if (slot.token) {
+            return slot.token;
+        }
+        if (slot.strength) {
+            return slot.strength;
+        }
+
+        switch (slot.type) {
+            case 'dose':
+            case 'duration':
+            case 'weight':
+                return this.renderQuantity(slot.amount, slot.unit, pack, language, variant);
+            case 'route':
+                return pack.routes?.[slot.route] ?? null;
+            case 'frequency':
+                return this.renderFrequency(slot, pack, language);
+            case 'term':
+                return pack.terms?.[slot.term] ?? null;
+            case 'provider':
+                return slot.term ? (pack.terms?.[slot.term] ?? null) : slot.text;
+            case 'temperature':
+                return `${this.formatNumber(slot.value, language)}${slot.scale ? ` °${slot.scale}` : '°'}`;
+            case 'time':
+                // 24-hour clock avoids translating AM/PM
+                return `${String(slot.hours).padStart(2, '0')}:${String(slot.minutes).padStart(2, '0')}`;
+            case 'date':
+                return this.formatDate(slot, language);
+            default:
+                return slot.text ?? null;
+        }
+    }
+
+    renderQuantity(amount, unit, pack, language, variant = null) {
+        const forms = pack.units?.[unit];
+        if (!forms) {
+            return null;
+        }
+        const number = amount.low === amount.high
+            ? this.formatNumber(amount.low, language)
+            : `${this.formatNumber(amount.low, language)}-${this.formatNumber(amount.high, language)}`;
+        const unitText = this.selectPluralForm(forms, amount.high, language, variant);
+        // Units placed before the number ("小さじ{n}") carry their own placeholder
+        if (unitText.includes('{n}')) {
+            return unitText.replace('{n}', number);
+        }
+        const format = pack.formats?.quantity || '{n} {unit}';
+        return format.replace('{n}', number).replace('{unit}', unitText);
+    }
+
+    renderFrequency(slot, pack, language) {
+        const wording = pack.frequency || {};
+        let text = slot.token || wording[slot.code];
+        if (slot.code === 'every_hours' || slot.code === 'times_a_day') {
+            const quantity = this.renderQuantity(slot.amount, slot.code === 'every_hours' ? 'hour' : 'time', pack, language);
+            text = quantity === null ? null : wording[slot.code]?.replace('{n}', quantity);
+        }
+        if (!text) {
+            return null;
+        }
+
+        if (!slot.asNeeded) {
+            return text;
+        }
+        const prn = slot.asNeeded.token || wording.PRN;
+        if (!prn) {
+            return null;
+        }
+        return (pack.formats?.asNeeded || '{frequency} {prn}').replace('{frequency}', text).replace('{prn}', prn);
+    }
+
+    /**
+     * Pick the plural form for a number, e.g. { one: 'día', other: 'días' }, optionally from a case variant
+     */
+    selectPluralForm(forms, value, language, variant = null) {
+        if (typeof forms === 'string') {
+            return forms;
+        }
+        if (variant && forms[variant]) {
+            return this.selectPluralForm(forms[variant], value, language);
+        }
+        let category = 'other';
+        try {
+            category = new Intl.PluralRules(language).select(value);
+        } catch (error) {
+            category = value === 1 ? 'one' : 'other';
+        }
+        return forms[category] ?? forms.other;
+    }
+
+    /**
+     * Western digits in every language so doses read the same to staff and patient
+     */
+    formatNumber(value, language) {
+        try {
+            return new Intl.NumberFormat(language, { useGrouping: false, maximumFractionDigits: 2, numberingSystem: 'latn' }).format(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    formatDate({ year, month, day }, language) {
+        const date = new Date(year ?? new Date().getFullYear(), month - 1, day);
+        const options = { day: 'numeric', month: 'long', numberingSystem: 'latn' };
+        if (year) {
+            options.year = 'numeric';
+        }
+        try {
+            return new Intl.DateTimeFormat(language, options).format(date);
+        } catch (error) {
+            return date.toDateString();
+        }
+    }
+
+    // ========== HELPERS ==========
+
+    splitEnding(text) {
+        const trimmed = text.trim().replace(/\s+/g, ' ');
+        const match = trimmed.match(/^(.*?)\s*([.!]*)$/);
+        return { body: match[1], ending: match[2] ? match[2][0] : '' };
+    }
+
+    renderEnding(ending, pack) {
+        if (!ending) {
+            return '';
+        }
+        return ending === '!' ? (pack.punctuation?.exclamation ?? '!') : (pack.punctuation?.period ?? '.');
+    }
+
+    capitalize(text, language) {
+        return text.charAt(0).toLocaleUpperCase(language) + text.slice(1);
+    }
+
+    normalizeKey(text) {
+        return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Export for use by the phrase pack provider
+window.SentenceTemplateEngine = SentenceTemplateEngine;
@@ -0,0 +1,328 @@
+/**
+ * Translation Memory - Persistent cache of translated segments in IndexedDB
+ * Entries are keyed by source text, language pair, provider and glossary version, evicted least-recently-used,
+ * and can be exchanged with interpreters as TMX 1.4
+ */
+class TranslationMemory {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'discharge-translator';
+        this.storeName = options.storeName || 'translation-memory';
+        this.dbVersion = 1;
+        this.maxEntries = options.maxEntries || window.appConfig?.get('TRANSLATION_MEMORY_MAX_ENTRIES', 5000) || 5000;
+
+        // Entries imported from interpreters; they are never evicted and win over machine translations
+        this.approvedProvider = 'interpreter';
+
+        this.db = null;
+        this.fallbackStore = null; // Map used when IndexedDB is unavailable (private browsing, tests)
+        this.ready = null;
+    }
+
+    /**
+     * Open (or create) the database. Safe to call repeatedly.
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    console.warn('⚠️ IndexedDB unavailable, translation memory is kept in memory only');
+                    this.fallbackStore = new Map();
+                    resolve(this);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                        store.createIndex('lastUsed', 'lastUsed');
+                        store.createIndex('targetLang', 'targetLang');
+                    }
+                };
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    console.log('✅ Translation memory opened');
+                    resolve(this);
+                };
+                request.onerror = () => {
+                    console.warn('⚠️ Could not open translation memory, using in-memory store:', request.error);
+                    this.fallbackStore = new Map();
+                    resolve(this);
+                };
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Build the primary key for an entry
+     */
+    createKey(text, sourceLang, targetLang, provider, glossaryVersion) {
+        return [glossaryVersion || 'none', sourceLang, targetLang, provider, this.normalizeText(text)].join('|');
+    }
+
+    normalizeText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Look up several texts for one provider
+     * @returns {Promise<Map<string, Object>>} source text → entry, for hits only
+     */
+    async lookup(texts, sourceLang, targetLang, provider, glossaryVersion) {
+        await this.open();
+        const hits = new Map();
+
+        for (const text of texts) {
+            const entry = await this.read(this.createKey(text, sourceLang, targetLang, provider, glossaryVersion));
+            if (entry) {
+                hits.set(text, entry);
+            }
+        }
+
+        // Record usage for LRU eviction
+        if (hits.size > 0) {
+            const now = Date.now();
+            await this.writeAll([...hits.values()].map(entry => ({ ...entry, lastUsed: now, hits: (entry.hits || 0) + 1 })));
+        }
+        return hits;
+    }
+
+    /**
+     * Store translated segments
+     * @param {Object[]} segments - { sourceText, translatedText, sourceLang, targetLang, provider, service, confidence, glossaryVersion, approved }
+     */
+    async store(segments) {
+        await this.open();
+        const now = Date.now();
+
+        const entries = segments
+            .filter(segment => segment.sourceText && segment.translatedText)
+            .map(segment => ({
+                id: this.createKey(segment.sourceText, segment.sourceLang, segment.targetLang, segment.provider, segment.glossaryVersion),
+                sourceText: this.normalizeText(segment.sourceText),
+                translatedText: segment.translatedText,
+                sourceLang: segment.sourceLang,
+                targetLang: segment.targetLang,
+                provider: segment.provider,
+                service: segment.service || segment.provider,
+                confidence: segment.confidence ?? null,
+                glossaryVersion: segment.glossaryVersion || 'none',
+                approved: !!segment.approved,
+                createdAt: segment.createdAt || now,
+                lastUsed: now,
+                hits: segment.hits || 0
+            }));
+
+        await this.writeAll(entries);
+        await this.evict();
+        return entries.length;
+    }
+
+    /**
+     * Remove the least-recently-used machine translations above the size limit
+     */
+    async evict() {
+        const entries = await this.list();
+        const evictable = entries.filter(entry => !entry.approved);
+        const excess = entries.length - this.maxEntries;
+        if (excess <= 0) {
+            return 0;
+        }
+
+        const victims = evictable
+            .sort((a, b) => a.lastUsed - b.lastUsed)
+            .slice(0, excess);
+        for (const entry of victims) {
+            await this.delete(entry.id);
+        }
+        console.log(`🧹 Translation memory evicted ${victims.length} entries`);
+        return victims.length;
+    }
+
+    /**
+     * List entries, newest first
+     * @param {Object} filter - { targetLang, search, provider }
+     */
+    async list(filter = {}) {
+        await this.open();
+        const all = await this.readAll();
+        const search = (filter.search || '').toLowerCase();
+
+        return all
+            .filter(entry => !filter.targetLang || entry.targetLang === filter.targetLang)
+            .filter(entry => !filter.provider || entry.provider === filter.provider)
+            .filter(entry => !search ||
+                entry.sourceText.toLowerCase().includes(search) ||
+                entry.translatedText.toLowerCase().includes(search))
+            .sort((a, b) => b.lastUsed - a.lastUsed);
+    }
+
+    async count() {
+        return (await this.list()).length;
+    }
+
+    async delete(id) {
+        await this.open();
+        if (this.fallbackStore) {
+            this.fallbackStore.delete(id);
+            return;
+        }
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    async clear() {
+        await this.open();
+        if (this.fallbackStore) {
+            this.fallbackStore.clear();
+            return;
+        }
+        await this.transaction('readwrite', store => store.clear());
+    }
+
+    // ========== TMX ==========
+
+    /**
+     * Export entries as a TMX 1.4 document
+     */
+    async exportTMX(filter = {}) {
+        const entries = await this.list(filter);
+        const sourceLang = entries[0]?.sourceLang || 'en';
+
+        const units = entries.map(entry => `
+    <tu tuid="${this.escapeXml(entry.id)}" creationdate="${this.formatTMXDate(entry.createdAt)}" changedate="${this.formatTMXDate(entry.lastUsed)}" usagecount="${entry.hits || 0}">
+      <prop type="x-provider">${this.escapeXml(entry.provider)}</prop>
+      <prop type="x-service">${this.escapeXml(entry.service)}</prop>
+      <prop type="x-glossary-version">${this.escapeXml(entry.glossaryVersion)}</prop>
+      <prop type="x-approved">${entry.approved ? 'true' : 'false'}</prop>
+      <tuv xml:lang="${this.escapeXml(entry.sourceLang)}"><seg>${this.escapeXml(entry.sourceText)}</seg></tuv>
+      <tuv xml:lang="${this.escapeXml(entry.targetLang)}"><seg>${this.escapeXml(entry.translatedText)}</seg></tuv>
+    </tu>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="Discharge Instructions Translator" creationtoolversion="1.0" datatype="plaintext" segtype="sentence" adminlang="en" srclang="${this.escapeXml(sourceLang)}" o-tmf="IndexedDB"/>
+  <body>${units}
+  </body>
+</tmx>
+`;
+    }
+
+    /**
+     * Import a TMX document. Units without an x-provider property are treated as
+     * interpreter-approved translations.
+     * @param {Object} options - { provider: override the provider recorded for every unit }
+     * @returns {Promise<number>} Number of segments stored
+     */
+    async importTMX(xml, options = {}) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || !doc.getElementsByTagName('tmx').length) {
+            throw new Error('Not a valid TMX file');
+        }
+
+        const header = doc.getElementsByTagName('header')[0];
+        const headerSource = this.baseLanguage(header?.getAttribute('srclang')) || 'en';
+        const segments = [];
+
+        Array.from(doc.getElementsByTagName('tu')).forEach(unit => {
+            const props = {};
+            Array.from(unit.getElementsByTagName('prop')).forEach(prop => {
+                props[prop.getAttribute('type')] = prop.textContent;
+            });
+
+            const variants = Array.from(unit.getElementsByTagName('tuv')).map(variant => ({
+                lang: this.baseLanguage(variant.getAttribute('xml:lang') || variant.getAttribute('lang')),
+                text: variant.getElementsByTagName('seg')[0]?.textContent || ''
+            })).filter(variant => variant.lang && variant.text.trim());
+
+            const sourceLang = this.baseLanguage(unit.getAttribute('srclang')) || headerSource;
+            const source = variants.find(variant => variant.lang === sourceLang);
+            if (!source) {
+                return;
+            }
+
+            const provider = options.provider || props['x-provider'] || this.approvedProvider;
+            const approved = provider === this.approvedProvider || props['x-approved'] === 'true';
+            variants
+                .filter(variant => variant !== source)
+                .forEach(variant => segments.push({
+                    sourceText: source.text,
+                    translatedText: variant.text,
+                    sourceLang,
+                    targetLang: variant.lang,
+                    provider,
+                    service: props['x-service'] || (provider === this.approvedProvider ? 'Interpreter (approved)' : provider),
+                    // Approved translations apply whatever glossary is current
+                    glossaryVersion: provider === this.approvedProvider ? 'none' : (props['x-glossary-version'] || 'none'),
+                    approved,
+                    confidence: provider === this.approvedProvider ? 1.0 : null,
+                    hits: parseInt(unit.getAttribute('usagecount'), 10) || 0
+                }));
+        });
+
+        return this.store(segments);
+    }
+
+    baseLanguage(code) {
+        return code ? code.toLowerCase().split(/[-_]/)[0] : null;
+    }
+
+    formatTMXDate(timestamp) {
+        // TMX dates are ISO 8601 basic format in UTC, e.g. 20261019T120000Z
+        return new Date(timestamp || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ========== STORAGE HELPERS ==========
+
+    async read(id) {
+        if (this.fallbackStore) {
+            return this.fallbackStore.get(id) || null;
+        }
+        return (await this.transaction('readonly', store => store.get(id))) || null;
+    }
+
+    async readAll() {
+        if (this.fallbackStore) {
+            return [...this.fallbackStore.values()];
+        }
+        return (await this.transaction('readonly', store => store.getAll())) || [];
+    }
+
+    async writeAll(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+        if (this.fallbackStore) {
+            entries.forEach(entry => this.fallbackStore.set(entry.id, entry));
+            return;
+        }
+        await this.transaction('readwrite', store => {
+            entries.forEach(entry => store.put(entry));
+        });
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result once the transaction completes
+     */
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+// Export for use in the translation service
+window.TranslationMemory = TranslationMemory;
@@ -0,0 +1,533 @@
+/**
+ * Translation Providers - Pluggable machine translation backends for TranslationService
+ * Each provider declares its capabilities (languages, batching, glossary support) and
+ * implements translate(); batch-capable providers also implement translateBatch()
+ */
+
+/**
+ * Base provider. Subclasses override translate() and, when batching is supported, translateBatch().
+ */
+class TranslationProvider {
+    constructor(id, name, capabilities = {}) {
+        this.id = id;
+        this.name = name;
+        this.capabilities = {
+            languages: null,   // null = any language the service accepts
+            batch: false,
+            maxBatchSize: 1,
+            maxChars: 5000,
+            glossary: false,
+            cacheable: true,   // results may be kept in the translation memory
+            offline: false,    // works without a network connection
+            ...capabilities
+        };
+        // Codes that differ from the app's two-letter codes, e.g. { zh: 'zh-Hans' }
+        this.languageMap = {};
+    }
+
+    /**
+     * Whether credentials / endpoints are set so the provider can be tried
+     */
+    isConfigured() {
+        return true;
+    }
+
+    supportsLanguage(code) {
+        const languages = this.capabilities.languages;
+        return !languages || languages.includes(code);
+    }
+
+    supportsPair(targetLang, sourceLang) {
+        return this.supportsLanguage(targetLang) && this.supportsLanguage(sourceLang);
+    }
+
+    mapLanguage(code) {
+        return this.languageMap[code] || code;
+    }
+
+    async translate(text, targetLang, sourceLang, options = {}) {
+        throw new Error(`${this.name} does not implement translate()`);
+    }
+
+    /**
+     * Translate several texts; providers without a batch API translate one at a time
+     * @returns {Promise<Object[]>} One result per input text
+     */
+    async translateBatch(texts, targetLang, sourceLang, options = {}) {
+        const results = [];
+        for (const text of texts) {
+            results.push(await this.translate(text, targetLang, sourceLang, options));
+        }
+        return results;
+    }
+
+    getInfo() {
+        return {
+            id: this.id,
+            name: this.name,
+            configured: this.isConfigured(),
+            capabilities: { ...this.capabilities }
+        };
+    }
+}
+
+/**
+ * Azure Translator (Microsoft Cognitive Services)
+ */
+class AzureTranslatorProvider extends TranslationProvider {
+    constructor(config = {}) {
+        super('azure', 'Azure Translator', { batch: true, maxBatchSize: 100, maxChars: 50000 });
+        this.config = {
+            endpoint: 'https://api.cognitive.microsofttranslator.com',
+            apiKey: null,
+            region: 'global',
+            apiVersion: '3.0',
+            ...config
+        };
+        this.languageMap = { zh: 'zh-Hans' };
+    }
+
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    isConfigured() {
+        return !!this.config.apiKey;
+    }
+
+    async translate(text, targetLang, sourceLang, options = {}) {
+        const [result] = await this.translateBatch([text], targetLang, sourceLang, options);
+        return result;
+    }
+
+    async translateBatch(texts, targetLang, sourceLang, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('Azure API key not configured');
+        }
+
+        console.log('🔄 Using Azure Translator...');
+
+        const params = new URLSearchParams({
+            'api-version': this.config.apiVersion,
+            'from': this.mapLanguage(sourceLang),
+            'to': this.mapLanguage(targetLang)
+        });
+
+        const response = await fetch(`${this.config.endpoint}/translate?${params}`, {
+            method: 'POST',
+            headers: {
+                'Ocp-Apim-Subscription-Key': this.config.apiKey,
+                'Ocp-Apim-Subscription-Region': this.config.region,
+                'Content-Type': 'application/json',
+                'X-ClientTraceId': generateTranslationTraceId()
+            },
+            body: JSON.stringify(texts.map(text => ({ text: text.trim() })))
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('Azure API Error Response:', errorText);
+            throw new Error(`Azure Translator API error: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data) || data.length !== texts.length || data.some(entry => !entry?.translations?.[0])) {
+            throw new Error('Invalid Azure Translator response format');
+        }
+
+        return data.map((entry, index) => ({
+            translatedText: entry.translations[0].text,
+            confidence: entry.translations[0].confidence || 0.95,
+            service: this.name,
+            provider: this.id,
+            detectedLanguage: entry.detectedLanguage?.language,
+            originalText: texts[index]
+        }));
+    }
+}
+
+/**
+ * Google Cloud Translation (v2 REST API with an API key)
+ */
+class GoogleTranslateProvider extends TranslationProvider {
+    constructor(config = {}) {
+        super('google', 'Google Translate', { batch: true, maxBatchSize: 128, maxChars: 30000 });
+        this.config = {
+            endpoint: 'https://translation.googleapis.com/language/translate/v2',
+            apiKey: null,
+            ...config
+        };
+        this.languageMap = { zh: 'zh-CN' };
+    }
+
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    isConfigured() {
+        // config.js ships with a placeholder key
+        return !!this.config.apiKey && this.config.apiKey !== 'YOUR_API_KEY_HERE';
+    }
+
+    async translate(text, targetLang, sourceLang, options = {}) {
+        const [result] = await this.translateBatch([text], targetLang, sourceLang, options);
+        return result;
+    }
+
+    async translateBatch(texts, targetLang, sourceLang, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('Google Translate API key not configured');
+        }
+
+        console.log('🔄 Using Google Translate...');
+
+        const response = await fetch(`${this.config.endpoint}?key=${encodeURIComponent(this.config.apiKey)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                q: texts.map(text => text.trim()),
+                source: this.mapLanguage(sourceLang),
+                target: this.mapLanguage(targetLang),
+                format: 'text'
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Google Translate API error: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        const translations = data?.data?.translations;
+        if (!Array.isArray(translations) || translations.length !== texts.length) {
+            throw new Error('Invalid Google Translate response format');
+        }
+
+        return translations.map((translation, index) => ({
+            translatedText: translation.translatedText,
+            confidence: 0.9,
+            service: this.name,
+            provider: this.id,
+            originalText: texts[index]
+        }));
+    }
+}
+
+/**
+ * DeepL API (free and pro keys)
+ */
+class DeepLProvider extends TranslationProvider {
+    constructor(config = {}) {
+        super('deepl', 'DeepL', {
+            // DeepL does not cover Hindi, Thai or Vietnamese
+            languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'zh', 'ja', 'ko', 'ar'],
+            batch: true,
+            maxBatchSize: 50,
+            maxChars: 100000,
+            glossary: true
+        });
+        this.config = {
+            apiKey: null,
+            glossaryIds: {},   // target language → DeepL glossary id
+            ...config
+        };
+        this.languageMap = { en: 'EN-US', pt: 'PT-BR' };
+    }
+
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    isConfigured() {
+        return !!this.config.apiKey;
+    }
+
+    getEndpoint() {
+        // Free-tier keys end in ":fx" and use a separate host
+        return this.config.apiKey.endsWith(':fx')
+            ? 'https://api-free.deepl.com/v2/translate'
+            : 'https://api.deepl.com/v2/translate';
+    }
+
+    mapLanguage(code) {
+        return (this.languageMap[code] || code).toUpperCase();
+    }
+
+    async translate(text, targetLang, sourceLang, options = {}) {
+        const [result] = await this.translateBatch([text], targetLang, sourceLang, options);
+        return result;
+    }
+
+    async translateBatch(texts, targetLang, sourceLang, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('DeepL API key not configured');
+        }
+
+        console.log('🔄 Using DeepL...');
+
+        const body = {
+            text: texts.map(text => text.trim()),
+            // Source codes never carry a region
+            source_lang: sourceLang.toUpperCase(),
+            target_lang: this.mapLanguage(targetLang)
+        };
+        const glossaryId = options.glossaryId || this.config.glossaryIds[targetLang];
+        if (glossaryId) {
+            body.glossary_id = glossaryId;
+        }
+
+        const response = await fetch(this.getEndpoint(), {
+            method: 'POST',
+            headers: {
+                'Authorization': `DeepL-Auth-Key ${this.config.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`DeepL API error: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data?.translations) || data.translations.length !== texts.length) {
+            throw new Error('Invalid DeepL response format');
+        }
+
+        return data.translations.map((translation, index) => ({
+            translatedText: translation.text,
+            confidence: 0.93,
+            service: this.name,
+            provider: this.id,
+            detectedLanguage: translation.detected_source_language?.toLowerCase(),
+            originalText: texts[index]
+        }));
+    }
+}
+
+/**
+ * LibreTranslate - a self-hosted server or a list of public endpoints tried in order
+ */
+class LibreTranslateProvider extends TranslationProvider {
+    constructor(id, config = {}) {
+        super(id, config.name || 'LibreTranslate', { batch: true, maxBatchSize: 50, maxChars: 5000 });
+        this.config = {
+            endpoints: [],
+            apiKey: null,
+            ...config
+        };
+    }
+
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    isConfigured() {
+        return this.config.endpoints.some(Boolean);
+    }
+
+    async translate(text, targetLang, sourceLang, options = {}) {
+        const [result] = await this.translateBatch([text], targetLang, sourceLang, options);
+        return result;
+    }
+
+    async translateBatch(texts, targetLang, sourceLang, options = {}) {
+        let lastError = null;
+
+        for (const endpoint of this.config.endpoints.filter(Boolean)) {
+            const url = `${endpoint.replace(/\/+$/, '').replace(/\/translate$/, '')}/translate`;
+            try {
+                console.log(`🔄 Trying LibreTranslate: ${url}`);
+
+                const body = {
+                    // A single string keeps compatibility with servers that predate array input
+                    q: texts.length === 1 ? texts[0].trim() : texts.map(text => text.trim()),
+                    source: this.mapLanguage(sourceLang),
+                    target: this.mapLanguage(targetLang),
+                    format: 'text'
+                };
+                if (this.config.apiKey) {
+                    body.api_key = this.config.apiKey;
+                }
+
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+
+                if (!response.ok) {
+                    throw new Error(`LibreTranslate API error: ${response.status}`);
+                }
+
+                const data = await response.json();
+                if (data.error) {
+                    throw new Error(data.error);
+                }
+
+                const translated = Array.isArray(data.translatedText) ? data.translatedText : [data.translatedText];
+                if (translated.length !== texts.length) {
+                    throw new Error('Invalid LibreTranslate response format');
+                }
+
+                return translated.map((text, index) => ({
+                    translatedText: text || texts[index],
+                    confidence: 0.8,
+                    service: this.name,
+                    provider: this.id,
+                    originalText: texts[index]
+                }));
+
+            } catch (error) {
+                lastError = error;
+                console.warn(`LibreTranslate endpoint failed: ${url}`, error.message);
+            }
+        }
+
+        throw lastError || new Error('All LibreTranslate endpoints failed');
+    }
+}
+
+/**
+ * Offline phrase packs: whole sentences matched to vetted templates (js/sentence-templates.js)
+ */
+class PhrasePackProvider extends TranslationProvider {
+    constructor(store, engine = new SentenceTemplateEngine()) {
+        // Vetted sentences from local files: no network, and nothing worth caching
+        super('phrase-pack', 'Offline Phrase Pack', { maxChars: Infinity, cacheable: false, offline: true });
+        this.store = store;
+        this.engine = engine;
+    }
+
+    supportsLanguage(code) {
+        return this.store.hasLanguage(code);
+    }
+
+    // Templates are written in English
+    supportsPair(targetLang, sourceLang) {
+        return sourceLang === this.store.sourceLanguage && targetLang !== sourceLang && this.supportsLanguage(targetLang);
+    }
+
+    /**
+     * Compile the English templates and load the target pack; throws when the packs cannot be fetched
+     */
+    async prepare(targetLang) {
+        if (!this.engine.ready) {
+            this.engine.setSourcePack(await this.store.getSourcePack());
+        }
+        return this.store.getPack(targetLang);
+    }
+
+    async translate(text, targetLang) {
+        const pack = await this.prepare(targetLang);
+        const result = this.engine.translate(text, pack, targetLang);
+        if (!result) {
+            throw new Error('No phrase pack template matches');
+        }
+
+        return {
+            translatedText: result.translatedText,
+            confidence: 0.95,
+            service: `${this.name} (${pack.version})`,
+            provider: this.id,
+            templateId: result.templateId
+        };
+    }
+}
+
+/**
+ * Offline medical phrase dictionary used when no online provider succeeds
+ */
+class FallbackDictionaryProvider extends TranslationProvider {
+    constructor(dictionary = {}) {
+        // Local lookups are instant, so caching them would only shadow better providers
+        super('fallback-dictionary', 'Enhanced Fallback Dictionary', { maxChars: Infinity, cacheable: false, offline: true });
+        this.dictionary = dictionary;
+    }
+
+    supportsLanguage(code) {
+        return code === 'en' || !!this.dictionary[code];
+    }
+
+    // The dictionary only maps English phrases to other languages
+    supportsPair(targetLang, sourceLang) {
+        return sourceLang === 'en' && !!this.dictionary[targetLang];
+    }
+
+    /**
+     * Translate only when dictionary phrases cover every word of the sentence. A partial match would
+     * leave English words mixed into the result, so it is rejected and the sentence stays in English.
+     */
+    async translate(text, targetLang) {
+        console.log('🔄 Using enhanced fallback translation');
+
+        const fallbackDict = this.dictionary[targetLang];
+        if (!fallbackDict) {
+            throw new Error(`No fallback translations for ${targetLang}`);
+        }
+
+        const trimmed = text.trim();
+        const ending = trimmed.match(/[.!?:;]*$/)[0];
+        let pieces = [{ text: trimmed.slice(0, trimmed.length - ending.length), translation: null }];
+
+        // Longest phrases first, so complete sentences win over single words
+        Object.keys(fallbackDict)
+            .sort((a, b) => b.length - a.length)
+            .forEach(english => {
+                const regex = new RegExp(`(?<![\\p{L}\\d])(${escapeTranslationRegex(english)})(?![\\p{L}\\d])`, 'iu');
+                pieces = pieces.flatMap(piece => {
+                    if (piece.translation !== null) {
+                        return [piece];
+                    }
+                    // split() with a capture group alternates unmatched text and matches
+                    return piece.text.split(regex).map((part, index) => index % 2 === 1
+                        ? { text: part, translation: fallbackDict[english] }
+                        : { text: part, translation: null });
+                });
+            });
+
+        // Anything left must be numbers, punctuation or glossary placeholders
+        const leftover = pieces
+            .filter(piece => piece.translation === null)
+            .map(piece => piece.text.replace(/\[\[G\d+\]\]/gi, ''))
+            .join(' ');
+        if (!pieces.some(piece => piece.translation !== null)) {
+            throw new Error('No translations found in fallback dictionary');
+        }
+        if (/\p{L}/u.test(leftover)) {
+            throw new Error('Fallback dictionary covers only part of the sentence');
+        }
+
+        let translated = pieces.map(piece => piece.translation ?? piece.text).join('') + ending;
+        // Capitalize first letter to maintain sentence structure
+        translated = translated.charAt(0).toUpperCase() + translated.slice(1);
+
+        return {
+            translatedText: translated,
+            confidence: 0.7,
+            service: this.name,
+            provider: this.id
+        };
+    }
+}
+
+function escapeTranslationRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function generateTranslationTraceId() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+    });
+}
+
+// Export for use in the translation service
+window.TranslationProvider = TranslationProvider;
+window.AzureTranslatorProvider = AzureTranslatorProvider;
+window.GoogleTranslateProvider = GoogleTranslateProvider;
+window.DeepLProvider = DeepLProvider;
+window.LibreTranslateProvider = LibreTranslateProvider;
+window.PhrasePackProvider = PhrasePackProvider;
+window.FallbackDictionaryProvider = FallbackDictionaryProvider;
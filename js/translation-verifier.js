@@ -0,0 +1,262 @@
+/**
+ * Translation Verifier - Back-translation check of translated discharge items
+ * Each item is translated back to English with a different provider and scored against the source.
+ * Numbers, dose units and negation must survive exactly; otherwise the item is flagged for interpreter review.
+ */
+class TranslationVerifier {
+    constructor(translationService, options = {}) {
+        this.translationService = translationService;
+        this.threshold = options.threshold ?? window.appConfig?.get('VERIFY_FIDELITY_THRESHOLD', 0.6) ?? 0.6;
+        this.negationDetector = window.NegationDetector ? new NegationDetector() : null;
+
+        // Results from these sources were not machine translated, so there is nothing to verify
+        this.trustedProviders = ['interpreter', 'glossary', 'phrase-pack'];
+
+        this.stopwords = new Set([
+            'a', 'an', 'the', 'to', 'of', 'for', 'and', 'or', 'in', 'on', 'at', 'by', 'with', 'your', 'you',
+            'is', 'are', 'be', 'this', 'that', 'it', 'as', 'please', 'if', 'from', 'per'
+        ]);
+
+        // Words machine translation commonly swaps for an equivalent
+        this.synonyms = {
+            'pill': 'tablet', 'pills': 'tablet', 'tablets': 'tablet', 'capsule': 'tablet', 'capsules': 'tablet',
+            'physician': 'doctor', 'provider': 'doctor', 'medic': 'doctor',
+            'medicine': 'medication', 'medicines': 'medication', 'drug': 'medication', 'medications': 'medication',
+            'daily': 'day', 'days': 'day', 'every': 'each', 'hrs': 'hour', 'hours': 'hour',
+            'oral': 'mouth', 'orally': 'mouth', 'consume': 'take', 'ingest': 'take',
+            'fever': 'fever', 'temperature': 'fever', 'feed': 'diet', 'food': 'diet',
+            'twice': 'two', 'once': 'one', 'thrice': 'three'
+        };
+
+        this.numberWords = {
+            'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8,
+            'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12, 'fourteen': 14, 'twenty': 20, 'thirty': 30,
+            'once': 1, 'twice': 2, 'thrice': 3, 'single': 1, 'half': 0.5
+        };
+
+        this.unitPattern = /\b(mg|mcg|µg|g|kg|ml|l|units?|iu|meq|%)(?![a-z])/gi;
+    }
+
+    /**
+     * Verify every translated item
+     * @param {Object<string, string[]>} sources - English items per section
+     * @param {Object<string, string[]>} translations - Translated items per section
+     * @param {Object<string, Object[]>} translationMeta - Forward translation metadata per section
+     * @returns {Promise<Object<string, Object[]>>} Fidelity report per section and item
+     */
+    async verify(sources, translations, translationMeta, targetLang) {
+        const report = {};
+        const groups = new Map();
+
+        Object.entries(translations).forEach(([section, items]) => {
+            report[section] = new Array(items.length).fill(null);
+            items.forEach((translated, index) => {
+                const source = sources[section]?.[index] || '';
+                const meta = translationMeta?.[section]?.[index] || {};
+
+                if (this.trustedProviders.includes(meta.provider) || meta.service === 'no_translation_needed') {
+                    report[section][index] = { score: 1, flagged: false, trusted: true, reasons: [] };
+                    return;
+                }
+                if (meta.service === 'all_methods_failed') {
+                    report[section][index] = { score: 0, flagged: true, reasons: ['translation_failed'] };
+                    return;
+                }
+
+                const forwardProvider = meta.provider || 'unknown';
+                if (!groups.has(forwardProvider)) {
+                    groups.set(forwardProvider, []);
+                }
+                groups.get(forwardProvider).push({ section, index, source, translated });
+            });
+        });
+
+        // Back-translate each group with any provider but the one that produced it
+        for (const [forwardProvider, items] of groups) {
+            const results = await this.translationService.backTranslate(
+                items.map(item => item.translated),
+                targetLang,
+                'en',
+                [forwardProvider]
+            );
+            items.forEach((item, position) => {
+                report[item.section][item.index] = this.scoreItem(item.source, item.translated, results[position]);
+            });
+        }
+
+        return report;
+    }
+
+    /**
+     * Score one item from its source, forward translation and back-translation result
+     */
+    scoreItem(source, translated, backResult) {
+        const reasons = [];
+
+        // Numbers and units are checked against the forward translation, which keeps digits in every script
+        const sourceNumbers = this.extractDigits(source);
+        const translatedNumbers = this.extractDigits(translated);
+        const digitsKept = this.sameMultiset(sourceNumbers, translatedNumbers);
+        if (!digitsKept) {
+            reasons.push('numbers_changed');
+        }
+
+        const sourceUnits = this.extractUnits(source);
+        const unitsKept = sourceUnits.every(unit => this.extractUnits(translated).includes(unit));
+        if (!unitsKept) {
+            reasons.push('dose_units_changed');
+        }
+
+        // Without a second provider only the strict checks on the forward translation can run
+        if (!backResult) {
+            return {
+                score: null,
+                flagged: reasons.length > 0,
+                verified: false,
+                numbersMatch: digitsKept,
+                unitsMatch: unitsKept,
+                negationMatch: null,
+                backTranslation: null,
+                backProvider: null,
+                reasons
+            };
+        }
+
+        const backTranslation = backResult.translatedText;
+
+        // Number words ("two tablets") can legitimately become digits and back
+        const backNumbersMatch = this.sameMultiset(this.extractNumbers(source), this.extractNumbers(backTranslation));
+        if (!backNumbersMatch && !reasons.includes('numbers_changed')) {
+            reasons.push('numbers_changed');
+        }
+
+        const negationMatch = this.negationDetector
+            ? this.negationDetector.analyze(source).negated === this.negationDetector.analyze(backTranslation).negated
+            : true;
+        if (!negationMatch) {
+            reasons.push('negation_changed');
+        }
+
+        const score = this.similarity(source, backTranslation);
+        if (score < this.threshold) {
+            reasons.push('low_similarity');
+        }
+
+        return {
+            score,
+            flagged: reasons.length > 0,
+            verified: true,
+            numbersMatch: digitsKept && backNumbersMatch,
+            unitsMatch: unitsKept,
+            negationMatch,
+            backTranslation,
+            backProvider: backResult.service,
+            reasons
+        };
+    }
+
+    /**
+     * Lexical similarity: mean of content-word F1 and character-trigram Dice, both in 0..1
+     */
+    similarity(a, b) {
+        const tokensA = this.contentTokens(a);
+        const tokensB = this.contentTokens(b);
+        if (tokensA.length === 0 && tokensB.length === 0) {
+            return 1;
+        }
+
+        const countsB = new Map();
+        tokensB.forEach(token => countsB.set(token, (countsB.get(token) || 0) + 1));
+        let overlap = 0;
+        tokensA.forEach(token => {
+            if (countsB.get(token) > 0) {
+                overlap++;
+                countsB.set(token, countsB.get(token) - 1);
+            }
+        });
+        const precision = tokensB.length ? overlap / tokensB.length : 0;
+        const recall = tokensA.length ? overlap / tokensA.length : 0;
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+        const trigramsA = this.trigrams(tokensA.join(' '));
+        const trigramsB = this.trigrams(tokensB.join(' '));
+        let shared = 0;
+        const remaining = [...trigramsB];
+        trigramsA.forEach(gram => {
+            const position = remaining.indexOf(gram);
+            if (position !== -1) {
+                shared++;
+                remaining.splice(position, 1);
+            }
+        });
+        const dice = trigramsA.length + trigramsB.length > 0
+            ? (2 * shared) / (trigramsA.length + trigramsB.length)
+            : 0;
+
+        return Math.round(((f1 + dice) / 2) * 100) / 100;
+    }
+
+    contentTokens(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s%]/gu, ' ')
+            .split(/\s+/)
+            .filter(token => token && !this.stopwords.has(token))
+            .map(token => this.synonyms[token] || token)
+            .map(token => this.stem(token));
+    }
+
+    stem(token) {
+        if (token.length <= 4) {
+            return token;
+        }
+        return token.replace(/(?:ing|edly|ed|ly|es|s)$/, '');
+    }
+
+    trigrams(text) {
+        const padded = ` ${text} `;
+        const grams = [];
+        for (let i = 0; i < padded.length - 2; i++) {
+            grams.push(padded.slice(i, i + 3));
+        }
+        return grams;
+    }
+
+    /**
+     * Digits only, normalising Arabic-Indic, Persian and Devanagari numerals
+     */
+    extractDigits(text) {
+        const normalized = (text || '')
+            .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+            .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+            .replace(/[０-９]/g, digit => String(digit.charCodeAt(0) - 0xFF10));
+        return (normalized.match(/\d+(?:[.,]\d+)?/g) || []).map(value => parseFloat(value.replace(',', '.')));
+    }
+
+    /**
+     * Digits plus English number words, for comparing two English texts
+     */
+    extractNumbers(text) {
+        const words = (text || '').toLowerCase().match(/[a-z]+/g) || [];
+        const fromWords = words.filter(word => word in this.numberWords).map(word => this.numberWords[word]);
+        return [...this.extractDigits(text), ...fromWords];
+    }
+
+    extractUnits(text) {
+        return ((text || '').match(this.unitPattern) || [])
+            .map(unit => unit.toLowerCase().replace(/s$/, ''));
+    }
+
+    sameMultiset(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        const sortedA = [...a].sort((x, y) => x - y);
+        const sortedB = [...b].sort((x, y) => x - y);
+        return sortedA.every((value, index) => value === sortedB[index]);
+    }
+}
+
+// Export for use in the main app
+window.TranslationVerifier = TranslationVerifier;
@@ -1,17 +1,15 @@
 /**
- * Enhanced Translation Service with Azure Translator Support
- * Replace your current translator.js with this version
+ * Enhanced Translation Service with pluggable providers
+ * Standard sentences are matched to vetted templates first (js/sentence-templates.js); the rest go to
+ * providers (js/translation-providers.js) in priority order, which can be set per target language
  */
 
 class TranslationService {
     constructor() {
-        // Azure Translator configuration
-        this.azureConfig = {
-            endpoint: 'https://api.cognitive.microsofttranslator.com',
-            apiKey: null, // Will be set via setAzureKey() method
-            region: 'global', // or your specific region like 'eastus'
-            apiVersion: '3.0'
-        };
+        // Registered providers by id, and the order they are tried in
+        this.providers = new Map();
+        this.defaultPriority = [];
+        this.languagePriority = {};
 
         // Fallback translations for offline/emergency use
         this.fallbackTranslations = {
@@ -59,14 +57,149 @@ class TranslationService {
         };
         
         this.lastUsedMethod = 'none';
+
+        // Persistent translation memory, checked before every provider
+        this.memory = window.TranslationMemory && window.appConfig?.get('TRANSLATION_MEMORY_ENABLED', true) !== false
+            ? new TranslationMemory()
+            : null;
+        this.glossaryVersion = 'none';
+
+        // Medical glossary applied through placeholders around every provider call
+        this.glossary = window.MedicalGlossary ? new MedicalGlossary() : null;
+        this.glossaryReady = this.glossary
+            ? this.glossary.load().then(glossary => {
+                this.glossaryVersion = glossary.version;
+            })
+            : Promise.resolve();
+
+        // Versioned offline phrase packs, loaded on first use; their templates run before any provider
+        this.phrasePacks = window.PhrasePackStore ? new PhrasePackStore() : null;
+        this.templateProviderId = 'phrase-pack';
+
+        // Offline mode restricts translation to local providers (phrase packs, dictionary)
+        this.offlineMode = window.appConfig?.get('TRANSLATION_MODE', 'online') === 'offline';
+
+        this.registerDefaultProviders();
+    }
+
+    /**
+     * Register the built-in providers using keys and endpoints from AppConfig
+     */
+    registerDefaultProviders() {
+        const config = window.appConfig;
+
+        this.registerProvider(new AzureTranslatorProvider({
+            apiKey: config?.get('MICROSOFT_TRANSLATOR_KEY') || null,
+            region: config?.get('MICROSOFT_TRANSLATOR_REGION', 'global')
+        }));
+        this.registerProvider(new DeepLProvider({
+            apiKey: config?.get('DEEPL_API_KEY') || null,
+            glossaryIds: config?.get('DEEPL_GLOSSARY_IDS', {})
+        }));
+        this.registerProvider(new GoogleTranslateProvider({
+            apiKey: config?.get('GOOGLE_TRANSLATE_API_KEY') || null
+        }));
+        this.registerProvider(new LibreTranslateProvider('libretranslate', {
+            name: 'LibreTranslate (self-hosted)',
+            endpoints: [config?.get('LIBRETRANSLATE_URL', '')],
+            apiKey: config?.get('LIBRETRANSLATE_API_KEY') || null
+        }));
+        this.registerProvider(new LibreTranslateProvider('libretranslate-public', {
+            endpoints: config?.get('LIBRETRANSLATE_PUBLIC_ENDPOINTS', []) || []
+        }));
+        if (this.phrasePacks) {
+            this.registerProvider(new PhrasePackProvider(this.phrasePacks));
+        }
+        this.registerProvider(new FallbackDictionaryProvider(this.fallbackTranslations));
+
+        Object.entries(config?.get('TRANSLATION_PROVIDER_PRIORITY', {}) || {}).forEach(([language, ids]) => {
+            this.setLanguagePriority(language, ids);
+        });
+    }
+
+    /**
+     * Register (or replace) a provider
+     * @param {TranslationProvider} provider
+     * @param {Object} options - { position: index in the default order; defaults to just before the offline dictionary }
+     */
+    registerProvider(provider, options = {}) {
+        if (!provider?.id || typeof provider.translate !== 'function') {
+            throw new Error('Translation providers need an id and a translate() method');
+        }
+
+        const isNew = !this.providers.has(provider.id);
+        this.providers.set(provider.id, provider);
+
+        if (isNew) {
+            const fallbackIndex = this.defaultPriority.indexOf('fallback-dictionary');
+            const position = options.position ?? (fallbackIndex === -1 ? this.defaultPriority.length : fallbackIndex);
+            this.defaultPriority.splice(position, 0, provider.id);
+        }
+        console.log(`✅ Translation provider registered: ${provider.name}`);
+        return provider;
+    }
+
+    unregisterProvider(id) {
+        const removed = this.providers.delete(id);
+        this.defaultPriority = this.defaultPriority.filter(entry => entry !== id);
+        return removed;
+    }
+
+    getProvider(id) {
+        return this.providers.get(id) || null;
+    }
+
+    getProviders() {
+        return this.defaultPriority.map(id => this.providers.get(id));
+    }
+
+    /**
+     * Set the provider order for one target language. Providers not listed keep their default order after these.
+     */
+    setLanguagePriority(language, ids) {
+        this.languagePriority[language] = Array.isArray(ids) ? [...ids] : [ids];
+    }
+
+    /**
+     * Providers to try for a language pair, in priority order
+     * @param {Object} requirements - { batch: true, glossary: true } to only include providers with those capabilities
+     */
+    getProvidersFor(targetLang, sourceLang = 'en', requirements = {}) {
+        const preferred = this.languagePriority[targetLang] || [];
+        const order = [...preferred, ...this.defaultPriority.filter(id => !preferred.includes(id))];
+
+        const offline = this.isOffline();
+
+        return order
+            .map(id => this.providers.get(id))
+            .filter(provider => provider &&
+                (!offline || provider.capabilities.offline) &&
+                provider.isConfigured() &&
+                provider.supportsPair(targetLang, sourceLang) &&
+                (!requirements.batch || provider.capabilities.batch) &&
+                (!requirements.glossary || provider.capabilities.glossary));
+    }
+
+    /**
+     * Switch offline mode on or off. Offline, only providers that work without a network are used.
+     */
+    setOfflineMode(enabled) {
+        this.offlineMode = !!enabled;
+        console.log(`${this.offlineMode ? '📴' : '🌐'} Translation mode: ${this.offlineMode ? 'offline' : 'online'}`);
+    }
+
+    /**
+     * True in offline mode, or when the browser reports no connection
+     */
+    isOffline() {
+        return this.offlineMode || (typeof navigator !== 'undefined' && navigator.onLine === false);
     }
 
     /**
      * Set Azure Translator API key and region
      */
     setAzureKey(apiKey, region = 'global') {
-        this.azureConfig.apiKey = apiKey;
-        this.azureConfig.region = region;
+        this.getProvider('azure')?.configure({ apiKey, region });
         console.log('✅ Azure Translator API key configured');
     }
 
@@ -74,10 +207,10 @@ class TranslationService {
      * Main translation method with Azure Translator priority
      */
     async translate(text, targetLang, sourceLang = 'en') {
-        console.log('=== AZURE TRANSLATION DEBUG ===');
+        console.log('=== TRANSLATION DEBUG ===');
         console.log('Input:', text);
         console.log('Target language:', targetLang);
-        console.log('Azure API key configured:', !!this.azureConfig.apiKey);
+        console.log('Providers:', this.getProvidersFor(targetLang, sourceLang).map(provider => provider.id));
         
         if (targetLang === sourceLang || targetLang === 'en') {
             return {
@@ -87,16 +220,16 @@ class TranslationService {
             };
         }
 
-        // Handle array input
+        // Arrays go through the batching layer as a single section
         if (Array.isArray(text)) {
-            const results = await Promise.all(
-                text.map(item => this.translateSingle(item, targetLang, sourceLang))
-            );
-            
+            const { sections, meta } = await this.translateSections({ items: text }, targetLang, sourceLang);
+            const results = meta.items;
+
             return {
-                translatedText: results.map(r => r.translatedText),
-                confidence: results.reduce((sum, r) => sum + r.confidence, 0) / results.length,
-                service: results[0]?.service || 'batch_translation'
+                translatedText: sections.items,
+                confidence: results.length > 0 ? results.reduce((sum, r) => sum + r.confidence, 0) / results.length : 1.0,
+                service: results[0]?.service || 'batch_translation',
+                itemMeta: results
             };
         }
 
@@ -104,207 +237,380 @@ class TranslationService {
     }
 
     /**
-     * Translate single text with Azure Translator priority
+     * Translate every string of several sections at once. Strings are de-duplicated, packed into
+     * provider-sized batches and sent under a concurrency cap; anything a provider fails on moves
+     * to the next provider in priority order.
+     * @param {Object<string, string[]>} sections - e.g. { diagnoses: [...], medications: [...] }
+     * @returns {Promise<{ sections: Object<string, string[]>, meta: Object<string, Object[]>, stats: Object }>}
      */
-    async translateSingle(text, targetLang, sourceLang) {
-        // Try translation methods in order of preference
-        const methods = [
-            () => this.translateWithAzure(text, targetLang, sourceLang),
-            () => this.translateWithLibreTranslate(text, targetLang, sourceLang),
-            () => this.translateWithEnhancedFallback(text, targetLang)
-        ];
-
-        for (let i = 0; i < methods.length; i++) {
-            try {
-                console.log(`🔄 Trying translation method ${i + 1}...`);
-                const result = await methods[i]();
-                console.log(`✅ Translation method ${i + 1} succeeded:`, result);
-                return result;
-            } catch (error) {
-                console.warn(`⚠️ Translation method ${i + 1} failed:`, error.message);
-            }
-        }
+    async translateSections(sections, targetLang, sourceLang = 'en') {
+        await this.glossaryReady;
+        const entries = new Map();
+        Object.entries(sections).forEach(([section, items]) => {
+            (items || []).forEach((text, index) => {
+                const key = typeof text === 'string' ? text.trim() : '';
+                if (!entries.has(key)) {
+                    entries.set(key, { text: key, refs: [], result: null });
+                }
+                entries.get(key).refs.push([section, index]);
+            });
+        });
 
-        // Final fallback
-        return {
-            translatedText: text + ` [Translation to ${targetLang} unavailable]`,
-            confidence: 0.1,
-            service: 'all_methods_failed'
+        const stats = {
+            totalStrings: [...entries.values()].reduce((sum, entry) => sum + entry.refs.length, 0),
+            uniqueStrings: entries.size,
+            requests: 0,
+            memoryHits: 0,
+            templateHits: 0,
+            providers: {}
         };
-    }
-
-    /**
-     * Azure Translator API implementation (PRIMARY METHOD)
-     */
-    async translateWithAzure(text, targetLang, sourceLang) {
-        if (!this.azureConfig.apiKey) {
-            throw new Error('Azure API key not configured');
-        }
 
-        console.log('🔄 Using Azure Translator...');
-
-        const endpoint = `${this.azureConfig.endpoint}/translate`;
-        const params = new URLSearchParams({
-            'api-version': this.azureConfig.apiVersion,
-            'from': sourceLang,
-            'to': targetLang
-        });
+        if (targetLang === sourceLang || targetLang === 'en') {
+            entries.forEach(entry => {
+                entry.result = { translatedText: entry.text, confidence: 1.0, service: 'no_translation_needed' };
+            });
+        } else {
+            let pending = [];
+            entries.forEach(entry => {
+                if (!entry.text) {
+                    entry.result = { translatedText: '', confidence: 1.0, service: 'no_translation_needed' };
+                    return;
+                }
+                entry.protected = this.glossary ? this.glossary.protect(entry.text, targetLang) : null;
+                // Items made up only of glossary terms (e.g. a brand name) need no provider at all
+                if (entry.protected?.placeholders.length && !/\p{L}/u.test(entry.protected.text.replace(/\[\[G\d+\]\]/g, ''))) {
+                    entry.result = this.restoreGlossaryTerms(entry, { translatedText: entry.protected.text, confidence: 1.0, service: 'Medical Glossary', provider: 'glossary' });
+                    return;
+                }
+                pending.push(entry);
+            });
 
-        const requestBody = [{
-            'text': text.trim()
-        }];
+            // Interpreter-approved translations take precedence over every provider
+            pending = await this.applyMemory(pending, this.memory?.approvedProvider, targetLang, sourceLang, stats);
 
-        try {
-            const response = await fetch(`${endpoint}?${params}`, {
-                method: 'POST',
-                headers: {
-                    'Ocp-Apim-Subscription-Key': this.azureConfig.apiKey,
-                    'Ocp-Apim-Subscription-Region': this.azureConfig.region,
-                    'Content-Type': 'application/json',
-                    'X-ClientTraceId': this.generateTraceId()
-                },
-                body: JSON.stringify(requestBody)
-            });
+            // Vetted sentence templates next; machine translation only sees what no template matches
+            pending = await this.applyTemplates(pending, targetLang, sourceLang, stats);
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Azure API Error Response:', errorText);
-                throw new Error(`Azure Translator API error: ${response.status} - ${errorText}`);
+            const providers = this.getProvidersFor(targetLang, sourceLang)
+                .filter(provider => provider.id !== this.templateProviderId);
+            for (const provider of providers) {
+                if (pending.length === 0) {
+                    break;
+                }
+                pending = await this.applyMemory(pending, provider.id, targetLang, sourceLang, stats);
+                if (pending.length === 0) {
+                    break;
+                }
+                pending = await this.translateWithProvider(provider, pending, targetLang, sourceLang, stats);
             }
 
-            const data = await response.json();
-            console.log('Azure API Response:', data);
+            // Final fallback: keep the English wording; the app marks these items for staff
+            pending.forEach(entry => {
+                entry.result = {
+                    translatedText: entry.text,
+                    confidence: 0.1,
+                    service: 'all_methods_failed'
+                };
+            });
+        }
 
-            if (data && data[0] && data[0].translations && data[0].translations[0]) {
-                const translation = data[0].translations[0];
-                
-                this.lastUsedMethod = 'Azure Translator';
-                return {
-                    translatedText: translation.text,
-                    confidence: translation.confidence || 0.95,
-                    service: 'Azure Translator',
-                    detectedLanguage: data[0].detectedLanguage?.language,
-                    originalText: text
+        const translated = {};
+        const meta = {};
+        Object.entries(sections).forEach(([section, items]) => {
+            translated[section] = new Array((items || []).length);
+            meta[section] = new Array((items || []).length);
+        });
+        entries.forEach(entry => {
+            entry.refs.forEach(([section, index]) => {
+                translated[section][index] = entry.result.translatedText;
+                meta[section][index] = {
+                    service: entry.result.service,
+                    provider: entry.result.provider || null,
+                    confidence: entry.result.confidence,
+                    fromMemory: !!entry.result.fromMemory,
+                    templateId: entry.result.templateId || null,
+                    path: this.getTranslationPath(entry.result),
+                    glossaryViolations: entry.result.glossaryViolations || []
                 };
-            } else {
-                throw new Error('Invalid Azure Translator response format');
-            }
+            });
+        });
+
+        console.log(`✅ Batch translation: ${stats.totalStrings} strings (${stats.uniqueStrings} unique), ${stats.templateHits} from templates, ${stats.memoryHits} from memory, ${stats.requests} requests`, stats.providers);
+        return { sections: translated, meta, stats };
+    }
 
+    /**
+     * Translate pending entries that match a sentence template; returns the entries no template covers
+     */
+    async applyTemplates(pending, targetLang, sourceLang, stats) {
+        const provider = this.getProvider(this.templateProviderId);
+        if (!provider || pending.length === 0 || !provider.supportsPair(targetLang, sourceLang)) {
+            return pending;
+        }
+        try {
+            await provider.prepare(targetLang);
         } catch (error) {
-            console.error('Azure Translator error:', error);
-            throw error;
+            console.warn(`⚠️ Sentence templates unavailable for ${targetLang}:`, error.message);
+            return pending;
         }
+
+        const remaining = [];
+        for (const entry of pending) {
+            try {
+                const result = await provider.translate(this.requestText(entry), targetLang, sourceLang);
+                entry.result = this.restoreGlossaryTerms(entry, result);
+                stats.templateHits++;
+            } catch (error) {
+                // No template for this sentence: it goes on to the providers
+                remaining.push(entry);
+            }
+        }
+        if (stats.templateHits > 0) {
+            this.lastUsedMethod = provider.name;
+        }
+        return remaining;
     }
 
     /**
-     * LibreTranslate API (FALLBACK METHOD)
+     * Which step produced a result, recorded per line as meta.path:
+     * template, memory, glossary, mt, fallback (offline dictionary), untranslated or none
      */
-    async translateWithLibreTranslate(text, targetLang, sourceLang) {
-        const endpoints = [
-            'https://libretranslate.com/translate',
-            'https://libretranslate.de/translate'
-        ];
-
-        let lastError = null;
+    getTranslationPath(result) {
+        if (result.fromMemory) {
+            return 'memory';
+        }
+        if (result.service === 'no_translation_needed') {
+            return 'none';
+        }
+        if (result.service === 'all_methods_failed') {
+            return 'untranslated';
+        }
+        switch (result.provider) {
+            case this.templateProviderId:
+                return 'template';
+            case 'glossary':
+                return 'glossary';
+            case 'fallback-dictionary':
+                return 'fallback';
+            default:
+                return 'mt';
+        }
+    }
 
-        for (const endpoint of endpoints) {
+    /**
+     * Send pending entries to one provider in batches; returns the entries it could not translate
+     */
+    async translateWithProvider(provider, pending, targetLang, sourceLang, stats) {
+        const { batches, oversized } = this.createBatches(pending, provider.capabilities);
+        const failed = [...oversized];
+        let providerDown = false;
+
+        const tasks = batches.map(batch => async () => {
+            // A failed multi-string request usually means the service is unavailable (auth, quota,
+            // outage), so the remaining batches go straight to the next provider
+            if (providerDown) {
+                failed.push(...batch);
+                return;
+            }
             try {
-                console.log(`🔄 Trying LibreTranslate: ${endpoint}`);
-                
-                const response = await fetch(endpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        q: text.trim(),
-                        source: sourceLang,
-                        target: targetLang,
-                        format: 'text'
-                    })
+                stats.requests++;
+                const results = await provider.translateBatch(batch.map(entry => this.requestText(entry)), targetLang, sourceLang);
+                batch.forEach((entry, index) => {
+                    entry.result = this.restoreGlossaryTerms(entry, results[index]);
                 });
-
-                if (!response.ok) {
-                    throw new Error(`LibreTranslate API error: ${response.status}`);
+                stats.providers[provider.id] = (stats.providers[provider.id] || 0) + batch.length;
+                this.lastUsedMethod = provider.name;
+                if (provider.capabilities.cacheable) {
+                    await this.rememberResults(provider, batch, targetLang, sourceLang);
+                }
+            } catch (error) {
+                console.warn(`⚠️ ${provider.name} failed for ${batch.length} string(s):`, error.message);
+                if (provider.capabilities.batch) {
+                    providerDown = true;
                 }
+                failed.push(...batch);
+            }
+        });
 
-                const data = await response.json();
-                
-                if (data.error) {
-                    throw new Error(data.error);
+        await this.runWithConcurrency(tasks, this.getConcurrencyLimit());
+        return failed;
+    }
+
+    /**
+     * Resolve pending entries from the translation memory for one provider; returns the misses
+     */
+    async applyMemory(pending, providerId, targetLang, sourceLang, stats) {
+        if (!this.memory || !providerId || pending.length === 0) {
+            return pending;
+        }
+        try {
+            // Interpreter-approved entries are stored independent of the glossary version
+            const glossaryVersion = providerId === this.memory.approvedProvider ? 'none' : this.glossaryVersion;
+            const hits = await this.memory.lookup(pending.map(entry => entry.text), sourceLang, targetLang, providerId, glossaryVersion);
+            if (hits.size === 0) {
+                return pending;
+            }
+            stats.memoryHits += hits.size;
+            return pending.filter(entry => {
+                const hit = hits.get(entry.text);
+                if (!hit) {
+                    return true;
                 }
-                
-                this.lastUsedMethod = 'LibreTranslate';
-                return {
-                    translatedText: data.translatedText || text,
-                    confidence: 0.8,
-                    service: 'LibreTranslate'
+                entry.result = {
+                    translatedText: hit.translatedText,
+                    confidence: hit.approved ? 1.0 : (hit.confidence ?? 0.9),
+                    service: hit.service,
+                    provider: hit.provider,
+                    fromMemory: true,
+                    glossaryViolations: this.glossary ? this.glossary.check(entry.text, hit.translatedText, targetLang) : []
                 };
+                return false;
+            });
+        } catch (error) {
+            // The memory is an optimisation; translation carries on without it
+            console.warn('⚠️ Translation memory lookup failed:', error.message);
+            return pending;
+        }
+    }
 
-            } catch (error) {
-                lastError = error;
-                console.warn(`LibreTranslate endpoint failed: ${endpoint}`, error.message);
+    async rememberResults(provider, batch, targetLang, sourceLang) {
+        if (!this.memory) {
+            return;
+        }
+        try {
+            await this.memory.store(batch.map(entry => ({
+                sourceText: entry.text,
+                translatedText: entry.result.translatedText,
+                sourceLang,
+                targetLang,
+                provider: provider.id,
+                service: entry.result.service,
+                confidence: entry.result.confidence,
+                glossaryVersion: this.glossaryVersion
+            })));
+        } catch (error) {
+            console.warn('⚠️ Could not store translations in memory:', error.message);
+        }
+    }
+
+    /**
+     * Translate texts back to the source language with any provider except the excluded ones.
+     * Used for verification, so the translation memory and glossary are deliberately bypassed.
+     * @returns {Promise<Array<Object|null>>} One result per text; null where no provider succeeded
+     */
+    async backTranslate(texts, fromLang, toLang = 'en', excludeProviderIds = []) {
+        const entries = texts.map(text => ({ text, result: null }));
+        const stats = { requests: 0, providers: {} };
+        let pending = entries.filter(entry => entry.text);
+
+        const providers = this.getProvidersFor(toLang, fromLang)
+            .filter(provider => !excludeProviderIds.includes(provider.id));
+
+        for (const provider of providers) {
+            if (pending.length === 0) {
+                break;
             }
+            const { batches, oversized } = this.createBatches(pending, provider.capabilities);
+            const failed = [...oversized];
+            const tasks = batches.map(batch => async () => {
+                try {
+                    stats.requests++;
+                    const results = await provider.translateBatch(batch.map(entry => entry.text), toLang, fromLang);
+                    batch.forEach((entry, index) => {
+                        entry.result = results[index];
+                    });
+                } catch (error) {
+                    console.warn(`⚠️ Back-translation with ${provider.name} failed:`, error.message);
+                    failed.push(...batch);
+                }
+            });
+            await this.runWithConcurrency(tasks, this.getConcurrencyLimit());
+            pending = failed;
         }
 
-        throw lastError || new Error('All LibreTranslate endpoints failed');
+        return entries.map(entry => entry.result);
     }
 
     /**
-     * Enhanced fallback with medical dictionary
+     * Swap glossary placeholders in a provider result back for the required terms
      */
-    translateWithEnhancedFallback(text, targetLang) {
-        console.log('🔄 Using enhanced fallback translation');
-        
-        const fallbackDict = this.fallbackTranslations[targetLang];
-        if (!fallbackDict) {
-            throw new Error(`No fallback translations for ${targetLang}`);
+    restoreGlossaryTerms(entry, result) {
+        if (!this.glossary || !entry.protected?.placeholders.length) {
+            return { ...result, glossaryViolations: [] };
+        }
+        const restored = this.glossary.restore(result.translatedText, entry.protected.placeholders);
+        if (restored.violations.length > 0) {
+            console.warn(`⚠️ Glossary violations in "${entry.text}":`, restored.violations);
         }
+        return { ...result, translatedText: restored.text, glossaryViolations: restored.violations };
+    }
 
-        let translated = text.toLowerCase();
-        let translationFound = false;
-        
-        // Sort by length (longest phrases first) for better matching
-        const sortedEntries = Object.entries(fallbackDict)
-            .sort((a, b) => b[0].length - a[0].length);
-        
-        // First pass: Look for complete sentence matches
-        sortedEntries.forEach(([english, foreign]) => {
-            if (english.length > 10) { // Focus on longer phrases first
-                const regex = new RegExp(this.escapeRegex(english.toLowerCase()), 'gi');
-                if (translated.includes(english.toLowerCase())) {
-                    translated = translated.replace(regex, foreign);
-                    translationFound = true;
-                    console.log(`Complete phrase match: "${english}" → "${foreign}"`);
-                }
+    /**
+     * The string sent to a provider: the glossary-protected text with placeholders when there is one
+     */
+    requestText(entry) {
+        return entry.protected?.text || entry.text;
+    }
+
+    /**
+     * Pack entries into batches within a provider's element and character limits,
+     * measured on the text that actually goes into the request
+     */
+    createBatches(entries, capabilities) {
+        const maxSize = capabilities.batch ? capabilities.maxBatchSize : 1;
+        const maxChars = capabilities.maxChars;
+        const batches = [];
+        const oversized = [];
+        let current = [];
+        let currentChars = 0;
+
+        entries.forEach(entry => {
+            const length = this.requestText(entry).length;
+            if (length > maxChars) {
+                oversized.push(entry);
+                return;
             }
-        });
-        
-        // Second pass: Fill in remaining words
-        sortedEntries.forEach(([english, foreign]) => {
-            if (english.length <= 10) { // Individual words and short phrases
-                const regex = new RegExp(`\\b${this.escapeRegex(english.toLowerCase())}\\b`, 'gi');
-                const beforeReplace = translated;
-                translated = translated.replace(regex, foreign);
-                if (translated !== beforeReplace) {
-                    console.log(`Word replacement: "${english}" → "${foreign}"`);
-                    translationFound = true;
-                }
+            if (current.length >= maxSize || currentChars + length > maxChars) {
+                batches.push(current);
+                current = [];
+                currentChars = 0;
             }
+            current.push(entry);
+            currentChars += length;
         });
+        if (current.length > 0) {
+            batches.push(current);
+        }
 
-        // Capitalize first letter to maintain sentence structure
-        translated = translated.charAt(0).toUpperCase() + translated.slice(1);
+        return { batches, oversized };
+    }
 
-        if (!translationFound) {
-            throw new Error('No translations found in fallback dictionary');
-        }
+    /**
+     * Run async tasks with at most `limit` in flight
+     */
+    async runWithConcurrency(tasks, limit) {
+        let next = 0;
+        const worker = async () => {
+            while (next < tasks.length) {
+                const task = tasks[next++];
+                await task();
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+    }
+
+    getConcurrencyLimit() {
+        return Math.max(1, window.appConfig?.get('TRANSLATION_MAX_CONCURRENCY', 4) || 4);
+    }
 
-        this.lastUsedMethod = 'Enhanced Fallback';
+    /**
+     * Translate single text through the same memory, glossary and provider chain as batches
+     */
+    async translateSingle(text, targetLang, sourceLang) {
+        const { sections, meta } = await this.translateSections({ item: [text] }, targetLang, sourceLang);
         return {
-            translatedText: translated,
-            confidence: 0.7,
-            service: 'Enhanced Fallback Dictionary'
+            translatedText: sections.item[0],
+            ...meta.item[0]
         };
     }
 
@@ -312,9 +618,10 @@ class TranslationService {
      * Get supported Azure Translator languages
      */
     async getSupportedLanguages() {
-        if (this.azureConfig.apiKey) {
+        const azure = this.getProvider('azure');
+        if (azure?.isConfigured()) {
             try {
-                const response = await fetch(`${this.azureConfig.endpoint}/languages?api-version=${this.azureConfig.apiVersion}`);
+                const response = await fetch(`${azure.config.endpoint}/languages?api-version=${azure.config.apiVersion}`);
                 const data = await response.json();
                 return data.translation || {};
             } catch (error) {
@@ -342,12 +649,13 @@ class TranslationService {
      * Test Azure Translator connection
      */
     async testAzureConnection() {
-        if (!this.azureConfig.apiKey) {
+        const azure = this.getProvider('azure');
+        if (!azure?.isConfigured()) {
             return { success: false, error: 'No API key configured' };
         }
 
         try {
-            const result = await this.translateWithAzure('Hello world', 'es', 'en');
+            const result = await azure.translate('Hello world', 'es', 'en');
             return { 
                 success: true, 
                 result: result,
@@ -362,28 +670,18 @@ class TranslationService {
         }
     }
 
-    /**
-     * Utility methods
-     */
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
-
-    generateTraceId() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
-    }
-
     /**
      * Get debug information
      */
     getDebugInfo() {
         return {
             lastUsedMethod: this.lastUsedMethod,
-            azureConfigured: !!this.azureConfig.apiKey,
-            azureRegion: this.azureConfig.region,
+            azureConfigured: !!this.getProvider('azure')?.isConfigured(),
+            azureRegion: this.getProvider('azure')?.config.region,
+            providers: this.getProviders().map(provider => provider.getInfo()),
+            translationMemory: !!this.memory,
+            glossaryVersion: this.glossaryVersion,
+            languagePriority: { ...this.languagePriority },
             availableFallbackLanguages: Object.keys(this.fallbackTranslations)
         };
     }
@@ -402,4 +700,4 @@ window.configureAzureTranslator = function(apiKey, region = 'global') {
     }
 };
 
-console.log('✅ Azure Translation Service loaded');
+console.log('✅ Translation Service loaded');
@@ -0,0 +1,203 @@
+/**
+ * Service Worker - Precaches the app shell, vendored libraries and translation data
+ * so the translator loads and translates from phrase packs without a network.
+ * Bump CACHE_VERSION with every release; the old cache is deleted once the new worker activates.
+ */
+const CACHE_VERSION = '2026.10.25';
+const CACHE_PREFIX = 'discharge-translator-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './style.css',
+    './manifest.json',
+
+    // App scripts
+    './js/config.js',
+    './js/i18n.js',
+    './js/request-queue.js',
+    './js/offline-manager.js',
+    './js/translation-providers.js',
+    './js/translation-memory.js',
+    './js/medical-glossary.js',
+    './js/phrase-packs.js',
+    './js/sentence-templates.js',
+    './js/translator.js',
+    './js/translation-verifier.js',
+    './js/medication-extractor.js',
+    './js/section-segmenter.js',
+    './js/negation-detector.js',
+    './js/patient-info-extractor.js',
+    './js/appointment-parser.js',
+    './js/fhir-importer.js',
+    './js/ccda-importer.js',
+    './js/medical-parser.js',
+    './js/medication-schedule.js',
+    './js/qr-security.js',
+    './js/qr-payload.js',
+    './js/qr-encoder.js',
+    './js/fhir-exporter.js',
+    './js/pdf-text.js',
+    './js/document-generator.js',
+    './js/file-scanner.js',
+    './js/ocr-engine.js',
+    './js/app.js',
+
+    // Vendored libraries
+    './js/vendor/qr-scanner.umd.min.js',
+    './js/vendor/qr-scanner-worker.min.js',
+    './js/vendor/jspdf.umd.min.js',
+    './js/vendor/hbjs.js',
+    './js/vendor/hb.wasm',
+    './js/vendor/bidi.min.js',
+    './js/vendor/pdf.min.js',
+    './js/vendor/pdf.worker.min.js',
+    './js/vendor/tesseract.min.js',
+    './js/vendor/tesseract-worker.min.js',
+    './js/vendor/tesseract-core/tesseract-core-lstm.wasm.js',
+    './js/vendor/tesseract-core/tesseract-core-simd-lstm.wasm.js',
+
+    // OCR model and medical wordlist
+    './data/ocr/eng.traineddata.gz',
+    './data/ocr/eng.medical-words',
+
+    // PDF fonts
+    './data/fonts/manifest.json',
+    './data/fonts/NotoSans-Regular.ttf',
+    './data/fonts/NotoSans-Bold.ttf',
+    './data/fonts/NotoSans-Italic.ttf',
+    './data/fonts/NotoNaskhArabic-Regular.ttf',
+    './data/fonts/NotoNaskhArabic-Bold.ttf',
+    './data/fonts/NotoSansDevanagari-Regular.ttf',
+    './data/fonts/NotoSansDevanagari-Bold.ttf',
+    './data/fonts/NotoSansThai-Regular.ttf',
+    './data/fonts/NotoSansThai-Bold.ttf',
+    './data/fonts/NotoSansSC-Regular.ttf',
+    './data/fonts/NotoSansSC-Supplement.ttf',
+    './data/fonts/NotoSansJP-Regular.ttf',
+    './data/fonts/NotoSansJP-Supplement.ttf',
+    './data/fonts/NotoSansKR-Regular.ttf',
+    './data/fonts/NotoEmoji-Regular.ttf',
+
+    // App and document messages
+    './data/i18n/manifest.json',
+    './data/i18n/en.js',
+    './data/i18n/es.json',
+    './data/i18n/fr.json',
+    './data/i18n/de.json',
+    './data/i18n/it.json',
+    './data/i18n/pt.json',
+    './data/i18n/ru.json',
+    './data/i18n/zh.json',
+    './data/i18n/ja.json',
+    './data/i18n/ko.json',
+    './data/i18n/ar.json',
+    './data/i18n/hi.json',
+    './data/i18n/th.json',
+    './data/i18n/vi.json',
+
+    // Glossary and phrase packs
+    './data/glossary.json',
+    './data/phrase-packs/manifest.json',
+    './data/phrase-packs/en.json',
+    './data/phrase-packs/es.json',
+    './data/phrase-packs/fr.json',
+    './data/phrase-packs/de.json',
+    './data/phrase-packs/it.json',
+    './data/phrase-packs/pt.json',
+    './data/phrase-packs/ru.json',
+    './data/phrase-packs/zh.json',
+    './data/phrase-packs/ja.json',
+    './data/phrase-packs/ko.json',
+    './data/phrase-packs/ar.json',
+    './data/phrase-packs/hi.json',
+    './data/phrase-packs/th.json',
+    './data/phrase-packs/vi.json'
+];
+
+self.addEventListener('install', event => {
+    // No skipWaiting here: the page asks staff before switching versions
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Translation APIs and other origins always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, './index.html'));
+    } else if (url.pathname.includes('/data/')) {
+        // Glossary, phrase packs and messages change between releases, so prefer a fresh copy
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Network first, updating the cache; the cached copy (or the fallback URL) when offline
+ */
+async function networkFirst(request, fallbackUrl = null) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Phrase packs are requested with ?v=<version>; keep one copy per file
+            cache.put(stripSearch(request.url), response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Cached copy first, otherwise the network (and cache the result)
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(stripSearch(request.url), response.clone());
+    }
+    return response;
+}
+
+function stripSearch(url) {
+    const stripped = new URL(url);
+    stripped.search = '';
+    return stripped.href;
+}